@@ -0,0 +1,20 @@
+-- Multi-device sessions replacing the single token column per user
+
+CREATE TABLE `sessions` (
+  `session_id` int(11) NOT NULL AUTO_INCREMENT,
+  `token_hash` char(64) NOT NULL,
+  `user_id` int(11) NOT NULL,
+  `user_role` enum('student','professor','admin') NOT NULL,
+  `device_label` varchar(255) DEFAULT NULL,
+  `issued_at` datetime NOT NULL DEFAULT current_timestamp(),
+  `expires_at` datetime NOT NULL,
+  `last_seen_at` datetime NOT NULL DEFAULT current_timestamp(),
+  `revoked_at` datetime DEFAULT NULL,
+  PRIMARY KEY (`session_id`),
+  UNIQUE KEY `token_hash` (`token_hash`),
+  KEY `user_session` (`user_id`, `user_role`)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_general_ci;
+
+ALTER TABLE `students` DROP COLUMN `student_token`;
+ALTER TABLE `professor` DROP COLUMN `professor_token`;
+ALTER TABLE `admin` DROP COLUMN `admin_token`;
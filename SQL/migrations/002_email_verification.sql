@@ -0,0 +1,21 @@
+-- Email verification for student and professor accounts
+
+ALTER TABLE `students` ADD COLUMN `email_verified_at` datetime DEFAULT NULL;
+ALTER TABLE `professor` ADD COLUMN `email_verified_at` datetime DEFAULT NULL;
+
+-- Accounts that existed before verification was introduced are trusted
+UPDATE `students` SET `email_verified_at` = NOW();
+UPDATE `professor` SET `email_verified_at` = NOW();
+
+CREATE TABLE `email_verifications` (
+  `verification_id` int(11) NOT NULL AUTO_INCREMENT,
+  `user_id` int(11) NOT NULL,
+  `user_role` enum('student','professor') NOT NULL,
+  `token_hash` char(64) NOT NULL,
+  `created_at` datetime NOT NULL DEFAULT current_timestamp(),
+  `expires_at` datetime NOT NULL,
+  `used_at` datetime DEFAULT NULL,
+  PRIMARY KEY (`verification_id`),
+  UNIQUE KEY `token_hash` (`token_hash`),
+  KEY `user_verification` (`user_id`, `user_role`)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_general_ci;
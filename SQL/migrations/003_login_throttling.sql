@@ -0,0 +1,29 @@
+-- Failed login tracking and temporary account / IP lockouts
+
+CREATE TABLE `login_attempts` (
+  `attempt_id` int(11) NOT NULL AUTO_INCREMENT,
+  `user_role` enum('student','professor','admin') NOT NULL,
+  `account_identifier` varchar(255) NOT NULL,
+  `ip_address` varchar(45) NOT NULL,
+  `succeeded` tinyint(1) NOT NULL DEFAULT 0,
+  `created_at` datetime NOT NULL DEFAULT current_timestamp(),
+  PRIMARY KEY (`attempt_id`),
+  KEY `account_attempts` (`user_role`, `account_identifier`, `created_at`),
+  KEY `ip_attempts` (`ip_address`, `created_at`)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_general_ci;
+
+CREATE TABLE `account_lockouts` (
+  `lockout_id` int(11) NOT NULL AUTO_INCREMENT,
+  `scope` enum('account','ip') NOT NULL,
+  `user_role` enum('student','professor','admin') NOT NULL,
+  `account_identifier` varchar(255) DEFAULT NULL,
+  `ip_address` varchar(45) NOT NULL,
+  `failed_attempts` int(11) NOT NULL,
+  `locked_at` datetime NOT NULL DEFAULT current_timestamp(),
+  `locked_until` datetime NOT NULL,
+  `unlocked_at` datetime DEFAULT NULL,
+  `unlocked_by` int(11) DEFAULT NULL,
+  PRIMARY KEY (`lockout_id`),
+  KEY `account_lockout` (`user_role`, `account_identifier`, `locked_until`),
+  KEY `ip_lockout` (`ip_address`, `locked_until`)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_general_ci;
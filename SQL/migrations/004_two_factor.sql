@@ -0,0 +1,47 @@
+-- Optional TOTP two-factor authentication for professors and admins
+
+CREATE TABLE `two_factor` (
+  `user_id` int(11) NOT NULL,
+  `user_role` enum('professor','admin') NOT NULL,
+  `secret` varchar(64) NOT NULL,
+  `enabled_at` datetime DEFAULT NULL,
+  `last_used_step` bigint(20) DEFAULT NULL,
+  `created_at` datetime NOT NULL DEFAULT current_timestamp(),
+  PRIMARY KEY (`user_id`, `user_role`)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_general_ci;
+
+CREATE TABLE `two_factor_recovery_codes` (
+  `code_id` int(11) NOT NULL AUTO_INCREMENT,
+  `user_id` int(11) NOT NULL,
+  `user_role` enum('professor','admin') NOT NULL,
+  `code_hash` char(64) NOT NULL,
+  `used_at` datetime DEFAULT NULL,
+  PRIMARY KEY (`code_id`),
+  KEY `user_codes` (`user_id`, `user_role`)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_general_ci;
+
+-- Second login step: issued after the password check, exchanged for a session
+CREATE TABLE `two_factor_challenges` (
+  `challenge_id` int(11) NOT NULL AUTO_INCREMENT,
+  `token_hash` char(64) NOT NULL,
+  `user_id` int(11) NOT NULL,
+  `user_role` enum('professor','admin') NOT NULL,
+  `device_label` varchar(255) DEFAULT NULL,
+  `attempts` int(11) NOT NULL DEFAULT 0,
+  `expires_at` datetime NOT NULL,
+  `used_at` datetime DEFAULT NULL,
+  PRIMARY KEY (`challenge_id`),
+  UNIQUE KEY `token_hash` (`token_hash`)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_general_ci;
+
+CREATE TABLE `two_factor_policy` (
+  `user_role` enum('professor','admin') NOT NULL,
+  `enforced` tinyint(1) NOT NULL DEFAULT 0,
+  `updated_by` int(11) DEFAULT NULL,
+  `updated_at` datetime NOT NULL DEFAULT current_timestamp() ON UPDATE current_timestamp(),
+  PRIMARY KEY (`user_role`)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_general_ci;
+
+INSERT INTO `two_factor_policy` (`user_role`, `enforced`) VALUES
+('professor', 0),
+('admin', 0);
@@ -0,0 +1,22 @@
+-- Professors join through admin invitations instead of open registration
+
+-- Professor IDs are assigned by the database now that nobody picks their own
+ALTER TABLE `professor` MODIFY `professor_id` int(11) NOT NULL AUTO_INCREMENT;
+
+CREATE TABLE `professor_invitations` (
+  `invitation_id` int(11) NOT NULL AUTO_INCREMENT,
+  `professor_email` varchar(255) NOT NULL,
+  `professor_name` varchar(255) NOT NULL,
+  `professor_department` varchar(255) NOT NULL,
+  `token_hash` char(64) NOT NULL,
+  `invited_by` int(11) NOT NULL,
+  `created_at` datetime NOT NULL DEFAULT current_timestamp(),
+  `last_sent_at` datetime NOT NULL DEFAULT current_timestamp(),
+  `expires_at` datetime NOT NULL,
+  `accepted_at` datetime DEFAULT NULL,
+  `revoked_at` datetime DEFAULT NULL,
+  `professor_id` int(11) DEFAULT NULL,
+  PRIMARY KEY (`invitation_id`),
+  UNIQUE KEY `token_hash` (`token_hash`),
+  KEY `professor_email` (`professor_email`)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_general_ci;
@@ -0,0 +1,7 @@
+-- Student account states replace hard deletion
+
+ALTER TABLE `students`
+  ADD COLUMN `account_status` enum('active','suspended','graduated','deleted') NOT NULL DEFAULT 'active',
+  ADD COLUMN `status_reason` varchar(500) DEFAULT NULL,
+  ADD COLUMN `status_changed_at` datetime DEFAULT NULL,
+  ADD COLUMN `status_changed_by` int(11) DEFAULT NULL;
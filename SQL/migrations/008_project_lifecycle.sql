@@ -0,0 +1,29 @@
+-- Project lifecycle: draft -> submitted -> (changes-requested | approved | rejected)
+-- -> in-progress -> completed -> archived, with a history of every transition
+
+-- Widen the enum first so existing rows keep a valid value, then rename Pending
+ALTER TABLE `projects`
+  MODIFY `approval_status` enum('Pending','Approved','Rejected','draft','submitted','changes-requested','in-progress','completed','archived') DEFAULT 'Pending';
+
+UPDATE `projects` SET `approval_status` = 'submitted' WHERE `approval_status` = 'Pending' OR `approval_status` IS NULL;
+
+ALTER TABLE `projects`
+  MODIFY `approval_status` enum('draft','submitted','changes-requested','approved','rejected','in-progress','completed','archived') NOT NULL DEFAULT 'submitted',
+  ADD COLUMN `status_changed_at` datetime DEFAULT NULL;
+
+CREATE TABLE `project_status_history` (
+  `history_id` int(11) NOT NULL AUTO_INCREMENT,
+  `project_id` int(11) NOT NULL,
+  `from_status` varchar(30) DEFAULT NULL,
+  `to_status` varchar(30) NOT NULL,
+  `reason` text DEFAULT NULL,
+  `actor_id` int(11) DEFAULT NULL,
+  `actor_role` enum('student','professor','admin') DEFAULT NULL,
+  `created_at` datetime NOT NULL DEFAULT current_timestamp(),
+  PRIMARY KEY (`history_id`),
+  KEY `project_id` (`project_id`, `created_at`),
+  CONSTRAINT `project_status_history_ibfk_1` FOREIGN KEY (`project_id`) REFERENCES `projects` (`project_id`) ON DELETE CASCADE
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_general_ci;
+
+ALTER TABLE `notifications`
+  MODIFY `notification_type` enum('vote','comment','project_request','project_status_update','grade_update','project_changes_requested','project_resubmitted') NOT NULL;
@@ -0,0 +1,5 @@
+-- Structured feedback on review decisions (rejections and change requests)
+
+ALTER TABLE `project_status_history`
+  ADD COLUMN `reason_category` varchar(50) DEFAULT NULL AFTER `to_status`,
+  ADD COLUMN `suggested_changes` text DEFAULT NULL AFTER `reason`;
@@ -0,0 +1,44 @@
+-- Named, versioned project files (report, slides, source archive, poster).
+-- A new upload adds a version; nothing is overwritten
+
+CREATE TABLE `project_files` (
+  `file_id` int(11) NOT NULL AUTO_INCREMENT,
+  `project_id` int(11) NOT NULL,
+  `file_kind` enum('report','slides','source','poster','other') NOT NULL,
+  `current_version_id` int(11) DEFAULT NULL,
+  `created_at` datetime NOT NULL DEFAULT current_timestamp(),
+  PRIMARY KEY (`file_id`),
+  UNIQUE KEY `project_kind` (`project_id`, `file_kind`),
+  CONSTRAINT `project_files_ibfk_1` FOREIGN KEY (`project_id`) REFERENCES `projects` (`project_id`) ON DELETE CASCADE
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_general_ci;
+
+CREATE TABLE `project_file_versions` (
+  `version_id` int(11) NOT NULL AUTO_INCREMENT,
+  `file_id` int(11) NOT NULL,
+  `version_number` int(11) NOT NULL,
+  `original_name` varchar(255) NOT NULL,
+  `stored_path` varchar(255) NOT NULL,
+  `mime_type` varchar(100) DEFAULT NULL,
+  `size_bytes` bigint(20) DEFAULT NULL,
+  `note` varchar(500) DEFAULT NULL,
+  `restored_from_version` int(11) DEFAULT NULL,
+  `uploaded_by` int(11) DEFAULT NULL,
+  `uploader_role` enum('student','professor','admin') DEFAULT NULL,
+  `uploaded_at` datetime NOT NULL DEFAULT current_timestamp(),
+  PRIMARY KEY (`version_id`),
+  UNIQUE KEY `file_version` (`file_id`, `version_number`),
+  CONSTRAINT `project_file_versions_ibfk_1` FOREIGN KEY (`file_id`) REFERENCES `project_files` (`file_id`) ON DELETE CASCADE
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_general_ci;
+
+-- Existing single uploads become version 1 of each project's source archive
+INSERT INTO `project_files` (`project_id`, `file_kind`)
+  SELECT `project_id`, 'source' FROM `projects` WHERE `project_files_path` IS NOT NULL AND `project_files_path` <> '';
+
+INSERT INTO `project_file_versions` (`file_id`, `version_number`, `original_name`, `stored_path`)
+  SELECT f.`file_id`, 1, SUBSTRING_INDEX(REPLACE(p.`project_files_path`, '\\', '/'), '/', -1), p.`project_files_path`
+  FROM `project_files` f
+  INNER JOIN `projects` p ON p.`project_id` = f.`project_id`;
+
+UPDATE `project_files` f
+  INNER JOIN `project_file_versions` v ON v.`file_id` = f.`file_id`
+  SET f.`current_version_id` = v.`version_id`;
@@ -0,0 +1,5 @@
+-- SHA-256 of each stored file version, computed when the upload is validated.
+-- Versions uploaded before this migration keep a NULL checksum
+
+ALTER TABLE `project_file_versions`
+  ADD COLUMN `checksum_sha256` char(64) DEFAULT NULL AFTER `size_bytes`;
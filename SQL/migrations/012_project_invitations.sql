@@ -0,0 +1,20 @@
+-- Teammates confirm before they are bound to a project. The creator is added
+-- to project_students directly, everyone else gets an invitation and joins
+-- the team when they accept it
+
+CREATE TABLE `project_invitations` (
+  `invitation_id` int(11) NOT NULL AUTO_INCREMENT,
+  `project_id` int(11) NOT NULL,
+  `student_id` int(11) NOT NULL,
+  `invited_by` int(11) NOT NULL,
+  `status` enum('pending','accepted','declined','cancelled') NOT NULL DEFAULT 'pending',
+  `created_at` datetime NOT NULL DEFAULT current_timestamp(),
+  `responded_at` datetime DEFAULT NULL,
+  PRIMARY KEY (`invitation_id`),
+  KEY `student_status` (`student_id`, `status`),
+  KEY `project_status` (`project_id`, `status`),
+  CONSTRAINT `project_invitations_ibfk_1` FOREIGN KEY (`project_id`) REFERENCES `projects` (`project_id`) ON DELETE CASCADE
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_general_ci;
+
+ALTER TABLE `notifications`
+  MODIFY `notification_type` enum('vote','comment','project_request','project_status_update','grade_update','project_changes_requested','project_resubmitted','project_invitation','project_invitation_response') NOT NULL;
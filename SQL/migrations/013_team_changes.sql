@@ -0,0 +1,51 @@
+-- Team membership changes after submission (add a member, remove a member,
+-- withdraw yourself), decided by the supervisor, and a history of who joined
+-- and left each team
+
+CREATE TABLE `team_change_requests` (
+  `change_id` int(11) NOT NULL AUTO_INCREMENT,
+  `project_id` int(11) NOT NULL,
+  `change_type` enum('add','remove','withdraw') NOT NULL,
+  `student_id` int(11) NOT NULL,
+  `reason` text DEFAULT NULL,
+  `status` enum('pending','approved','rejected','cancelled') NOT NULL DEFAULT 'pending',
+  `requested_by` int(11) NOT NULL,
+  `requester_role` enum('student','professor','admin') NOT NULL,
+  `created_at` datetime NOT NULL DEFAULT current_timestamp(),
+  `decided_by` int(11) DEFAULT NULL,
+  `decider_role` enum('student','professor','admin') DEFAULT NULL,
+  `decision_note` text DEFAULT NULL,
+  `decided_at` datetime DEFAULT NULL,
+  PRIMARY KEY (`change_id`),
+  KEY `project_status` (`project_id`, `status`),
+  CONSTRAINT `team_change_requests_ibfk_1` FOREIGN KEY (`project_id`) REFERENCES `projects` (`project_id`) ON DELETE CASCADE
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_general_ci;
+
+-- Approved additions invite the student on the supervisor's behalf
+ALTER TABLE `project_invitations`
+  ADD COLUMN `inviter_role` enum('student','professor','admin') NOT NULL DEFAULT 'student' AFTER `invited_by`;
+
+-- Departures keep the grades the student had on the project. Members from
+-- before this migration have no "joined" entry
+CREATE TABLE `project_member_history` (
+  `history_id` int(11) NOT NULL AUTO_INCREMENT,
+  `project_id` int(11) NOT NULL,
+  `student_id` int(11) NOT NULL,
+  `student_name` varchar(255) NOT NULL,
+  `event` enum('joined','left') NOT NULL,
+  `semester_work_grade` decimal(5,2) DEFAULT NULL,
+  `final_work_grade` decimal(5,2) DEFAULT NULL,
+  `max_semester_work_grade` decimal(5,2) DEFAULT NULL,
+  `max_final_work_grade` decimal(5,2) DEFAULT NULL,
+  `change_id` int(11) DEFAULT NULL,
+  `actor_id` int(11) DEFAULT NULL,
+  `actor_role` enum('student','professor','admin') DEFAULT NULL,
+  `created_at` datetime NOT NULL DEFAULT current_timestamp(),
+  PRIMARY KEY (`history_id`),
+  KEY `project_id` (`project_id`, `created_at`),
+  KEY `student_id` (`student_id`),
+  CONSTRAINT `project_member_history_ibfk_1` FOREIGN KEY (`project_id`) REFERENCES `projects` (`project_id`) ON DELETE CASCADE
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_general_ci;
+
+ALTER TABLE `notifications`
+  MODIFY `notification_type` enum('vote','comment','project_request','project_status_update','grade_update','project_changes_requested','project_resubmitted','project_invitation','project_invitation_response','team_change_request','team_change_decision') NOT NULL;
@@ -0,0 +1,50 @@
+-- Co-supervision: every supervisor of a project has a role (main supervisor,
+-- co-supervisor, external advisor). Additional supervisors are invited and
+-- join when they accept. projects.professor_id stays the main supervisor and
+-- supervisor_name is derived from the supervisors instead of typed in
+
+-- Drop duplicate rows before the table gets a primary key
+CREATE TABLE `project_professor_unique` AS
+  SELECT DISTINCT `project_id`, `professor_id` FROM `project_professor`;
+DELETE FROM `project_professor`;
+INSERT INTO `project_professor` (`project_id`, `professor_id`)
+  SELECT `project_id`, `professor_id` FROM `project_professor_unique`;
+DROP TABLE `project_professor_unique`;
+
+ALTER TABLE `project_professor`
+  ADD COLUMN `supervisor_role` enum('main','co','external') NOT NULL DEFAULT 'co',
+  ADD COLUMN `added_at` datetime NOT NULL DEFAULT current_timestamp(),
+  ADD PRIMARY KEY (`project_id`, `professor_id`);
+
+UPDATE `project_professor` pp
+  INNER JOIN `projects` p ON p.`project_id` = pp.`project_id` AND p.`professor_id` = pp.`professor_id`
+  SET pp.`supervisor_role` = 'main';
+
+-- Projects keep their typed name only when no supervisor is known
+UPDATE `projects` p SET `supervisor_name` = COALESCE(
+  (SELECT GROUP_CONCAT(pr.`professor_name` ORDER BY FIELD(pp.`supervisor_role`, 'main', 'co', 'external'), pr.`professor_name` SEPARATOR ', ')
+    FROM `project_professor` pp
+    INNER JOIN `professor` pr ON pr.`professor_id` = pp.`professor_id`
+    WHERE pp.`project_id` = p.`project_id`),
+  (SELECT `professor_name` FROM `professor` WHERE `professor_id` = p.`professor_id`),
+  p.`supervisor_name`
+);
+
+CREATE TABLE `supervisor_invitations` (
+  `invitation_id` int(11) NOT NULL AUTO_INCREMENT,
+  `project_id` int(11) NOT NULL,
+  `professor_id` int(11) NOT NULL,
+  `supervisor_role` enum('co','external') NOT NULL,
+  `invited_by` int(11) NOT NULL,
+  `inviter_role` enum('professor','admin') NOT NULL,
+  `status` enum('pending','accepted','declined','cancelled') NOT NULL DEFAULT 'pending',
+  `created_at` datetime NOT NULL DEFAULT current_timestamp(),
+  `responded_at` datetime DEFAULT NULL,
+  PRIMARY KEY (`invitation_id`),
+  KEY `professor_status` (`professor_id`, `status`),
+  KEY `project_status` (`project_id`, `status`),
+  CONSTRAINT `supervisor_invitations_ibfk_1` FOREIGN KEY (`project_id`) REFERENCES `projects` (`project_id`) ON DELETE CASCADE
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_general_ci;
+
+ALTER TABLE `notifications`
+  MODIFY `notification_type` enum('vote','comment','project_request','project_status_update','grade_update','project_changes_requested','project_resubmitted','project_invitation','project_invitation_response','team_change_request','team_change_decision','supervision_invitation','supervision_invitation_response') NOT NULL;
@@ -0,0 +1,14 @@
+-- Per academic term (graduation year + graduation term) settings: when project
+-- proposals may be submitted and how many teams a professor may supervise.
+-- Terms without a row have no window and no quota
+
+CREATE TABLE `term_settings` (
+  `graduation_year` int(11) NOT NULL,
+  `graduation_term` varchar(50) NOT NULL,
+  `proposal_opens_at` datetime DEFAULT NULL,
+  `proposal_closes_at` datetime DEFAULT NULL,
+  `max_teams_per_professor` int(11) DEFAULT NULL,
+  `updated_by` int(11) DEFAULT NULL,
+  `updated_at` datetime NOT NULL DEFAULT current_timestamp() ON UPDATE current_timestamp(),
+  PRIMARY KEY (`graduation_year`, `graduation_term`)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_general_ci;
@@ -0,0 +1,57 @@
+-- Milestones: admins define templates per term (proposal, mid-term report,
+-- final report, demo...), every project of the term gets its own copy whose
+-- date the supervisors can adjust. Teams submit deliverables against a
+-- milestone and the supervisors review it
+
+CREATE TABLE `milestone_templates` (
+  `template_id` int(11) NOT NULL AUTO_INCREMENT,
+  `graduation_year` int(11) NOT NULL,
+  `graduation_term` varchar(50) NOT NULL,
+  `title` varchar(255) NOT NULL,
+  `description` text DEFAULT NULL,
+  `file_kind` enum('report','slides','source','poster','other') NOT NULL DEFAULT 'report',
+  `due_at` datetime NOT NULL,
+  `position` int(11) NOT NULL DEFAULT 0,
+  `created_by` int(11) DEFAULT NULL,
+  `created_at` datetime NOT NULL DEFAULT current_timestamp(),
+  PRIMARY KEY (`template_id`),
+  KEY `term` (`graduation_year`, `graduation_term`)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_general_ci;
+
+CREATE TABLE `project_milestones` (
+  `milestone_id` int(11) NOT NULL AUTO_INCREMENT,
+  `project_id` int(11) NOT NULL,
+  `template_id` int(11) DEFAULT NULL,
+  `title` varchar(255) NOT NULL,
+  `description` text DEFAULT NULL,
+  `file_kind` enum('report','slides','source','poster','other') NOT NULL DEFAULT 'report',
+  `due_at` datetime NOT NULL,
+  `position` int(11) NOT NULL DEFAULT 0,
+  `due_changed_by` int(11) DEFAULT NULL,
+  `due_changed_at` datetime DEFAULT NULL,
+  `reviewed_by` int(11) DEFAULT NULL,
+  `reviewer_role` enum('professor','admin') DEFAULT NULL,
+  `review_comment` text DEFAULT NULL,
+  `reviewed_at` datetime DEFAULT NULL,
+  PRIMARY KEY (`milestone_id`),
+  UNIQUE KEY `project_template` (`project_id`, `template_id`),
+  CONSTRAINT `project_milestones_ibfk_1` FOREIGN KEY (`project_id`) REFERENCES `projects` (`project_id`) ON DELETE CASCADE,
+  CONSTRAINT `project_milestones_ibfk_2` FOREIGN KEY (`template_id`) REFERENCES `milestone_templates` (`template_id`) ON DELETE SET NULL
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_general_ci;
+
+CREATE TABLE `milestone_submissions` (
+  `submission_id` int(11) NOT NULL AUTO_INCREMENT,
+  `milestone_id` int(11) NOT NULL,
+  `version_id` int(11) DEFAULT NULL,
+  `note` text DEFAULT NULL,
+  `is_late` tinyint(1) NOT NULL DEFAULT 0,
+  `submitted_by` int(11) NOT NULL,
+  `submitted_at` datetime NOT NULL DEFAULT current_timestamp(),
+  PRIMARY KEY (`submission_id`),
+  KEY `milestone_id` (`milestone_id`, `submitted_at`),
+  CONSTRAINT `milestone_submissions_ibfk_1` FOREIGN KEY (`milestone_id`) REFERENCES `project_milestones` (`milestone_id`) ON DELETE CASCADE,
+  CONSTRAINT `milestone_submissions_ibfk_2` FOREIGN KEY (`version_id`) REFERENCES `project_file_versions` (`version_id`) ON DELETE SET NULL
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_general_ci;
+
+ALTER TABLE `notifications`
+  MODIFY `notification_type` enum('vote','comment','project_request','project_status_update','grade_update','project_changes_requested','project_resubmitted','project_invitation','project_invitation_response','team_change_request','team_change_decision','supervision_invitation','supervision_invitation_response','milestone_update','milestone_submission','milestone_review') NOT NULL;
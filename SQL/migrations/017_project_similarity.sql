@@ -0,0 +1,29 @@
+-- Similar and duplicate project detection. Each project keeps the past
+-- projects that resemble it most; scores at or above the admin's threshold
+-- flag the project for review
+
+CREATE TABLE `similarity_settings` (
+  `setting_id` tinyint(1) NOT NULL DEFAULT 1,
+  `threshold` decimal(4,3) NOT NULL DEFAULT 0.600,
+  `updated_by` int(11) DEFAULT NULL,
+  `updated_at` datetime NOT NULL DEFAULT current_timestamp() ON UPDATE current_timestamp(),
+  PRIMARY KEY (`setting_id`)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_general_ci;
+
+INSERT INTO `similarity_settings` (`setting_id`, `threshold`) VALUES (1, 0.600);
+
+ALTER TABLE `projects`
+  ADD COLUMN `similarity_score` decimal(5,4) DEFAULT NULL,
+  ADD COLUMN `similarity_flagged` tinyint(1) NOT NULL DEFAULT 0,
+  ADD COLUMN `similarity_checked_at` datetime DEFAULT NULL,
+  ADD COLUMN `similarity_cleared_by` int(11) DEFAULT NULL;
+
+CREATE TABLE `project_similarities` (
+  `project_id` int(11) NOT NULL,
+  `similar_project_id` int(11) NOT NULL,
+  `score` decimal(5,4) NOT NULL,
+  `overlap` decimal(5,4) NOT NULL,
+  PRIMARY KEY (`project_id`, `similar_project_id`),
+  CONSTRAINT `project_similarities_ibfk_1` FOREIGN KEY (`project_id`) REFERENCES `projects` (`project_id`) ON DELETE CASCADE,
+  CONSTRAINT `project_similarities_ibfk_2` FOREIGN KEY (`similar_project_id`) REFERENCES `projects` (`project_id`) ON DELETE CASCADE
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_general_ci;
@@ -0,0 +1,43 @@
+-- Grading rubrics: admins define a rubric per term, for one department or for
+-- every department of the term. Each criterion belongs to the semester or the
+-- final work and contributes its weight in grade points; professors score it
+-- out of its max points and project_students holds the computed grades
+
+CREATE TABLE `rubric_templates` (
+  `rubric_id` int(11) NOT NULL AUTO_INCREMENT,
+  `graduation_year` int(11) NOT NULL,
+  `graduation_term` varchar(50) NOT NULL,
+  `department_name` varchar(255) DEFAULT NULL,
+  `title` varchar(255) NOT NULL,
+  `created_by` int(11) DEFAULT NULL,
+  `created_at` datetime NOT NULL DEFAULT current_timestamp(),
+  `updated_at` datetime NOT NULL DEFAULT current_timestamp() ON UPDATE current_timestamp(),
+  PRIMARY KEY (`rubric_id`),
+  KEY `term` (`graduation_year`, `graduation_term`, `department_name`)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_general_ci;
+
+CREATE TABLE `rubric_criteria` (
+  `criterion_id` int(11) NOT NULL AUTO_INCREMENT,
+  `rubric_id` int(11) NOT NULL,
+  `component` enum('semester','final') NOT NULL,
+  `title` varchar(255) NOT NULL,
+  `description` text DEFAULT NULL,
+  `weight` decimal(5,2) NOT NULL,
+  `max_points` decimal(6,2) NOT NULL,
+  `position` int(11) NOT NULL DEFAULT 0,
+  PRIMARY KEY (`criterion_id`),
+  CONSTRAINT `rubric_criteria_ibfk_1` FOREIGN KEY (`rubric_id`) REFERENCES `rubric_templates` (`rubric_id`) ON DELETE CASCADE
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_general_ci;
+
+CREATE TABLE `criterion_scores` (
+  `project_id` int(11) NOT NULL,
+  `student_id` varchar(255) NOT NULL,
+  `criterion_id` int(11) NOT NULL,
+  `points` decimal(6,2) NOT NULL,
+  `comment` text DEFAULT NULL,
+  `scored_by` int(11) NOT NULL,
+  `scored_at` datetime NOT NULL DEFAULT current_timestamp() ON UPDATE current_timestamp(),
+  PRIMARY KEY (`project_id`, `student_id`, `criterion_id`),
+  CONSTRAINT `criterion_scores_ibfk_1` FOREIGN KEY (`project_id`) REFERENCES `projects` (`project_id`) ON DELETE CASCADE,
+  CONSTRAINT `criterion_scores_ibfk_2` FOREIGN KEY (`criterion_id`) REFERENCES `rubric_criteria` (`criterion_id`)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_general_ci;
@@ -0,0 +1,56 @@
+-- Grade history and publication. Every change to a student's grades is kept as
+-- a version; project_students holds the working grades and points at the
+-- version students see, which only becomes visible from visible_from. Terms
+-- get a publication date and a lock date after which grades are frozen unless
+-- an admin unlocks the project
+
+CREATE TABLE `grade_versions` (
+  `version_id` int(11) NOT NULL AUTO_INCREMENT,
+  `project_id` int(11) NOT NULL,
+  `student_id` varchar(255) NOT NULL,
+  `semester_work_grade` decimal(5,2) DEFAULT NULL,
+  `final_work_grade` decimal(5,2) DEFAULT NULL,
+  `max_semester_work_grade` decimal(5,2) DEFAULT NULL,
+  `max_final_work_grade` decimal(5,2) DEFAULT NULL,
+  `source` enum('manual','rubric') NOT NULL DEFAULT 'manual',
+  `reason` text DEFAULT NULL,
+  `changed_by` int(11) DEFAULT NULL,
+  `changer_role` enum('professor','admin') DEFAULT NULL,
+  `created_at` datetime NOT NULL DEFAULT current_timestamp(),
+  PRIMARY KEY (`version_id`),
+  KEY `project_student` (`project_id`, `student_id`, `version_id`),
+  CONSTRAINT `grade_versions_ibfk_1` FOREIGN KEY (`project_id`) REFERENCES `projects` (`project_id`) ON DELETE CASCADE
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_general_ci;
+
+ALTER TABLE `project_students`
+  ADD COLUMN `published_version_id` int(11) DEFAULT NULL,
+  ADD COLUMN `published_at` datetime DEFAULT NULL,
+  ADD COLUMN `visible_from` datetime DEFAULT NULL;
+
+-- Grades given before versioning count as published
+INSERT INTO `grade_versions` (`project_id`, `student_id`, `semester_work_grade`, `final_work_grade`, `max_semester_work_grade`, `max_final_work_grade`, `reason`)
+SELECT `project_id`, `student_id`, `semester_work_grade`, `final_work_grade`, `max_semester_work_grade`, `max_final_work_grade`, 'Grades given before grade history'
+FROM `project_students`
+WHERE `semester_work_grade` IS NOT NULL OR `final_work_grade` IS NOT NULL
+  OR `max_semester_work_grade` IS NOT NULL OR `max_final_work_grade` IS NOT NULL;
+
+UPDATE `project_students` ps
+INNER JOIN `grade_versions` v ON v.`project_id` = ps.`project_id` AND v.`student_id` = ps.`student_id`
+SET ps.`published_version_id` = v.`version_id`, ps.`published_at` = v.`created_at`, ps.`visible_from` = v.`created_at`;
+
+ALTER TABLE `term_settings`
+  ADD COLUMN `grades_publish_at` datetime DEFAULT NULL AFTER `max_teams_per_professor`,
+  ADD COLUMN `grades_lock_at` datetime DEFAULT NULL AFTER `grades_publish_at`;
+
+CREATE TABLE `grade_unlocks` (
+  `unlock_id` int(11) NOT NULL AUTO_INCREMENT,
+  `project_id` int(11) NOT NULL,
+  `reason` text NOT NULL,
+  `unlocked_by` int(11) NOT NULL,
+  `unlocked_at` datetime NOT NULL DEFAULT current_timestamp(),
+  `relocked_by` int(11) DEFAULT NULL,
+  `relocked_at` datetime DEFAULT NULL,
+  PRIMARY KEY (`unlock_id`),
+  KEY `project_id` (`project_id`, `relocked_at`),
+  CONSTRAINT `grade_unlocks_ibfk_1` FOREIGN KEY (`project_id`) REFERENCES `projects` (`project_id`) ON DELETE CASCADE
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_general_ci;
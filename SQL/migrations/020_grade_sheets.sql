@@ -0,0 +1,4 @@
+-- Grades entered from an imported grade sheet are kept apart in the history
+
+ALTER TABLE `grade_versions`
+  MODIFY `source` enum('manual','rubric','import') NOT NULL DEFAULT 'manual';
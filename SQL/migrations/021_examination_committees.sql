@@ -0,0 +1,44 @@
+-- Examination committees: admins assign examiners (professors who don't
+-- supervise the project) and pick how their scores combine. The main
+-- supervisor and every examiner score the final work of each student on
+-- their own; once all have scored, the aggregate becomes the final work grade
+
+CREATE TABLE `project_committees` (
+  `project_id` int(11) NOT NULL,
+  `aggregation_policy` enum('mean','weighted','drop_outliers') NOT NULL DEFAULT 'mean',
+  `max_final_work_grade` decimal(5,2) NOT NULL,
+  `supervisor_weight` decimal(5,2) NOT NULL DEFAULT 1.00,
+  `disagreement_threshold` decimal(5,2) NOT NULL DEFAULT 20.00,
+  `updated_by` int(11) DEFAULT NULL,
+  `updated_at` datetime NOT NULL DEFAULT current_timestamp() ON UPDATE current_timestamp(),
+  PRIMARY KEY (`project_id`),
+  CONSTRAINT `project_committees_ibfk_1` FOREIGN KEY (`project_id`) REFERENCES `projects` (`project_id`) ON DELETE CASCADE
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_general_ci;
+
+CREATE TABLE `project_examiners` (
+  `project_id` int(11) NOT NULL,
+  `professor_id` int(11) NOT NULL,
+  `weight` decimal(5,2) NOT NULL DEFAULT 1.00,
+  `assigned_by` int(11) DEFAULT NULL,
+  `assigned_at` datetime NOT NULL DEFAULT current_timestamp(),
+  PRIMARY KEY (`project_id`, `professor_id`),
+  KEY `professor_id` (`professor_id`),
+  CONSTRAINT `project_examiners_ibfk_1` FOREIGN KEY (`project_id`) REFERENCES `project_committees` (`project_id`) ON DELETE CASCADE
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_general_ci;
+
+CREATE TABLE `committee_scores` (
+  `project_id` int(11) NOT NULL,
+  `student_id` varchar(255) NOT NULL,
+  `professor_id` int(11) NOT NULL,
+  `score` decimal(5,2) NOT NULL,
+  `comment` text DEFAULT NULL,
+  `submitted_at` datetime NOT NULL DEFAULT current_timestamp() ON UPDATE current_timestamp(),
+  PRIMARY KEY (`project_id`, `student_id`, `professor_id`),
+  CONSTRAINT `committee_scores_ibfk_1` FOREIGN KEY (`project_id`) REFERENCES `project_committees` (`project_id`) ON DELETE CASCADE
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_general_ci;
+
+ALTER TABLE `grade_versions`
+  MODIFY `source` enum('manual','rubric','import','committee') NOT NULL DEFAULT 'manual';
+
+ALTER TABLE `notifications`
+  MODIFY `notification_type` enum('vote','comment','project_request','project_status_update','grade_update','project_changes_requested','project_resubmitted','project_invitation','project_invitation_response','team_change_request','team_change_decision','supervision_invitation','supervision_invitation_response','milestone_update','milestone_submission','milestone_review','examiner_assignment','committee_update') NOT NULL;
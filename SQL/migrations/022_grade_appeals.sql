@@ -0,0 +1,39 @@
+-- Grade appeals. Within the term's appeal window after their grades become
+-- visible, a student can contest one grade component. The supervisor (or the
+-- examination committee, for a committee's final work grade) responds, an
+-- admin can escalate the appeal and decide it, and a revised grade is saved
+-- as a new grade version and published
+
+ALTER TABLE `term_settings`
+  ADD COLUMN `appeal_window_days` int(11) DEFAULT NULL AFTER `grades_lock_at`;
+
+CREATE TABLE `grade_appeals` (
+  `appeal_id` int(11) NOT NULL AUTO_INCREMENT,
+  `project_id` int(11) NOT NULL,
+  `student_id` varchar(255) NOT NULL,
+  `component` enum('semester_work','final_work') NOT NULL,
+  `justification` text NOT NULL,
+  `appealed_version_id` int(11) NOT NULL,
+  `appealed_grade` decimal(5,2) DEFAULT NULL,
+  `status` enum('pending','escalated','accepted','rejected') NOT NULL DEFAULT 'pending',
+  `escalation_reason` text DEFAULT NULL,
+  `escalated_by` int(11) DEFAULT NULL,
+  `escalated_at` datetime DEFAULT NULL,
+  `response` text DEFAULT NULL,
+  `revised_grade` decimal(5,2) DEFAULT NULL,
+  `revised_version_id` int(11) DEFAULT NULL,
+  `responded_by` int(11) DEFAULT NULL,
+  `responder_role` enum('professor','admin') DEFAULT NULL,
+  `responded_at` datetime DEFAULT NULL,
+  `created_at` datetime NOT NULL DEFAULT current_timestamp(),
+  PRIMARY KEY (`appeal_id`),
+  KEY `project_student` (`project_id`, `student_id`, `component`, `status`),
+  KEY `status` (`status`, `created_at`),
+  CONSTRAINT `grade_appeals_ibfk_1` FOREIGN KEY (`project_id`) REFERENCES `projects` (`project_id`) ON DELETE CASCADE
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_general_ci;
+
+ALTER TABLE `grade_versions`
+  MODIFY `source` enum('manual','rubric','import','committee','appeal') NOT NULL DEFAULT 'manual';
+
+ALTER TABLE `notifications`
+  MODIFY `notification_type` enum('vote','comment','project_request','project_status_update','grade_update','project_changes_requested','project_resubmitted','project_invitation','project_invitation_response','team_change_request','team_change_decision','supervision_invitation','supervision_invitation_response','milestone_update','milestone_submission','milestone_review','examiner_assignment','committee_update','grade_appeal') NOT NULL;
@@ -0,0 +1,19 @@
+-- A project has one main supervisor, kept in project_professor, and
+-- projects.professor_id follows it. Projects whose professor_id was edited
+-- after approval may have ended up with a second main supervisor: the one
+-- added first stays main, the others become co-supervisors
+
+UPDATE `project_professor` pp
+INNER JOIN (
+  SELECT `project_id`, MIN(`added_at`) AS `first_added`
+  FROM `project_professor`
+  WHERE `supervisor_role` = 'main'
+  GROUP BY `project_id`
+  HAVING COUNT(*) > 1
+) m ON m.`project_id` = pp.`project_id`
+SET pp.`supervisor_role` = 'co'
+WHERE pp.`supervisor_role` = 'main' AND pp.`added_at` > m.`first_added`;
+
+UPDATE `projects` p
+INNER JOIN `project_professor` pp ON pp.`project_id` = p.`project_id` AND pp.`supervisor_role` = 'main'
+SET p.`professor_id` = pp.`professor_id`;
@@ -0,0 +1,30 @@
+const conn = require("./dbConnection");
+
+function startTransaction() {
+  return new Promise((resolve, reject) => {
+    conn.beginTransaction((err) => {
+      if (err) reject(err);
+      else resolve();
+    });
+  });
+}
+
+function commitTransaction() {
+  return new Promise((resolve, reject) => {
+    conn.commit((err) => {
+      if (err) reject(err);
+      else resolve();
+    });
+  });
+}
+
+function rollbackTransaction() {
+  return new Promise((resolve, reject) => {
+    conn.rollback((err) => {
+      if (err) reject(err);
+      else resolve();
+    });
+  });
+}
+
+module.exports = { startTransaction, commitTransaction, rollbackTransaction };
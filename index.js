@@ -25,6 +25,8 @@ const search = require("./routes/search");
 const download = require("./routes/download");
 const count = require("./routes/count");
 const notification = require("./routes/notification");
+const session = require("./routes/session");
+const twoFactor = require("./routes/twoFactor");
 // ====================  RUN THE APP  ====================
 
 app.listen(4000, "localhost", () => {
@@ -44,3 +46,5 @@ app.use("/search",search);
 app.use("/download",download);
 app.use("/count",count);
 app.use("/notification", notification);
+app.use("/session", session);
+app.use("/2fa", twoFactor);
@@ -0,0 +1,63 @@
+const isAuthenticated = require("./isAuthenticated");
+const policies = require("./policies");
+const { isReadOnly } = require("../services/accountStatus");
+
+// Requests a read-only account may still make
+const READ_METHODS = ["GET", "HEAD", "OPTIONS"];
+
+// Build the middleware chain for a route from policy names. Every rule must
+// pass; a rule given as an array passes when any of its policies does:
+//
+//   authorize("selfProfessor", "supervisingProfessor")
+//   authorize(["projectMember", "admin"])
+const authorize = (...rules) => {
+  rules.flat().forEach((name) => {
+    if (!policies[name]) throw new Error(`Unknown policy "${name}"`);
+  });
+
+  const checkPolicies = async (req, res, next) => {
+    try {
+      // Only the /2fa routes stay reachable until enforced 2FA is set up
+      if (req.user.two_factor_setup_required) {
+        return res.status(403).json({
+          msg: "Two-factor authentication is required for your account, please enable it first!",
+          two_factor_setup_required: true,
+        });
+      }
+
+      // Graduated students keep read access to their history and nothing more
+      if (isReadOnly(req.user.account_status) && !READ_METHODS.includes(req.method)) {
+        return res.status(403).json({
+          msg: "Your account is read-only, it can't make changes anymore!",
+        });
+      }
+
+      for (const rule of rules) {
+        const names = Array.isArray(rule) ? rule : [rule];
+        let allowed = false;
+
+        for (const name of names) {
+          if (await policies[name](req)) {
+            allowed = true;
+            break;
+          }
+        }
+
+        if (!allowed) {
+          return res.status(403).json({
+            msg: "You are not authorized to access this route!",
+          });
+        }
+      }
+
+      next();
+    } catch (error) {
+      console.error(error);
+      res.status(500).json({ msg: "Internal Server Error" });
+    }
+  };
+
+  return [isAuthenticated, checkPolicies];
+};
+
+module.exports = authorize;
@@ -0,0 +1,36 @@
+const { findSession } = require("../services/session");
+const { isSetupRequired } = require("../services/twoFactor");
+const { getAccountStatus, canLogIn } = require("../services/accountStatus");
+
+// For public routes that show more to logged in users: attaches req.user like
+// isAuthenticated when a valid session token is sent, anonymous requests pass through
+const identifyUser = async (req, res, next) => {
+  const { token } = req.headers;
+
+  try {
+    const session = token ? await findSession(token) : null;
+
+    if (session) {
+      const account = await getAccountStatus(session.user_id, session.user_role);
+      // Blocked accounts and users who still owe an enforced 2FA setup stay anonymous
+      if (
+        account &&
+        canLogIn(account.account_status) &&
+        !(await isSetupRequired(session.user_id, session.user_role))
+      ) {
+        req.authSession = session;
+        req.user = {
+          id: session.user_id,
+          role: session.user_role,
+          session_id: session.session_id,
+        };
+      }
+    }
+    next();
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ msg: "Internal Server Error" });
+  }
+};
+
+module.exports = identifyUser;
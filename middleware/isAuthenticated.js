@@ -0,0 +1,46 @@
+const { findSession, touchSession } = require("../services/session");
+const { isSetupRequired } = require("../services/twoFactor");
+const { getAccountStatus, canLogIn, blockedMessage } = require("../services/accountStatus");
+
+// Accepts a valid session of any role and attaches the principal as req.user
+const isAuthenticated = async (req, res, next) => {
+  const { token } = req.headers;
+
+  try {
+    const session = await findSession(token);
+
+    if (session) {
+      // Suspended and deleted accounts lose access even with a live session
+      const account = await getAccountStatus(session.user_id, session.user_role);
+      if (!account || !canLogIn(account.account_status)) {
+        return res.status(403).json({
+          msg: account ? blockedMessage(account) : "This account no longer exists.",
+        });
+      }
+
+      await touchSession(session.session_id);
+      req.authSession = session;
+      req.user = {
+        id: session.user_id,
+        role: session.user_role,
+        session_id: session.session_id,
+        account_status: account.account_status,
+        // Set when the role enforces 2FA and this user hasn't enabled it yet
+        two_factor_setup_required: await isSetupRequired(
+          session.user_id,
+          session.user_role
+        ),
+      };
+      next();
+    } else {
+      res.status(401).json({
+        msg: "Your session is invalid or has expired, please log in again!",
+      });
+    }
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ msg: "Internal Server Error" });
+  }
+};
+
+module.exports = isAuthenticated;
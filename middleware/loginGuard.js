@@ -0,0 +1,94 @@
+const {
+  normalizeIdentifier,
+  findActiveLockout,
+  getLoginDelay,
+  recordFailedLogin,
+  recordSuccessfulLogin,
+} = require("../services/loginThrottle");
+const { findChallenge } = require("../services/twoFactor");
+const { recordAudit } = require("../services/audit");
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+function lockedResponse(res, lockout) {
+  const minutes = Math.ceil(lockout.retry_after / 60);
+  return res.status(429).json({
+    errors: [
+      {
+        msg:
+          lockout.scope === "ip"
+            ? `Too many failed login attempts from your network. Try again in ${minutes} minute(s).`
+            : `This account is temporarily locked after too many failed login attempts. Try again in ${minutes} minute(s).`,
+      },
+    ],
+    retry_after: lockout.retry_after,
+  });
+}
+
+// Refuse locked accounts/IPs, slow down repeated failures and give the handler
+// req.loginAttempt.failed() / .succeeded() to report back
+async function guardLogin(req, res, next, role, identifier) {
+  const ip = req.ip;
+
+  try {
+    const lockout = await findActiveLockout(role, identifier, ip);
+    if (lockout) {
+      await recordAudit(req, "auth.login_blocked", {
+        entityType: role,
+        entityId: identifier,
+        after: { scope: lockout.scope, retry_after: lockout.retry_after },
+      });
+      return lockedResponse(res, lockout);
+    }
+
+    await sleep(await getLoginDelay(role, identifier, ip));
+
+    req.loginAttempt = {
+      // Resolves true when the failure locked the login and a 429 was already sent
+      failed: async () => {
+        const newLockout = await recordFailedLogin(role, identifier, ip);
+        await recordAudit(req, "auth.login_failed", {
+          entityType: role,
+          entityId: identifier,
+        });
+        if (newLockout) {
+          await recordAudit(req, "auth.lockout", {
+            entityType: role,
+            entityId: identifier,
+            after: { scope: newLockout.scope, retry_after: newLockout.retry_after },
+          });
+          lockedResponse(res, newLockout);
+          return true;
+        }
+        return false;
+      },
+      succeeded: () => recordSuccessfulLogin(role, identifier, ip),
+    };
+
+    next();
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ msg: "Internal Server Error" });
+  }
+}
+
+// Guard a login route, the account is the one named in the body
+const loginGuard = (role, identifierField) => (req, res, next) =>
+  guardLogin(req, res, next, role, normalizeIdentifier(req.body[identifierField]));
+
+// Guard the second login step with the same failure count as the password, the
+// account is the one the challenge was issued to. Unknown or expired challenges
+// are left to the handler to refuse
+const challengeGuard = (tokenField) => async (req, res, next) => {
+  try {
+    const challenge = await findChallenge(req.body[tokenField]);
+    if (!challenge) return next();
+    return guardLogin(req, res, next, challenge.user_role, normalizeIdentifier(challenge.login_identifier));
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ msg: "Internal Server Error" });
+  }
+};
+
+module.exports = loginGuard;
+module.exports.challengeGuard = challengeGuard;
@@ -0,0 +1,96 @@
+const conn = require("../db/dbConnection");
+const { getSupervisorRole, hasSupervisorPermission } = require("../services/supervision");
+const { isEvaluator } = require("../services/committee");
+
+// Policies used by authorize(). Each one receives the request (with req.user
+// already attached) and resolves to true when the principal is allowed.
+
+// The project a route acts on comes from the URL or, for a few routes, the body
+function getProjectId(req) {
+  return req.params.project_id || req.params.id || req.body.project_id;
+}
+
+async function exists(sql, values) {
+  const rows = await conn.query(sql, values);
+  return rows.length > 0;
+}
+
+const policies = {
+  admin: async (req) => req.user.role === "admin",
+
+  student: async (req) => req.user.role === "student",
+
+  professor: async (req) => req.user.role === "professor",
+
+  // The :student_id in the URL is the logged in student
+  selfStudent: async (req) =>
+    req.user.role === "student" &&
+    String(req.params.student_id) === String(req.user.id),
+
+  // The :professor_id in the URL is the logged in professor
+  selfProfessor: async (req) =>
+    req.user.role === "professor" &&
+    String(req.params.professor_id) === String(req.user.id),
+
+  // The :recipient_id in the URL is the logged in user
+  selfRecipient: async (req) =>
+    String(req.params.recipient_id) === String(req.user.id),
+
+  // The student is a member of the project's team
+  projectMember: async (req) =>
+    req.user.role === "student" &&
+    exists(
+      "SELECT 1 FROM project_students WHERE project_id = ? AND student_id = ?",
+      [getProjectId(req), req.user.id]
+    ),
+
+  // The professor supervises the project or was asked to supervise it
+  supervisingProfessor: async (req) =>
+    req.user.role === "professor" &&
+    exists(
+      "SELECT 1 FROM projects WHERE project_id = ? AND (professor_id = ? OR project_id IN (SELECT project_id FROM project_professor WHERE professor_id = ?))",
+      [getProjectId(req), req.user.id, req.user.id]
+    ),
+
+  // The professor is the project's main supervisor
+  mainSupervisor: async (req) =>
+    req.user.role === "professor" &&
+    (await getSupervisorRole(getProjectId(req), req.user.id)) === "main",
+
+  // The professor's supervisor role lets them make review decisions
+  reviewingSupervisor: async (req) =>
+    req.user.role === "professor" &&
+    hasSupervisorPermission(getProjectId(req), req.user.id, "review"),
+
+  // The professor's supervisor role lets them enter grades
+  gradingSupervisor: async (req) =>
+    req.user.role === "professor" &&
+    hasSupervisorPermission(getProjectId(req), req.user.id, "grade"),
+
+  // The professor's supervisor role lets them publish grades
+  finalizingSupervisor: async (req) =>
+    req.user.role === "professor" &&
+    hasSupervisorPermission(getProjectId(req), req.user.id, "finalize_grades"),
+
+  // The professor examines the project or is the main supervisor of a
+  // project with an examination committee
+  committeeMember: async (req) =>
+    req.user.role === "professor" && isEvaluator(getProjectId(req), req.user.id),
+
+  // The student wrote the comment
+  commentAuthor: async (req) =>
+    req.user.role === "student" &&
+    exists(
+      "SELECT 1 FROM comments WHERE comment_id = ? AND commenter_id = ?",
+      [req.params.comment_id, req.user.id]
+    ),
+
+  // The notification was sent to the logged in user
+  notificationRecipient: async (req) =>
+    exists(
+      "SELECT 1 FROM notifications WHERE notification_id = ? AND recipient_id = ?",
+      [req.params.notification_id, req.user.id]
+    ),
+};
+
+module.exports = policies;
@@ -0,0 +1,200 @@
+const multer = require("multer");
+const path = require("path");
+const fs = require("fs");
+const crypto = require("crypto");
+const { FILE_KINDS, LEGACY_FILE_KIND } = require("../services/projectFiles");
+const {
+  FORMATS,
+  formatForExtension,
+  detectFormat,
+  sha256File,
+} = require("../services/fileType");
+
+const MB = 1024 * 1024;
+
+const formatMb = (bytes) => `${Number((bytes / MB).toFixed(1))} MB`;
+
+function limitMb(kind, fallback) {
+  const value = Number(process.env[`UPLOAD_MAX_MB_${kind.toUpperCase()}`]);
+  return value > 0 ? value : fallback;
+}
+
+// Allowed formats and size limit (UPLOAD_MAX_MB_<KIND> overrides the default) per file kind
+const UPLOAD_RULES = {
+  report: { formats: ["pdf"], maxBytes: limitMb("report", 25) * MB },
+  slides: { formats: ["pdf", "pptx"], maxBytes: limitMb("slides", 50) * MB },
+  source: { formats: ["zip", "rar", "7z"], maxBytes: limitMb("source", 200) * MB },
+  poster: { formats: ["pdf"], maxBytes: limitMb("poster", 25) * MB },
+  other: { formats: Object.keys(FORMATS), maxBytes: limitMb("other", 50) * MB },
+};
+
+// multer can only enforce one limit, the per kind ones are checked after the upload
+const LARGEST_LIMIT = Math.max(...Object.values(UPLOAD_RULES).map((rule) => rule.maxBytes));
+
+const storage = multer.diskStorage({
+  destination: "project_files/",
+  // Several files can arrive in the same millisecond, the random part keeps names apart
+  filename: (req, file, cb) =>
+    cb(
+      null,
+      `${Date.now()}-${crypto.randomBytes(4).toString("hex")}${path.extname(file.originalname).toLowerCase()}`
+    ),
+});
+
+// The file kind an upload field holds: the old "projectFile" field is the
+// source archive and the single "file" field takes it from the route (set as
+// req.uploadKind, e.g. by a milestone) or the URL
+function kindForField(req, fieldname) {
+  if (fieldname === "projectFile") return LEGACY_FILE_KIND;
+  if (fieldname === "file") return req.uploadKind || req.params.file_kind;
+  return fieldname;
+}
+
+function uploadError(file, code, msg) {
+  return { field: file.fieldname, filename: file.originalname, code, msg };
+}
+
+// Refuse disallowed extensions before anything is written to disk
+function fileFilter(req, file, cb) {
+  const kind = kindForField(req, file.fieldname);
+  const rule = UPLOAD_RULES[kind];
+  const format = formatForExtension(path.extname(file.originalname));
+
+  let error = null;
+  if (!rule) {
+    error = uploadError(file, "UNKNOWN_FILE_KIND", `File kind must be one of: ${FILE_KINDS.join(", ")}`);
+  } else if (!format || !rule.formats.includes(format)) {
+    error = uploadError(
+      file,
+      "FORMAT_NOT_ALLOWED",
+      `The ${kind} must be one of: ${rule.formats.join(", ")}`
+    );
+  }
+
+  if (error) {
+    req.uploadErrors = [...(req.uploadErrors || []), error];
+    return cb(null, false);
+  }
+  cb(null, true);
+}
+
+const upload = multer({
+  storage,
+  fileFilter,
+  limits: { fileSize: LARGEST_LIMIT, files: FILE_KINDS.length + 1 },
+});
+
+// Every file multer stored for the request
+function storedFiles(req) {
+  if (req.file) return [req.file];
+  if (Array.isArray(req.files)) return req.files;
+  return Object.values(req.files || {}).flat();
+}
+
+// Delete the uploads of a request that failed
+function removeUploads(req) {
+  for (const file of storedFiles(req)) {
+    fs.unlink(file.path, (unlinkErr) => {
+      if (unlinkErr && unlinkErr.code !== "ENOENT") {
+        console.error("Error deleting uploaded file:", unlinkErr);
+      }
+    });
+  }
+}
+
+// Size, content and checksum checks on a stored upload. Sets file.mimetype from
+// the detected format (the client's is not trusted) and file.sha256
+async function inspectFile(req, file) {
+  const kind = kindForField(req, file.fieldname);
+  const rule = UPLOAD_RULES[kind];
+  const extension = path.extname(file.originalname);
+
+  if (file.size > rule.maxBytes) {
+    return uploadError(
+      file,
+      "FILE_TOO_LARGE",
+      `The ${kind} can be at most ${formatMb(rule.maxBytes)}`
+    );
+  }
+
+  const detected = await detectFormat(file.path, extension);
+  if (detected !== formatForExtension(extension)) {
+    return uploadError(
+      file,
+      "CONTENT_MISMATCH",
+      detected
+        ? `The file content is ${detected}, which doesn't match its ${extension} extension`
+        : `The file content is not a valid ${extension.slice(1)} file`
+    );
+  }
+
+  file.mimetype = FORMATS[detected].mime;
+  file.sha256 = await sha256File(file.path);
+  return null;
+}
+
+const MULTER_MESSAGES = {
+  LIMIT_FILE_SIZE: `Files can be at most ${formatMb(LARGEST_LIMIT)}`,
+  LIMIT_FILE_COUNT: "Too many files in one request",
+  LIMIT_UNEXPECTED_FILE: "Unexpected file field",
+};
+
+function rejectUpload(req, res, errors) {
+  removeUploads(req);
+  const status = errors.some((error) => error.code === "FILE_TOO_LARGE" || error.code === "LIMIT_FILE_SIZE")
+    ? 413
+    : 400;
+  res.status(status).json({ error: "Upload rejected", errors });
+}
+
+// Run a multer middleware, then validate what it stored. Any problem rejects the
+// whole request with { error, errors: [{ field, filename, code, msg }] } and
+// deletes every file of the request
+const validated = (multerMiddleware) => (req, res, next) => {
+  multerMiddleware(req, res, async (err) => {
+    if (err instanceof multer.MulterError) {
+      return rejectUpload(req, res, [
+        {
+          field: err.field || null,
+          filename: null,
+          code: err.code,
+          msg: MULTER_MESSAGES[err.code] || err.message,
+        },
+      ]);
+    }
+    if (err) return next(err);
+
+    try {
+      const errors = [...(req.uploadErrors || [])];
+      for (const file of storedFiles(req)) {
+        const error = await inspectFile(req, file);
+        if (error) errors.push(error);
+      }
+
+      if (errors.length > 0) return rejectUpload(req, res, errors);
+      next();
+    } catch (error) {
+      console.error("Error validating upload:", error);
+      removeUploads(req);
+      res.status(500).json({ error: "Server error" });
+    }
+  });
+};
+
+// Project create/update: one field per file kind plus the old "projectFile"
+const uploadProjectFiles = validated(
+  upload.fields([
+    { name: "projectFile", maxCount: 1 },
+    ...FILE_KINDS.map((kind) => ({ name: kind, maxCount: 1 })),
+  ])
+);
+
+// A new version of the file kind in the URL (or req.uploadKind), sent as "file"
+const uploadProjectFile = validated(upload.single("file"));
+
+module.exports = {
+  UPLOAD_RULES,
+  uploadProjectFiles,
+  uploadProjectFile,
+  removeUploads,
+};
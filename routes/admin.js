@@ -6,7 +6,99 @@ const util = require("util");
 const bcrypt = require("bcrypt");
 const crypto = require("crypto");
 
+const multer = require("multer");
 const isAdmin = require("../middleware/isAdmin");
+const loginGuard = require("../middleware/loginGuard");
+const { unlockLockout } = require("../services/loginThrottle");
+const {
+  TWO_FACTOR_ROLES,
+  isTwoFactorEnabled,
+  isSetupRequired,
+  createChallenge,
+  disableTwoFactor,
+  getPolicies,
+  setPolicy,
+} = require("../services/twoFactor");
+const { getDeviceLabel, createSession } = require("../services/session");
+const {
+  getInvitation,
+  findPendingInvitationByEmail,
+  createInvitation,
+  resendInvitation,
+  revokeInvitation,
+  listInvitations,
+} = require("../services/professorInvitation");
+const { importRoster } = require("../services/rosterImport");
+const {
+  STUDENT_STATUSES,
+  getStudent,
+  setStudentStatus,
+  anonymizeStudent,
+} = require("../services/accountStatus");
+const {
+  recordAudit,
+  buildAuditFilter,
+  queryAuditLog,
+} = require("../services/audit");
+const { toCsv } = require("../services/csv");
+const { ACCEPTED_STATUSES } = require("../services/projectLifecycle");
+const {
+  listTermSettings,
+  getTermSettings,
+  saveTermSettings,
+  deleteTermSettings,
+} = require("../services/termSettings");
+const {
+  MILESTONE_ERRORS,
+  listTemplates,
+  getTemplate,
+  createTemplate,
+  updateTemplate,
+  deleteTemplate,
+} = require("../services/milestones");
+const { FILE_KINDS } = require("../services/projectFiles");
+const {
+  getThreshold,
+  setThreshold,
+  listFlaggedProjects,
+  clearFlag,
+} = require("../services/similarity");
+const {
+  GRADE_ERRORS,
+  getGradeLock,
+  unlockGrades,
+  relockGrades,
+} = require("../services/grades");
+const {
+  RUBRIC_COMPONENTS,
+  RUBRIC_ERRORS,
+  listRubrics,
+  getRubric,
+  createRubric,
+  updateRubric,
+  deleteRubric,
+} = require("../services/rubrics");
+const {
+  AGGREGATION_POLICIES,
+  COMMITTEE_ERRORS,
+  getCommittee,
+  saveCommittee,
+  addExaminer,
+  removeExaminer,
+  getCommitteeView,
+  listDisagreements,
+} = require("../services/committee");
+const {
+  APPEAL_ERRORS,
+  listAppeals,
+  escalateAppeal,
+} = require("../services/appeals");
+
+// Roster CSVs are parsed in memory, never written to disk
+const rosterUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: 5 * 1024 * 1024 },
+});
 
 
 
@@ -26,6 +118,7 @@ router.get("/all", isAdmin, (req, res) => {
 // Add admin
 router.post(
   "/add-admin",
+  isAdmin,
   body("admin_name").notEmpty().withMessage("Admin name is required"),
   body("admin_name").notEmpty().withMessage("Admin name is required"),
   body("admin_email")
@@ -58,14 +151,18 @@ router.post(
       }
 
       const hashedPassword = await bcrypt.hash(admin_password, 10);
-      const admin_token = crypto.randomBytes(16).toString("hex");
 
       const result = await query(
-        "INSERT INTO admin (admin_name, admin_email, admin_password, admin_token) VALUES (?, ?, ?, ?)",
-        [admin_name, admin_email, hashedPassword, admin_token]
+        "INSERT INTO admin (admin_name, admin_email, admin_password) VALUES (?, ?, ?)",
+        [admin_name, admin_email, hashedPassword]
       );
 
       if (result.affectedRows === 1) {
+        await recordAudit(req, "admin.create", {
+          entityType: "admin",
+          entityId: result.insertId,
+          after: { admin_name, admin_email },
+        });
         res.status(201).json({ msg: "Admin registered successfully!" });
       } else {
         res.status(500).json({ error: "Failed to insert admin" });
@@ -80,6 +177,7 @@ router.post(
 // Login as admin
 router.post(
   "/admin-login",
+  loginGuard("admin", "admin_email"),
   body("admin_email").isEmail().withMessage("Please enter a valid email"),
   body("admin_password")
     .isLength({ min: 4, max: 12 })
@@ -102,6 +200,7 @@ router.post(
       ]);
 
       if (admin.length === 0) {
+        if (await req.loginAttempt.failed()) return;
         return res
           .status(404)
           .json({ errors: [{ msg: "Admin email or password not found!" }] });
@@ -113,21 +212,50 @@ router.post(
       );
 
       if (checkPassword) {
-        const newToken = crypto.randomBytes(16).toString("hex");
-        // Update the admin_token in the database
-        await query("UPDATE admin SET admin_token = ? WHERE admin_email = ?", [
-          newToken,
-          req.body.admin_email,
-        ]);
-        await query("UPDATE admin SET admin_token = ? WHERE admin_email = ?", [
-          newToken,
-          req.body.admin_email,
-        ]);
+        // With 2FA on, the password only earns a challenge for /2fa/verify-login
+        if (await isTwoFactorEnabled(admin[0].admin_id, "admin")) {
+          const challenge = await createChallenge(
+            admin[0].admin_id,
+            "admin",
+            getDeviceLabel(req)
+          );
+          await recordAudit(req, "auth.two_factor_challenge", {
+            actor: { id: admin[0].admin_id, role: "admin" },
+            entityType: "admin",
+            entityId: admin[0].admin_id,
+          });
+          return res.status(200).json({
+            two_factor_required: true,
+            challenge_token: challenge.token,
+            expires_in: challenge.expires_in,
+          });
+        }
+
+        // With 2FA on, the login only counts as succeeded once the code is checked
+        await req.loginAttempt.succeeded();
+
+        // Open a new session for this device, other devices stay logged in
+        const session = await createSession(
+          admin[0].admin_id,
+          "admin",
+          getDeviceLabel(req)
+        );
+        await recordAudit(req, "auth.login", {
+          actor: { id: admin[0].admin_id, role: "admin" },
+          entityType: "admin",
+          entityId: admin[0].admin_id,
+        });
 
         delete admin[0].admin_password;
-        admin[0].admin_token = newToken;
+        admin[0].admin_token = session.token;
+        admin[0].token_expires_at = session.expires_at;
+        admin[0].two_factor_setup_required = await isSetupRequired(
+          admin[0].admin_id,
+          "admin"
+        );
         res.status(200).json(admin[0]);
       } else {
+        if (await req.loginAttempt.failed()) return;
         res
           .status(404)
           .json({ errors: [{ msg: "Admin email or password not found!" }] });
@@ -139,25 +267,10 @@ router.post(
   }
 );
 
-// Get a list of pending projects
-
-router.get("/pending-projects", isAdmin, (req, res) => {
-  conn.query(
-    'SELECT * FROM Projects WHERE approval_status = "pending"',
-    (err, results) => {
-      if (err) {
-        res.status(500).json({ error: "Error fetching pending projects" });
-      } else {
-        res.status(200).json(results);
-      }
-    }
-  );
-});
-
 // Get a list of pending projects (protected route)
 router.get("/pending-projects", isAdmin, (req, res) => {
   conn.query(
-    'SELECT * FROM Projects WHERE approval_status = "pending"',
+    'SELECT * FROM Projects WHERE approval_status = "submitted"',
     (err, results) => {
       if (err) {
         res.status(500).json({ error: "Error fetching pending projects" });
@@ -168,25 +281,11 @@ router.get("/pending-projects", isAdmin, (req, res) => {
   );
 });
 
-// Get a list of accepted projects
-
-router.get("/approved-projects", (req, res) => {
-  conn.query(
-    'SELECT * FROM projects WHERE approval_status = "Approved"',
-    (err, results) => {
-      if (err) {
-        res.status(500).json({ error: "Error fetching approved projects" });
-      } else {
-        res.status(200).json(results);
-      }
-    }
-  );
-});
-
 // Get a list of accepted projects (protected route)
 router.get("/approved-projects", isAdmin, (req, res) => {
   conn.query(
-    'SELECT * FROM projects WHERE approval_status = "Approved"',
+    "SELECT * FROM projects WHERE approval_status IN (?)",
+    [ACCEPTED_STATUSES],
     (err, results) => {
       if (err) {
         res.status(500).json({ error: "Error fetching accepted projects" });
@@ -197,24 +296,10 @@ router.get("/approved-projects", isAdmin, (req, res) => {
   );
 });
 
-// Get a list of rejected projects
-
-router.get("/rejected-projects", (req, res) => {
-  conn.query(
-    'SELECT * FROM Projects WHERE approval_status = "Rejected"',
-    (err, results) => {
-      if (err) {
-        res.status(500).json({ error: "Error fetching rejected projects" });
-      } else {
-        res.status(200).json(results);
-      }
-    }
-  );
-});
-
+// Get a list of rejected projects (protected route)
 router.get("/rejected-projects", isAdmin, (req, res) => {
   conn.query(
-    'SELECT * FROM Projects WHERE approval_status = "Rejected"',
+    'SELECT * FROM Projects WHERE approval_status = "rejected"',
     (err, results) => {
       if (err) {
         res.status(500).json({ error: "Error fetching rejected projects" });
@@ -225,30 +310,10 @@ router.get("/rejected-projects", isAdmin, (req, res) => {
   );
 });
 
-// Function to insert a new professor into the Professors table
-
-function insertProfessor(name, email, password, department, token) {
-  return new Promise((resolve, reject) => {
-    const sql =
-      "INSERT INTO professor (professor_name, professor_email, professor_password, professor_department, professor_token) VALUES (?, ?, ?, ?, ?)";
-    conn.query(
-      sql,
-      [name, email, password, department, token],
-      (err, result) => {
-        if (err) {
-          reject(err);
-        } else {
-          resolve(result);
-        }
-      }
-    );
-  });
-}
-
-// Register professor
-
+// Invite a professor, they set their own password from the emailed link
 router.post(
-  "/professor-register",
+  "/professor-invitations",
+  isAdmin,
   body("professor_email")
     .isEmail()
     .withMessage("Please enter a valid email")
@@ -258,15 +323,14 @@ router.post(
       }
       return true;
     }),
-  body("password")
-    .isLength({ min: 8, max: 12 })
-    .withMessage("Password should be between 8 to 12 characters"),
+  body("professor_name")
+    .isString()
+    .notEmpty()
+    .withMessage("Please enter a valid name"),
   body("professor_department")
     .isString()
+    .notEmpty()
     .withMessage("Please enter a valid department"),
-  body("professor_id")
-    .isInt()
-    .withMessage("Please enter a valid professor ID (integer)"),
   async (req, res) => {
     try {
       const errors = validationResult(req);
@@ -274,61 +338,113 @@ router.post(
         return res.status(400).json({ errors: errors.array() });
       }
 
-      const {
-        professor_id,
-        professor_email,
-        professor_name,
-        password,
-        professor_department,
-      } = req.body;
-
-      // Check if professor ID already exists
-      const [idRows] = await conn.query(
-        "SELECT 1 FROM professor WHERE professor_id = ?",
-        [professor_id]
-      );
-      if (Array.isArray(idRows) && idRows.length > 0) {
-        return res.status(409).json({ error: "Professor ID already exists" });
-      }
+      const { professor_email } = req.body;
 
-      // Check if professor email already exists
-      const [emailRows] = await conn.query(
+      const existingProfessor = await conn.query(
         "SELECT 1 FROM professor WHERE professor_email = ?",
         [professor_email]
       );
-      if (Array.isArray(emailRows) && emailRows.length > 0) {
-        return res
-          .status(409)
-          .json({ error: "Professor Email already exists" });
+      if (existingProfessor.length > 0) {
+        return res.status(409).json({ error: "Professor Email already exists" });
       }
 
-      const professorData = {
-        professor_id,
-        professor_name,
-        professor_email,
-        professor_password: await bcrypt.hash(password, 10),
-        professor_department,
-        professor_token: crypto.randomBytes(16).toString("hex"),
-      };
+      const pendingInvitation = await findPendingInvitationByEmail(professor_email);
+      if (pendingInvitation) {
+        return res.status(409).json({
+          error: "A pending invitation already exists for this email, resend it instead",
+          invitation_id: pendingInvitation.invitation_id,
+        });
+      }
 
-      await conn.query("INSERT INTO professor SET ?", professorData);
-      delete professorData.professor_password;
-      res.status(201).json(professorData);
+      const invitation = await createInvitation(req.body, req.user.id);
+      await recordAudit(req, "professor_invitation.create", {
+        entityType: "professor_invitation",
+        entityId: invitation.invitation_id,
+        after: invitation,
+      });
+      res.status(201).json(invitation);
     } catch (err) {
-      console.error("Error registering professor:", err);
+      console.error("Error inviting professor:", err);
+      res.status(500).json({ error: "Server error" });
+    }
+  }
+);
 
-      if (err.sqlMessage && err.sqlMessage.includes("Duplicate entry")) {
-        return res.status(409).json({
-          error: "Duplicate entry for Professor ID or Email",
-        });
+// List professor invitations (?status=pending|accepted|revoked|expired)
+router.get("/professor-invitations", isAdmin, async (req, res) => {
+  try {
+    const { status } = req.query;
+    if (status && !["pending", "accepted", "revoked", "expired"].includes(status)) {
+      return res.status(400).json({ error: "Invalid invitation status" });
+    }
+
+    const invitations = await listInvitations(status);
+    res.status(200).json(invitations);
+  } catch (err) {
+    console.error("Error fetching professor invitations:", err);
+    res.status(500).json({ error: "Server error" });
+  }
+});
+
+// Revoke a professor invitation
+router.delete(
+  "/professor-invitations/:invitation_id",
+  isAdmin,
+  async (req, res) => {
+    try {
+      const result = await revokeInvitation(req.params.invitation_id);
+
+      if (result.affectedRows === 0) {
+        return res
+          .status(404)
+          .json({ error: "Invitation not found or already accepted/revoked" });
+      }
+      await recordAudit(req, "professor_invitation.revoke", {
+        entityType: "professor_invitation",
+        entityId: req.params.invitation_id,
+      });
+
+      res.status(200).json({ message: "Invitation revoked successfully" });
+    } catch (err) {
+      console.error("Error revoking professor invitation:", err);
+      res.status(500).json({ error: "Server error" });
+    }
+  }
+);
+
+// Resend a professor invitation with a fresh link and expiry
+router.post(
+  "/professor-invitations/:invitation_id/resend",
+  isAdmin,
+  async (req, res) => {
+    try {
+      const invitation = await getInvitation(req.params.invitation_id);
+
+      if (!invitation) {
+        return res.status(404).json({ error: "Invitation not found" });
+      }
+      if (invitation.status === "accepted" || invitation.status === "revoked") {
+        return res
+          .status(400)
+          .json({ error: `Invitation has already been ${invitation.status}` });
       }
 
+      const updated = await resendInvitation(invitation.invitation_id);
+      await recordAudit(req, "professor_invitation.resend", {
+        entityType: "professor_invitation",
+        entityId: invitation.invitation_id,
+        before: { expires_at: invitation.expires_at },
+        after: { expires_at: updated.expires_at },
+      });
+      res.status(200).json(updated);
+    } catch (err) {
+      console.error("Error resending professor invitation:", err);
       res.status(500).json({ error: "Server error" });
     }
   }
 );
 
-router.get("/comments", (req, res) => {
+router.get("/comments", isAdmin, (req, res) => {
   conn.query("SELECT * FROM Comments", (err, results) => {
     if (err) {
       console.error("Error retrieving comments:", err);
@@ -348,114 +464,111 @@ router.get("/comments", (req, res) => {
 
 // Delete a comment by comment_id
 
-router.delete("/comments/:comment_id", isAdmin, (req, res) => {
-  const commentId = req.params.comment_id;
+router.delete("/comments/:comment_id", isAdmin, async (req, res) => {
+  try {
+    const commentId = req.params.comment_id;
 
-  conn.query(
-    "DELETE FROM Comments WHERE comment_id = ?",
-    [commentId],
-    (err, result) => {
-      if (err) {
-        res.status(500).json({ error: "Error deleting comment" });
-      } else {
-        if (result.affectedRows > 0) {
-          res.status(200).json({ message: "Comment deleted successfully" });
-        } else {
-          res.status(404).json({ error: "Comment not found" });
-        }
-      }
+    const comment = await conn.query(
+      "SELECT * FROM Comments WHERE comment_id = ?",
+      [commentId]
+    );
+    if (comment.length === 0) {
+      return res.status(404).json({ error: "Comment not found" });
     }
-  );
-});
 
-// Delete a student account by student_id
+    await conn.query("DELETE FROM Comments WHERE comment_id = ?", [commentId]);
+    await recordAudit(req, "comment.delete", {
+      entityType: "comment",
+      entityId: commentId,
+      before: comment[0],
+    });
+
+    res.status(200).json({ message: "Comment deleted successfully" });
+  } catch (err) {
+    console.error("Error deleting comment:", err);
+    res.status(500).json({ error: "Error deleting comment" });
+  }
+});
 
-router.delete("/delete-student/:student_id", isAdmin, (req, res) => {
-  const studentId = req.params.student_id;
+// Delete a student account by student_id. The account is anonymized and marked
+// deleted so past projects, grades and vote totals stay intact
+router.delete("/delete-student/:student_id", isAdmin, async (req, res) => {
+  try {
+    const student = await getStudent(req.params.student_id);
 
-  // Begin a transaction
-  conn.beginTransaction((err) => {
-    if (err) {
-      return res.status(500).json({ error: "Error starting transaction" });
-    }
-
-    // Array of SQL queries to delete references to the student_id in other tables
-    const deleteQueries = [
-      {
-        query: "DELETE FROM votes WHERE student_id = ?",
-        values: [studentId],
-      },
-
-      {
-        query: "DELETE FROM bookmarks WHERE student_id = ?",
-        values: [studentId],
-      },
-      {
-        query: "DELETE FROM project_students WHERE student_id = ?",
-        values: [studentId],
-      },
-      // Add more queries as needed for other tables
-    ];
-
-    // Execute all delete queries
-    const deleteOperations = deleteQueries.map(
-      (q) =>
-        new Promise((resolve, reject) => {
-          conn.query(q.query, q.values, (err, result) => {
-            if (err) {
-              reject(err);
-            } else {
-              resolve(result);
-            }
-          });
-        })
-    );
+    if (!student || student.account_status === "deleted") {
+      return res.status(404).json({ error: "Student account not found" });
+    }
 
-    // After all delete queries are executed, delete the student
-    Promise.all(deleteOperations)
-      .then(() => {
-        conn.query(
-          "DELETE FROM students WHERE student_id = ?",
-          [studentId],
-          (err, result) => {
-            if (err) {
-              return conn.rollback(() => {
-                res
-                  .status(500)
-                  .json({ error: "Error deleting student account" });
-              });
-            } else {
-              if (result.affectedRows > 0) {
-                conn.commit((err) => {
-                  if (err) {
-                    return conn.rollback(() => {
-                      res
-                        .status(500)
-                        .json({ error: "Error committing transaction" });
-                    });
-                  }
-                  res
-                    .status(200)
-                    .json({ message: "Student account deleted successfully" });
-                });
-              } else {
-                conn.rollback(() => {
-                  res.status(404).json({ error: "Student account not found" });
-                });
-              }
-            }
-          }
-        );
-      })
-      .catch((err) => {
-        conn.rollback(() => {
-          console.log(err);
-          res.status(500).json({ error: "Error deleting related records" });
-        });
-      });
-  });
+    await anonymizeStudent(student.student_id, req.body.reason, req.user.id);
+    await recordAudit(req, "student.delete", {
+      entityType: "student",
+      entityId: student.student_id,
+      before: { account_status: student.account_status },
+      after: { account_status: "deleted", reason: req.body.reason || null },
+    });
+    res.status(200).json({ message: "Student account deleted successfully" });
+  } catch (err) {
+    console.error("Error deleting student account:", err);
+    res.status(500).json({ error: "Error deleting student account" });
+  }
 });
 
+// Change a student's account status (active, suspended or graduated)
+const changeStudentStatus = (status, message) => async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const student = await getStudent(req.params.student_id);
+
+    if (!student || student.account_status === "deleted") {
+      return res.status(404).json({ error: "Student account not found" });
+    }
+    if (student.account_status === status) {
+      return res
+        .status(400)
+        .json({ error: `Student account is already ${status}` });
+    }
+
+    await setStudentStatus(student.student_id, status, req.body.reason, req.user.id);
+    await recordAudit(req, "student.status_change", {
+      entityType: "student",
+      entityId: student.student_id,
+      before: { account_status: student.account_status },
+      after: { account_status: status, reason: req.body.reason || null },
+    });
+    res.status(200).json({ message });
+  } catch (err) {
+    console.error(`Error changing student account status to ${status}:`, err);
+    res.status(500).json({ error: "Server error" });
+  }
+};
+
+// Suspend a student account, the reason is shown to the student at login
+router.put(
+  "/students/:student_id/suspend",
+  isAdmin,
+  body("reason").isString().notEmpty().withMessage("A suspension reason is required"),
+  changeStudentStatus("suspended", "Student account suspended successfully")
+);
+
+// Lift a suspension (or undo a graduation)
+router.put(
+  "/students/:student_id/reactivate",
+  isAdmin,
+  changeStudentStatus("active", "Student account reactivated successfully")
+);
+
+// Mark a student as graduated, they keep read access to their history
+router.put(
+  "/students/:student_id/graduate",
+  isAdmin,
+  changeStudentStatus("graduated", "Student marked as graduated successfully")
+);
+
 //Add a new department
 router.post("/departments", isAdmin, (req, res) => {
   const newDepartmentName = req.body.department_name;
@@ -489,6 +602,12 @@ router.post("/departments", isAdmin, (req, res) => {
               if (err) {
                 res.status(500).json({ error: "Error adding new department" });
               } else {
+                recordAudit(req, "department.create", {
+                  entityType: "department",
+                  entityId: newDepartmentName,
+                  before: currentOptions,
+                  after: updatedOptions,
+                });
                 res
                   .status(200)
                   .json({ message: "New department added successfully" });
@@ -548,6 +667,12 @@ router.delete("/departments", isAdmin, (req, res) => {
           if (err) {
             return res.status(500).json({ error: "Error deleting department" });
           }
+          recordAudit(req, "department.delete", {
+            entityType: "department",
+            entityId: departmentName,
+            before: currentOptions,
+            after: updatedOptions,
+          });
           return res
             .status(200)
             .json({ message: "Department deleted successfully" });
@@ -592,6 +717,12 @@ router.post("/graduation-terms", isAdmin, (req, res) => {
                   .status(500)
                   .json({ error: "Error adding new graduation term" });
               } else {
+                recordAudit(req, "graduation_term.create", {
+                  entityType: "graduation_term",
+                  entityId: newGraduationTerm,
+                  before: currentOptions,
+                  after: updatedOptions,
+                });
                 res
                   .status(200)
                   .json({ message: "New graduation term added successfully" });
@@ -661,6 +792,12 @@ router.delete("/graduation-terms", isAdmin, (req, res) => {
             .status(500)
             .json({ error: "Error deleting graduation term" });
         }
+        recordAudit(req, "graduation_term.delete", {
+          entityType: "graduation_term",
+          entityId: graduationTerm,
+          before: currentOptions,
+          after: updatedOptions,
+        });
         return res
           .status(200)
           .json({ message: "Graduation term deleted successfully" });
@@ -713,10 +850,63 @@ router.get("/show-term", (req, res) => {
   );
 });
 
-//GET ALL Students
+// Import the student roster from a CSV (student_id, name, email, department).
+// Sent as a "roster" file or a "csv" text field. Nothing is written unless
+// mode=commit; new accounts get an activation email unless send_emails=false
+router.post(
+  "/students/import",
+  isAdmin,
+  rosterUpload.single("roster"),
+  async (req, res) => {
+    try {
+      const csvText = req.file ? req.file.buffer.toString("utf8") : req.body.csv;
+      if (!csvText) {
+        return res
+          .status(400)
+          .json({ error: "Upload the roster as a 'roster' CSV file or a 'csv' field" });
+      }
+
+      const report = await importRoster(csvText, {
+        dryRun: req.body.mode !== "commit",
+        sendEmails: String(req.body.send_emails) !== "false",
+      });
+
+      if (report.error) {
+        return res.status(400).json({ error: report.error });
+      }
+      if (report.mode === "commit") {
+        await recordAudit(req, "student.roster_import", {
+          entityType: "student",
+          after: {
+            summary: report.summary,
+            created: report.created.map((student) => student.student_id),
+            updated: report.updated.map((student) => ({
+              student_id: student.student_id,
+              changes: student.changes,
+            })),
+          },
+        });
+      }
+
+      res.status(report.mode === "commit" ? 201 : 200).json(report);
+    } catch (err) {
+      console.error("Error importing student roster:", err);
+      res.status(500).json({ error: "Server error" });
+    }
+  }
+);
+
+//GET ALL Students (?status= to filter by account status)
 router.get("/students", isAdmin, (req, res) => {
+  const { status } = req.query;
+  if (status && !STUDENT_STATUSES.includes(status)) {
+    return res.status(400).json({ error: "Invalid account status" });
+  }
+
   conn.query(
-    "SELECT student_id, student_name FROM Students",
+    "SELECT student_id, student_name, account_status, status_reason, status_changed_at FROM Students" +
+      (status ? " WHERE account_status = ?" : ""),
+    status ? [status] : [],
     (err, results) => {
       if (err) {
         res.status(500).json({ error: "Error fetching student accounts" });
@@ -727,4 +917,993 @@ router.get("/students", isAdmin, (req, res) => {
   );
 });
 
+// List lockout events, newest first (?active=true, ?scope=, ?role=, ?ip=, ?page=, ?limit=)
+router.get("/lockouts", isAdmin, async (req, res) => {
+  try {
+    const { active, scope, role, ip } = req.query;
+    const limit = Math.min(parseInt(req.query.limit, 10) || 50, 200);
+    const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+
+    let sql = "SELECT * FROM account_lockouts WHERE 1=1";
+    const params = [];
+
+    if (active === "true") {
+      sql += " AND unlocked_at IS NULL AND locked_until > NOW()";
+    }
+    if (scope) {
+      sql += " AND scope = ?";
+      params.push(scope);
+    }
+    if (role) {
+      sql += " AND user_role = ?";
+      params.push(role);
+    }
+    if (ip) {
+      sql += " AND ip_address = ?";
+      params.push(ip);
+    }
+
+    sql += " ORDER BY locked_at DESC LIMIT ? OFFSET ?";
+    params.push(limit, (page - 1) * limit);
+
+    const lockouts = await conn.query(sql, params);
+    res.status(200).json({ page, limit, lockouts });
+  } catch (err) {
+    console.error("Error fetching lockouts:", err);
+    res.status(500).json({ error: "Server error" });
+  }
+});
+
+// Failed login summary: the IPs and accounts with the most failures (?hours=24)
+router.get("/login-attempts/summary", isAdmin, async (req, res) => {
+  try {
+    const hours = Math.min(parseInt(req.query.hours, 10) || 24, 24 * 30);
+
+    const topIps = await conn.query(
+      "SELECT ip_address, COUNT(*) AS failed_attempts, COUNT(DISTINCT account_identifier) AS accounts_targeted, MAX(created_at) AS last_attempt FROM login_attempts WHERE succeeded = 0 AND created_at > NOW() - INTERVAL ? HOUR GROUP BY ip_address ORDER BY failed_attempts DESC LIMIT 20",
+      [hours]
+    );
+    const topAccounts = await conn.query(
+      "SELECT user_role, account_identifier, COUNT(*) AS failed_attempts, COUNT(DISTINCT ip_address) AS distinct_ips, MAX(created_at) AS last_attempt FROM login_attempts WHERE succeeded = 0 AND created_at > NOW() - INTERVAL ? HOUR GROUP BY user_role, account_identifier ORDER BY failed_attempts DESC LIMIT 20",
+      [hours]
+    );
+
+    res.status(200).json({ hours, top_ips: topIps, top_accounts: topAccounts });
+  } catch (err) {
+    console.error("Error fetching login attempt summary:", err);
+    res.status(500).json({ error: "Server error" });
+  }
+});
+
+// Unlock a locked account or IP before the lockout expires
+router.put("/lockouts/:lockout_id/unlock", isAdmin, async (req, res) => {
+  try {
+    const result = await unlockLockout(req.params.lockout_id, req.user.id);
+
+    if (result.affectedRows === 0) {
+      return res
+        .status(404)
+        .json({ error: "Lockout not found or already unlocked" });
+    }
+    await recordAudit(req, "auth.lockout_unlock", {
+      entityType: "lockout",
+      entityId: req.params.lockout_id,
+    });
+
+    res.status(200).json({ message: "Lockout removed successfully" });
+  } catch (err) {
+    console.error("Error removing lockout:", err);
+    res.status(500).json({ error: "Server error" });
+  }
+});
+
+// Show which roles have to use two-factor authentication
+router.get("/two-factor-policy", isAdmin, async (req, res) => {
+  try {
+    const policies = await getPolicies();
+    res.status(200).json(policies);
+  } catch (err) {
+    console.error("Error fetching two-factor policy:", err);
+    res.status(500).json({ error: "Server error" });
+  }
+});
+
+// Enforce (or stop enforcing) two-factor authentication for a role
+router.put(
+  "/two-factor-policy/:role",
+  isAdmin,
+  body("enforced").isBoolean().withMessage("Enforced must be true or false"),
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const { role } = req.params;
+      if (!TWO_FACTOR_ROLES.includes(role)) {
+        return res.status(400).json({
+          error: `Two-factor authentication can only be enforced for: ${TWO_FACTOR_ROLES.join(", ")}`,
+        });
+      }
+
+      const enforced = req.body.enforced === true || req.body.enforced === "true";
+      const previous = (await getPolicies()).find((policy) => policy.user_role === role);
+      await setPolicy(role, enforced, req.user.id);
+      await recordAudit(req, "two_factor.policy_change", {
+        entityType: "two_factor_policy",
+        entityId: role,
+        before: previous ? { enforced: Boolean(previous.enforced) } : null,
+        after: { enforced },
+      });
+
+      res.status(200).json({
+        message: `Two-factor authentication is ${enforced ? "now" : "no longer"} required for ${role} accounts`,
+      });
+    } catch (err) {
+      console.error("Error updating two-factor policy:", err);
+      res.status(500).json({ error: "Server error" });
+    }
+  }
+);
+
+// Reset a user's two-factor authentication, e.g. after losing their phone
+router.delete("/two-factor/:role/:user_id", isAdmin, async (req, res) => {
+  try {
+    const { role, user_id } = req.params;
+    if (!TWO_FACTOR_ROLES.includes(role)) {
+      return res.status(400).json({ error: "Invalid role" });
+    }
+
+    await disableTwoFactor(user_id, role);
+    await recordAudit(req, "two_factor.reset", {
+      entityType: role,
+      entityId: user_id,
+    });
+    res
+      .status(200)
+      .json({ message: "Two-factor authentication reset successfully" });
+  } catch (err) {
+    console.error("Error resetting two-factor authentication:", err);
+    res.status(500).json({ error: "Server error" });
+  }
+});
+
+// Parse the audit log filters shared by the listing and the CSV export
+function readAuditFilters(query) {
+  const filters = {};
+  for (const field of ["actor_id", "actor_role", "action", "action_prefix", "entity_type", "entity_id", "ip_address", "from", "to"]) {
+    if (query[field]) filters[field] = String(query[field]);
+  }
+  return filters;
+}
+
+const AUDIT_COLUMNS = [
+  "audit_id",
+  "created_at",
+  "actor_id",
+  "actor_role",
+  "action",
+  "entity_type",
+  "entity_id",
+  "before_value",
+  "after_value",
+  "ip_address",
+];
+
+// Browse the audit log, newest first (?actor_id=, ?actor_role=, ?action=,
+// ?action_prefix=, ?entity_type=, ?entity_id=, ?ip_address=, ?from=, ?to=, ?page=, ?limit=)
+router.get("/audit-log", isAdmin, async (req, res) => {
+  try {
+    const limit = Math.min(parseInt(req.query.limit, 10) || 50, 200);
+    const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+
+    const { total, entries } = await queryAuditLog(readAuditFilters(req.query), {
+      limit,
+      offset: (page - 1) * limit,
+    });
+
+    res.status(200).json({ page, limit, total, entries });
+  } catch (err) {
+    console.error("Error fetching audit log:", err);
+    res.status(500).json({ error: "Server error" });
+  }
+});
+
+// Export the audit log as CSV, same filters as /audit-log without paging
+router.get("/audit-log/export", isAdmin, async (req, res) => {
+  try {
+    const filters = readAuditFilters(req.query);
+    const { sql, values } = buildAuditFilter(filters);
+    const entries = await conn.query(
+      `SELECT ${AUDIT_COLUMNS.join(", ")} FROM audit_log${sql} ORDER BY audit_id DESC LIMIT 100000`,
+      values
+    );
+
+    // Exports leave the building, so they are audited too
+    await recordAudit(req, "audit_log.export", {
+      entityType: "audit_log",
+      after: { filters, rows: entries.length },
+    });
+
+    res.setHeader("Content-Type", "text/csv; charset=utf-8");
+    res.setHeader("Content-Disposition", 'attachment; filename="audit-log.csv"');
+    res.status(200).send(toCsv(AUDIT_COLUMNS, entries));
+  } catch (err) {
+    console.error("Error exporting audit log:", err);
+    res.status(500).json({ error: "Server error" });
+  }
+});
+
+
+// Graduation terms and departments are the options of enums on projects
+async function projectEnumOptions(columnName) {
+  const [column] = await conn.query("SHOW COLUMNS FROM projects LIKE ?", [columnName]);
+  return column.Type.match(/'([^']+)'/g)
+    .map((option) => option.replace(/'/g, ""))
+    .filter((option) => option !== "");
+}
+
+const graduationTermOptions = () => projectEnumOptions("graduation_term");
+
+// Proposal windows and supervision quotas of every configured term
+router.get("/term-settings", isAdmin, async (req, res) => {
+  try {
+    const settings = await listTermSettings();
+    res.status(200).json(settings);
+  } catch (err) {
+    console.error("Error fetching term settings:", err);
+    res.status(500).json({ error: "Server error" });
+  }
+});
+
+// Set a term's proposal window, the most teams a professor may supervise in it,
+// the date grades are published on, the date they lock and for how many days
+// students can appeal them (body: proposal_opens_at, proposal_closes_at,
+// max_teams_per_professor, grades_publish_at, grades_lock_at,
+// appeal_window_days). A value that isn't sent keeps what the term has and null
+// clears it; a cleared part is unrestricted, except the appeal window which
+// falls back to the default
+router.put(
+  "/term-settings/:graduation_year/:graduation_term",
+  isAdmin,
+  body("proposal_opens_at")
+    .optional({ nullable: true })
+    .isISO8601()
+    .withMessage("Opening date must be a valid date"),
+  body("proposal_closes_at")
+    .optional({ nullable: true })
+    .isISO8601()
+    .withMessage("Closing date must be a valid date"),
+  body("max_teams_per_professor")
+    .optional({ nullable: true })
+    .isInt({ min: 0 })
+    .withMessage("The team limit must be a whole number of 0 or more"),
+  body("grades_publish_at")
+    .optional({ nullable: true })
+    .isISO8601()
+    .withMessage("Publication date must be a valid date"),
+  body("grades_lock_at")
+    .optional({ nullable: true })
+    .isISO8601()
+    .withMessage("Lock date must be a valid date"),
+  body("appeal_window_days")
+    .optional({ nullable: true })
+    .isInt({ min: 0, max: 365 })
+    .withMessage("The appeal window must be a whole number of days between 0 and 365"),
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const { graduation_year, graduation_term } = req.params;
+      if (!Number.isInteger(Number(graduation_year))) {
+        return res.status(400).json({ error: "Please enter a valid graduation year" });
+      }
+      const terms = await graduationTermOptions();
+      if (!terms.includes(graduation_term)) {
+        return res.status(400).json({
+          error: `Graduation term must be one of: ${terms.join(", ")}`,
+        });
+      }
+
+      const previous = await getTermSettings(graduation_year, graduation_term);
+      const given = (field, parse) => {
+        const value = req.body[field];
+        if (value === undefined) return previous ? previous[field] : null;
+        return value === null ? null : parse(value);
+      };
+      const toDate = (value) => new Date(value);
+      const merged = {
+        proposal_opens_at: given("proposal_opens_at", toDate),
+        proposal_closes_at: given("proposal_closes_at", toDate),
+        max_teams_per_professor: given("max_teams_per_professor", Number),
+        grades_publish_at: given("grades_publish_at", toDate),
+        grades_lock_at: given("grades_lock_at", toDate),
+        appeal_window_days: given("appeal_window_days", Number),
+      };
+      if (
+        merged.proposal_opens_at &&
+        merged.proposal_closes_at &&
+        new Date(merged.proposal_closes_at) <= new Date(merged.proposal_opens_at)
+      ) {
+        return res.status(400).json({ error: "The proposal window must close after it opens" });
+      }
+      if (
+        merged.grades_publish_at &&
+        merged.grades_lock_at &&
+        new Date(merged.grades_lock_at) < new Date(merged.grades_publish_at)
+      ) {
+        return res.status(400).json({ error: "Grades can't lock before they are published" });
+      }
+
+      const settings = await saveTermSettings(graduation_year, graduation_term, merged, req.user.id);
+      await recordAudit(req, "term_settings.update", {
+        entityType: "term",
+        entityId: `${graduation_year}:${graduation_term}`,
+        before: previous,
+        after: settings,
+      });
+
+      res.status(200).json(settings);
+    } catch (err) {
+      console.error("Error saving term settings:", err);
+      res.status(500).json({ error: "Server error" });
+    }
+  }
+);
+
+// Remove a term's window and quota, proposals for it are unrestricted again
+router.delete(
+  "/term-settings/:graduation_year/:graduation_term",
+  isAdmin,
+  async (req, res) => {
+    try {
+      const { graduation_year, graduation_term } = req.params;
+      const previous = await getTermSettings(graduation_year, graduation_term);
+      if (!previous) {
+        return res.status(404).json({ error: "No settings for this term" });
+      }
+
+      await deleteTermSettings(graduation_year, graduation_term);
+      await recordAudit(req, "term_settings.delete", {
+        entityType: "term",
+        entityId: `${graduation_year}:${graduation_term}`,
+        before: previous,
+      });
+
+      res.status(200).json({ message: "Term settings removed" });
+    } catch (err) {
+      console.error("Error removing term settings:", err);
+      res.status(500).json({ error: "Server error" });
+    }
+  }
+);
+
+// Milestone templates, optionally of one term (query: graduation_year, graduation_term)
+router.get("/milestone-templates", isAdmin, async (req, res) => {
+  try {
+    const { graduation_year, graduation_term } = req.query;
+    const templates = await listTemplates(graduation_year, graduation_term);
+    res.status(200).json(templates);
+  } catch (err) {
+    console.error("Error fetching milestone templates:", err);
+    res.status(500).json({ error: "Server error" });
+  }
+});
+
+const milestoneTemplateRules = (optional) => {
+  const field = (name) => (optional ? body(name).optional() : body(name));
+  return [
+    field("title").trim().notEmpty().withMessage("Please enter a title"),
+    field("due_at").isISO8601().withMessage("Please enter a valid due date"),
+    body("file_kind")
+      .optional()
+      .isIn(FILE_KINDS)
+      .withMessage(`File kind must be one of: ${FILE_KINDS.join(", ")}`),
+    body("position")
+      .optional()
+      .isInt({ min: 0 })
+      .withMessage("Position must be a whole number of 0 or more"),
+  ];
+};
+
+// Add a milestone to a term, every open project of the term gets it
+// (body: graduation_year, graduation_term, title, description, file_kind, due_at, position)
+router.post(
+  "/milestone-templates",
+  isAdmin,
+  body("graduation_year")
+    .isInt()
+    .withMessage("Please enter a valid graduation year"),
+  body("graduation_term")
+    .custom(async (value) => {
+      const terms = await graduationTermOptions();
+      if (!terms.includes(value)) {
+        throw new Error(`Graduation term must be one of: ${terms.join(", ")}`);
+      }
+      return true;
+    }),
+  milestoneTemplateRules(false),
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const template = await createTemplate(
+        { ...req.body, due_at: new Date(req.body.due_at) },
+        req.user.id
+      );
+      await recordAudit(req, "milestone_template.create", {
+        entityType: "milestone_template",
+        entityId: template.template_id,
+        after: template,
+      });
+
+      res.status(201).json(template);
+    } catch (err) {
+      console.error("Error creating milestone template:", err);
+      res.status(500).json({ error: "Server error" });
+    }
+  }
+);
+
+// Change a milestone template; projects follow unless their supervisor moved the date
+router.put(
+  "/milestone-templates/:template_id",
+  isAdmin,
+  milestoneTemplateRules(true),
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const fields = {};
+      for (const name of ["title", "description", "file_kind", "position"]) {
+        if (req.body[name] !== undefined) fields[name] = req.body[name];
+      }
+      if (req.body.due_at) fields.due_at = new Date(req.body.due_at);
+
+      const previous = await getTemplate(req.params.template_id);
+      const template = previous && (await updateTemplate(req.params.template_id, fields));
+      if (!template) {
+        const [httpStatus, error] = MILESTONE_ERRORS.template_not_found;
+        return res.status(httpStatus).json({ error });
+      }
+
+      await recordAudit(req, "milestone_template.update", {
+        entityType: "milestone_template",
+        entityId: template.template_id,
+        before: previous,
+        after: template,
+      });
+
+      res.status(200).json(template);
+    } catch (err) {
+      console.error("Error updating milestone template:", err);
+      res.status(500).json({ error: "Server error" });
+    }
+  }
+);
+
+// Delete a milestone template; milestones with submissions stay on their projects
+router.delete("/milestone-templates/:template_id", isAdmin, async (req, res) => {
+  try {
+    const template = await deleteTemplate(req.params.template_id);
+    if (!template) {
+      const [httpStatus, error] = MILESTONE_ERRORS.template_not_found;
+      return res.status(httpStatus).json({ error });
+    }
+
+    await recordAudit(req, "milestone_template.delete", {
+      entityType: "milestone_template",
+      entityId: template.template_id,
+      before: template,
+    });
+
+    res.status(200).json({ message: "Milestone template deleted" });
+  } catch (err) {
+    console.error("Error deleting milestone template:", err);
+    res.status(500).json({ error: "Server error" });
+  }
+});
+
+// The similarity score at which a new or edited project is flagged for review
+router.get("/similarity-threshold", isAdmin, async (req, res) => {
+  try {
+    const threshold = await getThreshold();
+    res.status(200).json(threshold);
+  } catch (err) {
+    console.error("Error fetching similarity threshold:", err);
+    res.status(500).json({ error: "Server error" });
+  }
+});
+
+// Change the similarity threshold (body: threshold, between 0 and 1). Projects
+// are checked against it the next time they are created or edited
+router.put(
+  "/similarity-threshold",
+  isAdmin,
+  body("threshold")
+    .isFloat({ min: 0, max: 1 })
+    .withMessage("Threshold must be a number between 0 and 1"),
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const previous = await getThreshold();
+      const threshold = await setThreshold(Number(req.body.threshold), req.user.id);
+      await recordAudit(req, "similarity.threshold_change", {
+        entityType: "similarity_settings",
+        entityId: 1,
+        before: { threshold: previous.threshold },
+        after: { threshold: threshold.threshold },
+      });
+
+      res.status(200).json(threshold);
+    } catch (err) {
+      console.error("Error updating similarity threshold:", err);
+      res.status(500).json({ error: "Server error" });
+    }
+  }
+);
+
+// Projects whose similarity to a past project reached the threshold, with the
+// projects they resemble
+router.get("/similarity-flags", isAdmin, async (req, res) => {
+  try {
+    const projects = await listFlaggedProjects();
+    res.status(200).json(projects);
+  } catch (err) {
+    console.error("Error fetching flagged projects:", err);
+    res.status(500).json({ error: "Server error" });
+  }
+});
+
+// Clear a project's similarity flag after reviewing it
+router.put("/similarity-flags/:project_id/clear", isAdmin, async (req, res) => {
+  try {
+    const cleared = await clearFlag(req.params.project_id, req.user.id);
+    if (!cleared) {
+      return res.status(404).json({ error: "No flagged project with this ID" });
+    }
+
+    await recordAudit(req, "similarity.flag_clear", {
+      entityType: "project",
+      entityId: req.params.project_id,
+      before: { similarity_flagged: true },
+      after: { similarity_flagged: false },
+    });
+
+    res.status(200).json({ message: "Similarity flag cleared" });
+  } catch (err) {
+    console.error("Error clearing similarity flag:", err);
+    res.status(500).json({ error: "Server error" });
+  }
+});
+
+// Grading rubrics with their criteria, optionally of one term
+// (query: graduation_year, graduation_term)
+router.get("/rubrics", isAdmin, async (req, res) => {
+  try {
+    const { graduation_year, graduation_term } = req.query;
+    const rubrics = await listRubrics(graduation_year, graduation_term);
+    res.status(200).json(rubrics);
+  } catch (err) {
+    console.error("Error fetching rubrics:", err);
+    res.status(500).json({ error: "Server error" });
+  }
+});
+
+router.get("/rubrics/:rubric_id", isAdmin, async (req, res) => {
+  try {
+    const rubric = await getRubric(req.params.rubric_id);
+    if (!rubric) {
+      const [httpStatus, error] = RUBRIC_ERRORS.not_found;
+      return res.status(httpStatus).json({ error });
+    }
+    res.status(200).json(rubric);
+  } catch (err) {
+    console.error("Error fetching rubric:", err);
+    res.status(500).json({ error: "Server error" });
+  }
+});
+
+const rubricRules = (optional) => {
+  const field = (name) => (optional ? body(name).optional() : body(name));
+  return [
+    field("title").trim().notEmpty().withMessage("Please enter a title"),
+    field("criteria")
+      .isArray({ min: 1 })
+      .withMessage("Please add at least one criterion"),
+    body("criteria.*.component")
+      .isIn(RUBRIC_COMPONENTS)
+      .withMessage(`Component must be one of: ${RUBRIC_COMPONENTS.join(", ")}`),
+    body("criteria.*.title")
+      .trim()
+      .notEmpty()
+      .withMessage("Please enter a title for every criterion"),
+    body("criteria.*.weight")
+      .isFloat({ gt: 0, max: 999 })
+      .withMessage("Weight must be a number above 0"),
+    body("criteria.*.max_points")
+      .isFloat({ gt: 0, max: 9999 })
+      .withMessage("Max points must be a number above 0"),
+    body("criteria.*.position")
+      .optional()
+      .isInt({ min: 0 })
+      .withMessage("Position must be a whole number of 0 or more"),
+  ];
+};
+
+// Add a rubric for a term (body: graduation_year, graduation_term, title,
+// criteria: [{ component, title, description, weight, max_points, position }]
+// and department_name, left out for every department of the term). A
+// criterion's weight is the grade points it is worth
+router.post(
+  "/rubrics",
+  isAdmin,
+  body("graduation_year")
+    .isInt()
+    .withMessage("Please enter a valid graduation year"),
+  body("graduation_term")
+    .custom(async (value) => {
+      const terms = await graduationTermOptions();
+      if (!terms.includes(value)) {
+        throw new Error(`Graduation term must be one of: ${terms.join(", ")}`);
+      }
+      return true;
+    }),
+  body("department_name")
+    .optional({ nullable: true })
+    .custom(async (value) => {
+      const departments = await projectEnumOptions("department_name");
+      if (!departments.includes(value)) {
+        throw new Error(`Department must be one of: ${departments.join(", ")}`);
+      }
+      return true;
+    }),
+  rubricRules(false),
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const result = await createRubric(req.body, req.user.id);
+      if (result.error) {
+        const [httpStatus, error] = RUBRIC_ERRORS[result.error];
+        return res.status(httpStatus).json({ error });
+      }
+
+      await recordAudit(req, "rubric.create", {
+        entityType: "rubric",
+        entityId: result.rubric.rubric_id,
+        after: result.rubric,
+      });
+
+      res.status(201).json(result.rubric);
+    } catch (err) {
+      console.error("Error creating rubric:", err);
+      res.status(500).json({ error: "Server error" });
+    }
+  }
+);
+
+// Rename a rubric or replace its criteria, which is refused once a student was scored with it
+router.put("/rubrics/:rubric_id", isAdmin, rubricRules(true), async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const result = await updateRubric(req.params.rubric_id, {
+      title: req.body.title,
+      criteria: req.body.criteria,
+    });
+    if (result.error) {
+      const [httpStatus, error] = RUBRIC_ERRORS[result.error];
+      return res.status(httpStatus).json({ error });
+    }
+
+    await recordAudit(req, "rubric.update", {
+      entityType: "rubric",
+      entityId: result.rubric.rubric_id,
+      before: result.previous,
+      after: result.rubric,
+    });
+
+    res.status(200).json(result.rubric);
+  } catch (err) {
+    console.error("Error updating rubric:", err);
+    res.status(500).json({ error: "Server error" });
+  }
+});
+
+// Delete a rubric nobody was scored with yet, its projects are graded freely again
+router.delete("/rubrics/:rubric_id", isAdmin, async (req, res) => {
+  try {
+    const result = await deleteRubric(req.params.rubric_id);
+    if (result.error) {
+      const [httpStatus, error] = RUBRIC_ERRORS[result.error];
+      return res.status(httpStatus).json({ error });
+    }
+
+    await recordAudit(req, "rubric.delete", {
+      entityType: "rubric",
+      entityId: result.rubric.rubric_id,
+      before: result.rubric,
+    });
+
+    res.status(200).json({ message: "Rubric deleted" });
+  } catch (err) {
+    console.error("Error deleting rubric:", err);
+    res.status(500).json({ error: "Server error" });
+  }
+});
+
+// Let a project's grades be changed again after the term's lock date (body: reason)
+router.post(
+  "/projects/:project_id/grade-unlock",
+  isAdmin,
+  body("reason").trim().notEmpty().withMessage("Please give a reason for unlocking the grades"),
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const { project_id } = req.params;
+      const projects = await conn.query("SELECT 1 FROM projects WHERE project_id = ?", [project_id]);
+      if (projects.length === 0) {
+        return res.status(404).json({ error: "Project not found" });
+      }
+
+      const result = await unlockGrades(project_id, req.body.reason, req.user.id);
+      if (result.error) {
+        const [httpStatus, error] = GRADE_ERRORS[result.error];
+        return res.status(httpStatus).json({ error });
+      }
+
+      await recordAudit(req, "grade.unlock", {
+        entityType: "project",
+        entityId: project_id,
+        before: { locked: result.lock.locked },
+        after: { unlock_id: result.unlock_id, reason: req.body.reason },
+      });
+
+      res.status(200).json({ message: "Grades unlocked", unlock_id: result.unlock_id });
+    } catch (err) {
+      console.error("Error unlocking grades:", err);
+      res.status(500).json({ error: "Server error" });
+    }
+  }
+);
+
+// Lock a project's grades again once the corrections are done
+router.delete("/projects/:project_id/grade-unlock", isAdmin, async (req, res) => {
+  try {
+    const { project_id } = req.params;
+    const result = await relockGrades(project_id, req.user.id);
+    if (result.error) {
+      const [httpStatus, error] = GRADE_ERRORS[result.error];
+      return res.status(httpStatus).json({ error });
+    }
+
+    await recordAudit(req, "grade.relock", {
+      entityType: "project",
+      entityId: project_id,
+    });
+
+    const lock = await getGradeLock(project_id);
+    res.status(200).json({ message: "Grades locked again", locked: lock.locked });
+  } catch (err) {
+    console.error("Error locking grades:", err);
+    res.status(500).json({ error: "Server error" });
+  }
+});
+
+// A project's examination committee with every member's scores
+router.get("/projects/:project_id/committee", isAdmin, async (req, res) => {
+  try {
+    const view = await getCommitteeView(req.params.project_id, req.user);
+    if (!view) {
+      const [httpStatus, error] = COMMITTEE_ERRORS.not_found;
+      return res.status(httpStatus).json({ error });
+    }
+    res.status(200).json(view);
+  } catch (err) {
+    console.error("Error fetching examination committee:", err);
+    res.status(500).json({ error: "Server error" });
+  }
+});
+
+// Set up a project's examination committee or change how it grades. The
+// disagreement threshold is a percentage of the max final work grade
+router.put(
+  "/projects/:project_id/committee",
+  isAdmin,
+  body("aggregation_policy")
+    .optional()
+    .isIn(AGGREGATION_POLICIES)
+    .withMessage(`Aggregation policy must be one of: ${AGGREGATION_POLICIES.join(", ")}`),
+  body("max_final_work_grade")
+    .optional()
+    .isFloat({ gt: 0, max: 999.99 })
+    .withMessage("Max final work grade must be a number above 0"),
+  body("supervisor_weight")
+    .optional()
+    .isFloat({ min: 0, max: 99 })
+    .withMessage("Supervisor weight must be a number of 0 or more"),
+  body("disagreement_threshold")
+    .optional()
+    .isFloat({ min: 0, max: 100 })
+    .withMessage("Disagreement threshold must be a percentage between 0 and 100"),
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const { project_id } = req.params;
+      const settings = {};
+      for (const field of ["aggregation_policy", "max_final_work_grade", "supervisor_weight", "disagreement_threshold"]) {
+        if (req.body[field] !== undefined) settings[field] = req.body[field];
+      }
+      if (settings.max_final_work_grade === undefined && !(await getCommittee(project_id))) {
+        return res.status(400).json({ error: "Please enter the committee's max final work grade" });
+      }
+
+      const result = await saveCommittee(project_id, settings, req.user.id);
+      if (result.error) {
+        const [httpStatus, error] = COMMITTEE_ERRORS[result.error];
+        return res.status(httpStatus).json({ error });
+      }
+
+      await recordAudit(req, "committee.update", {
+        entityType: "project",
+        entityId: project_id,
+        before: result.previous,
+        after: result.committee,
+      });
+
+      res.status(200).json({ message: "Examination committee saved", committee: result.committee });
+    } catch (err) {
+      console.error("Error saving examination committee:", err);
+      res.status(500).json({ error: "Server error" });
+    }
+  }
+);
+
+// Assign an examiner to a project (body: professor_id, weight). The project's
+// own supervisors can't examine it
+router.post(
+  "/projects/:project_id/examiners",
+  isAdmin,
+  body("professor_id").isInt().withMessage("Please choose a professor"),
+  body("weight")
+    .optional()
+    .isFloat({ min: 0, max: 99 })
+    .withMessage("Weight must be a number of 0 or more"),
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const { project_id } = req.params;
+      const result = await addExaminer(project_id, req.body.professor_id, req.body.weight, req.user);
+      if (result.error) {
+        const [httpStatus, error] = COMMITTEE_ERRORS[result.error];
+        return res.status(httpStatus).json({ error });
+      }
+
+      await recordAudit(req, "committee.examiner_add", {
+        entityType: "project",
+        entityId: project_id,
+        after: result.examiner,
+      });
+
+      res.status(201).json({ message: "Examiner assigned", examiner: result.examiner });
+    } catch (err) {
+      console.error("Error assigning examiner:", err);
+      res.status(500).json({ error: "Server error" });
+    }
+  }
+);
+
+// Take an examiner off a project, only before they scored anyone
+router.delete("/projects/:project_id/examiners/:professor_id", isAdmin, async (req, res) => {
+  try {
+    const { project_id, professor_id } = req.params;
+    const result = await removeExaminer(project_id, professor_id);
+    if (result.error) {
+      const [httpStatus, error] = COMMITTEE_ERRORS[result.error];
+      return res.status(httpStatus).json({ error });
+    }
+
+    await recordAudit(req, "committee.examiner_remove", {
+      entityType: "project",
+      entityId: project_id,
+      before: result.examiner,
+    });
+
+    res.status(200).json({ message: "Examiner removed" });
+  } catch (err) {
+    console.error("Error removing examiner:", err);
+    res.status(500).json({ error: "Server error" });
+  }
+});
+
+// Students whose examiners' scores are further apart than their committee allows
+router.get("/committee-disagreements", isAdmin, async (req, res) => {
+  try {
+    const disagreements = await listDisagreements();
+    res.status(200).json(disagreements);
+  } catch (err) {
+    console.error("Error fetching committee disagreements:", err);
+    res.status(500).json({ error: "Server error" });
+  }
+});
+
+// Every grade appeal (query: status), escalated and pending ones first
+router.get("/grade-appeals", isAdmin, async (req, res) => {
+  try {
+    const appeals = await listAppeals(req.query.status);
+    res.status(200).json(appeals);
+  } catch (err) {
+    console.error("Error fetching grade appeals:", err);
+    res.status(500).json({ error: "Server error" });
+  }
+});
+
+// Take over a pending appeal or one a professor rejected (body: reason). The
+// admins then decide it through the project's appeal route
+router.put(
+  "/grade-appeals/:appeal_id/escalate",
+  isAdmin,
+  body("reason").trim().notEmpty().withMessage("Please give a reason for escalating the appeal"),
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const { appeal_id } = req.params;
+      const result = await escalateAppeal(appeal_id, req.user, req.body.reason);
+      if (result.error) {
+        const [httpStatus, error] = APPEAL_ERRORS[result.error];
+        return res.status(httpStatus).json({ error });
+      }
+
+      await recordAudit(req, "grade_appeal.escalate", {
+        entityType: "grade_appeal",
+        entityId: appeal_id,
+        before: result.previous,
+        after: result.appeal,
+      });
+
+      res.status(200).json({ message: "Appeal escalated", appeal: result.appeal });
+    } catch (err) {
+      console.error("Error escalating grade appeal:", err);
+      res.status(500).json({ error: "Server error" });
+    }
+  }
+);
+
 module.exports = router;
\ No newline at end of file
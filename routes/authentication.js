@@ -4,7 +4,22 @@ const { body, param, validationResult } = require("express-validator");
 const util = require("util");
 const bcrypt = require("bcrypt");
 const crypto = require("crypto");
-const nodemailer = require('nodemailer');
+const { sendMail, queueMail, appUrl } = require("../services/mail");
+const {
+  findAccount,
+  sendVerification,
+  getResendCooldown,
+  verifyEmail,
+} = require("../services/emailVerification");
+const {
+  getDeviceLabel,
+  createSession,
+  revokeAllSessions,
+} = require("../services/session");
+const authorize = require("../middleware/authorize");
+const loginGuard = require("../middleware/loginGuard");
+const { canLogIn, blockedMessage } = require("../services/accountStatus");
+const { recordAudit } = require("../services/audit");
 
 
 
@@ -12,6 +27,7 @@ const nodemailer = require('nodemailer');
 
 router.post(
   "/student-login",
+  loginGuard("student", "student_id"),
   body("student_id")
     .isInt()
     .withMessage("Please enter a valid student ID (integer)"),
@@ -32,6 +48,7 @@ router.post(
       );
 
       if (student.length === 0) {
+        if (await req.loginAttempt.failed()) return;
         res.status(404).json({
           errors: [
             {
@@ -48,21 +65,45 @@ router.post(
       );
 
       if (checkPassword) {
-        // Generate a new token
-        const newToken = crypto.randomBytes(16).toString("hex");
-        // Update the student_token in the database
-        await query(
-          "UPDATE students SET student_token = ? WHERE student_id = ?",
-          [newToken, req.body.student_id]
+        await req.loginAttempt.succeeded();
+
+        if (!canLogIn(student[0].account_status)) {
+          return res.status(403).json({
+            errors: [{ msg: blockedMessage(student[0]) }],
+          });
+        }
+
+        if (!student[0].email_verified_at) {
+          return res.status(403).json({
+            errors: [
+              {
+                msg: "Please verify your email address before logging in. Check your inbox for the verification link.",
+              },
+            ],
+          });
+        }
+
+        // Open a new session for this device, other devices stay logged in
+        const session = await createSession(
+          student[0].student_id,
+          "student",
+          getDeviceLabel(req)
         );
+        await recordAudit(req, "auth.login", {
+          actor: { id: student[0].student_id, role: "student" },
+          entityType: "student",
+          entityId: student[0].student_id,
+        });
 
         // Remove the password from the response
         delete student[0].student_password;
 
-        // Send the updated student data along with the new token
-        student[0].student_token = newToken;
+        // Send the student data along with the session token
+        student[0].student_token = session.token;
+        student[0].token_expires_at = session.expires_at;
         res.status(200).json(student[0]);
       } else {
+        if (await req.loginAttempt.failed()) return;
         res.status(404).json({
           errors: [
             {
@@ -139,12 +180,24 @@ router.post(
         student_email: email,
         student_password: await bcrypt.hash(req.body.password, 10),
         student_department: req.body.student_department,
-        student_token: crypto.randomBytes(16).toString("hex")
       };
 
       await conn.query("INSERT INTO students SET ? ", studentData);
       delete studentData.student_password;
-      res.status(201).json(studentData);
+      await recordAudit(req, "student.register", {
+        actor: { id: student_id, role: "student" },
+        entityType: "student",
+        entityId: student_id,
+        after: studentData,
+      });
+
+      // The account stays inactive until the student follows the emailed link
+      await sendVerification(student_id, "student");
+
+      res.status(201).json({
+        ...studentData,
+        message: "Account created. Please check your email to verify your address before logging in.",
+      });
     } catch (err) {
       console.error("Error registering student:", err);
       res.status(500).json({ error: "Server error" });
@@ -155,6 +208,7 @@ router.post(
 // Change Password for Student
 router.put(
   "/:student_id/change-password",
+  authorize("selfStudent"),
   body("old_password")
     .isLength({ min: 8, max: 12 })
     .withMessage("Old password should be between (8-12) characters"),
@@ -173,7 +227,7 @@ router.put(
     }),
   async (req, res) => {
     try {
-      const studentId = req.params.student_id;
+      const studentId = req.user.id;
       const { old_password, new_password } = req.body;
 
       // Check for validation errors
@@ -201,6 +255,13 @@ router.put(
       const hashedNewPassword = await bcrypt.hash(new_password, 10);
       await conn.query("UPDATE students SET student_password = ? WHERE student_id = ?", [hashedNewPassword, studentId]);
 
+      // Sign out every device that used the old password
+      await revokeAllSessions(studentId, "student");
+      await recordAudit(req, "auth.password_change", {
+        entityType: "student",
+        entityId: studentId,
+      });
+
       res.status(200).json({ message: "Password updated successfully" });
     } catch (err) {
       console.error("Error changing password for student:", err);
@@ -213,12 +274,13 @@ router.put(
 // Change Email for Student
 router.put(
   "/:student_id/change-email",
+  authorize("selfStudent"),
   param("student_id").isInt().withMessage("Please enter a valid student ID (integer)"),
   body("current_email").isEmail().withMessage("Please enter a valid current email"),
   body("new_email")
     .isEmail().withMessage("Please enter a valid new email")
     .custom(async (value, { req }) => {
-      const studentId = req.params.student_id;
+      const studentId = req.user.id;
       const currentEmail = req.body.current_email;
 
       // Check if the new email is different from the current one
@@ -244,7 +306,7 @@ router.put(
     }),
   async (req, res) => {
     try {
-      const { student_id } = req.params;
+      const student_id = req.user.id;
       const { new_email, current_email } = req.body;
 
       // Check for validation errors
@@ -261,10 +323,19 @@ router.put(
         });
       }
 
-      // Update student's email with the new one
-      await conn.query("UPDATE students SET student_email = ? WHERE student_id = ?", [new_email, student_id]);
-
-      res.status(200).json({ message: "Email updated successfully" });
+      // Update student's email with the new one, it has to be verified again
+      await conn.query("UPDATE students SET student_email = ?, email_verified_at = NULL WHERE student_id = ?", [new_email, student_id]);
+      await recordAudit(req, "auth.email_change", {
+        entityType: "student",
+        entityId: student_id,
+        before: { student_email: current_email },
+        after: { student_email: new_email },
+      });
+      await sendVerification(student_id, "student");
+
+      res.status(200).json({
+        message: "Email updated successfully. Please check your new inbox to verify it before logging in again.",
+      });
     } catch (err) {
       console.error("Error changing email for student:", err);
       res.status(500).json({ error: "Server error" });
@@ -296,10 +367,13 @@ router.post(
       const query = util.promisify(conn.query).bind(conn);
       const email = req.body.email;
 
+      // Same answer whether or not the email is registered, so it can't be used to probe accounts
+      const message = 'If an account exists for that email, a password reset link has been sent to it.';
+
       // Check if email exists in the database
       const user = await query('SELECT * FROM students WHERE student_email = ?', [email]);
       if (user.length === 0) {
-        return res.status(404).json({ error: 'No account found with that email address.' });
+        return res.status(200).json({ message });
       }
 
       // Generate a password reset token
@@ -308,9 +382,19 @@ router.post(
 
       // Store the token in the database
       await query('UPDATE students SET reset_password_token = ?, reset_password_expires = ? WHERE student_email = ?', [resetToken, resetTokenExpiration, email]);
+      await recordAudit(req, 'auth.password_reset_requested', {
+        entityType: 'student',
+        entityId: user[0].student_id,
+      });
 
-      // Return the token in the response
-      res.status(200).json({ message: 'Password reset token generated successfully!', resetToken });
+      // Email the reset link, the token itself never appears in the response
+      await sendMail(email, 'passwordReset', {
+        name: user[0].student_name,
+        resetUrl: appUrl(`/reset-password/${resetToken}`),
+        expiresInMinutes: 60,
+      });
+
+      res.status(200).json({ message });
 
     } catch (err) {
       console.error('Error requesting password reset:', err);
@@ -320,6 +404,75 @@ router.post(
 );
 
 
+// Verify email (students and professors)
+router.post("/verify-email/:token", async (req, res) => {
+  try {
+    const account = await verifyEmail(req.params.token);
+    if (!account) {
+      return res.status(400).json({ error: "Verification link is invalid or has expired." });
+    }
+    await recordAudit(req, "auth.email_verified", {
+      actor: { id: account.user_id, role: account.role },
+      entityType: account.role,
+      entityId: account.user_id,
+    });
+
+    queueMail(account.email, "welcome", {
+      name: account.name,
+      role: account.role,
+      loginUrl: appUrl(account.role === "professor" ? "/professor-login" : "/login"),
+    });
+
+    res.status(200).json({ message: "Email verified successfully! You can now log in." });
+  } catch (err) {
+    console.error("Error verifying email:", err);
+    res.status(500).json({ error: "Server error" });
+  }
+});
+
+// Resend the verification email
+router.post(
+  "/resend-verification",
+  body("email").isEmail().withMessage("Please enter a valid email!"),
+  body("role")
+    .isIn(["student", "professor"])
+    .withMessage("Role must be either 'student' or 'professor'"),
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      // Same answer for unknown and already verified accounts
+      const message = "If an unverified account exists for that email, a new verification link has been sent to it.";
+
+      const account = await findAccount(req.body.role, "email", req.body.email);
+      if (!account || account.email_verified_at) {
+        return res.status(200).json({ message });
+      }
+
+      const cooldown = await getResendCooldown(account.user_id, req.body.role);
+      if (cooldown > 0) {
+        return res.status(429).json({
+          error: `Please wait ${cooldown} seconds before requesting another verification email.`,
+          retry_after: cooldown,
+        });
+      }
+
+      await sendVerification(account.user_id, req.body.role);
+      await recordAudit(req, "auth.verification_resent", {
+        entityType: req.body.role,
+        entityId: account.user_id,
+      });
+      res.status(200).json({ message });
+    } catch (err) {
+      console.error("Error resending verification email:", err);
+      res.status(500).json({ error: "Server error" });
+    }
+  }
+);
+
 // Reset Password
 router.post(
   '/reset-password/:token',
@@ -346,8 +499,17 @@ router.post(
       // Hash the new password
       const hashedPassword = await bcrypt.hash(newPassword, 10);
 
-      // Update the user's password and clear the reset token and expiration
-      await query('UPDATE students SET student_password = ?, reset_password_token = NULL, reset_password_expires = NULL WHERE reset_password_token = ?', [hashedPassword, resetToken]);
+      // Update the user's password and clear the reset token and expiration.
+      // The link was emailed to the student, so it also proves the address (roster activations rely on this)
+      await query('UPDATE students SET student_password = ?, reset_password_token = NULL, reset_password_expires = NULL, email_verified_at = COALESCE(email_verified_at, NOW()) WHERE reset_password_token = ?', [hashedPassword, resetToken]);
+
+      // Sign out every device that used the old password
+      await revokeAllSessions(user[0].student_id, "student");
+      await recordAudit(req, 'auth.password_reset', {
+        actor: { id: user[0].student_id, role: 'student' },
+        entityType: 'student',
+        entityId: user[0].student_id,
+      });
 
       res.status(200).json({ message: 'Password has been reset successfully!' });
     } catch (err) {
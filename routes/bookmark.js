@@ -4,17 +4,24 @@ const { body, validationResult } = require("express-validator");
 const bcrypt = require("bcrypt");
 const util = require("util");
 const conn = require("../db/dbConnection");
+const authorize = require("../middleware/authorize");
+const { recordAudit } = require("../services/audit");
 
 
 // add a bookmark for a project
-router.post("/add-bookmark/:project_id/:student_id", async (req, res) => {
-  const { student_id, project_id } = req.params;
+router.post("/add-bookmark/:project_id/:student_id", authorize("selfStudent"), async (req, res) => {
+  const { project_id } = req.params;
+  const student_id = req.user.id;
 
   try {
     const bookmarkExists = await checkBookmarkExists(student_id, project_id);
 
     if (bookmarkExists) {
       await removeBookmark(student_id, project_id);
+      await recordAudit(req, "bookmark.delete", {
+        entityType: "project",
+        entityId: project_id,
+      });
       return res.status(200).json({
         bookmarkStatus: false,
         message: "Bookmark removed successfully",
@@ -35,6 +42,10 @@ router.post("/add-bookmark/:project_id/:student_id", async (req, res) => {
         department_name,
         total_votes
       );
+      await recordAudit(req, "bookmark.create", {
+        entityType: "project",
+        entityId: project_id,
+      });
 
       return res
         .status(201)
@@ -96,8 +107,8 @@ function insertBookmark(student_id, project_id, title, department_name, total_vo
 
 // Get all the bookmarks associated with this student_id
 
-router.get("/show-bookmarks/:student_id", async (req, res) => {
-  const studentId = req.params.student_id;
+router.get("/show-bookmarks/:student_id", authorize("selfStudent"), async (req, res) => {
+  const studentId = req.user.id;
 
   try {
     const sql = 
@@ -4,16 +4,24 @@ const { body, validationResult } = require("express-validator");
 const bcrypt = require("bcrypt");
 const util = require("util");
 const conn = require("../db/dbConnection");
+const authorize = require("../middleware/authorize");
+const { recordAudit } = require("../services/audit");
 
 
 // POST request to add a comment
 
-router.post('/add-comment/:project_id', async (req, res) => {
-  const { commenter_id, comment_text } = req.body;
+router.post('/add-comment/:project_id', authorize("student"), async (req, res) => {
+  const commenter_id = req.user.id;
+  const { comment_text } = req.body;
   const project_id = req.params.project_id;
 
   try {
       const result = await insertComment(project_id, commenter_id, comment_text);
+      await recordAudit(req, 'comment.create', {
+          entityType: 'comment',
+          entityId: result.insertId,
+          after: { project_id, comment_text },
+      });
 
       const studentRows = await conn.query(
           "SELECT student_id FROM project_students WHERE project_id = ?",
@@ -92,24 +100,23 @@ router.get("/show-comments/:project_id", async (req, res) => {
 
 // GET request to delete a comment by comment_id
 
-router.delete("/delete-comment/:comment_id", async (req, res) => {
+router.delete("/delete-comment/:comment_id", authorize(["commentAuthor", "admin"]), async (req, res) => {
   const { comment_id } = req.params;
 
   try {
-    const sql = 'DELETE FROM comments WHERE comment_id = ?';
-
-    conn.query(sql, [comment_id], (err, result) => {
-      if (err) {
-        console.error("Error deleting comment:", err);
-        res.status(500).json({ error: "Server error" });
-      } else {
-        if (result.affectedRows > 0) {
-          res.status(200).json({ message: "Comment deleted successfully" });
-        } else {
-          res.status(404).json({ error: "Comment not found" });
-        }
-      }
+    const comment = await conn.query('SELECT * FROM comments WHERE comment_id = ?', [comment_id]);
+    if (comment.length === 0) {
+      return res.status(404).json({ error: "Comment not found" });
+    }
+
+    await conn.query('DELETE FROM comments WHERE comment_id = ?', [comment_id]);
+    await recordAudit(req, "comment.delete", {
+      entityType: "comment",
+      entityId: comment_id,
+      before: comment[0],
     });
+
+    res.status(200).json({ message: "Comment deleted successfully" });
   } catch (err) {
     console.error("Error deleting comment:", err);
     res.status(500).json({ error: "Server error" });
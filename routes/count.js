@@ -6,6 +6,8 @@ const path = require("path");
 const fs = require('fs');
 const { promisify } = require('util');
 const unlinkAsync = promisify(fs.unlink);
+const { ACCEPTED_STATUSES } = require("../services/projectLifecycle");
+const { PUBLISHED_GRADES } = require("../services/grades");
 
 
 
@@ -13,10 +15,10 @@ const unlinkAsync = promisify(fs.unlink);
 // Count project accepted
 router.get('/accepted-project-count', (req, res) => {
   // Construct the SQL query to count the number of accepted projects
-  const sql = 'SELECT COUNT(*) AS acceptedProjectCount FROM projects WHERE approval_status = "Approved"';
+  const sql = 'SELECT COUNT(*) AS acceptedProjectCount FROM projects WHERE approval_status IN (?)';
 
   // Execute the query
-  conn.query(sql, (err, results) => {
+  conn.query(sql, [ACCEPTED_STATUSES], (err, results) => {
     if (err) {
       console.error('Error executing SQL query:', err);
       return res.status(500).json({ error: 'Server error' });
@@ -75,21 +77,22 @@ router.get('/professor-project-count/:professor_id', (req, res) => {
   const sql = `
       SELECT 
           COUNT(*) AS totalProjects,
-          SUM(CASE WHEN approval_status = 'Approved' THEN 1 ELSE 0 END) AS acceptedProjects,
-          SUM(CASE WHEN approval_status = 'Rejected' THEN 1 ELSE 0 END) AS rejectedProjects,
-          SUM(CASE WHEN approval_status = 'Pending' THEN 1 ELSE 0 END) AS pendingProjects
+          SUM(CASE WHEN approval_status IN (?) THEN 1 ELSE 0 END) AS acceptedProjects,
+          SUM(CASE WHEN approval_status = 'rejected' THEN 1 ELSE 0 END) AS rejectedProjects,
+          SUM(CASE WHEN approval_status = 'submitted' THEN 1 ELSE 0 END) AS pendingProjects,
+          SUM(CASE WHEN approval_status = 'changes-requested' THEN 1 ELSE 0 END) AS changesRequestedProjects
       FROM projects 
       WHERE professor_id = ?
   `;
 
   // Execute the query
-  conn.query(sql, [professorId], (err, result) => {
+  conn.query(sql, [ACCEPTED_STATUSES, professorId], (err, result) => {
     if (err) {
       console.error('Error executing SQL query:', err);
       return res.status(500).json({ error: 'Server error' });
     }
-    const { totalProjects, acceptedProjects, rejectedProjects, pendingProjects } = result[0];
-    res.json({ totalProjects, acceptedProjects, rejectedProjects, pendingProjects });
+    const { totalProjects, acceptedProjects, rejectedProjects, pendingProjects, changesRequestedProjects } = result[0];
+    res.json({ totalProjects, acceptedProjects, rejectedProjects, pendingProjects, changesRequestedProjects });
   });
 });
 
@@ -98,8 +101,8 @@ router.get('/average-grades/:project_id', async (req, res) => {
   const { project_id } = req.params;
 
   try {
-    // Fetch grades for the given project ID
-    const gradesQuery = 'SELECT semester_work_grade, final_work_grade FROM project_students WHERE project_id = ?';
+    // Fetch the published grades for the given project ID
+    const gradesQuery = `SELECT semester_work_grade, final_work_grade FROM ${PUBLISHED_GRADES} ps WHERE project_id = ?`;
     conn.query(gradesQuery, [project_id], (err, results) => {
       if (err) {
         console.error('Error executing SQL query:', err);
@@ -107,7 +110,7 @@ router.get('/average-grades/:project_id', async (req, res) => {
       }
 
       if (results.length === 0) {
-        return res.status(404).json({ error: 'No students found for this project ID' });
+        return res.status(404).json({ error: 'No published grades found for this project ID' });
       }
 
       // Calculate the average of semester work grades and final work grades
@@ -169,7 +172,7 @@ router.get('/average-grades-by-department', async (req, res) => {
               AVG(ps.final_work_grade) AS avg_final_work_grade,
               AVG(ps.overall_grade) AS avg_overall_grade
           FROM 
-              project_students ps
+              ${PUBLISHED_GRADES} ps
           JOIN 
               projects p ON ps.project_id = p.project_id
           GROUP BY 
@@ -197,7 +200,7 @@ router.get("/average-grade-by-professor", async (req, res) => {
     pr.professor_name,
     AVG(ps.overall_grade) AS avg_overall_grade
 FROM 
-    project_students ps
+    ${PUBLISHED_GRADES} ps
 JOIN 
     projects p ON ps.project_id = p.project_id
 JOIN
@@ -274,7 +277,7 @@ router.get('/average-grades-by-year', async (req, res) => {
 FROM 
     projects p
 JOIN 
-    project_students ps ON p.project_id = ps.project_id
+    ${PUBLISHED_GRADES} ps ON p.project_id = ps.project_id
 WHERE 
     ps.semester_work_grade IS NOT NULL
     AND ps.final_work_grade IS NOT NULL
@@ -308,7 +311,7 @@ router.get('/average-grades-by-graduation-year', async (req, res) => {
         AVG(ps.final_work_grade) AS avg_final_work_grade,
         AVG(ps.semester_work_grade + ps.final_work_grade) AS avg_overall_grade
       FROM 
-        project_students ps
+        ${PUBLISHED_GRADES} ps
       JOIN 
         projects p ON ps.project_id = p.project_id
       WHERE 
@@ -345,7 +348,7 @@ router.get('/average-grades-by-graduation-term', async (req, res) => {
         AVG(ps.final_work_grade) AS avg_final_work_grade,
         AVG(ps.semester_work_grade + ps.final_work_grade) AS avg_overall_grade
       FROM 
-        project_students ps
+        ${PUBLISHED_GRADES} ps
       JOIN 
         projects p ON ps.project_id = p.project_id
       WHERE 
@@ -383,7 +386,7 @@ router.get('/success-rate-by-department', async (req, res) => {
           FROM
               projects p
           JOIN
-              project_students ps ON p.project_id = ps.project_id
+              ${PUBLISHED_GRADES} ps ON p.project_id = ps.project_id
           GROUP BY
               p.department_name;
       `;
@@ -417,7 +420,7 @@ router.get('/failure-rate-by-department', async (req, res) => {
       FROM
         projects p
       JOIN
-        project_students ps ON p.project_id = ps.project_id
+        ${PUBLISHED_GRADES} ps ON p.project_id = ps.project_id
       GROUP BY
         p.department_name;
     `;
@@ -7,14 +7,22 @@ const path = require("path");
 const fs = require('fs');
 const { promisify } = require('util');
 const unlinkAsync = promisify(fs.unlink);
+const { getVersion } = require('../services/projectFiles');
+const identifyUser = require('../middleware/identifyUser');
+const policies = require('../middleware/policies');
+const { ACCEPTED_STATUSES } = require('../services/projectLifecycle');
 
 
 
 //DOWNLOEAD PROJECT FILE
-router.get('/download/:project_id', async (req, res) => {
+router.get('/download/:project_id', identifyUser, async (req, res) => {
     const projectId = req.params.project_id;
 
     try {
+        if (!(await canDownload(req))) {
+            return res.status(403).json({ error: 'Only the team, its supervisors and admins can download this file' });
+        }
+
         // Retrieve the file path from the database for the given project ID
         const filePath = await getProjectFilesPath(projectId);
 
@@ -38,6 +46,53 @@ router.get('/download/:project_id', async (req, res) => {
     }
 });
 
+// Anyone may download the current files of an accepted project; earlier
+// versions and the files of other projects are for the team, its supervisors
+// and admins
+async function canDownload(req) {
+    if (req.params.version_number === undefined) {
+        const projects = await conn.query('SELECT approval_status FROM projects WHERE project_id = ?', [req.params.project_id]);
+        if (projects.length > 0 && ACCEPTED_STATUSES.includes(projects[0].approval_status)) return true;
+    }
+    if (!req.user) return false;
+    for (const name of ['projectMember', 'supervisingProfessor', 'admin']) {
+        if (await policies[name](req)) return true;
+    }
+    return false;
+}
+
+// DOWNLOAD A NAMED PROJECT FILE, the current version or any earlier one
+router.get('/download/:project_id/:file_kind/:version_number?', identifyUser, async (req, res) => {
+    const { project_id, file_kind, version_number } = req.params;
+
+    try {
+        if (!(await canDownload(req))) {
+            return res.status(403).json({ error: 'Only the team, its supervisors and admins can download this file' });
+        }
+
+        const version = await getVersion(project_id, file_kind, version_number);
+
+        if (!version) {
+            return res.status(404).json({ error: 'File or version not found' });
+        }
+
+        const absoluteFilePath = path.join(__dirname, '..', version.stored_path);
+
+        // Download under the name it was uploaded with
+        res.download(absoluteFilePath, version.original_name, (err) => {
+            if (err) {
+                console.error('Error downloading file:', err);
+                if (!res.headersSent) {
+                    res.status(500).json({ error: 'Failed to download project file' });
+                }
+            }
+        });
+    } catch (error) {
+        console.error('Error downloading project file:', error);
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
 // Function to get project files path from the database
 function getProjectFilesPath(projectId) {
     return new Promise((resolve, reject) => {
@@ -1,12 +1,14 @@
 const express = require("express");
 const router = express.Router(); 
 const conn = require("../db/dbConnection"); 
+const authorize = require("../middleware/authorize");
+const { recordAudit } = require("../services/audit");
 
 
 // GET request to fetch unread notifications for a specific recipient
 
-router.get('/:recipient_id', async (req, res) => {
-    const recipient_id = req.params.recipient_id;
+router.get('/:recipient_id', authorize("selfRecipient"), async (req, res) => {
+    const recipient_id = req.user.id;
 
     try {
         const query = 'SELECT * FROM notifications WHERE recipient_id = ? AND read_status = ?';
@@ -23,12 +25,16 @@ router.get('/:recipient_id', async (req, res) => {
 
 // PUT request to update the status of a notification
 
-router.put('/:notification_id', async (req, res) => {
+router.put('/:notification_id', authorize("notificationRecipient"), async (req, res) => {
     const notification_id = req.params.notification_id;
 
     try {
         const updateQuery = 'UPDATE notifications SET read_status = ? WHERE notification_id = ?';
         await conn.query(updateQuery, ['read', notification_id]);
+        await recordAudit(req, 'notification.read', {
+            entityType: 'notification',
+            entityId: notification_id,
+        });
 
         res.status(200).json({ message: 'Notification status updated successfully' });
     } catch (err) {
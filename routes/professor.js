@@ -5,11 +5,103 @@ const bcrypt = require("bcrypt");
 const util = require("util");
 const conn = require("../db/dbConnection");
 const crypto = require("crypto");
-const isProfessor = require("../middleware/isProfessor");
+const multer = require("multer");
+const authorize = require("../middleware/authorize");
+const loginGuard = require("../middleware/loginGuard");
+const {
+  findPendingInvitation,
+  acceptInvitation,
+} = require("../services/professorInvitation");
+const {
+  isTwoFactorEnabled,
+  isSetupRequired,
+  createChallenge,
+} = require("../services/twoFactor");
+const {
+  getDeviceLabel,
+  createSession,
+  revokeAllSessions,
+} = require("../services/session");
+const { sendMail, queueMail, appUrl } = require("../services/mail");
+const { sendVerification } = require("../services/emailVerification");
+const { recordAudit } = require("../services/audit");
+const { createNotification } = require("../services/notification");
+const {
+  ACCEPTED_STATUSES,
+  TRANSITION_ERRORS,
+  REVIEW_CATEGORIES,
+  transitionProject,
+} = require("../services/projectLifecycle");
+const { listProfessorTeamChanges } = require("../services/projectTeam");
+const { professorCapacity } = require("../services/termSettings");
+const {
+  RUBRIC_ERRORS,
+  findProjectRubric,
+  scoreStudent,
+  getScoreBreakdown,
+} = require("../services/rubrics");
+const {
+  GRADE_FIELDS,
+  GRADE_ERRORS,
+  getGradeLock,
+  saveGrades,
+  publishGrades,
+  getGradeHistory,
+  getPublishedGrades,
+} = require("../services/grades");
+const {
+  checkGrades,
+  gradeTeam,
+  exportGradeSheet,
+  importGradeSheet,
+} = require("../services/gradeSheet");
+const { toCsv } = require("../services/csv");
+const {
+  COMMITTEE_ERRORS,
+  submitScores,
+  getCommitteeView,
+  listExaminations,
+} = require("../services/committee");
+const {
+  APPEAL_OUTCOMES,
+  APPEAL_ERRORS,
+  listProjectAppeals,
+  respondToAppeal,
+} = require("../services/appeals");
+const {
+  startTransaction,
+  commitTransaction,
+  rollbackTransaction,
+} = require("../db/transaction");
+const {
+  SUPERVISION_ERRORS,
+  hasSupervisorPermission,
+  listProfessorSupervisorInvitations,
+  respondToSupervisorInvitation,
+} = require("../services/supervision");
+
+// Grade sheets are parsed in memory, never written to disk
+const gradeSheetUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: 5 * 1024 * 1024 },
+});
+
+// How an appeal is answered; accepting it takes the revised grade
+const appealDecisionRules = [
+  body("outcome")
+    .isIn(APPEAL_OUTCOMES)
+    .withMessage(`Outcome must be one of: ${APPEAL_OUTCOMES.join(", ")}`),
+  body("response").trim().notEmpty().withMessage("Please explain the decision to the student"),
+  body("grade")
+    .if(body("outcome").equals("accepted"))
+    .isFloat({ min: 0, max: 999.99 })
+    .withMessage("Please enter the revised grade"),
+];
 
 // Login professor (DONE)
 router.post(
   "/professor-login",
+  loginGuard("professor", "professor_email"),
   body("professor_email").isEmail().withMessage("Please enter a valid email"),
   body("password")
     .isLength({ min: 8, max: 12 })
@@ -28,6 +120,7 @@ router.post(
       );
 
       if (professor.length === 0) {
+        if (await req.loginAttempt.failed()) return;
         return res.status(404).json({
           errors: [{ msg: "Professor email or password not found!" }],
         });
@@ -39,21 +132,63 @@ router.post(
       );
 
       if (checkPassword) {
-        // Generate a new token
-        const newToken = crypto.randomBytes(16).toString("hex");
-        // Update the professor_token in the database
-        await query(
-          "UPDATE professor SET professor_token = ? WHERE professor_email = ?",
-          [newToken, req.body.professor_email]
+        if (!professor[0].email_verified_at) {
+          return res.status(403).json({
+            errors: [
+              {
+                msg: "Please verify your email address before logging in. Check your inbox for the verification link.",
+              },
+            ],
+          });
+        }
+
+        // With 2FA on, the password only earns a challenge for /2fa/verify-login
+        if (await isTwoFactorEnabled(professor[0].professor_id, "professor")) {
+          const challenge = await createChallenge(
+            professor[0].professor_id,
+            "professor",
+            getDeviceLabel(req)
+          );
+          await recordAudit(req, "auth.two_factor_challenge", {
+            actor: { id: professor[0].professor_id, role: "professor" },
+            entityType: "professor",
+            entityId: professor[0].professor_id,
+          });
+          return res.status(200).json({
+            two_factor_required: true,
+            challenge_token: challenge.token,
+            expires_in: challenge.expires_in,
+          });
+        }
+
+        // With 2FA on, the login only counts as succeeded once the code is checked
+        await req.loginAttempt.succeeded();
+
+        // Open a new session for this device, other devices stay logged in
+        const session = await createSession(
+          professor[0].professor_id,
+          "professor",
+          getDeviceLabel(req)
         );
+        await recordAudit(req, "auth.login", {
+          actor: { id: professor[0].professor_id, role: "professor" },
+          entityType: "professor",
+          entityId: professor[0].professor_id,
+        });
 
         // Remove the password from the response
         delete professor[0].professor_password;
 
-        // Send the updated professor data along with the new token
-        professor[0].professor_token = newToken;
+        // Send the professor data along with the session token
+        professor[0].professor_token = session.token;
+        professor[0].token_expires_at = session.expires_at;
+        professor[0].two_factor_setup_required = await isSetupRequired(
+          professor[0].professor_id,
+          "professor"
+        );
         res.status(200).json(professor[0]);
       } else {
+        if (await req.loginAttempt.failed()) return;
         res.status(404).json({
           errors: [{ msg: "Professor email or password not found!" }],
         });
@@ -65,6 +200,104 @@ router.post(
   }
 );
 
+// Show an invitation before accepting it (department and name are pre-filled)
+router.get("/invitations/:token", async (req, res) => {
+  try {
+    const invitation = await findPendingInvitation(req.params.token);
+    if (!invitation) {
+      return res
+        .status(404)
+        .json({ error: "Invitation is invalid, expired or already used." });
+    }
+
+    delete invitation.invitation_id;
+    res.status(200).json(invitation);
+  } catch (err) {
+    console.error("Error fetching professor invitation:", err);
+    res.status(500).json({ error: "Server error" });
+  }
+});
+
+// Accept an invitation and create the professor account
+router.post(
+  "/invitations/:token/accept",
+  body("password")
+    .isLength({ min: 8, max: 12 })
+    .withMessage("Password should be between 8 to 12 characters"),
+  body("professor_name")
+    .optional()
+    .isString()
+    .notEmpty()
+    .withMessage("Please enter a valid name"),
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const invitation = await findPendingInvitation(req.params.token);
+      if (!invitation) {
+        return res
+          .status(400)
+          .json({ error: "Invitation is invalid, expired or already used." });
+      }
+
+      const existingProfessor = await conn.query(
+        "SELECT 1 FROM professor WHERE professor_email = ?",
+        [invitation.professor_email]
+      );
+      if (existingProfessor.length > 0) {
+        return res.status(409).json({ error: "Professor Email already exists" });
+      }
+
+      const professorId = await acceptInvitation(invitation, req.body);
+      await recordAudit(req, "professor_invitation.accept", {
+        actor: { id: professorId, role: "professor" },
+        entityType: "professor_invitation",
+        entityId: invitation.invitation_id,
+        after: {
+          professor_id: professorId,
+          professor_email: invitation.professor_email,
+        },
+      });
+
+      queueMail(invitation.professor_email, "welcome", {
+        name: req.body.professor_name || invitation.professor_name,
+        role: "professor",
+        loginUrl: appUrl("/professor-login"),
+      });
+
+      res.status(201).json({
+        message: "Invitation accepted, you can now log in.",
+        professor_id: professorId,
+      });
+    } catch (err) {
+      console.error("Error accepting professor invitation:", err);
+      res.status(500).json({ error: "Server error" });
+    }
+  }
+);
+
+// Each professor's supervision places in a term, so students can pick one with
+// room left (query: graduation_year, graduation_term, optional department)
+router.get("/capacity", async (req, res) => {
+  try {
+    const { graduation_year, graduation_term, department } = req.query;
+    if (!graduation_year || !Number.isInteger(Number(graduation_year)) || !graduation_term) {
+      return res.status(400).json({
+        error: "Please give a graduation_year and a graduation_term",
+      });
+    }
+
+    const capacity = await professorCapacity(graduation_year, graduation_term, department);
+    res.status(200).json(capacity);
+  } catch (err) {
+    console.error("Error fetching professor capacity:", err);
+    res.status(500).json({ error: "Server error" });
+  }
+});
+
 // GET Professor Profile
 
 router.get("/:professor_id", async (req, res) => {
@@ -91,6 +324,7 @@ router.get("/:professor_id", async (req, res) => {
 // Update Professor Profile
 router.put(
   "/:professor_id",
+  authorize(["selfProfessor", "admin"]),
   [
     body("professor_name")
       .optional()
@@ -150,6 +384,16 @@ router.put(
         updateData,
         professorId,
       ]);
+      await recordAudit(req, "professor.update", {
+        entityType: "professor",
+        entityId: professorId,
+        before: {
+          professor_name: professor[0].professor_name,
+          professor_email: professor[0].professor_email,
+          professor_department: professor[0].professor_department,
+        },
+        after: updateData,
+      });
 
       res
         .status(200)
@@ -168,7 +412,7 @@ router.get("/:professor_id/projects", async (req, res) => {
 
     const query = util.promisify(conn.query).bind(conn);
     const projects = await query(
-      "SELECT * FROM projects WHERE project_id IN (SELECT project_id FROM project_professor WHERE professor_id = ?)",
+      "SELECT projects.*, project_professor.supervisor_role FROM projects INNER JOIN project_professor ON project_professor.project_id = projects.project_id WHERE project_professor.professor_id = ?",
       [professorId]
     );
 
@@ -182,14 +426,14 @@ router.get("/:professor_id/projects", async (req, res) => {
 // List Requested Projects for Professor (DONE)
 router.get(
   "/:professor_id/requested-projects",
-  isProfessor,
+  authorize("selfProfessor"),
   async (req, res) => {
     try {
-      const professorId = req.params.professor_id;
+      const professorId = req.user.id;
 
       const query = util.promisify(conn.query).bind(conn);
       const projects = await query(
-        "SELECT * FROM projects WHERE approval_status = 'pending' AND professor_id = ?",
+        "SELECT * FROM projects WHERE approval_status = 'submitted' AND professor_id = ?",
         [professorId]
       );
 
@@ -200,18 +444,93 @@ router.get(
     }
   }
 );
+// Team changes waiting for the professor's decision
+router.get(
+  "/:professor_id/team-changes",
+  authorize("selfProfessor"),
+  async (req, res) => {
+    try {
+      const changes = await listProfessorTeamChanges(req.user.id);
+      res.status(200).json(changes);
+    } catch (err) {
+      console.error("Error fetching team changes for professor:", err);
+      res.status(500).json({ error: "Server error" });
+    }
+  }
+);
+// Pending invitations to co-supervise or advise a project
+router.get(
+  "/:professor_id/supervision-invitations",
+  authorize("selfProfessor"),
+  async (req, res) => {
+    try {
+      const invitations = await listProfessorSupervisorInvitations(req.user.id);
+      res.status(200).json(invitations);
+    } catch (err) {
+      console.error("Error fetching supervision invitations:", err);
+      res.status(500).json({ error: "Server error" });
+    }
+  }
+);
+
+// Accept or decline an invitation to supervise a project
+const answerSupervisionInvitation = (accept) => async (req, res) => {
+  try {
+    const result = await respondToSupervisorInvitation(
+      req.params.invitation_id,
+      req.user,
+      accept
+    );
+    if (result.error) {
+      const [httpStatus, error] = SUPERVISION_ERRORS[result.error];
+      return res.status(httpStatus).json({ error });
+    }
+
+    await recordAudit(req, `supervisor_invitation.${accept ? "accept" : "decline"}`, {
+      entityType: "project",
+      entityId: result.invitation.project_id,
+      before: { invitation_id: result.invitation.invitation_id, status: "pending" },
+      after: {
+        invitation_id: result.invitation.invitation_id,
+        supervisor_role: result.invitation.supervisor_role,
+        status: result.status,
+      },
+    });
+
+    res.status(200).json({
+      message: `Invitation ${result.status}`,
+      project_id: result.invitation.project_id,
+      status: result.status,
+    });
+  } catch (err) {
+    console.error("Error answering supervision invitation:", err);
+    res.status(500).json({ error: "Server error" });
+  }
+};
+
+router.post(
+  "/supervision-invitations/:invitation_id/accept",
+  authorize("professor"),
+  answerSupervisionInvitation(true)
+);
+router.post(
+  "/supervision-invitations/:invitation_id/decline",
+  authorize("professor"),
+  answerSupervisionInvitation(false)
+);
+
 // GET APPROVED PROJECTS (DONE)
 router.get(
   "/:professor_id/approved-projects",
-  isProfessor,
+  authorize("selfProfessor"),
   async (req, res) => {
     try {
-      const professorId = req.params.professor_id;
+      const professorId = req.user.id;
 
       const query = util.promisify(conn.query).bind(conn);
       const projects = await query(
-        "SELECT * FROM projects WHERE approval_status = 'Approved' AND professor_id = ?",
-        [professorId]
+        "SELECT * FROM projects WHERE approval_status IN (?) AND professor_id = ?",
+        [ACCEPTED_STATUSES, professorId]
       );
 
       res.status(200).json(projects);
@@ -222,257 +541,730 @@ router.get(
   }
 );
 
+// Optional structured feedback on a decision: a category from REVIEW_CATEGORIES
+// and the changes the team should make
+const reviewFeedback = [
+  body("reason_category")
+    .optional()
+    .isIn(Object.keys(REVIEW_CATEGORIES))
+    .withMessage(`Reason category must be one of: ${Object.keys(REVIEW_CATEGORIES).join(", ")}`),
+  body("suggested_changes")
+    .optional()
+    .isString()
+    .withMessage("Suggested changes must be text"),
+];
+
+// Move a project the professor supervises to a new status, then email the students
+const decideProject = (status, message) => async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { project_id } = req.params;
+    // Free-text feedback, "reason" is still accepted from older clients
+    const reason = req.body.feedback || req.body.reason;
+    const category = req.body.reason_category;
+    const suggestedChanges = req.body.suggested_changes;
+
+    const result = await transitionProject(project_id, status, {
+      actor: req.user,
+      reason,
+      category,
+      suggestedChanges,
+    });
+    if (result.error) {
+      const [httpStatus, error] = TRANSITION_ERRORS[result.error];
+      return res.status(httpStatus).json({ error, allowed: result.allowed });
+    }
+
+    await recordAudit(req, "project.status_change", {
+      entityType: "project",
+      entityId: project_id,
+      before: { approval_status: result.from },
+      after: {
+        approval_status: result.to,
+        reason_category: category || null,
+        reason: reason || null,
+        suggested_changes: suggestedChanges || null,
+      },
+    });
+
+    const professor = await conn.query(
+      "SELECT professor_name FROM professor WHERE professor_id = ?",
+      [req.user.id]
+    );
+    const professorName = professor.length > 0 ? professor[0].professor_name : "";
+    const categoryLabel = category ? REVIEW_CATEGORIES[category] : null;
+
+    if (status === "changes-requested") {
+      await emailProjectStudents(project_id, "changesRequested", {
+        professorName,
+        reason,
+        category: categoryLabel,
+        suggestedChanges,
+        projectUrl: appUrl(`/project/${project_id}`),
+      });
+    } else {
+      await emailProjectStudents(project_id, "projectDecision", {
+        status,
+        professorName,
+        reason,
+        category: categoryLabel,
+        suggestedChanges,
+      });
+    }
+
+    res.status(200).json({ message, approval_status: result.to });
+  } catch (err) {
+    console.error(`Error changing project status to ${status}:`, err);
+    res.status(500).json({ error: "Server error" });
+  }
+};
+
 // Accept Project API (DONE)
 router.put(
   "/accept/project/:project_id/:professor_id",
-  isProfessor,
+  authorize("selfProfessor", "reviewingSupervisor"),
+  decideProject("approved", "Project accepted successfully")
+);
+
+// Reject Project API (DONE). Rejections say why: reason_category, feedback and
+// optionally suggested_changes, all shown to the team
+router.put(
+  "/reject/project/:project_id/:professor_id",
+  authorize("selfProfessor", "reviewingSupervisor"),
+  body("reason_category")
+    .exists()
+    .withMessage("Please choose a reason category"),
+  body("feedback")
+    .if(body("reason").not().exists())
+    .trim()
+    .notEmpty()
+    .withMessage("Please explain why the project is rejected"),
+  reviewFeedback,
+  decideProject("rejected", "Project rejected successfully")
+);
+
+// Send a project back to its students with the changes needed before approval,
+// they resubmit it through /project/update/:id
+router.put(
+  "/request-changes/project/:project_id/:professor_id",
+  authorize("selfProfessor", "reviewingSupervisor"),
+  body("reason")
+    .if(body("feedback").not().exists())
+    .trim()
+    .notEmpty()
+    .withMessage("Please describe the changes needed"),
+  reviewFeedback,
+  decideProject("changes-requested", "Changes requested successfully")
+);
+
+// Assign grades to students (DONE)
+router.get(
+  "/project/:project_id/students",
+  authorize(["supervisingProfessor", "projectMember", "admin"]),
   async (req, res) => {
     try {
-      const { project_id, professor_id } = req.params;
-      const status = "Approved";
+      const { project_id } = req.params;
+
+      // Students only see published grades, supervisors the working ones and
+      // whether they have unpublished changes
+      const studentDetailsQuery = `
+        SELECT students.student_id, students.student_name, project_students.semester_work_grade, project_students.final_work_grade, project_students.max_semester_work_grade, project_students.max_final_work_grade, project_students.overall_grade, project_students.max_overall_grade, project_students.published_at, project_students.visible_from,
+          EXISTS (SELECT 1 FROM grade_versions v WHERE v.project_id = project_students.project_id AND v.student_id = project_students.student_id AND v.version_id > IFNULL(project_students.published_version_id, 0)) AS has_unpublished_changes
+        FROM project_students
+        INNER JOIN students ON project_students.student_id = students.student_id
+        WHERE project_students.project_id = ?;
+      `;
+
+      // Execute the query
+      const result =
+        req.user.role === "student"
+          ? (await getPublishedGrades({ projectId: project_id })).map(
+              ({ up_to_date, ...grade }) => grade
+            )
+          : await conn.query(studentDetailsQuery, [project_id]);
+
+      const rows = result;
+
+      // Debugging lines to log the result structure
+
+      // Check if rows is an array and has elements
+      if (rows && rows.length === 0) {
+        return res
+          .status(404)
+          .json({ error: "No students found for the specified project" });
+      }
 
-      const countQuery =
-        "SELECT COUNT(*) AS count FROM projects WHERE project_id = ?";
-      const [result] = await conn.query(countQuery, [project_id]);
-      if (!result || result.length === 0 || result.count === 0) {
-        return res.status(404).json({ error: "Project not found" });
+      res.status(200).json(rows);
+    } catch (err) {
+      console.error("Error fetching student details:", err);
+      res.status(500).json({ error: "Server error" });
+    }
+  }
+);
+// The rubric the project is graded with and each student's criterion scores.
+// Projects without a rubric are graded freely
+router.get(
+  "/project/:project_id/rubric",
+  authorize(["supervisingProfessor", "admin"]),
+  async (req, res) => {
+    try {
+      const { project_id } = req.params;
+      const rubric = await findProjectRubric(project_id);
+      if (!rubric) {
+        return res.status(200).json({ rubric: null, students: [] });
       }
 
-      const professorQuery =
+      const students = await conn.query(
+        "SELECT student_id, student_name, semester_work_grade, final_work_grade, max_semester_work_grade, max_final_work_grade, overall_grade, max_overall_grade FROM project_students WHERE project_id = ?",
+        [project_id]
+      );
+      const breakdown = await getScoreBreakdown(
+        project_id,
+        rubric,
+        students.map((student) => student.student_id)
+      );
+
+      res.status(200).json({
+        rubric,
+        students: students.map((student) => ({
+          ...student,
+          criteria: breakdown[String(student.student_id)],
+        })),
+      });
+    } catch (err) {
+      console.error("Error fetching project rubric:", err);
+      res.status(500).json({ error: "Server error" });
+    }
+  }
+);
+// Assign grades to students. Projects graded with a rubric send scores:
+// [{ criterion_id, points, comment }] instead of the grades. Every change is
+// kept in the grade history. The grades are published unless draft is true;
+// co-supervisors only save drafts, the main supervisor publishes them
+router.put(
+  "/project/assign-grades",
+  authorize("professor", "gradingSupervisor"),
+  async (req, res) => {
+    try {
+      const professor_id = req.user.id;
+      const { student_id, project_id, scores, reason } = req.body;
+
+      const professorExistsQuery =
         "SELECT COUNT(*) AS count FROM professor WHERE professor_id = ?";
-      const [professorResult] = await conn.query(professorQuery, [
+      const [professorResult] = await conn.query(professorExistsQuery, [
         professor_id,
       ]);
       if (professorResult.count === 0) {
         return res.status(404).json({ error: "Professor not found" });
       }
 
-      const updateStatusQuery =
-        "UPDATE projects SET approval_status = ? WHERE project_id = ?";
-      await conn.query(updateStatusQuery, [status, project_id]);
-
-      const addProjectQuery =
-        "INSERT INTO project_professor (project_id, professor_id) VALUES (?, ?)";
-      await conn.query(addProjectQuery, [project_id, professor_id]);
-
-      const currentDate = new Date().toISOString().slice(0, 10);
-      const setRegistrationDateQuery =
-        "UPDATE projects SET registration_date = ? WHERE project_id = ?";
-      await conn.query(setRegistrationDateQuery, [currentDate, project_id]);
-
-      const studentsQuery =
-        "SELECT student_id FROM project_students WHERE project_id = ?";
-      const studentRows = await conn.query(studentsQuery, [project_id]);
-      const professorNameQuery =
-        "SELECT professor_name FROM professor WHERE professor_id = ?";
-      const professor_name = await conn.query(professorNameQuery, professor_id);
-      const students = studentRows.map((row) => row.student_id);
-      for (const student of students) {
-        const notificationMessage = `Your project has been accepted by Professor ${professor_name[0].professor_name}`;
-        await createNotification(
-          student,
-          professor_id,
-          project_id,
-          "project_status_update",
-          notificationMessage
+      const projectExistsQuery =
+        "SELECT COUNT(*) AS count FROM project_students WHERE student_id = ? AND project_id = ?";
+      const [projectExistsResult] = await conn.query(projectExistsQuery, [
+        student_id,
+        project_id,
+      ]);
+      if (projectExistsResult.count === 0) {
+        return res
+          .status(404)
+          .json({ error: "Student not found in the specified project" });
+      }
+
+      const lock = await getGradeLock(project_id);
+      if (lock.locked) {
+        const [httpStatus, error] = GRADE_ERRORS.locked;
+        return res.status(httpStatus).json({ error, grades_lock_at: lock.lock_at });
+      }
+
+      // Projects of a term with a rubric are graded criterion by criterion, the
+      // grades are computed from the scores
+      const rubric = await findProjectRubric(project_id);
+      if (rubric && scores === undefined) {
+        const [httpStatus, error] = RUBRIC_ERRORS.rubric_required;
+        return res.status(httpStatus).json({ error, rubric });
+      }
+
+      // The same checks as the batch and the grade sheet: numbers in range and
+      // no grade above its max
+      const given = Object.fromEntries(GRADE_FIELDS.map((field) => [field, req.body[field]]));
+      const invalid = await checkGrades(project_id, student_id, given, scores);
+      if (invalid.length > 0) {
+        return res.status(400).json({ error: "Some grades are invalid", errors: invalid });
+      }
+
+      const publish =
+        String(req.body.draft) !== "true" &&
+        (await hasSupervisorPermission(project_id, professor_id, "finalize_grades"));
+
+      let saved;
+      await startTransaction();
+      try {
+        let grades = Object.fromEntries(
+          GRADE_FIELDS.map((field) => [
+            field,
+            given[field] === undefined || given[field] === null || given[field] === "" ? undefined : Number(given[field]),
+          ])
         );
+        if (rubric) {
+          const scored = await scoreStudent(project_id, student_id, rubric, scores, req.user);
+          if (scored.error) {
+            await rollbackTransaction();
+            const [httpStatus, error] = RUBRIC_ERRORS[scored.error];
+            return res.status(httpStatus).json({ error });
+          }
+          grades = scored.grades;
+        }
+
+        saved = await saveGrades(project_id, student_id, grades, {
+          actor: req.user,
+          source: rubric ? "rubric" : "manual",
+          reason,
+        });
+        await commitTransaction();
+      } catch (err) {
+        await rollbackTransaction();
+        throw err;
       }
-      res.status(200).json({ message: "Project accepted successfully" });
+
+      await recordAudit(req, "grade.update", {
+        entityType: "project_student",
+        entityId: `${project_id}:${student_id}`,
+        before: saved.before,
+        after: {
+          ...saved.after,
+          version_id: saved.version_id,
+          draft: !publish,
+          ...(rubric && { rubric_id: rubric.rubric_id, scores }),
+        },
+      });
+
+      let publication = null;
+      if (publish) {
+        publication = await publishGrades(project_id, [student_id], req.user);
+        if (!publication.visible_from) {
+          await emailProjectStudents(
+            project_id,
+            "gradeUpdate",
+            { gradesUrl: appUrl(`/student/${student_id}/grades`) },
+            student_id
+          );
+        }
+      }
+
+      res.status(200).json({
+        message: publish ? "Grades assigned successfully" : "Grades saved as a draft",
+        published: publish,
+        visible_from: publication ? publication.visible_from : null,
+        version_id: saved.version_id,
+        grades: saved.after,
+      });
     } catch (err) {
-      console.error("Error accepting project:", err);
+      console.error("Error assigning grades:", err);
       res.status(500).json({ error: "Server error" });
     }
   }
 );
 
-// Reject Project API (DONE)
-router.put(
-  "/reject/project/:project_id/:professor_id",
-  isProfessor,
+// Publish the project's draft grades (body: student_ids, every student with
+// unpublished changes by default). Before the term's publication date they
+// become visible on that date
+router.post(
+  "/project/:project_id/grades/publish",
+  authorize(["finalizingSupervisor", "admin"]),
   async (req, res) => {
     try {
       const { project_id } = req.params;
-      const { professor_id } = req.params;
-      const status = "Rejected";
-
-      const countQuery =
-        "SELECT COUNT(*) AS count FROM projects WHERE project_id = ?";
-      const [result] = await conn.query(countQuery, [project_id]);
-      if (!result || result.length === 0 || result.count === 0) {
-        return res.status(404).json({ error: "Project not found" });
-      }
-
-      const updateStatusQuery =
-        "UPDATE projects SET approval_status = ? WHERE project_id = ?";
-      await conn.query(updateStatusQuery, [status, project_id]);
-
-      const studentsQuery =
-        "SELECT student_id FROM project_students WHERE project_id = ?";
-      const studentRows = await conn.query(studentsQuery, [project_id]);
-      const professorNameQuery =
-        "SELECT professor_name FROM professor WHERE professor_id = ?";
-      const professor_name = await conn.query(professorNameQuery, professor_id);
-      const students = studentRows.map((row) => row.student_id);
-      for (const student of students) {
-        const notificationMessage = `Your project has been rejected by Professor ${professor_name[0].professor_name}`;
-        await createNotification(
-          student,
-          professor_id,
-          project_id,
-          "project_status_update",
-          notificationMessage
-        );
+      const lock = await getGradeLock(project_id);
+      if (lock.locked) {
+        const [httpStatus, error] = GRADE_ERRORS.locked;
+        return res.status(httpStatus).json({ error, grades_lock_at: lock.lock_at });
+      }
+
+      const result = await publishGrades(project_id, req.body.student_ids, req.user);
+      if (result.error) {
+        const [httpStatus, error] = GRADE_ERRORS[result.error];
+        return res.status(httpStatus).json({ error });
       }
 
-      res.status(200).json({ message: "Project rejected successfully" });
+      await recordAudit(req, "grade.publish", {
+        entityType: "project",
+        entityId: project_id,
+        after: result,
+      });
+      if (!result.visible_from) {
+        for (const student of result.published) {
+          await emailProjectStudents(
+            project_id,
+            "gradeUpdate",
+            { gradesUrl: appUrl(`/student/${student.student_id}/grades`) },
+            student.student_id
+          );
+        }
+      }
+
+      res.status(200).json({
+        message: result.visible_from
+          ? "Grades scheduled for publication"
+          : "Grades published successfully",
+        ...result,
+      });
     } catch (err) {
-      console.error("Error rejecting project:", err);
+      console.error("Error publishing grades:", err);
       res.status(500).json({ error: "Server error" });
     }
   }
 );
 
-// Assign grades to students (DONE)
-router.get("/project/:project_id/students", async (req, res) => {
-  try {
-    const { project_id } = req.params;
+// Every change to the project's grades with who made it, when, and the old
+// and new values (query: student_id), plus the term's lock
+router.get(
+  "/project/:project_id/grades/history",
+  authorize(["supervisingProfessor", "admin"]),
+  async (req, res) => {
+    try {
+      const { project_id } = req.params;
+      const history = await getGradeHistory(project_id, req.query.student_id);
+      const lock = await getGradeLock(project_id);
+      res.status(200).json({ lock, history });
+    } catch (err) {
+      console.error("Error fetching grade history:", err);
+      res.status(500).json({ error: "Server error" });
+    }
+  }
+);
 
-    const studentDetailsQuery = `
-      SELECT students.student_id, students.student_name, project_students.semester_work_grade, project_students.final_work_grade, project_students.max_semester_work_grade, project_students.max_final_work_grade, project_students.overall_grade, project_students.max_overall_grade
-      FROM project_students
-      INNER JOIN students ON project_students.student_id = students.student_id
-      WHERE project_students.project_id = ?;
-    `;
+// The project's examination committee and each student's scores. Committee
+// members see the others' scores for a student once they scored the student
+// themselves
+router.get(
+  "/project/:project_id/committee",
+  authorize(["committeeMember", "supervisingProfessor", "admin"]),
+  async (req, res) => {
+    try {
+      const view = await getCommitteeView(req.params.project_id, req.user);
+      if (!view) {
+        const [httpStatus, error] = COMMITTEE_ERRORS.not_found;
+        return res.status(httpStatus).json({ error });
+      }
+      res.status(200).json(view);
+    } catch (err) {
+      console.error("Error fetching examination committee:", err);
+      res.status(500).json({ error: "Server error" });
+    }
+  }
+);
 
-    // Execute the query
-    const result = await conn.query(studentDetailsQuery, [project_id]);
+// Score the final work of the project's students as a committee member (body:
+// scores: [{ student_id, score, comment }]). Once every member scored a
+// student, the committee's grade is saved as their final work grade for the
+// main supervisor to publish
+router.put(
+  "/project/:project_id/committee/scores",
+  authorize("professor", "committeeMember"),
+  body("scores")
+    .isArray({ min: 1 })
+    .withMessage("Please score at least one student"),
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
 
-    const rows = result;
+      const { project_id } = req.params;
+      const lock = await getGradeLock(project_id);
+      if (lock.locked) {
+        const [httpStatus, error] = GRADE_ERRORS.locked;
+        return res.status(httpStatus).json({ error, grades_lock_at: lock.lock_at });
+      }
 
-    // Debugging lines to log the result structure
+      const result = await submitScores(project_id, req.user, req.body.scores);
+      if (result.error) {
+        const [httpStatus, error] = COMMITTEE_ERRORS[result.error];
+        return res.status(httpStatus).json({ error });
+      }
 
-    // Check if rows is an array and has elements
-    if (rows && rows.length === 0) {
-      return res
-        .status(404)
-        .json({ error: "No students found for the specified project" });
-    }
+      await recordAudit(req, "committee.score", {
+        entityType: "project",
+        entityId: project_id,
+        after: {
+          scores: req.body.scores.map(({ student_id, score }) => ({ student_id, score })),
+          completed: result.results
+            .filter((student) => student.complete)
+            .map(({ student_id, final_work_grade, flagged }) => ({ student_id, final_work_grade, flagged })),
+        },
+      });
 
-    res.status(200).json(rows);
-  } catch (err) {
-    console.error("Error fetching student details:", err);
-    res.status(500).json({ error: "Server error" });
-  }
-});
-// Assign grades to students (DONE)
-router.put("/project/assign-grades", isProfessor, async (req, res) => {
-  try {
-    const {
-      professor_id,
-      student_id,
-      project_id,
-      semester_work_grade,
-      final_work_grade,
-      max_semester_work_grade,
-      max_final_work_grade,
-    } = req.body;
-
-    const professorExistsQuery =
-      "SELECT COUNT(*) AS count FROM professor WHERE professor_id = ?";
-    const [professorResult] = await conn.query(professorExistsQuery, [
-      professor_id,
-    ]);
-    if (professorResult.count === 0) {
-      return res.status(404).json({ error: "Professor not found" });
+      const view = await getCommitteeView(project_id, req.user);
+      res.status(200).json({
+        message: "Scores submitted successfully",
+        ...view,
+      });
+    } catch (err) {
+      console.error("Error submitting committee scores:", err);
+      res.status(500).json({ error: "Server error" });
     }
+  }
+);
+
+// Grade several members of a project in one request (body: grades: [{
+// student_id, semester_work_grade, final_work_grade, max_semester_work_grade,
+// max_final_work_grade }] or [{ student_id, scores }] for rubric projects,
+// draft, reason). Nothing is saved unless every entry is valid
+router.put(
+  "/project/:project_id/grades",
+  authorize("professor", "gradingSupervisor"),
+  body("grades")
+    .isArray({ min: 1 })
+    .withMessage("Please send the grades of at least one student"),
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
 
-    const projectSupervisedQuery =
-      "SELECT COUNT(*) AS count FROM project_professor WHERE project_id = ? AND professor_id = ?";
-    const [projectSupervisedResult] = await conn.query(projectSupervisedQuery, [
-      project_id,
-      professor_id,
-    ]);
-    if (projectSupervisedResult.count === 0) {
-      return res.status(403).json({
-        error: "Professor is not authorized to supervise this project",
+      const { project_id } = req.params;
+      const lock = await getGradeLock(project_id);
+      if (lock.locked) {
+        const [httpStatus, error] = GRADE_ERRORS.locked;
+        return res.status(httpStatus).json({ error, grades_lock_at: lock.lock_at });
+      }
+
+      const publish =
+        String(req.body.draft) !== "true" &&
+        (await hasSupervisorPermission(project_id, req.user.id, "finalize_grades"));
+      const result = await gradeTeam(project_id, req.body.grades, {
+        actor: req.user,
+        reason: req.body.reason,
+        publish,
+      });
+      if (result.errors) {
+        return res.status(400).json({ error: "Some grades are invalid", errors: result.errors });
+      }
+
+      await recordAudit(req, "grade.batch_update", {
+        entityType: "project",
+        entityId: project_id,
+        before: result.saved.map(({ student_id, before }) => ({ student_id, ...before })),
+        after: {
+          grades: result.saved.map(({ student_id, version_id, after }) => ({ student_id, version_id, ...after })),
+          draft: !publish,
+        },
       });
+      for (const publication of result.publications) {
+        if (publication.visible_from) continue;
+        for (const student of publication.published) {
+          await emailProjectStudents(
+            project_id,
+            "gradeUpdate",
+            { gradesUrl: appUrl(`/student/${student.student_id}/grades`) },
+            student.student_id
+          );
+        }
+      }
+
+      res.status(200).json({
+        message: publish ? "Grades assigned successfully" : "Grades saved as a draft",
+        published: publish && result.saved.length > 0,
+        saved: result.saved.map(({ student_id, version_id, after }) => ({ student_id, version_id, grades: after })),
+        unchanged: result.unchanged,
+        visible_from: result.publications.length > 0 ? result.publications[0].visible_from : null,
+      });
+    } catch (err) {
+      console.error("Error assigning team grades:", err);
+      res.status(500).json({ error: "Server error" });
     }
+  }
+);
 
-    const projectExistsQuery =
-      "SELECT COUNT(*) AS count FROM project_students WHERE student_id = ? AND project_id = ?";
-    const [projectExistsResult] = await conn.query(projectExistsQuery, [
-      student_id,
-      project_id,
-    ]);
-    if (projectExistsResult.count === 0) {
-      return res
-        .status(404)
-        .json({ error: "Student not found in the specified project" });
+// The grade appeals of the project's students, newest first
+router.get(
+  "/project/:project_id/appeals",
+  authorize(["supervisingProfessor", "committeeMember", "admin"]),
+  async (req, res) => {
+    try {
+      const appeals = await listProjectAppeals(req.params.project_id);
+      res.status(200).json(appeals);
+    } catch (err) {
+      console.error("Error fetching grade appeals:", err);
+      res.status(500).json({ error: "Server error" });
     }
+  }
+);
 
-    let updateQuery = "UPDATE project_students SET ";
-    const updateValues = [];
-    if (semester_work_grade !== undefined) {
-      updateQuery += "semester_work_grade = ?, ";
-      updateValues.push(semester_work_grade);
+// Answer a grade appeal (body: outcome, response, grade). The main supervisor
+// answers any pending appeal, committee members those on a committee's final
+// work grade, and admins decide escalated ones. An accepted appeal's grade is
+// saved and published
+router.put(
+  "/project/:project_id/appeals/:appeal_id",
+  authorize(["finalizingSupervisor", "committeeMember", "admin"]),
+  appealDecisionRules,
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const { project_id, appeal_id } = req.params;
+      const appeals = await listProjectAppeals(project_id);
+      if (!appeals.some((appeal) => String(appeal.appeal_id) === String(appeal_id))) {
+        const [httpStatus, error] = APPEAL_ERRORS.not_found;
+        return res.status(httpStatus).json({ error });
+      }
+
+      const { outcome, response, grade } = req.body;
+      const result = await respondToAppeal(appeal_id, req.user, { outcome, response, grade });
+      if (result.error) {
+        const [httpStatus, error] = APPEAL_ERRORS[result.error];
+        return res.status(httpStatus).json({ error });
+      }
+
+      await recordAudit(req, "grade_appeal.respond", {
+        entityType: "grade_appeal",
+        entityId: appeal_id,
+        before: result.previous,
+        after: { ...result.appeal, version_id: result.version_id },
+      });
+
+      res.status(200).json({
+        message: outcome === "accepted" ? "Appeal accepted, the grade was revised" : "Appeal rejected",
+        appeal: result.appeal,
+        visible_from: result.publication ? result.publication.visible_from : null,
+      });
+    } catch (err) {
+      console.error("Error responding to grade appeal:", err);
+      res.status(500).json({ error: "Server error" });
     }
-    if (final_work_grade !== undefined) {
-      updateQuery += "final_work_grade = ?, ";
-      updateValues.push(final_work_grade);
+  }
+);
+
+// The projects the professor examines, with how many students they scored
+router.get(
+  "/:professor_id/examinations",
+  authorize("selfProfessor"),
+  async (req, res) => {
+    try {
+      const examinations = await listExaminations(req.user.id);
+      res.status(200).json(examinations);
+    } catch (err) {
+      console.error("Error fetching examinations:", err);
+      res.status(500).json({ error: "Server error" });
     }
-    if (max_semester_work_grade !== undefined) {
-      updateQuery += "max_semester_work_grade = ?, ";
-      updateValues.push(max_semester_work_grade);
+  }
+);
+
+// Download the grade sheet of every project the professor grades, as CSV
+// (query: graduation_year, graduation_term). Rubric criteria are the
+// criterion_<id> columns
+router.get(
+  "/:professor_id/grade-sheet",
+  authorize("selfProfessor"),
+  async (req, res) => {
+    try {
+      const { columns, rows } = await exportGradeSheet(req.user.id, {
+        graduationYear: req.query.graduation_year,
+        graduationTerm: req.query.graduation_term,
+      });
+
+      res.setHeader("Content-Type", "text/csv; charset=utf-8");
+      res.setHeader("Content-Disposition", 'attachment; filename="grade-sheet.csv"');
+      res.status(200).send(toCsv(columns, rows));
+    } catch (err) {
+      console.error("Error exporting grade sheet:", err);
+      res.status(500).json({ error: "Server error" });
     }
-    if (max_final_work_grade !== undefined) {
-      updateQuery += "max_final_work_grade = ?, ";
-      updateValues.push(max_final_work_grade);
+  }
+);
+
+// Import a filled in grade sheet, sent as a "sheet" file or a "csv" text field.
+// Nothing is written unless mode=commit; the report lists every row as graded,
+// unchanged or invalid with its errors. Grades are published where the
+// professor is main supervisor, unless draft=true
+router.post(
+  "/:professor_id/grade-sheet",
+  authorize("selfProfessor"),
+  gradeSheetUpload.single("sheet"),
+  async (req, res) => {
+    try {
+      const csvText = req.file ? req.file.buffer.toString("utf8") : req.body.csv;
+      if (!csvText) {
+        return res
+          .status(400)
+          .json({ error: "Upload the grade sheet as a 'sheet' CSV file or a 'csv' field" });
+      }
+
+      const report = await importGradeSheet(csvText, {
+        professor: req.user,
+        dryRun: req.body.mode !== "commit",
+        draft: String(req.body.draft) === "true",
+        reason: req.body.reason,
+      });
+      if (report.error) {
+        return res.status(400).json({ error: report.error });
+      }
+
+      if (report.mode === "commit" && report.graded.length > 0) {
+        await recordAudit(req, "grade.sheet_import", {
+          entityType: "professor",
+          entityId: req.user.id,
+          after: {
+            summary: report.summary,
+            graded: report.graded,
+            published_projects: report.publications.map((publication) => publication.project_id),
+          },
+        });
+        for (const publication of report.publications) {
+          if (publication.visible_from) continue;
+          for (const student of publication.published) {
+            await emailProjectStudents(
+              publication.project_id,
+              "gradeUpdate",
+              { gradesUrl: appUrl(`/student/${student.student_id}/grades`) },
+              student.student_id
+            );
+          }
+        }
+      }
+
+      res.status(200).json(report);
+    } catch (err) {
+      console.error("Error importing grade sheet:", err);
+      res.status(500).json({ error: "Server error" });
     }
-    updateQuery = updateQuery.slice(0, -2);
-    updateQuery += " WHERE student_id = ? AND project_id = ?";
-    updateValues.push(student_id, project_id);
-    await conn.query(updateQuery, updateValues);
-
-    const notificationMessage = `Your grade has been updated.`;
-    await createNotification(
-      student_id,
-      professor_id,
-      project_id,
-      "grade_update",
-      notificationMessage
-    );
+  }
+);
 
-    res.status(200).json({ message: "Grades assigned successfully" });
-  } catch (err) {
-    console.error("Error assigning grades:", err);
-    res.status(500).json({ error: "Server error" });
+// Email the students of a project (or just one of them), each gets their own name in the template
+async function emailProjectStudents(projectId, templateName, data, studentId) {
+  let sql =
+    "SELECT students.student_name, students.student_email, projects.title FROM project_students INNER JOIN students ON project_students.student_id = students.student_id INNER JOIN projects ON project_students.project_id = projects.project_id WHERE project_students.project_id = ?";
+  const values = [projectId];
+  if (studentId !== undefined) {
+    sql += " AND project_students.student_id = ?";
+    values.push(studentId);
   }
-});
 
-async function createNotification(
-  recipientId,
-  senderId,
-  projectId,
-  notificationType,
-  message
-) {
-  return new Promise((resolve, reject) => {
-    const sql =
-      "INSERT INTO notifications (recipient_id, sender_id, project_id, notification_type, notification_message, read_status) VALUES (?, ?, ?, ?, ?, 'unread')";
-    conn.query(
-      sql,
-      [recipientId, senderId, projectId, notificationType, message],
-      (err, result) => {
-        if (err) reject(err);
-        else resolve(result);
-      }
-    );
-  });
+  const students = await conn.query(sql, values);
+  for (const student of students) {
+    queueMail(student.student_email, templateName, {
+      ...data,
+      name: student.student_name,
+      projectTitle: student.title,
+    });
+  }
 }
 
 // Change Email for Professor
 router.put(
   "/:professor_id/change-email",
+  authorize("selfProfessor"),
   param("professor_id")
     .isInt()
     .withMessage("Please enter a valid professor ID (integer)"),
@@ -483,7 +1275,7 @@ router.put(
     .isEmail()
     .withMessage("Please enter a valid new email")
     .custom(async (value, { req }) => {
-      const professorId = req.params.professor_id;
+      const professorId = req.user.id;
       const currentEmail = req.body.current_email;
 
       // Check if the new email is different from the current one
@@ -509,7 +1301,7 @@ router.put(
     }),
   async (req, res) => {
     try {
-      const { professor_id } = req.params;
+      const professor_id = req.user.id;
       const { new_email, current_email } = req.body;
 
       // Check for validation errors
@@ -529,13 +1321,22 @@ router.put(
         });
       }
 
-      // Update professor's email with the new one
+      // Update professor's email with the new one, it has to be verified again
       await conn.query(
-        "UPDATE professor SET professor_email = ? WHERE professor_id = ?",
+        "UPDATE professor SET professor_email = ?, email_verified_at = NULL WHERE professor_id = ?",
         [new_email, professor_id]
       );
+      await recordAudit(req, "auth.email_change", {
+        entityType: "professor",
+        entityId: professor_id,
+        before: { professor_email: current_email },
+        after: { professor_email: new_email },
+      });
+      await sendVerification(professor_id, "professor");
 
-      res.status(200).json({ message: "Email updated successfully" });
+      res.status(200).json({
+        message: "Email updated successfully. Please check your new inbox to verify it before logging in again.",
+      });
     } catch (err) {
       console.error("Error changing email for professor:", err);
       res.status(500).json({ error: "Server error" });
@@ -546,6 +1347,7 @@ router.put(
 // Change Password for Professor
 router.put(
   "/:professor_id/change-password",
+  authorize("selfProfessor"),
   param("professor_id")
     .isInt()
     .withMessage("Please enter a valid professor ID (integer)"),
@@ -556,7 +1358,6 @@ router.put(
     .isLength({ min: 8, max: 12 })
     .withMessage("New password should be between (8-12) characters")
     .custom(async (value, { req }) => {
-      const professorId = req.params.professor_id;
       const oldPassword = req.body.old_password;
 
       // Check if the old password is the same as the new password
@@ -568,7 +1369,7 @@ router.put(
     }),
   async (req, res) => {
     try {
-      const professorId = req.params.professor_id;
+      const professorId = req.user.id;
       const { old_password, new_password } = req.body;
 
       // Check for validation errors
@@ -605,6 +1406,13 @@ router.put(
         [hashedNewPassword, professorId]
       );
 
+      // Sign out every device that used the old password
+      await revokeAllSessions(professorId, "professor");
+      await recordAudit(req, "auth.password_change", {
+        entityType: "professor",
+        entityId: professorId,
+      });
+
       res.status(200).json({ message: "Password updated successfully" });
     } catch (err) {
       console.error("Error changing password for professor:", err);
@@ -633,15 +1441,17 @@ router.post(
       const query = util.promisify(conn.query).bind(conn);
       const email = req.body.email;
 
+      // Same answer whether or not the email is registered, so it can't be used to probe accounts
+      const message =
+        "If an account exists for that email, a password reset link has been sent to it.";
+
       // Check if email exists in the database
       const professor = await query(
         "SELECT * FROM professor WHERE professor_email = ?",
         [email]
       );
       if (professor.length === 0) {
-        return res
-          .status(404)
-          .json({ error: "No account found with that email address." });
+        return res.status(200).json({ message });
       }
 
       // Generate a password reset token
@@ -653,14 +1463,19 @@ router.post(
         "UPDATE professor SET reset_password_token = ?, reset_password_expires = ? WHERE professor_email = ?",
         [resetToken, resetTokenExpiration, email]
       );
+      await recordAudit(req, "auth.password_reset_requested", {
+        entityType: "professor",
+        entityId: professor[0].professor_id,
+      });
 
-      // Instead of sending an email, we return the token in the response for testing
-      res
-        .status(200)
-        .json({
-          message: "Password reset token generated successfully!",
-          resetToken,
-        });
+      // Email the reset link, the token itself never appears in the response
+      await sendMail(email, "passwordReset", {
+        name: professor[0].professor_name,
+        resetUrl: appUrl(`/reset-professor-password/${resetToken}`),
+        expiresInMinutes: 60,
+      });
+
+      res.status(200).json({ message });
     } catch (err) {
       console.error("Error requesting password reset:", err);
       res.status(500).json({ error: "Server error" });
@@ -705,6 +1520,14 @@ router.post(
         [hashedPassword, resetToken]
       );
 
+      // Sign out every device that used the old password
+      await revokeAllSessions(professor[0].professor_id, "professor");
+      await recordAudit(req, "auth.password_reset", {
+        actor: { id: professor[0].professor_id, role: "professor" },
+        entityType: "professor",
+        entityId: professor[0].professor_id,
+      });
+
       res
         .status(200)
         .json({ message: "Password has been reset successfully!" });
@@ -1,163 +1,265 @@
 const express = require("express");
 const router = express.Router();
 const conn = require("../db/dbConnection");
-const multer = require("multer");
-const path = require("path");
 const fs = require("fs");
 const { promisify } = require("util");
 const unlinkAsync = promisify(fs.unlink);
+const authorize = require("../middleware/authorize");
+const identifyUser = require("../middleware/identifyUser");
+const policies = require("../middleware/policies");
+const {
+  uploadProjectFiles,
+  uploadProjectFile,
+  removeUploads,
+} = require("../middleware/projectUpload");
+const {
+  startTransaction,
+  commitTransaction,
+  rollbackTransaction,
+} = require("../db/transaction");
+const { recordAudit } = require("../services/audit");
+const { createNotification } = require("../services/notification");
+const {
+  PROJECT_STATUSES,
+  ACCEPTED_STATUSES,
+  EDITABLE_STATUSES,
+  TRANSITION_ERRORS,
+  REVIEW_CATEGORIES,
+  getProject,
+  allowedTransitions,
+  recordStatusHistory,
+  getStatusHistory,
+  getLatestReview,
+  transitionProject,
+} = require("../services/projectLifecycle");
+const {
+  FILE_KINDS,
+  LEGACY_FILE_KIND,
+  listProjectFiles,
+  listVersions,
+  addFileVersion,
+  restoreVersion,
+} = require("../services/projectFiles");
+const {
+  OPEN_TEAM_STATUSES,
+  INVITATION_ERRORS,
+  findInvitableStudents,
+  findBoundStudents,
+  addMember,
+  getMemberHistory,
+  inviteStudents,
+  listProjectInvitations,
+  listStudentInvitations,
+  respondToInvitation,
+  cancelInvitation,
+  TEAM_CHANGE_ERRORS,
+  listTeamChanges,
+  requestTeamChange,
+  decideTeamChange,
+  cancelTeamChange,
+} = require("../services/projectTeam");
+const {
+  SUPERVISOR_ROLE_LABELS,
+  SUPERVISION_ERRORS,
+  listSupervisors,
+  syncSupervisorName,
+  inviteSupervisor,
+  listProjectSupervisorInvitations,
+  cancelSupervisorInvitation,
+  removeSupervisor,
+  changeSupervisorRole,
+} = require("../services/supervision");
+const { PROPOSAL_ERRORS, checkProposal } = require("../services/termSettings");
+const {
+  MILESTONE_ERRORS,
+  inheritMilestones,
+  getMilestone,
+  listProjectMilestones,
+  setDueDate,
+  submitDeliverable,
+  reviewMilestone,
+} = require("../services/milestones");
+const { findSimilarProjects, checkProject } = require("../services/similarity");
 
-const storage = multer.diskStorage({
-  destination: "project_files/",
-  filename: (req, file, cb) =>
-    cb(null, Date.now() + path.extname(file.originalname)),
-});
-const upload = multer({ storage });
-
-// Create Project
-
-router.post("/create", upload.single("projectFile"), async (req, res) => {
-  const {
-    title,
-    description,
-    supervisor_name,
-    graduation_year,
-    graduation_term,
-    department_name,
-    github_link,
-    teammateData,
-    professor_id,
-  } = req.body;
-
-  const project_file_path = req.file ? req.file.path : null;
-
+// Run the similarity check on a saved project. A failed check is logged and
+// doesn't fail the request, the project is then simply not flagged
+async function runSimilarityCheck(projectId) {
   try {
-    const studentIds = teammateData.map((teammate) => teammate.studentId);
-    const existingStudents = await checkExistingStudents(studentIds);
-    if (existingStudents.length > 0) {
-      return res.status(400).json({
-        error: "One or more students are already associated with a project",
-      });
-    }
+    return await checkProject(projectId);
+  } catch (err) {
+    console.error("Error checking project similarity:", err);
+    return null;
+  }
+}
+
+// The uploaded files of a request as [{ kind, file }]
+function uploadedFiles(req) {
+  const files = req.files || {};
+  const uploads = [];
+  if (files.projectFile) {
+    uploads.push({ kind: LEGACY_FILE_KIND, file: files.projectFile[0] });
+  }
+  for (const kind of FILE_KINDS) {
+    if (files[kind]) uploads.push({ kind, file: files[kind][0] });
+  }
+  return uploads;
+}
 
-    await startTransaction();
+// Create Project
 
-    const projectInsertion = await insertProject(
+router.post(
+  "/create",
+  authorize("student"),
+  uploadProjectFiles,
+  async (req, res) => {
+    const {
       title,
       description,
-      supervisor_name,
       graduation_year,
       graduation_term,
       department_name,
-      project_file_path,
       github_link,
-      professor_id
-    );
+      teammateData,
+      professor_id,
+    } = req.body;
 
-    const projectId = projectInsertion.insertId;
+    const uploads = uploadedFiles(req);
+    // Drafts stay with the team until they submit them
+    let status = String(req.body.draft) === "true" ? "draft" : "submitted";
 
-    if (teammateData && teammateData.length) {
-      for (const teammate of teammateData) {
-        await insertProjectStudent(
-          projectId,
-          teammate.name,
-          teammate.studentId
-        );
-      }
-    }
+    try {
+      const studentIds = (teammateData || []).map((teammate) => teammate.studentId);
 
-    const notificationMessage = `A new project '${title}' has been submitted for your approval.`;
-    await createNotification(
-      professor_id,
-      null,
-      projectId,
-      "project_request",
-      notificationMessage
-    );
+      // The student creating the project has to be part of its team
+      if (!studentIds.map(String).includes(String(req.user.id))) {
+        removeUploads(req);
+        return res.status(403).json({
+          error: "You can only create a project you are a member of",
+        });
+      }
 
-    await commitTransaction();
+      const existingStudents = await findBoundStudents(studentIds);
+      if (existingStudents.length > 0) {
+        removeUploads(req);
+        return res.status(400).json({
+          error: "One or more students are already associated with a project",
+        });
+      }
 
-    res.status(201).json({
-      message: "Project and student associations created successfully",
-    });
-  } catch (err) {
-    console.error("Error in project creation or student association:", err);
+      const { students, unknown } = await findInvitableStudents(studentIds);
+      if (unknown.length > 0) {
+        removeUploads(req);
+        return res.status(400).json({
+          error: "One or more student IDs don't belong to an active student",
+          student_ids: unknown,
+        });
+      }
 
-    await rollbackTransaction();
+      // The creator joins right away, the others are invited and have to accept.
+      // Until they all answer the project stays a draft
+      const creator = students.find((student) => String(student.student_id) === String(req.user.id));
+      const invitees = students.filter((student) => student !== creator);
+      if (invitees.length > 0) status = "draft";
 
-    if (project_file_path) {
-      fs.unlink(project_file_path, (unlinkErr) => {
-        if (unlinkErr) {
-          console.error("Error deleting uploaded file:", unlinkErr);
-        }
+      // The term's proposal window applies to drafts too, the supervisor's quota
+      // only once the project is sent to them
+      const blocked = await checkProposal({
+        graduationYear: graduation_year,
+        graduationTerm: graduation_term,
+        professorId: professor_id,
+        checkQuota: status === "submitted",
       });
-    }
+      if (blocked) {
+        removeUploads(req);
+        const [httpStatus, error] = PROPOSAL_ERRORS[blocked.error];
+        return res.status(httpStatus).json({ error, ...blocked.details });
+      }
 
-    res.status(500).json({
-      error:
-        "Server error during project creation. Transaction has been rolled back.",
-    });
-  }
-});
+      await startTransaction();
 
-async function createNotification(
-  recipientId,
-  senderId,
-  projectId,
-  notificationType,
-  message
-) {
-  return new Promise((resolve, reject) => {
-    const sql =
-      "INSERT INTO notifications (recipient_id, sender_id, project_id, notification_type, notification_message, read_status) VALUES (?, ?, ?, ?, ?, 'unread')";
-    conn.query(
-      sql,
-      [recipientId, senderId, projectId, notificationType, message],
-      (err, result) => {
-        if (err) reject(err);
-        else resolve(result);
+      // supervisor_name is derived from the supervisors, not typed in
+      const projectInsertion = await insertProject(
+        title,
+        description,
+        null,
+        graduation_year,
+        graduation_term,
+        department_name,
+        null,
+        github_link,
+        professor_id,
+        status
+      );
+
+      const projectId = projectInsertion.insertId;
+      await syncSupervisorName(projectId);
+      await inheritMilestones({ projectId });
+      await recordStatusHistory(projectId, null, status, req.user);
+
+      await addMember(projectId, creator, req.user);
+      const invitations = await inviteStudents(projectId, title, invitees, req.user);
+
+      const files = [];
+      for (const { kind, file } of uploads) {
+        files.push(await addFileVersion(projectId, kind, file, req.user));
       }
-    );
-  });
-}
 
-function checkExistingStudents(studentIds) {
-  return new Promise((resolve, reject) => {
-    const sql =
-      "SELECT student_id FROM project_students WHERE student_id IN (?)";
-    conn.query(sql, [studentIds], (err, results) => {
-      if (err) reject(err);
-      else resolve(results);
-    });
-  });
-}
+      if (status === "submitted") {
+        const notificationMessage = `A new project '${title}' has been submitted for your approval.`;
+        await createNotification(
+          professor_id,
+          req.user.id,
+          projectId,
+          "project_request",
+          notificationMessage
+        );
+      }
 
-function startTransaction() {
-  return new Promise((resolve, reject) => {
-    conn.beginTransaction((err) => {
-      if (err) reject(err);
-      else resolve();
-    });
-  });
-}
+      await commitTransaction();
 
-function commitTransaction() {
-  return new Promise((resolve, reject) => {
-    conn.commit((err) => {
-      if (err) reject(err);
-      else resolve();
-    });
-  });
-}
+      const similarity = await runSimilarityCheck(projectId);
 
-function rollbackTransaction() {
-  return new Promise((resolve, reject) => {
-    conn.rollback((err) => {
-      if (err) reject(err);
-      else resolve();
-    });
-  });
-}
+      await recordAudit(req, "project.create", {
+        entityType: "project",
+        entityId: projectId,
+        after: {
+          title,
+          graduation_year,
+          graduation_term,
+          department_name,
+          professor_id,
+          approval_status: status,
+          files,
+          student_ids: [creator.student_id],
+          invited_student_ids: invitees.map((student) => student.student_id),
+        },
+      });
+
+      res.status(201).json({
+        message:
+          invitations.length > 0
+            ? "Project created, it can be submitted once every invited teammate has answered"
+            : "Project and student associations created successfully",
+        project_id: projectId,
+        approval_status: status,
+        invitations,
+        files,
+        similar_projects: similarity ? similarity.similar : [],
+        similarity_flagged: similarity ? similarity.flagged : false,
+      });
+    } catch (err) {
+      console.error("Error in project creation or student association:", err);
+
+      await rollbackTransaction();
+      removeUploads(req);
+
+      res.status(500).json({
+        error:
+          "Server error during project creation. Transaction has been rolled back.",
+      });
+    }
+  }
+);
 
 function insertProject(
   title,
@@ -168,11 +270,12 @@ function insertProject(
   department_name,
   project_files_path,
   github_link,
-  professor_id
+  professor_id,
+  approval_status
 ) {
   return new Promise((resolve, reject) => {
     const sql =
-      "INSERT INTO projects (title, description, supervisor_name, graduation_year, graduation_term, department_name, project_files_path, github_link, approval_status, total_votes, professor_id) VALUES (?, ?, ?, ?, ?, ?, ?, ?, 'pending', 0, ?)";
+      "INSERT INTO projects (title, description, supervisor_name, graduation_year, graduation_term, department_name, project_files_path, github_link, approval_status, total_votes, professor_id) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, 0, ?)";
     conn.query(
       sql,
       [
@@ -184,6 +287,7 @@ function insertProject(
         department_name,
         project_files_path,
         github_link,
+        approval_status,
         professor_id,
       ],
       (err, result) => {
@@ -194,19 +298,8 @@ function insertProject(
   });
 }
 
-function insertProjectStudent(projectId, studentName, studentId) {
-  return new Promise((resolve, reject) => {
-    const sql =
-      "INSERT INTO project_students (project_id, student_name, student_id) VALUES (?, ?, ?)";
-    conn.query(sql, [projectId, studentName, studentId], (err) => {
-      if (err) reject(err);
-      else resolve();
-    });
-  });
-}
-
 // Get all projects Accepted or not (Admin)
-router.get("/all", (req, res) => {
+router.get("/all", authorize("admin"), (req, res) => {
   conn.query(
     "SELECT project_id, title, description, supervisor_name, graduation_year, graduation_term, department_name, project_files_path, github_link, approval_status, total_votes FROM projects",
     (err, results) => {
@@ -221,7 +314,8 @@ router.get("/all", (req, res) => {
 // Get all projects Accepted(ALL USERS)
 router.get("/accepted", (req, res) => {
   conn.query(
-    "SELECT project_id, title, description, supervisor_name, graduation_year, graduation_term, department_name, project_files_path, github_link, approval_status, total_votes FROM projects WHERE approval_status = 'approved'",
+    "SELECT project_id, title, description, supervisor_name, graduation_year, graduation_term, department_name, project_files_path, github_link, approval_status, total_votes FROM projects WHERE approval_status IN (?)",
+    [ACCEPTED_STATUSES],
     (err, results) => {
       if (err) {
         res.status(500).json({ error: "Error fetching approved projects" });
@@ -232,114 +326,1002 @@ router.get("/accepted", (req, res) => {
   );
 });
 
-// Get project by id (Done)
-router.get("/:id", (req, res) => {
-  const projectId = req.params.id;
+// Pending invitations of the logged in student
+router.get("/invitations", authorize("student"), async (req, res) => {
+  try {
+    const invitations = await listStudentInvitations(req.user.id);
+    res.status(200).json(invitations);
+  } catch (err) {
+    console.error("Error fetching project invitations:", err);
+    res.status(500).json({ error: "Server error" });
+  }
+});
 
-  conn.query(
-    'SELECT project_id, title, description, supervisor_name, graduation_year, graduation_term, department_name, project_files_path, github_link, IFNULL(approval_status, "pending") AS approval_status, IFNULL(total_votes, 0) AS total_votes FROM projects WHERE project_id = ?',
-    [projectId],
-    (err, results) => {
-      if (err) {
-        res.status(500).json({ error: "Error fetching project" });
-      } else if (results.length === 0) {
-        res.status(404).json({ error: "Project not found" });
-      } else {
-        res.status(200).json(results[0]);
-      }
+// Accept or decline an invitation to join a project's team
+const answerInvitation = (accept) => async (req, res) => {
+  try {
+    const invitationId = req.params.invitation_id;
+    const result = await respondToInvitation(invitationId, req.user, accept);
+    if (result.error) {
+      const [httpStatus, error] = INVITATION_ERRORS[result.error];
+      return res.status(httpStatus).json({ error });
     }
+
+    await recordAudit(req, `project_invitation.${accept ? "accept" : "decline"}`, {
+      entityType: "project",
+      entityId: result.invitation.project_id,
+      before: { invitation_id: result.invitation.invitation_id, status: "pending" },
+      after: { invitation_id: result.invitation.invitation_id, status: result.status },
+    });
+
+    res.status(200).json({
+      message: `Invitation ${result.status}`,
+      project_id: result.invitation.project_id,
+      status: result.status,
+    });
+  } catch (err) {
+    console.error("Error answering project invitation:", err);
+    res.status(500).json({ error: "Server error" });
+  }
+};
+
+router.post("/invitations/:invitation_id/accept", authorize("student"), answerInvitation(true));
+router.post("/invitations/:invitation_id/decline", authorize("student"), answerInvitation(false));
+
+// Categories a supervisor can give when rejecting or requesting changes
+router.get("/review-categories", (req, res) => {
+  res.status(200).json(
+    Object.entries(REVIEW_CATEGORIES).map(([category, label]) => ({ category, label }))
   );
 });
 
+// The team, its supervisors and admins may read the review feedback and every
+// version of the project's files
+async function isProjectInsider(req) {
+  if (!req.user) return false;
+  for (const name of ["projectMember", "supervisingProfessor", "admin"]) {
+    if (await policies[name](req)) return true;
+  }
+  return false;
+}
+
+// Get project by id (Done). The team also gets the latest review decision and feedback
+router.get("/:id", identifyUser, async (req, res) => {
+  try {
+    const projectId = req.params.id;
+
+    const results = await conn.query(
+      'SELECT project_id, title, description, supervisor_name, graduation_year, graduation_term, department_name, project_files_path, github_link, approval_status, status_changed_at, IFNULL(total_votes, 0) AS total_votes FROM projects WHERE project_id = ?',
+      [projectId]
+    );
+    if (results.length === 0) {
+      return res.status(404).json({ error: "Project not found" });
+    }
+
+    const project = results[0];
+    project.supervisors = await listSupervisors(projectId);
+    if (await isProjectInsider(req)) {
+      project.review = await getLatestReview(projectId);
+    }
+
+    res.status(200).json(project);
+  } catch (err) {
+    console.error("Error fetching project:", err);
+    res.status(500).json({ error: "Error fetching project" });
+  }
+});
+
 // Update Project by id
-router.put("/update/:id", upload.single("projectFile"), async (req, res) => {
-  const projectId = req.params.id;
-
-  const {
-    title,
-    description,
-    supervisor_name,
-    graduation_year,
-    graduation_term,
-    department_name,
-    github_link,
-    professor_id,
-  } = req.body;
+router.put(
+  "/update/:id",
+  authorize(["projectMember", "admin"]),
+  uploadProjectFiles,
+  async (req, res) => {
+    const projectId = req.params.id;
+
+    const {
+      title,
+      description,
+      graduation_year,
+      graduation_term,
+      department_name,
+      github_link,
+      professor_id,
+    } = req.body;
+
+    try {
+      const [previous] = await conn.query(
+        "SELECT title, description, supervisor_name, graduation_year, graduation_term, department_name, github_link, project_files_path, professor_id, approval_status FROM projects WHERE project_id = ?",
+        [projectId]
+      );
+      if (!previous) {
+        removeUploads(req);
+        return res.status(404).json({ error: "Project not found" });
+      }
+
+      // What the project is about only changes before it is accepted; files
+      // and the repository link stay editable for the team's work
+      const detailsChanged = [
+        title,
+        description,
+        graduation_year,
+        graduation_term,
+        department_name,
+        professor_id,
+      ].some((value) => value);
+      if (detailsChanged && !EDITABLE_STATUSES.includes(previous.approval_status)) {
+        removeUploads(req);
+        const [httpStatus, error] = TRANSITION_ERRORS.not_editable;
+        return res.status(httpStatus).json({ error, approval_status: previous.approval_status });
+      }
+
+      // Once the proposal is sent, supervisors change through the supervisor
+      // invitations and roles, which keep the main supervisor in one place
+      const supervisorChanged =
+        professor_id && String(professor_id) !== String(previous.professor_id);
+      if (supervisorChanged && previous.approval_status !== "draft") {
+        removeUploads(req);
+        const [httpStatus, error] = SUPERVISION_ERRORS.supervisor_locked;
+        return res.status(httpStatus).json({ error });
+      }
+
+      let query = "UPDATE projects SET ";
+      const values = [];
+
+      if (title) {
+        query += "title = ?, ";
+        values.push(title);
+      }
+      if (description) {
+        query += "description = ?, ";
+        values.push(description);
+      }
+      if (graduation_year) {
+        query += "graduation_year = ?, ";
+        values.push(graduation_year);
+      }
+      if (graduation_term) {
+        query += "graduation_term = ?, ";
+        values.push(graduation_term);
+      }
+      if (department_name) {
+        query += "department_name = ?, ";
+        values.push(department_name);
+      }
+      if (github_link) {
+        query += "github_link = ?, ";
+        values.push(github_link);
+      }
+      if (professor_id) {
+        query += "professor_id = ?, ";
+        values.push(professor_id);
+      }
+
+      // Uploading files alone leaves the project row as it is
+      if (values.length > 0) {
+        query = query.slice(0, -2);
+
+        query += " WHERE project_id = ?";
+        values.push(projectId);
+
+        await conn.query(query, values);
+      }
+      if (professor_id) {
+        await syncSupervisorName(projectId);
+      }
+      // A project moved to another term picks up that term's milestones
+      if (graduation_year || graduation_term) {
+        await inheritMilestones({ projectId });
+      }
+
+      // New uploads become new versions, earlier ones stay downloadable
+      const files = [];
+      for (const { kind, file } of uploadedFiles(req)) {
+        files.push(await addFileVersion(projectId, kind, file, req.user));
+      }
+
+      // A new title or description is compared against the other projects again
+      const similarity = title || description ? await runSimilarityCheck(projectId) : null;
+
+      await recordAudit(req, "project.update", {
+        entityType: "project",
+        entityId: projectId,
+        before: previous,
+        after: {
+          title,
+          description,
+          graduation_year,
+          graduation_term,
+          department_name,
+          github_link,
+          professor_id,
+          files: files.length > 0 ? files : undefined,
+        },
+      });
+
+      // Updating a project sent back for changes resubmits it, unless resubmit=false
+      // (the team can then keep editing and resubmit with a later update)
+      let approvalStatus = previous.approval_status;
+      if (approvalStatus === "changes-requested" && String(req.body.resubmit) !== "false") {
+        const result = await transitionProject(projectId, "submitted", {
+          actor: req.user,
+          reason: req.body.resubmission_note,
+        });
+        if (!result.error) {
+          approvalStatus = result.to;
+          await recordAudit(req, "project.status_change", {
+            entityType: "project",
+            entityId: projectId,
+            before: { approval_status: result.from },
+            after: { approval_status: result.to },
+          });
+        }
+      }
+
+      res.status(200).json({
+        message: "Project updated successfully",
+        approval_status: approvalStatus,
+        files,
+        ...(similarity && {
+          similar_projects: similarity.similar,
+          similarity_flagged: similarity.flagged,
+        }),
+      });
+    } catch (err) {
+      console.error("Error updating project:", err);
+      res.status(500).json({ error: "Server error" });
+    }
+  }
+);
+
+// Move a project through its lifecycle: submit a draft, start, complete or archive
+// it (body: status, reason, optional reason_category and suggested_changes).
+// Who may make which change is checked per transition
+router.put(
+  "/:id/status",
+  authorize(["projectMember", "reviewingSupervisor", "admin"]),
+  async (req, res) => {
+    try {
+      const projectId = req.params.id;
+      const { status, reason, reason_category, suggested_changes } = req.body;
 
+      if (!PROJECT_STATUSES.includes(status)) {
+        return res.status(400).json({
+          error: `Status must be one of: ${PROJECT_STATUSES.join(", ")}`,
+        });
+      }
+
+      const result = await transitionProject(projectId, status, {
+        actor: req.user,
+        reason,
+        category: reason_category,
+        suggestedChanges: suggested_changes,
+      });
+      if (result.error) {
+        const [httpStatus, error] = TRANSITION_ERRORS[result.error];
+        return res.status(httpStatus).json({ error, allowed: result.allowed, ...result.details });
+      }
+
+      await recordAudit(req, "project.status_change", {
+        entityType: "project",
+        entityId: projectId,
+        before: { approval_status: result.from },
+        after: {
+          approval_status: result.to,
+          reason_category: reason_category || null,
+          reason: reason || null,
+          suggested_changes: suggested_changes || null,
+        },
+      });
+
+      res.status(200).json({
+        message: "Project status updated successfully",
+        approval_status: result.to,
+        allowed_transitions: allowedTransitions(result.to),
+      });
+    } catch (err) {
+      console.error("Error updating project status:", err);
+      res.status(500).json({ error: "Server error" });
+    }
+  }
+);
+
+// Status history of a project, oldest first, with the current status and the next legal ones
+router.get(
+  "/:id/history",
+  authorize(["projectMember", "supervisingProfessor", "admin"]),
+  async (req, res) => {
+    try {
+      const project = await getProject(req.params.id);
+      if (!project) {
+        return res.status(404).json({ error: "Project not found" });
+      }
+
+      const history = await getStatusHistory(project.project_id);
+      res.status(200).json({
+        approval_status: project.approval_status,
+        allowed_transitions: allowedTransitions(project.approval_status),
+        history,
+      });
+    } catch (err) {
+      console.error("Error fetching project status history:", err);
+      res.status(500).json({ error: "Server error" });
+    }
+  }
+);
+
+// The project's confirmed members, every invitation sent for it and who joined and left
+router.get(
+  "/:id/team",
+  authorize(["projectMember", "supervisingProfessor", "admin"]),
+  async (req, res) => {
+    try {
+      const project = await getProject(req.params.id);
+      if (!project) {
+        return res.status(404).json({ error: "Project not found" });
+      }
+
+      const members = await conn.query(
+        "SELECT student_id, student_name FROM project_students WHERE project_id = ?",
+        [project.project_id]
+      );
+      const invitations = await listProjectInvitations(project.project_id);
+      const history = await getMemberHistory(project.project_id);
+      res.status(200).json({ members, invitations, history });
+    } catch (err) {
+      console.error("Error fetching project team:", err);
+      res.status(500).json({ error: "Server error" });
+    }
+  }
+);
+
+// Invite another student to a draft project's team (body: student_id)
+router.post(
+  "/:id/invitations",
+  authorize(["projectMember", "admin"]),
+  async (req, res) => {
+    try {
+      const project = await getProject(req.params.id);
+      if (!project) {
+        return res.status(404).json({ error: "Project not found" });
+      }
+      if (!OPEN_TEAM_STATUSES.includes(project.approval_status)) {
+        const [httpStatus, error] = INVITATION_ERRORS.team_locked;
+        return res.status(httpStatus).json({ error });
+      }
+
+      const { student_id } = req.body;
+      const { students } = await findInvitableStudents(student_id ? [student_id] : []);
+      if (students.length === 0) {
+        return res.status(400).json({
+          error: "The student ID doesn't belong to an active student",
+        });
+      }
+
+      const bound = await findBoundStudents([student_id]);
+      if (bound.length > 0) {
+        return res.status(409).json({
+          error: "The student is already associated with a project",
+        });
+      }
+      const pending = await conn.query(
+        "SELECT 1 FROM project_invitations WHERE project_id = ? AND student_id = ? AND status = 'pending'",
+        [project.project_id, student_id]
+      );
+      if (pending.length > 0) {
+        return res.status(409).json({
+          error: "The student already has a pending invitation to this project",
+        });
+      }
+
+      const [invitation] = await inviteStudents(
+        project.project_id,
+        project.title,
+        students,
+        req.user
+      );
+      await recordAudit(req, "project_invitation.create", {
+        entityType: "project",
+        entityId: project.project_id,
+        after: invitation,
+      });
+
+      res.status(201).json(invitation);
+    } catch (err) {
+      console.error("Error inviting teammate:", err);
+      res.status(500).json({ error: "Server error" });
+    }
+  }
+);
+
+// Withdraw a pending invitation, e.g. one sent to a mistyped student ID
+router.delete(
+  "/:id/invitations/:invitation_id",
+  authorize(["projectMember", "admin"]),
+  async (req, res) => {
+    try {
+      const { id: projectId, invitation_id } = req.params;
+      const result = await cancelInvitation(projectId, invitation_id);
+      if (result.error) {
+        const [httpStatus, error] = INVITATION_ERRORS[result.error];
+        return res.status(httpStatus).json({ error });
+      }
+
+      await recordAudit(req, "project_invitation.cancel", {
+        entityType: "project",
+        entityId: projectId,
+        before: { invitation_id: result.invitation.invitation_id, student_id: result.invitation.student_id, status: "pending" },
+        after: { invitation_id: result.invitation.invitation_id, status: "cancelled" },
+      });
+
+      res.status(200).json({ message: "Invitation cancelled" });
+    } catch (err) {
+      console.error("Error cancelling project invitation:", err);
+      res.status(500).json({ error: "Server error" });
+    }
+  }
+);
+
+// Team changes asked for on the project, newest first
+router.get(
+  "/:id/team-changes",
+  authorize(["projectMember", "supervisingProfessor", "admin"]),
+  async (req, res) => {
+    try {
+      const changes = await listTeamChanges(req.params.id);
+      res.status(200).json(changes);
+    } catch (err) {
+      console.error("Error fetching team changes:", err);
+      res.status(500).json({ error: "Server error" });
+    }
+  }
+);
+
+// Ask the supervisor to add or remove a member, or to leave the team
+// (body: change_type, student_id for add and remove, reason)
+router.post(
+  "/:id/team-changes",
+  authorize(["projectMember", "admin"]),
+  async (req, res) => {
+    try {
+      const projectId = req.params.id;
+      const { change_type, student_id, reason } = req.body;
+
+      const result = await requestTeamChange(
+        projectId,
+        { type: change_type, studentId: student_id, reason },
+        req.user
+      );
+      if (result.error) {
+        const [httpStatus, error] = TEAM_CHANGE_ERRORS[result.error];
+        return res.status(httpStatus).json({ error });
+      }
+
+      await recordAudit(req, "team_change.request", {
+        entityType: "project",
+        entityId: projectId,
+        after: result.change,
+      });
+
+      res.status(201).json(result.change);
+    } catch (err) {
+      console.error("Error requesting team change:", err);
+      res.status(500).json({ error: "Server error" });
+    }
+  }
+);
+
+// The supervisor approves or rejects a team change (body: note)
+const decideChange = (approve) => async (req, res) => {
   try {
-    let project_file_path = null;
-    if (req.file) {
-      project_file_path = req.file.path;
+    const { id: projectId, change_id } = req.params;
+    const result = await decideTeamChange(projectId, change_id, approve, req.user, req.body.note);
+    if (result.error) {
+      const [httpStatus, error] = TEAM_CHANGE_ERRORS[result.error];
+      return res.status(httpStatus).json({ error });
+    }
+
+    await recordAudit(req, `team_change.${approve ? "approve" : "reject"}`, {
+      entityType: "project",
+      entityId: projectId,
+      before: { change_id: result.change.change_id, status: "pending" },
+      after: {
+        change_id: result.change.change_id,
+        change_type: result.change.change_type,
+        student_id: result.change.student_id,
+        status: result.status,
+        note: req.body.note || null,
+      },
+    });
+
+    res.status(200).json({
+      message: `Team change ${result.status}`,
+      change: result.change,
+    });
+  } catch (err) {
+    console.error("Error deciding team change:", err);
+    res.status(500).json({ error: "Server error" });
+  }
+};
+
+router.put(
+  "/:id/team-changes/:change_id/approve",
+  authorize(["mainSupervisor", "admin"]),
+  decideChange(true)
+);
+router.put(
+  "/:id/team-changes/:change_id/reject",
+  authorize(["mainSupervisor", "admin"]),
+  decideChange(false)
+);
+
+// Withdraw a pending team change
+router.delete(
+  "/:id/team-changes/:change_id",
+  authorize(["projectMember", "admin"]),
+  async (req, res) => {
+    try {
+      const { id: projectId, change_id } = req.params;
+      const result = await cancelTeamChange(projectId, change_id, req.user);
+      if (result.error) {
+        const [httpStatus, error] = TEAM_CHANGE_ERRORS[result.error];
+        return res.status(httpStatus).json({ error });
+      }
+
+      await recordAudit(req, "team_change.cancel", {
+        entityType: "project",
+        entityId: projectId,
+        before: { change_id: result.change.change_id, status: "pending" },
+        after: { change_id: result.change.change_id, status: "cancelled" },
+      });
+
+      res.status(200).json({ message: "Team change cancelled" });
+    } catch (err) {
+      console.error("Error cancelling team change:", err);
+      res.status(500).json({ error: "Server error" });
     }
+  }
+);
+
+// Past projects most similar to this one, with their scores, for the professor
+// reviewing the request. Computed fresh, so newer projects are included
+router.get(
+  "/:id/similar",
+  authorize(["supervisingProfessor", "admin"]),
+  async (req, res) => {
+    try {
+      const result = await findSimilarProjects(req.params.id);
+      if (!result) {
+        return res.status(404).json({ error: "Project not found" });
+      }
 
-    let query = "UPDATE projects SET ";
-    const values = [];
+      res.status(200).json({
+        project_id: Number(req.params.id),
+        score: result.score,
+        threshold: result.threshold,
+        flagged: result.flagged,
+        similar_projects: result.similar,
+      });
+    } catch (err) {
+      console.error("Error finding similar projects:", err);
+      res.status(500).json({ error: "Server error" });
+    }
+  }
+);
+
+// The project's supervisors with their roles, main supervisor first
+router.get("/:id/supervisors", async (req, res) => {
+  try {
+    const supervisors = await listSupervisors(req.params.id);
+    res.status(200).json(
+      supervisors.map((supervisor) => ({
+        ...supervisor,
+        supervisor_role_label: SUPERVISOR_ROLE_LABELS[supervisor.supervisor_role],
+      }))
+    );
+  } catch (err) {
+    console.error("Error fetching project supervisors:", err);
+    res.status(500).json({ error: "Server error" });
+  }
+});
+
+// Invite a co-supervisor or external advisor (body: professor_id, supervisor_role)
+router.post(
+  "/:id/supervisors",
+  authorize(["mainSupervisor", "admin"]),
+  async (req, res) => {
+    try {
+      const projectId = req.params.id;
+      const { professor_id, supervisor_role } = req.body;
+
+      const result = await inviteSupervisor(projectId, professor_id, supervisor_role, req.user);
+      if (result.error) {
+        const [httpStatus, error] = SUPERVISION_ERRORS[result.error];
+        return res.status(httpStatus).json({ error });
+      }
+
+      await recordAudit(req, "supervisor_invitation.create", {
+        entityType: "project",
+        entityId: projectId,
+        after: result.invitation,
+      });
 
-    if (title) {
-      query += "title = ?, ";
-      values.push(title);
+      res.status(201).json(result.invitation);
+    } catch (err) {
+      console.error("Error inviting supervisor:", err);
+      res.status(500).json({ error: "Server error" });
     }
-    if (description) {
-      query += "description = ?, ";
-      values.push(description);
+  }
+);
+
+// Invitations sent to professors for this project
+router.get(
+  "/:id/supervisor-invitations",
+  authorize(["projectMember", "supervisingProfessor", "admin"]),
+  async (req, res) => {
+    try {
+      const invitations = await listProjectSupervisorInvitations(req.params.id);
+      res.status(200).json(invitations);
+    } catch (err) {
+      console.error("Error fetching supervisor invitations:", err);
+      res.status(500).json({ error: "Server error" });
     }
-    if (supervisor_name) {
-      query += "supervisor_name = ?, ";
-      values.push(supervisor_name);
+  }
+);
+
+router.delete(
+  "/:id/supervisor-invitations/:invitation_id",
+  authorize(["mainSupervisor", "admin"]),
+  async (req, res) => {
+    try {
+      const { id: projectId, invitation_id } = req.params;
+      const result = await cancelSupervisorInvitation(projectId, invitation_id);
+      if (result.error) {
+        const [httpStatus, error] = SUPERVISION_ERRORS[result.error];
+        return res.status(httpStatus).json({ error });
+      }
+
+      await recordAudit(req, "supervisor_invitation.cancel", {
+        entityType: "project",
+        entityId: projectId,
+        before: {
+          invitation_id: result.invitation.invitation_id,
+          professor_id: result.invitation.professor_id,
+          status: "pending",
+        },
+        after: { invitation_id: result.invitation.invitation_id, status: "cancelled" },
+      });
+
+      res.status(200).json({ message: "Invitation cancelled" });
+    } catch (err) {
+      console.error("Error cancelling supervisor invitation:", err);
+      res.status(500).json({ error: "Server error" });
     }
-    if (graduation_year) {
-      query += "graduation_year = ?, ";
-      values.push(graduation_year);
+  }
+);
+
+// Take a co-supervisor or external advisor off the project
+router.delete(
+  "/:id/supervisors/:professor_id",
+  authorize(["mainSupervisor", "admin"]),
+  async (req, res) => {
+    try {
+      const { id: projectId, professor_id } = req.params;
+      const result = await removeSupervisor(projectId, professor_id);
+      if (result.error) {
+        const [httpStatus, error] = SUPERVISION_ERRORS[result.error];
+        return res.status(httpStatus).json({ error });
+      }
+
+      await recordAudit(req, "supervisor.remove", {
+        entityType: "project",
+        entityId: projectId,
+        before: { professor_id: Number(professor_id), supervisor_role: result.role },
+      });
+
+      res.status(200).json({ message: "Supervisor removed" });
+    } catch (err) {
+      console.error("Error removing supervisor:", err);
+      res.status(500).json({ error: "Server error" });
     }
-    if (graduation_term) {
-      query += "graduation_term = ?, ";
-      values.push(graduation_term);
+  }
+);
+
+// Change a supervisor's role (body: supervisor_role). Handing over the main
+// supervision is an admin decision
+router.put(
+  "/:id/supervisors/:professor_id/role",
+  authorize("admin"),
+  async (req, res) => {
+    try {
+      const { id: projectId, professor_id } = req.params;
+      const result = await changeSupervisorRole(projectId, professor_id, req.body.supervisor_role);
+      if (result.error) {
+        const [httpStatus, error] = SUPERVISION_ERRORS[result.error];
+        return res.status(httpStatus).json({ error });
+      }
+
+      await recordAudit(req, "supervisor.role_change", {
+        entityType: "project",
+        entityId: projectId,
+        before: { professor_id: Number(professor_id), supervisor_role: result.from },
+        after: { professor_id: Number(professor_id), supervisor_role: result.to },
+      });
+
+      res.status(200).json({ message: "Supervisor role updated", supervisor_role: result.to });
+    } catch (err) {
+      console.error("Error changing supervisor role:", err);
+      res.status(500).json({ error: "Server error" });
     }
-    if (department_name) {
-      query += "department_name = ?, ";
-      values.push(department_name);
+  }
+);
+
+// The project's milestones with their deadlines, submissions and review
+router.get(
+  "/:id/milestones",
+  authorize(["projectMember", "supervisingProfessor", "admin"]),
+  async (req, res) => {
+    try {
+      const milestones = await listProjectMilestones(req.params.id);
+      res.status(200).json(milestones);
+    } catch (err) {
+      console.error("Error fetching milestones:", err);
+      res.status(500).json({ error: "Server error" });
     }
-    if (github_link) {
-      query += "github_link = ?, ";
-      values.push(github_link);
+  }
+);
+
+// Move a milestone's deadline for this team (body: due_at)
+router.put(
+  "/:id/milestones/:milestone_id",
+  authorize(["reviewingSupervisor", "admin"]),
+  async (req, res) => {
+    try {
+      const { id: projectId, milestone_id } = req.params;
+      const dueAt = new Date(req.body.due_at);
+      if (!req.body.due_at || Number.isNaN(dueAt.getTime())) {
+        return res.status(400).json({ error: "Please enter a valid due date" });
+      }
+
+      const result = await setDueDate(projectId, milestone_id, dueAt, req.user);
+      if (result.error) {
+        const [httpStatus, error] = MILESTONE_ERRORS[result.error];
+        return res.status(httpStatus).json({ error });
+      }
+
+      await recordAudit(req, "milestone.due_change", {
+        entityType: "project",
+        entityId: projectId,
+        before: { milestone_id: result.milestone.milestone_id, due_at: result.from },
+        after: { milestone_id: result.milestone.milestone_id, due_at: result.to },
+      });
+
+      res.status(200).json({ message: "Deadline updated", due_at: result.to });
+    } catch (err) {
+      console.error("Error updating milestone deadline:", err);
+      res.status(500).json({ error: "Server error" });
     }
-    if (project_file_path) {
-      query += "project_files_path = ?, ";
-      values.push(project_file_path);
+  }
+);
+
+// The milestone a deliverable is for; its file kind decides what may be uploaded
+async function loadMilestone(req, res, next) {
+  try {
+    const milestone = await getMilestone(req.params.id, req.params.milestone_id);
+    if (!milestone) {
+      const [httpStatus, error] = MILESTONE_ERRORS.not_found;
+      return res.status(httpStatus).json({ error });
     }
-    if (professor_id) {
-      query += "professor_id = ?, ";
-      values.push(professor_id);
+    req.milestone = milestone;
+    req.uploadKind = milestone.file_kind;
+    next();
+  } catch (err) {
+    console.error("Error fetching milestone:", err);
+    res.status(500).json({ error: "Server error" });
+  }
+}
+
+// Submit a deliverable for a milestone (field "file" and/or a note)
+router.post(
+  "/:id/milestones/:milestone_id/submissions",
+  authorize("projectMember"),
+  loadMilestone,
+  uploadProjectFile,
+  async (req, res) => {
+    const projectId = req.params.id;
+
+    try {
+      const result = await submitDeliverable(
+        projectId,
+        req.milestone,
+        { file: req.file, note: req.body.note },
+        req.user
+      );
+      if (result.error) {
+        const [httpStatus, error] = MILESTONE_ERRORS[result.error];
+        return res.status(httpStatus).json({ error });
+      }
+
+      await recordAudit(req, "milestone.submit", {
+        entityType: "project",
+        entityId: projectId,
+        after: {
+          ...result.submission,
+          file_kind: result.version ? result.version.file_kind : null,
+          version_number: result.version ? result.version.version_number : null,
+        },
+      });
+
+      res.status(201).json({ ...result.submission, version: result.version });
+    } catch (err) {
+      console.error("Error submitting deliverable:", err);
+      removeUploads(req);
+      res.status(500).json({ error: "Server error" });
     }
+  }
+);
 
-    query = query.slice(0, -2);
+// Mark a milestone reviewed (body: comment)
+router.put(
+  "/:id/milestones/:milestone_id/review",
+  authorize(["reviewingSupervisor", "admin"]),
+  async (req, res) => {
+    try {
+      const { id: projectId, milestone_id } = req.params;
+      const result = await reviewMilestone(projectId, milestone_id, req.body.comment, req.user);
+      if (result.error) {
+        const [httpStatus, error] = MILESTONE_ERRORS[result.error];
+        return res.status(httpStatus).json({ error });
+      }
 
-    query += " WHERE project_id = ?";
-    values.push(projectId);
+      await recordAudit(req, "milestone.review", {
+        entityType: "project",
+        entityId: projectId,
+        after: { milestone_id: result.milestone.milestone_id, comment: req.body.comment || null },
+      });
 
-    await conn.query(query, values);
+      res.status(200).json({ message: "Milestone reviewed" });
+    } catch (err) {
+      console.error("Error reviewing milestone:", err);
+      res.status(500).json({ error: "Server error" });
+    }
+  }
+);
 
-    res.status(200).json({ message: "Project updated successfully" });
+// The project's files with their current versions
+// Anyone may list the current files of an accepted project, the files of other
+// projects are for the team, its supervisors and admins
+router.get("/:id/files", identifyUser, async (req, res) => {
+  try {
+    const project = await getProject(req.params.id);
+    if (!project) {
+      return res.status(404).json({ error: "Project not found" });
+    }
+    if (!ACCEPTED_STATUSES.includes(project.approval_status) && !(await isProjectInsider(req))) {
+      return res.status(403).json({ error: "Only the team, its supervisors and admins can see this project's files" });
+    }
+
+    const files = await listProjectFiles(project.project_id);
+    res.status(200).json(files);
   } catch (err) {
-    console.error("Error updating project:", err);
+    console.error("Error fetching project files:", err);
     res.status(500).json({ error: "Server error" });
   }
 });
 
-// Delete project by id
-router.delete("/:id", (req, res) => {
-  const projectId = req.params.id;
-  conn.query(
-    "DELETE FROM projects WHERE project_id = ?",
-    [projectId],
-    (err, result) => {
-      if (err) {
-        res.status(500).json({ error: "Error deleting project" });
-      } else {
-        res.status(200).json({ message: "Project deleted successfully" });
+// Upload a new version of one of the project's files (field "file", optional note)
+router.post(
+  "/:id/files/:file_kind",
+  authorize(["projectMember", "admin"]),
+  uploadProjectFile,
+  async (req, res) => {
+    const { id: projectId, file_kind } = req.params;
+
+    try {
+      if (!FILE_KINDS.includes(file_kind)) {
+        removeUploads(req);
+        return res.status(400).json({
+          error: `File kind must be one of: ${FILE_KINDS.join(", ")}`,
+        });
       }
+      if (!req.file) {
+        return res.status(400).json({ error: "Please upload the file as 'file'" });
+      }
+
+      const version = await addFileVersion(
+        projectId,
+        file_kind,
+        req.file,
+        req.user,
+        req.body.note
+      );
+      await recordAudit(req, "project_file.upload", {
+        entityType: "project",
+        entityId: projectId,
+        after: { ...version, original_name: req.file.originalname },
+      });
+
+      res.status(201).json(version);
+    } catch (err) {
+      console.error("Error uploading project file:", err);
+      removeUploads(req);
+      res.status(500).json({ error: "Server error" });
     }
-  );
+  }
+);
+
+// Version history of one file, newest first
+router.get(
+  "/:id/files/:file_kind/versions",
+  authorize(["projectMember", "supervisingProfessor", "admin"]),
+  async (req, res) => {
+    try {
+      const versions = await listVersions(req.params.id, req.params.file_kind);
+      if (!versions) {
+        return res.status(404).json({ error: "File not found" });
+      }
+
+      res.status(200).json(versions);
+    } catch (err) {
+      console.error("Error fetching file versions:", err);
+      res.status(500).json({ error: "Server error" });
+    }
+  }
+);
+
+// Make an earlier version current again, recorded as a new version
+router.post(
+  "/:id/files/:file_kind/versions/:version_number/restore",
+  authorize(["projectMember", "admin"]),
+  async (req, res) => {
+    try {
+      const { id: projectId, file_kind, version_number } = req.params;
+
+      const version = await restoreVersion(
+        projectId,
+        file_kind,
+        version_number,
+        req.user
+      );
+      if (!version) {
+        return res.status(404).json({ error: "File version not found" });
+      }
+
+      await recordAudit(req, "project_file.restore", {
+        entityType: "project",
+        entityId: projectId,
+        after: { ...version, restored_from_version: Number(version_number) },
+      });
+
+      res.status(201).json(version);
+    } catch (err) {
+      console.error("Error restoring file version:", err);
+      res.status(500).json({ error: "Server error" });
+    }
+  }
+);
+
+// Delete project by id
+router.delete("/:id", authorize(["projectMember", "admin"]), async (req, res) => {
+  try {
+    const projectId = req.params.id;
+
+    const [project] = await conn.query(
+      "SELECT project_id, title, approval_status, professor_id, project_files_path FROM projects WHERE project_id = ?",
+      [projectId]
+    );
+    await conn.query("DELETE FROM projects WHERE project_id = ?", [projectId]);
+    await recordAudit(req, "project.delete", {
+      entityType: "project",
+      entityId: projectId,
+      before: project,
+    });
+
+    res.status(200).json({ message: "Project deleted successfully" });
+  } catch (err) {
+    console.error("Error deleting project:", err);
+    res.status(500).json({ error: "Error deleting project" });
+  }
 });
 
 module.exports = router;
\ No newline at end of file
@@ -0,0 +1,65 @@
+const express = require("express");
+const router = express.Router();
+const isAuthenticated = require("../middleware/isAuthenticated");
+const {
+  listSessions,
+  revokeSession,
+  revokeAllSessions,
+} = require("../services/session");
+const { recordAudit } = require("../services/audit");
+
+// List active sessions of the logged in user
+router.get("/active", isAuthenticated, async (req, res) => {
+  try {
+    const { session_id, user_id, user_role } = req.authSession;
+    const sessions = await listSessions(user_id, user_role);
+
+    res.status(200).json(
+      sessions.map((session) => ({
+        ...session,
+        current: session.session_id === session_id,
+      }))
+    );
+  } catch (err) {
+    console.error("Error fetching active sessions:", err);
+    res.status(500).json({ error: "Server error" });
+  }
+});
+
+// Logout from the current device
+router.post("/logout", isAuthenticated, async (req, res) => {
+  try {
+    await revokeSession(req.authSession.session_id);
+    await recordAudit(req, "auth.logout", {
+      entityType: "session",
+      entityId: req.authSession.session_id,
+    });
+    res.status(200).json({ message: "Logged out successfully" });
+  } catch (err) {
+    console.error("Error logging out:", err);
+    res.status(500).json({ error: "Server error" });
+  }
+});
+
+// Logout from every device
+router.post("/logout-all", isAuthenticated, async (req, res) => {
+  try {
+    const { user_id, user_role } = req.authSession;
+    const result = await revokeAllSessions(user_id, user_role);
+    await recordAudit(req, "auth.logout_all", {
+      entityType: user_role,
+      entityId: user_id,
+      after: { revoked_sessions: result.affectedRows },
+    });
+
+    res.status(200).json({
+      message: "Logged out from all devices successfully",
+      revoked_sessions: result.affectedRows,
+    });
+  } catch (err) {
+    console.error("Error logging out from all devices:", err);
+    res.status(500).json({ error: "Server error" });
+  }
+});
+
+module.exports = router;
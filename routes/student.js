@@ -1,24 +1,51 @@
 const express = require("express");
 const router = express.Router();
-const util = require("util");
 const conn = require("../db/dbConnection");
-const isStudent = require("../middleware/isStudent");
+const { body, validationResult } = require("express-validator");
+const authorize = require("../middleware/authorize");
+const { recordAudit } = require("../services/audit");
+const { findProjectRubric, getScoreBreakdown } = require("../services/rubrics");
+const { getPublishedGrades } = require("../services/grades");
+const {
+    APPEAL_COMPONENTS,
+    APPEAL_ERRORS,
+    getAppealWindow,
+    fileAppeal,
+    listStudentAppeals,
+} = require("../services/appeals");
 
 // view grades of a student
-router.get("/:student_id/grades", isStudent ,async (req, res) => {
+router.get("/:student_id/grades", authorize("selfStudent"), async (req, res) => {
     try {
-        const studentId = req.params.student_id;
+        const studentId = req.user.id;
 
-        const query = util.promisify(conn.query).bind(conn);
-        const grades = await query(
-            "SELECT project_id, semester_work_grade, final_work_grade, max_semester_work_grade, max_final_work_grade, overall_grade, max_overall_grade FROM project_students WHERE student_id = ?",
-            [studentId]
-        );
+        // Only published grades, from the day they are visible
+        const published = await getPublishedGrades({ studentId });
+        const grades = published.map(({ student_id, student_name, up_to_date, ...grade }) => grade);
 
         if (grades.length === 0) {
             return res.status(404).json({ error: "Student not found" });
         }
 
+        // Projects graded with a rubric also show how each criterion was scored,
+        // while the published grades are the latest ones
+        for (const [index, grade] of grades.entries()) {
+            const rubric = published[index].up_to_date ? await findProjectRubric(grade.project_id) : null;
+            grade.rubric = null;
+            if (rubric) {
+                const breakdown = await getScoreBreakdown(grade.project_id, rubric, [studentId]);
+                grade.rubric = {
+                    rubric_id: rubric.rubric_id,
+                    title: rubric.title,
+                    criteria: breakdown[String(studentId)],
+                };
+            }
+
+            // Until when the grades can be appealed
+            const window = await getAppealWindow(grade.project_id, studentId);
+            grade.appeal_window = { open: window.open, closes_at: window.closes_at };
+        }
+
         res.status(200).json(grades);
     } catch (err) {
         console.error("Error fetching grades of student:", err);
@@ -26,6 +53,62 @@ router.get("/:student_id/grades", isStudent ,async (req, res) => {
     }
 });
 
+// The student's grade appeals, newest first
+router.get("/:student_id/grades/appeals", authorize("selfStudent"), async (req, res) => {
+    try {
+        const appeals = await listStudentAppeals(req.user.id);
+        res.status(200).json(appeals);
+    } catch (err) {
+        console.error("Error fetching grade appeals:", err);
+        res.status(500).json({ error: "Server error" });
+    }
+});
+
+// Appeal one component of the published grades while the appeal window is open
+// (body: project_id, component, justification)
+router.post(
+    "/:student_id/grades/appeals",
+    authorize("selfStudent"),
+    body("project_id").isInt().withMessage("Please choose the project"),
+    body("component")
+        .isIn(APPEAL_COMPONENTS)
+        .withMessage(`Component must be one of: ${APPEAL_COMPONENTS.join(", ")}`),
+    body("justification")
+        .trim()
+        .isLength({ min: 20, max: 5000 })
+        .withMessage("Please explain why you are appealing in 20 to 5000 characters"),
+    async (req, res) => {
+        try {
+            const errors = validationResult(req);
+            if (!errors.isEmpty()) {
+                return res.status(400).json({ errors: errors.array() });
+            }
+
+            const { project_id, component, justification } = req.body;
+            const result = await fileAppeal(project_id, req.user.id, component, justification);
+            if (result.error) {
+                const [httpStatus, error] = APPEAL_ERRORS[result.error];
+                return res.status(httpStatus).json({ error });
+            }
+
+            await recordAudit(req, "grade_appeal.file", {
+                entityType: "grade_appeal",
+                entityId: result.appeal.appeal_id,
+                after: result.appeal,
+            });
+
+            res.status(201).json({
+                message: "Appeal submitted successfully",
+                appeal: result.appeal,
+                appeal_window: { closes_at: result.window.closes_at },
+            });
+        } catch (err) {
+            console.error("Error filing grade appeal:", err);
+            res.status(500).json({ error: "Server error" });
+        }
+    }
+);
+
 // get project belongs to the student
 router.get('/:student_id', (req, res) => {
     const studentId = req.params.student_id;
@@ -0,0 +1,308 @@
+const express = require("express");
+const router = express.Router();
+const conn = require("../db/dbConnection");
+const { body, validationResult } = require("express-validator");
+const isAuthenticated = require("../middleware/isAuthenticated");
+const { createSession } = require("../services/session");
+const {
+  TWO_FACTOR_ROLES,
+  getTwoFactor,
+  startEnrollment,
+  verifyUserCode,
+  enableTwoFactor,
+  disableTwoFactor,
+  regenerateRecoveryCodes,
+  countRecoveryCodesLeft,
+  completeChallenge,
+  isPolicyEnforced,
+} = require("../services/twoFactor");
+const { recordAudit } = require("../services/audit");
+const { challengeGuard } = require("../middleware/loginGuard");
+
+// Where each role that can use 2FA keeps its accounts
+const ACCOUNTS = {
+  professor: {
+    table: "professor",
+    id: "professor_id",
+    email: "professor_email",
+    password: "professor_password",
+    token: "professor_token",
+  },
+  admin: {
+    table: "admin",
+    id: "admin_id",
+    email: "admin_email",
+    password: "admin_password",
+    token: "admin_token",
+  },
+};
+
+// Logged in professor or admin, even one who still has to set up enforced 2FA
+const twoFactorUser = [
+  isAuthenticated,
+  (req, res, next) => {
+    if (!TWO_FACTOR_ROLES.includes(req.user.role)) {
+      return res.status(403).json({
+        msg: "Two-factor authentication is only available for professors and admins!",
+      });
+    }
+    next();
+  },
+];
+
+async function getAccount(userId, role) {
+  const account = ACCOUNTS[role];
+  const rows = await conn.query(
+    `SELECT * FROM ${account.table} WHERE ${account.id} = ?`,
+    [userId]
+  );
+  return rows.length > 0 ? rows[0] : null;
+}
+
+// 2FA status of the logged in user
+router.get("/status", twoFactorUser, async (req, res) => {
+  try {
+    const twoFactor = await getTwoFactor(req.user.id, req.user.role);
+    const enabled = Boolean(twoFactor && twoFactor.enabled_at);
+
+    res.status(200).json({
+      enabled,
+      enabled_at: enabled ? twoFactor.enabled_at : null,
+      enforced: await isPolicyEnforced(req.user.role),
+      recovery_codes_left: enabled
+        ? await countRecoveryCodesLeft(req.user.id, req.user.role)
+        : 0,
+    });
+  } catch (err) {
+    console.error("Error fetching two-factor status:", err);
+    res.status(500).json({ error: "Server error" });
+  }
+});
+
+// Start enrollment, returns the secret and the otpauth URI for the QR code
+router.post("/setup", twoFactorUser, async (req, res) => {
+  try {
+    const twoFactor = await getTwoFactor(req.user.id, req.user.role);
+    if (twoFactor && twoFactor.enabled_at) {
+      return res
+        .status(409)
+        .json({ error: "Two-factor authentication is already enabled" });
+    }
+
+    const account = await getAccount(req.user.id, req.user.role);
+    const enrollment = await startEnrollment(
+      req.user.id,
+      req.user.role,
+      account[ACCOUNTS[req.user.role].email]
+    );
+    await recordAudit(req, "two_factor.setup", {
+      entityType: req.user.role,
+      entityId: req.user.id,
+    });
+
+    res.status(200).json({
+      message: "Scan the QR code with your authenticator app, then confirm with a code",
+      ...enrollment,
+    });
+  } catch (err) {
+    console.error("Error starting two-factor setup:", err);
+    res.status(500).json({ error: "Server error" });
+  }
+});
+
+// Confirm enrollment with a code from the app, returns the recovery codes once
+router.post(
+  "/enable",
+  twoFactorUser,
+  body("code").notEmpty().withMessage("Authentication code is required"),
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const twoFactor = await getTwoFactor(req.user.id, req.user.role);
+      if (!twoFactor) {
+        return res
+          .status(400)
+          .json({ error: "Start the two-factor setup before enabling it" });
+      }
+      if (twoFactor.enabled_at) {
+        return res
+          .status(409)
+          .json({ error: "Two-factor authentication is already enabled" });
+      }
+
+      const recoveryCodes = await enableTwoFactor(
+        req.user.id,
+        req.user.role,
+        req.body.code
+      );
+      if (!recoveryCodes) {
+        return res.status(400).json({ error: "Invalid authentication code" });
+      }
+      await recordAudit(req, "two_factor.enable", {
+        entityType: req.user.role,
+        entityId: req.user.id,
+      });
+
+      res.status(200).json({
+        message: "Two-factor authentication enabled successfully. Store the recovery codes somewhere safe, they won't be shown again.",
+        recovery_codes: recoveryCodes,
+      });
+    } catch (err) {
+      console.error("Error enabling two-factor authentication:", err);
+      res.status(500).json({ error: "Server error" });
+    }
+  }
+);
+
+// Turn 2FA off, not allowed while the role enforces it
+router.post(
+  "/disable",
+  twoFactorUser,
+  body("code").notEmpty().withMessage("Authentication code is required"),
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      if (await isPolicyEnforced(req.user.role)) {
+        return res.status(403).json({
+          error: "Two-factor authentication is required for your role and can't be disabled",
+        });
+      }
+
+      if (!(await verifyUserCode(req.user.id, req.user.role, req.body.code))) {
+        return res.status(400).json({ error: "Invalid authentication code" });
+      }
+
+      await disableTwoFactor(req.user.id, req.user.role);
+      await recordAudit(req, "two_factor.disable", {
+        entityType: req.user.role,
+        entityId: req.user.id,
+      });
+      res
+        .status(200)
+        .json({ message: "Two-factor authentication disabled successfully" });
+    } catch (err) {
+      console.error("Error disabling two-factor authentication:", err);
+      res.status(500).json({ error: "Server error" });
+    }
+  }
+);
+
+// Replace the recovery codes, the old ones stop working
+router.post(
+  "/recovery-codes",
+  twoFactorUser,
+  body("code").notEmpty().withMessage("Authentication code is required"),
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const twoFactor = await getTwoFactor(req.user.id, req.user.role);
+      if (!twoFactor || !twoFactor.enabled_at) {
+        return res
+          .status(400)
+          .json({ error: "Two-factor authentication is not enabled" });
+      }
+
+      if (!(await verifyUserCode(req.user.id, req.user.role, req.body.code))) {
+        return res.status(400).json({ error: "Invalid authentication code" });
+      }
+
+      const recoveryCodes = await regenerateRecoveryCodes(
+        req.user.id,
+        req.user.role
+      );
+      await recordAudit(req, "two_factor.recovery_codes_regenerate", {
+        entityType: req.user.role,
+        entityId: req.user.id,
+      });
+      res.status(200).json({ recovery_codes: recoveryCodes });
+    } catch (err) {
+      console.error("Error regenerating recovery codes:", err);
+      res.status(500).json({ error: "Server error" });
+    }
+  }
+);
+
+// Second login step: trade the challenge from the login route for a session
+router.post(
+  "/verify-login",
+  challengeGuard("challenge_token"),
+  body("challenge_token").notEmpty().withMessage("Challenge token is required"),
+  body().custom((value) => {
+    if (!value.code && !value.recovery_code) {
+      throw new Error("Either an authentication code or a recovery code is required");
+    }
+    return true;
+  }),
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const challenge = await completeChallenge(req.body.challenge_token, {
+        code: req.body.code,
+        recoveryCode: req.body.recovery_code,
+      });
+
+      if (challenge.error) {
+        await recordAudit(req, "auth.two_factor_failed", {
+          after: { reason: challenge.error },
+        });
+      }
+      // A wrong code counts as a failed login of the account
+      if (challenge.error === "invalid_code" && (await req.loginAttempt.failed())) return;
+      if (challenge.error === "expired") {
+        return res
+          .status(401)
+          .json({ error: "Login challenge is invalid or has expired, please log in again" });
+      }
+      if (challenge.error === "too_many_attempts") {
+        return res
+          .status(429)
+          .json({ error: "Too many invalid codes, please log in again" });
+      }
+      if (challenge.error) {
+        return res.status(400).json({ error: "Invalid authentication code" });
+      }
+
+      await req.loginAttempt.succeeded();
+
+      const { user_id, user_role, device_label } = challenge;
+      const account = await getAccount(user_id, user_role);
+      const session = await createSession(user_id, user_role, device_label);
+      await recordAudit(req, "auth.login", {
+        actor: { id: user_id, role: user_role },
+        entityType: user_role,
+        entityId: user_id,
+        after: { two_factor: req.body.recovery_code ? "recovery_code" : "code" },
+      });
+
+      delete account[ACCOUNTS[user_role].password];
+      account[ACCOUNTS[user_role].token] = session.token;
+      account.token_expires_at = session.expires_at;
+      if (req.body.recovery_code) {
+        account.recovery_codes_left = await countRecoveryCodesLeft(user_id, user_role);
+      }
+
+      res.status(200).json(account);
+    } catch (err) {
+      console.error("Error verifying two-factor login:", err);
+      res.status(500).json({ error: "Server error" });
+    }
+  }
+);
+
+module.exports = router;
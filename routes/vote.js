@@ -2,12 +2,14 @@
 const express = require("express");
 const router = express.Router(); // Creating an Express router
 const conn = require("../db/dbConnection"); // Importing database connection module
+const authorize = require("../middleware/authorize"); // Importing the authorization middleware
+const { recordAudit } = require("../services/audit"); // Importing the audit log helper
 
 // Route to handle upvoting a project
-router.post("/:project_id/:student_id", async (req, res) => {
-  // Extracting project ID and student ID from request parameters
+router.post("/:project_id/:student_id", authorize("selfStudent"), async (req, res) => {
+  // Extracting project ID from request parameters and the voter from the session
   const projectId = req.params.project_id;
-  const studentId = req.params.student_id;
+  const studentId = req.user.id;
   // Generating timestamp for the vote
   const timestamp = new Date().toISOString().slice(0, 19).replace("T", " ");
 
@@ -65,6 +67,10 @@ router.post("/:project_id/:student_id", async (req, res) => {
         "UPDATE projects SET total_votes = total_votes - 1 WHERE project_id = ?",
         [projectId]
       );
+      await recordAudit(req, "vote.delete", {
+        entityType: "project",
+        entityId: projectId,
+      });
 
       console.log(" Vote removed successfully");
       return res
@@ -81,6 +87,10 @@ router.post("/:project_id/:student_id", async (req, res) => {
         "UPDATE projects SET total_votes = total_votes + 1 WHERE project_id = ?",
         [projectId]
       );
+      await recordAudit(req, "vote.create", {
+        entityType: "project",
+        entityId: projectId,
+      });
 
       // Send notifications to each student associated with the project
       const studentRows = await conn.query(
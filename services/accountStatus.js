@@ -0,0 +1,125 @@
+const conn = require("../db/dbConnection");
+const crypto = require("crypto");
+const bcrypt = require("bcrypt");
+const { revokeAllSessions } = require("./session");
+const {
+  startTransaction,
+  commitTransaction,
+  rollbackTransaction,
+} = require("../db/transaction");
+
+const STUDENT_STATUSES = ["active", "suspended", "graduated", "deleted"];
+
+// Statuses that may still log in; graduated students keep read access to their history
+const LOGIN_STATUSES = ["active", "graduated"];
+
+// Statuses that may log in but not change anything
+const READ_ONLY_STATUSES = ["graduated"];
+
+const ANONYMIZED_NAME = "Deleted student";
+
+// Only students have account states, every other role counts as active
+async function getAccountStatus(userId, role) {
+  if (role !== "student") return { account_status: "active", status_reason: null };
+
+  const rows = await conn.query(
+    "SELECT account_status, status_reason FROM students WHERE student_id = ?",
+    [userId]
+  );
+  return rows.length > 0 ? rows[0] : null;
+}
+
+function canLogIn(status) {
+  return LOGIN_STATUSES.includes(status);
+}
+
+function isReadOnly(status) {
+  return READ_ONLY_STATUSES.includes(status);
+}
+
+// Message shown to a student whose account can't be used
+function blockedMessage(account) {
+  if (account.account_status === "suspended") {
+    return account.status_reason
+      ? `Your account has been suspended: ${account.status_reason}`
+      : "Your account has been suspended.";
+  }
+  return "This account no longer exists.";
+}
+
+async function getStudent(studentId) {
+  const rows = await conn.query(
+    "SELECT student_id, account_status FROM students WHERE student_id = ?",
+    [studentId]
+  );
+  return rows.length > 0 ? rows[0] : null;
+}
+
+// Move a student between active, suspended and graduated. Suspending signs them out everywhere
+async function setStudentStatus(studentId, status, reason, adminId) {
+  await conn.query(
+    "UPDATE students SET account_status = ?, status_reason = ?, status_changed_at = NOW(), status_changed_by = ? WHERE student_id = ?",
+    [status, reason || null, adminId, studentId]
+  );
+
+  if (!canLogIn(status)) {
+    await revokeAllSessions(studentId, "student");
+  }
+}
+
+// Delete a student without touching projects, grades or vote totals: the account
+// is marked deleted and everything that identifies the person is scrubbed
+async function anonymizeStudent(studentId, reason, adminId) {
+  const unusablePassword = await bcrypt.hash(crypto.randomBytes(32).toString("hex"), 10);
+
+  await startTransaction();
+  try {
+    await conn.query(
+      `UPDATE students SET
+        student_name = ?, student_email = ?, student_password = ?, student_department = NULL,
+        reset_password_token = NULL, reset_password_expires = NULL,
+        account_status = 'deleted', status_reason = ?, status_changed_at = NOW(), status_changed_by = ?
+      WHERE student_id = ?`,
+      [
+        ANONYMIZED_NAME,
+        `deleted-${studentId}@invalid.local`,
+        unusablePassword,
+        reason || null,
+        adminId,
+        studentId,
+      ]
+    );
+    await conn.query(
+      "UPDATE project_students SET student_name = ? WHERE student_id = ?",
+      [ANONYMIZED_NAME, studentId]
+    );
+    await conn.query(
+      "UPDATE project_member_history SET student_name = ? WHERE student_id = ?",
+      [ANONYMIZED_NAME, studentId]
+    );
+    await conn.query(
+      "UPDATE comments SET commenter_name = ? WHERE commenter_id = ?",
+      [ANONYMIZED_NAME, studentId]
+    );
+    // Bookmarks are private and don't affect anyone else
+    await conn.query("DELETE FROM bookmarks WHERE student_id = ?", [studentId]);
+
+    await commitTransaction();
+  } catch (err) {
+    await rollbackTransaction();
+    throw err;
+  }
+
+  await revokeAllSessions(studentId, "student");
+}
+
+module.exports = {
+  STUDENT_STATUSES,
+  getAccountStatus,
+  canLogIn,
+  isReadOnly,
+  blockedMessage,
+  getStudent,
+  setStudentStatus,
+  anonymizeStudent,
+};
@@ -0,0 +1,300 @@
+const conn = require("../db/dbConnection");
+const { createNotification } = require("./notification");
+const { hasSupervisorPermission, getMainSupervisorId } = require("./supervision");
+const { GRADE_ERRORS, getGradeLock, saveGrades, publishGrades } = require("./grades");
+const { getCommittee, isEvaluator } = require("./committee");
+const {
+  startTransaction,
+  commitTransaction,
+  rollbackTransaction,
+} = require("../db/transaction");
+
+// Days students have to appeal once their grades are visible, unless the term
+// sets its own window
+const APPEAL_WINDOW_DAYS = parseInt(process.env.GRADE_APPEAL_WINDOW_DAYS, 10) || 14;
+
+// The grade components a student can appeal
+const APPEAL_COMPONENTS = ["semester_work", "final_work"];
+
+const APPEAL_OUTCOMES = ["accepted", "rejected"];
+
+// Appeals still waiting for a decision
+const OPEN_STATUSES = ["pending", "escalated"];
+
+// HTTP status and message for each appeal error
+const APPEAL_ERRORS = {
+  not_found: [404, "Appeal not found"],
+  student_not_found: [404, "Student not found in the specified project"],
+  not_published: [409, "Your grades haven't been published yet"],
+  no_grade: [409, "This grade hasn't been given yet"],
+  window_closed: [403, "The appeal window for these grades has closed"],
+  already_open: [409, "You already have an open appeal on this grade"],
+  not_open: [409, "The appeal has already been decided"],
+  escalated: [409, "The appeal has been escalated, an admin decides it now"],
+  not_escalatable: [409, "Only pending appeals or ones a professor rejected can be escalated"],
+  not_responder: [403, "You can't respond to appeals on this grade"],
+  drafts_pending: [409, "The student has unpublished grade changes, publish them before deciding the appeal"],
+  grade_out_of_range: [400, "The revised grade must be between 0 and the grade's max"],
+  locked: GRADE_ERRORS.locked,
+};
+
+const APPEAL_COLUMNS =
+  "a.appeal_id, a.project_id, p.title, a.student_id, ps.student_name, a.component, a.justification, a.appealed_version_id, a.appealed_grade, a.status, a.escalation_reason, a.escalated_by, a.escalated_at, a.response, a.revised_grade, a.revised_version_id, a.responded_by, a.responder_role, a.responded_at, a.created_at";
+
+const APPEAL_FROM = `grade_appeals a
+    INNER JOIN projects p ON p.project_id = a.project_id
+    LEFT JOIN project_students ps ON ps.project_id = a.project_id AND ps.student_id = a.student_id`;
+
+const componentLabel = (component) => component.replace("_", " ");
+
+// When a student can appeal their published grades on a project, as
+// { published, visible_from, closes_at, open }, or null if they aren't on it
+async function getAppealWindow(projectId, studentId) {
+  const rows = await conn.query(
+    `SELECT ps.published_version_id, ps.visible_from, ps.visible_from <= NOW() AS visible, ts.appeal_window_days
+    FROM project_students ps
+    INNER JOIN projects p ON p.project_id = ps.project_id
+    LEFT JOIN term_settings ts ON ts.graduation_year = p.graduation_year AND ts.graduation_term = p.graduation_term
+    WHERE ps.project_id = ? AND ps.student_id = ?`,
+    [projectId, studentId]
+  );
+  if (rows.length === 0) return null;
+
+  const row = rows[0];
+  const published = Boolean(row.published_version_id) && Boolean(row.visible);
+  const days = row.appeal_window_days ?? APPEAL_WINDOW_DAYS;
+  const closesAt = published ? new Date(new Date(row.visible_from).getTime() + days * 24 * 60 * 60 * 1000) : null;
+  return {
+    published,
+    visible_from: published ? row.visible_from : null,
+    closes_at: closesAt,
+    open: published && new Date() < closesAt,
+  };
+}
+
+async function getAppeal(appealId) {
+  const rows = await conn.query(`SELECT ${APPEAL_COLUMNS} FROM ${APPEAL_FROM} WHERE a.appeal_id = ?`, [appealId]);
+  return rows.length > 0 ? rows[0] : null;
+}
+
+// Who answers an appeal: the main supervisor, plus the examiners when it is
+// about the final work grade of a project with an examination committee
+async function listResponders(projectId, component) {
+  const mainSupervisorId = await getMainSupervisorId(projectId);
+  const responders = mainSupervisorId !== null ? [mainSupervisorId] : [];
+  if (component === "final_work" && (await getCommittee(projectId))) {
+    const examiners = await conn.query(
+      "SELECT professor_id FROM project_examiners WHERE project_id = ?",
+      [projectId]
+    );
+    responders.push(...examiners.map((examiner) => examiner.professor_id));
+  }
+  return responders;
+}
+
+async function canRespond(appeal, professorId) {
+  if (await hasSupervisorPermission(appeal.project_id, professorId, "finalize_grades")) return true;
+  return appeal.component === "final_work" && isEvaluator(appeal.project_id, professorId);
+}
+
+// Appeal one component of the student's published grades within the window.
+// The supervisor (and the committee, when it gave the grade) are told
+async function fileAppeal(projectId, studentId, component, justification) {
+  const window = await getAppealWindow(projectId, studentId);
+  if (!window) return { error: "student_not_found" };
+  if (!window.published) return { error: "not_published" };
+  if (!window.open) return { error: "window_closed" };
+
+  const [grades] = await conn.query(
+    `SELECT v.version_id, v.${component}_grade AS grade, ps.student_name
+    FROM project_students ps
+    INNER JOIN grade_versions v ON v.version_id = ps.published_version_id
+    WHERE ps.project_id = ? AND ps.student_id = ?`,
+    [projectId, studentId]
+  );
+  if (!grades || grades.grade === null) return { error: "no_grade" };
+
+  const open = await conn.query(
+    "SELECT 1 FROM grade_appeals WHERE project_id = ? AND student_id = ? AND component = ? AND status IN (?)",
+    [projectId, studentId, component, OPEN_STATUSES]
+  );
+  if (open.length > 0) return { error: "already_open" };
+
+  const result = await conn.query(
+    "INSERT INTO grade_appeals (project_id, student_id, component, justification, appealed_version_id, appealed_grade) VALUES (?, ?, ?, ?, ?, ?)",
+    [projectId, studentId, component, justification, grades.version_id, grades.grade]
+  );
+
+  for (const professorId of await listResponders(projectId, component)) {
+    await createNotification(
+      professorId,
+      studentId,
+      projectId,
+      "grade_appeal",
+      `${grades.student_name} has appealed their ${componentLabel(component)} grade.`
+    );
+  }
+  await createNotification(
+    studentId,
+    studentId,
+    projectId,
+    "grade_appeal",
+    `Your appeal on your ${componentLabel(component)} grade has been received.`
+  );
+
+  return { appeal: await getAppeal(result.insertId), window };
+}
+
+function listStudentAppeals(studentId) {
+  return conn.query(
+    `SELECT ${APPEAL_COLUMNS} FROM ${APPEAL_FROM} WHERE a.student_id = ? ORDER BY a.created_at DESC`,
+    [studentId]
+  );
+}
+
+function listProjectAppeals(projectId) {
+  return conn.query(
+    `SELECT ${APPEAL_COLUMNS} FROM ${APPEAL_FROM} WHERE a.project_id = ? ORDER BY a.created_at DESC`,
+    [projectId]
+  );
+}
+
+// Every appeal, optionally of one status, oldest open ones first
+function listAppeals(status) {
+  let sql = `SELECT ${APPEAL_COLUMNS} FROM ${APPEAL_FROM}`;
+  const values = [];
+  if (status) {
+    sql += " WHERE a.status = ?";
+    values.push(status);
+  }
+  sql += " ORDER BY FIELD(a.status, 'pending', 'escalated') DESC, a.created_at";
+  return conn.query(sql, values);
+}
+
+// Accept or reject an appeal. Professors answer pending appeals they may
+// respond to, admins any open one. An accepted appeal's revised grade is saved
+// as a new grade version and published, once the student has no unpublished
+// grade changes. Resolves with { appeal, previous, version_id, publication }
+// or { error }
+async function respondToAppeal(appealId, responder, { outcome, response, grade }) {
+  const appeal = await getAppeal(appealId);
+  if (!appeal) return { error: "not_found" };
+  if (!OPEN_STATUSES.includes(appeal.status)) return { error: "not_open" };
+  if (responder.role === "professor") {
+    if (appeal.status === "escalated") return { error: "escalated" };
+    if (!(await canRespond(appeal, responder.id))) return { error: "not_responder" };
+  }
+
+  let saved = null;
+  if (outcome === "accepted") {
+    const lock = await getGradeLock(appeal.project_id);
+    if (lock.locked) return { error: "locked" };
+
+    const [current] = await conn.query(
+      `SELECT ps.max_${appeal.component}_grade AS max_grade,
+        (SELECT MAX(v.version_id) FROM grade_versions v WHERE v.project_id = ps.project_id AND v.student_id = ps.student_id) AS latest_version_id,
+        ps.published_version_id
+      FROM project_students ps
+      WHERE ps.project_id = ? AND ps.student_id = ?`,
+      [appeal.project_id, appeal.student_id]
+    );
+    if (!current) return { error: "student_not_found" };
+    // Publishing the revision publishes the student's latest grades, which must
+    // not carry someone's unpublished changes along
+    if (current.latest_version_id !== current.published_version_id) return { error: "drafts_pending" };
+    const revised = Number(grade);
+    if (!Number.isFinite(revised) || revised < 0 || (current.max_grade !== null && revised > Number(current.max_grade))) {
+      return { error: "grade_out_of_range" };
+    }
+
+    await startTransaction();
+    try {
+      saved = await saveGrades(
+        appeal.project_id,
+        appeal.student_id,
+        { [`${appeal.component}_grade`]: revised },
+        { actor: responder, source: "appeal", reason: `Appeal #${appeal.appeal_id}: ${response}` }
+      );
+      // Only decide the appeal from the status we checked, a concurrent decision wins
+      const result = await conn.query(
+        "UPDATE grade_appeals SET status = 'accepted', response = ?, revised_grade = ?, revised_version_id = ?, responded_by = ?, responder_role = ?, responded_at = NOW() WHERE appeal_id = ? AND status = ?",
+        [response, revised, saved.version_id, responder.id, responder.role, appealId, appeal.status]
+      );
+      if (result.affectedRows === 0) {
+        await rollbackTransaction();
+        return { error: "not_open" };
+      }
+      await commitTransaction();
+    } catch (err) {
+      await rollbackTransaction();
+      throw err;
+    }
+  } else {
+    const result = await conn.query(
+      "UPDATE grade_appeals SET status = 'rejected', response = ?, revised_grade = NULL, revised_version_id = NULL, responded_by = ?, responder_role = ?, responded_at = NOW() WHERE appeal_id = ? AND status = ?",
+      [response, responder.id, responder.role, appealId, appeal.status]
+    );
+    if (result.affectedRows === 0) return { error: "not_open" };
+  }
+
+  const publication = saved ? await publishGrades(appeal.project_id, [appeal.student_id], responder) : null;
+  await createNotification(
+    appeal.student_id,
+    responder.id,
+    appeal.project_id,
+    "grade_appeal",
+    outcome === "accepted"
+      ? `Your appeal on your ${componentLabel(appeal.component)} grade was accepted, the grade is now ${Number(grade)}.`
+      : `Your appeal on your ${componentLabel(appeal.component)} grade was rejected.`
+  );
+
+  return {
+    appeal: await getAppeal(appealId),
+    previous: appeal,
+    version_id: saved ? saved.version_id : null,
+    publication,
+  };
+}
+
+// Hand an appeal to the admins, when it waits too long or the student
+// disputes a professor's answer. The student and the responders are told
+async function escalateAppeal(appealId, admin, reason) {
+  const appeal = await getAppeal(appealId);
+  if (!appeal) return { error: "not_found" };
+  const escalatable =
+    appeal.status === "pending" || (appeal.status === "rejected" && appeal.responder_role === "professor");
+  if (!escalatable) return { error: "not_escalatable" };
+
+  const result = await conn.query(
+    "UPDATE grade_appeals SET status = 'escalated', escalation_reason = ?, escalated_by = ?, escalated_at = NOW() WHERE appeal_id = ? AND status = ?",
+    [reason, admin.id, appealId, appeal.status]
+  );
+  if (result.affectedRows === 0) return { error: "not_escalatable" };
+
+  const message = `The appeal on ${appeal.student_name}'s ${componentLabel(appeal.component)} grade has been escalated to the administration.`;
+  for (const professorId of await listResponders(appeal.project_id, appeal.component)) {
+    await createNotification(professorId, admin.id, appeal.project_id, "grade_appeal", message);
+  }
+  await createNotification(
+    appeal.student_id,
+    admin.id,
+    appeal.project_id,
+    "grade_appeal",
+    `Your appeal on your ${componentLabel(appeal.component)} grade has been escalated to the administration.`
+  );
+
+  return { appeal: await getAppeal(appealId), previous: appeal };
+}
+
+module.exports = {
+  APPEAL_COMPONENTS,
+  APPEAL_OUTCOMES,
+  APPEAL_ERRORS,
+  getAppealWindow,
+  fileAppeal,
+  listStudentAppeals,
+  listProjectAppeals,
+  listAppeals,
+  respondToAppeal,
+  escalateAppeal,
+};
@@ -0,0 +1,91 @@
+const conn = require("../db/dbConnection");
+
+// Fields that must never end up in the audit log
+const SECRET_FIELDS = /password|token|secret|code_hash/i;
+
+function scrub(value) {
+  if (value === undefined || value === null) return null;
+  if (typeof value !== "object" || value instanceof Date) return value;
+  if (Array.isArray(value)) return value.map(scrub);
+
+  const clean = {};
+  for (const [key, field] of Object.entries(value)) {
+    clean[key] = SECRET_FIELDS.test(key) ? "[redacted]" : scrub(field);
+  }
+  return clean;
+}
+
+function serialize(value) {
+  const clean = scrub(value);
+  return clean === null ? null : JSON.stringify(clean);
+}
+
+// Append an entry to the audit log. The actor is the logged in user unless
+// given (e.g. for logins, where nobody is logged in yet). Failing to audit is
+// logged but never fails the request, the action itself already happened
+async function recordAudit(req, action, { entityType, entityId, before, after, actor } = {}) {
+  const principal = actor || req.user || { id: null, role: "anonymous" };
+
+  try {
+    await conn.query(
+      "INSERT INTO audit_log (actor_id, actor_role, action, entity_type, entity_id, before_value, after_value, ip_address) VALUES (?, ?, ?, ?, ?, ?, ?, ?)",
+      [
+        principal.id,
+        principal.role,
+        action,
+        entityType || null,
+        entityId === undefined || entityId === null ? null : String(entityId),
+        serialize(before),
+        serialize(after),
+        req.ip || null,
+      ]
+    );
+  } catch (err) {
+    console.error(`Error writing audit log entry "${action}":`, err);
+  }
+}
+
+// Build the WHERE clause shared by the query endpoint and the CSV export
+function buildAuditFilter(filters) {
+  let sql = " WHERE 1=1";
+  const values = [];
+
+  for (const field of ["actor_id", "actor_role", "action", "entity_type", "entity_id", "ip_address"]) {
+    if (filters[field]) {
+      sql += ` AND ${field} = ?`;
+      values.push(filters[field]);
+    }
+  }
+  // Prefix match, e.g. action_prefix=project. for every project action
+  if (filters.action_prefix) {
+    sql += " AND action LIKE ?";
+    values.push(`${filters.action_prefix.replace(/[%_]/g, "\\$&")}%`);
+  }
+  if (filters.from) {
+    sql += " AND created_at >= ?";
+    values.push(filters.from);
+  }
+  if (filters.to) {
+    sql += " AND created_at <= ?";
+    values.push(filters.to);
+  }
+
+  return { sql, values };
+}
+
+async function queryAuditLog(filters, { limit, offset }) {
+  const { sql, values } = buildAuditFilter(filters);
+
+  const [{ total }] = await conn.query(
+    `SELECT COUNT(*) AS total FROM audit_log${sql}`,
+    values
+  );
+  const entries = await conn.query(
+    `SELECT * FROM audit_log${sql} ORDER BY audit_id DESC LIMIT ? OFFSET ?`,
+    [...values, limit, offset]
+  );
+
+  return { total, entries };
+}
+
+module.exports = { recordAudit, buildAuditFilter, queryAuditLog };
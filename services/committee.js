@@ -0,0 +1,376 @@
+const conn = require("../db/dbConnection");
+const { createNotification } = require("./notification");
+const { getSupervisorRole, getMainSupervisorId } = require("./supervision");
+const { saveGrades } = require("./grades");
+const {
+  startTransaction,
+  commitTransaction,
+  rollbackTransaction,
+} = require("../db/transaction");
+
+// How the committee's scores become the final work grade: their mean, their
+// mean weighted per member, or their mean without the highest and lowest
+// (with three scores or more)
+const AGGREGATION_POLICIES = ["mean", "weighted", "drop_outliers"];
+
+// HTTP status and message for each committee error
+const COMMITTEE_ERRORS = {
+  not_found: [404, "The project has no examination committee"],
+  project_not_found: [404, "Project not found"],
+  unknown_professor: [400, "The professor ID doesn't belong to a professor"],
+  supervisor: [409, "A professor supervising the project can't be one of its examiners"],
+  already_examiner: [409, "The professor already examines this project"],
+  examiner_not_found: [404, "The professor doesn't examine this project"],
+  has_scores: [409, "The examiner has already given scores, they can't be removed"],
+  max_below_scores: [409, "Examiners have already given higher scores than this max final work grade"],
+  not_evaluator: [403, "You aren't on this project's examination committee"],
+  no_scores: [400, "Please score at least one student"],
+  student_not_found: [400, "One or more students aren't on the project's team"],
+  score_out_of_range: [400, "Scores must be between 0 and the committee's max final work grade"],
+};
+
+const COMMITTEE_COLUMNS =
+  "project_id, aggregation_policy, max_final_work_grade, supervisor_weight, disagreement_threshold, updated_by, updated_at";
+
+const round = (value) => Math.round(value * 100) / 100;
+
+async function getCommittee(projectId) {
+  const rows = await conn.query(
+    `SELECT ${COMMITTEE_COLUMNS} FROM project_committees WHERE project_id = ?`,
+    [projectId]
+  );
+  return rows.length > 0 ? rows[0] : null;
+}
+
+// Create or change a project's committee settings. The max final work grade
+// can't drop below a score already given
+async function saveCommittee(projectId, settings, adminId) {
+  const projects = await conn.query("SELECT 1 FROM projects WHERE project_id = ?", [projectId]);
+  if (projects.length === 0) return { error: "project_not_found" };
+
+  const previous = await getCommittee(projectId);
+  if (settings.max_final_work_grade !== undefined) {
+    const [highest] = await conn.query(
+      "SELECT MAX(score) AS score FROM committee_scores WHERE project_id = ?",
+      [projectId]
+    );
+    if (highest && highest.score !== null && Number(highest.score) > Number(settings.max_final_work_grade)) {
+      return { error: "max_below_scores" };
+    }
+  }
+
+  const merged = { aggregation_policy: "mean", supervisor_weight: 1, disagreement_threshold: 20, ...previous, ...settings };
+  await conn.query(
+    `INSERT INTO project_committees (project_id, aggregation_policy, max_final_work_grade, supervisor_weight, disagreement_threshold, updated_by)
+    VALUES (?, ?, ?, ?, ?, ?)
+    ON DUPLICATE KEY UPDATE aggregation_policy = VALUES(aggregation_policy), max_final_work_grade = VALUES(max_final_work_grade), supervisor_weight = VALUES(supervisor_weight), disagreement_threshold = VALUES(disagreement_threshold), updated_by = VALUES(updated_by)`,
+    [
+      projectId,
+      merged.aggregation_policy,
+      merged.max_final_work_grade,
+      merged.supervisor_weight,
+      merged.disagreement_threshold,
+      adminId,
+    ]
+  );
+  return { committee: await getCommittee(projectId), previous };
+}
+
+// Who scores a project: its main supervisor, then the examiners
+async function listEvaluators(projectId, committee) {
+  const supervisors = await conn.query(
+    "SELECT professor_id, professor_name FROM professor WHERE professor_id = ?",
+    [await getMainSupervisorId(projectId)]
+  );
+  const examiners = await conn.query(
+    `SELECT e.professor_id, pr.professor_name, e.weight, e.assigned_at
+    FROM project_examiners e
+    INNER JOIN professor pr ON pr.professor_id = e.professor_id
+    WHERE e.project_id = ?
+    ORDER BY pr.professor_name`,
+    [projectId]
+  );
+  return [
+    ...supervisors.map((supervisor) => ({
+      ...supervisor,
+      member_role: "supervisor",
+      weight: committee.supervisor_weight,
+    })),
+    ...examiners.map((examiner) => ({ ...examiner, member_role: "examiner" })),
+  ];
+}
+
+// Whether the professor scores the project: an examiner, or the main
+// supervisor of a project with a committee
+async function isEvaluator(projectId, professorId) {
+  const committee = await getCommittee(projectId);
+  if (!committee) return false;
+  const evaluators = await listEvaluators(projectId, committee);
+  return evaluators.some((evaluator) => String(evaluator.professor_id) === String(professorId));
+}
+
+// Add an examiner and let them know. Supervisors can't examine their own project
+async function addExaminer(projectId, professorId, weight, admin) {
+  const committee = await getCommittee(projectId);
+  if (!committee) return { error: "not_found" };
+
+  const professors = await conn.query(
+    "SELECT professor_id, professor_name FROM professor WHERE professor_id = ?",
+    [professorId]
+  );
+  if (professors.length === 0) return { error: "unknown_professor" };
+  if (await getSupervisorRole(projectId, professorId)) return { error: "supervisor" };
+
+  const existing = await conn.query(
+    "SELECT 1 FROM project_examiners WHERE project_id = ? AND professor_id = ?",
+    [projectId, professorId]
+  );
+  if (existing.length > 0) return { error: "already_examiner" };
+
+  await conn.query(
+    "INSERT INTO project_examiners (project_id, professor_id, weight, assigned_by) VALUES (?, ?, ?, ?)",
+    [projectId, professorId, weight ?? 1, admin.id]
+  );
+  const [project] = await conn.query("SELECT title FROM projects WHERE project_id = ?", [projectId]);
+  await createNotification(
+    professorId,
+    admin.id,
+    projectId,
+    "examiner_assignment",
+    `You have been assigned to examine the project '${project.title}'.`
+  );
+
+  return { examiner: { ...professors[0], weight: weight ?? 1 } };
+}
+
+// Take an examiner off the committee, only before they scored anyone
+async function removeExaminer(projectId, professorId) {
+  const existing = await conn.query(
+    "SELECT professor_id, weight FROM project_examiners WHERE project_id = ? AND professor_id = ?",
+    [projectId, professorId]
+  );
+  if (existing.length === 0) return { error: "examiner_not_found" };
+
+  const scores = await conn.query(
+    "SELECT 1 FROM committee_scores WHERE project_id = ? AND professor_id = ? LIMIT 1",
+    [projectId, professorId]
+  );
+  if (scores.length > 0) return { error: "has_scores" };
+
+  await conn.query(
+    "DELETE FROM project_examiners WHERE project_id = ? AND professor_id = ?",
+    [projectId, professorId]
+  );
+  return { examiner: existing[0] };
+}
+
+// Combine scores ([{ score, weight }]) with the committee's policy
+function aggregateScores(scores, policy) {
+  if (scores.length === 0) return null;
+  const values = scores.map((score) => Number(score.score));
+
+  if (policy === "weighted") {
+    const totalWeight = scores.reduce((sum, score) => sum + Number(score.weight), 0);
+    if (totalWeight > 0) {
+      return round(scores.reduce((sum, score) => sum + Number(score.score) * Number(score.weight), 0) / totalWeight);
+    }
+  }
+
+  let kept = values;
+  if (policy === "drop_outliers" && values.length >= 3) {
+    kept = [...values].sort((a, b) => a - b).slice(1, -1);
+  }
+  return round(kept.reduce((sum, value) => sum + value, 0) / kept.length);
+}
+
+// The gap between the highest and lowest score and whether it is above the
+// committee's threshold (a percentage of the max final work grade)
+function disagreement(scores, committee) {
+  if (scores.length < 2) return { spread: 0, flagged: false };
+  const values = scores.map((score) => Number(score.score));
+  const spread = round(Math.max(...values) - Math.min(...values));
+  const limit = (Number(committee.disagreement_threshold) / 100) * Number(committee.max_final_work_grade);
+  return { spread, flagged: spread > limit };
+}
+
+// Each student's committee scores and, once every evaluator scored, the
+// aggregate. Resolves with [{ student_id, student_name, scores, complete,
+// final_work_grade, spread, flagged }]
+async function studentResults(projectId, committee, evaluators) {
+  const students = await conn.query(
+    "SELECT student_id, student_name FROM project_students WHERE project_id = ? ORDER BY student_name",
+    [projectId]
+  );
+  const scores = await conn.query(
+    "SELECT student_id, professor_id, score, comment, submitted_at FROM committee_scores WHERE project_id = ?",
+    [projectId]
+  );
+  const weights = new Map(evaluators.map((evaluator) => [String(evaluator.professor_id), evaluator]));
+
+  return students.map((student) => {
+    const own = scores
+      .filter((score) => String(score.student_id) === String(student.student_id) && weights.has(String(score.professor_id)))
+      .map((score) => {
+        const evaluator = weights.get(String(score.professor_id));
+        return { ...score, member_role: evaluator.member_role, weight: evaluator.weight };
+      });
+    const complete = evaluators.length > 0 && own.length === evaluators.length;
+    return {
+      student_id: student.student_id,
+      student_name: student.student_name,
+      scores: own,
+      complete,
+      final_work_grade: complete ? aggregateScores(own, committee.aggregation_policy) : null,
+      ...disagreement(own, committee),
+    };
+  });
+}
+
+// Score students' final work as a committee member (entries: [{ student_id,
+// score, comment }]). When a student's last score comes in, the aggregate
+// becomes their final work grade (a draft until published) and the main
+// supervisor is told, with a warning when the committee disagrees
+async function submitScores(projectId, professor, entries) {
+  const committee = await getCommittee(projectId);
+  if (!committee) return { error: "not_found" };
+  const evaluators = await listEvaluators(projectId, committee);
+  if (!evaluators.some((evaluator) => String(evaluator.professor_id) === String(professor.id))) {
+    return { error: "not_evaluator" };
+  }
+  if (!Array.isArray(entries) || entries.length === 0) return { error: "no_scores" };
+
+  const members = await conn.query(
+    "SELECT student_id FROM project_students WHERE project_id = ?",
+    [projectId]
+  );
+  const memberIds = members.map((member) => String(member.student_id));
+  for (const entry of entries) {
+    if (!memberIds.includes(String(entry.student_id))) return { error: "student_not_found" };
+    const score = Number(entry.score);
+    if (entry.score === null || entry.score === "" || !Number.isFinite(score) || score < 0 || score > Number(committee.max_final_work_grade)) {
+      return { error: "score_out_of_range" };
+    }
+  }
+
+  let results;
+  await startTransaction();
+  try {
+    for (const entry of entries) {
+      await conn.query(
+        "INSERT INTO committee_scores (project_id, student_id, professor_id, score, comment) VALUES (?, ?, ?, ?, ?) ON DUPLICATE KEY UPDATE score = VALUES(score), comment = VALUES(comment)",
+        [projectId, entry.student_id, professor.id, Number(entry.score), entry.comment || null]
+      );
+    }
+
+    const scored = entries.map((entry) => String(entry.student_id));
+    results = (await studentResults(projectId, committee, evaluators)).filter((result) =>
+      scored.includes(String(result.student_id))
+    );
+    for (const result of results.filter((result) => result.complete)) {
+      await saveGrades(
+        projectId,
+        result.student_id,
+        {
+          final_work_grade: result.final_work_grade,
+          max_final_work_grade: committee.max_final_work_grade,
+        },
+        {
+          actor: professor,
+          source: "committee",
+          reason: `Examination committee (${committee.aggregation_policy.replace("_", " ")})`,
+        }
+      );
+    }
+    await commitTransaction();
+  } catch (err) {
+    await rollbackTransaction();
+    throw err;
+  }
+
+  const supervisor = evaluators.find((evaluator) => evaluator.member_role === "supervisor");
+  const completed = results.filter((result) => result.complete);
+  if (supervisor && completed.length > 0 && String(supervisor.professor_id) !== String(professor.id)) {
+    const flagged = completed.filter((result) => result.flagged);
+    let message = `The examination committee has scored ${completed.map((result) => result.student_name).join(", ")}.`;
+    if (flagged.length > 0) {
+      message += ` The examiners disagree widely on ${flagged.map((result) => result.student_name).join(", ")}.`;
+    }
+    await createNotification(supervisor.professor_id, professor.id, projectId, "committee_update", message);
+  }
+
+  return { committee, results };
+}
+
+// The committee, its members and each student's scores as the viewer may see
+// them. Admins see everything; a committee member sees the others' scores for a
+// student once they scored the student themselves; anyone else once the
+// committee is done with the student
+async function getCommitteeView(projectId, viewer) {
+  const committee = await getCommittee(projectId);
+  if (!committee) return null;
+  const evaluators = await listEvaluators(projectId, committee);
+  const results = await studentResults(projectId, committee, evaluators);
+
+  const students = results.map((result) => {
+    const ownScore = result.scores.find((score) => String(score.professor_id) === String(viewer.id));
+    const visible =
+      viewer.role === "admin" || (viewer.role === "professor" && ownScore) || result.complete;
+    if (visible) return result;
+    return {
+      student_id: result.student_id,
+      student_name: result.student_name,
+      scores: ownScore ? [ownScore] : [],
+      submitted: result.scores.length,
+      complete: false,
+      final_work_grade: null,
+      spread: null,
+      flagged: null,
+    };
+  });
+
+  return { committee, evaluators, students };
+}
+
+// The projects a professor examines, with how many of the team they scored
+function listExaminations(professorId) {
+  return conn.query(
+    `SELECT e.project_id, p.title, p.supervisor_name, p.graduation_year, p.graduation_term, e.weight, e.assigned_at,
+      (SELECT COUNT(*) FROM project_students ps WHERE ps.project_id = e.project_id) AS students,
+      (SELECT COUNT(*) FROM committee_scores s WHERE s.project_id = e.project_id AND s.professor_id = e.professor_id) AS scored
+    FROM project_examiners e
+    INNER JOIN projects p ON p.project_id = e.project_id
+    WHERE e.professor_id = ?
+    ORDER BY e.assigned_at DESC`,
+    [professorId]
+  );
+}
+
+// Students whose committee scores are further apart than the committee allows
+function listDisagreements() {
+  return conn.query(
+    `SELECT s.project_id, p.title, s.student_id, ps.student_name, c.max_final_work_grade, c.disagreement_threshold,
+      MIN(s.score) AS lowest_score, MAX(s.score) AS highest_score, MAX(s.score) - MIN(s.score) AS spread, COUNT(*) AS scores
+    FROM committee_scores s
+    INNER JOIN project_committees c ON c.project_id = s.project_id
+    INNER JOIN projects p ON p.project_id = s.project_id
+    INNER JOIN project_students ps ON ps.project_id = s.project_id AND ps.student_id = s.student_id
+    GROUP BY s.project_id, s.student_id
+    HAVING spread > c.disagreement_threshold / 100 * c.max_final_work_grade
+    ORDER BY spread DESC`
+  );
+}
+
+module.exports = {
+  AGGREGATION_POLICIES,
+  COMMITTEE_ERRORS,
+  getCommittee,
+  saveCommittee,
+  isEvaluator,
+  addExaminer,
+  removeExaminer,
+  aggregateScores,
+  submitScores,
+  getCommitteeView,
+  listExaminations,
+  listDisagreements,
+};
@@ -0,0 +1,83 @@
+// Minimal RFC 4180 CSV reading and writing (quoted fields, escaped quotes,
+// CRLF or LF line endings)
+
+// Parse CSV text into an array of rows, each an array of strings
+function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let field = "";
+  let inQuotes = false;
+  const input = String(text).replace(/^\uFEFF/, "");
+
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+
+    if (inQuotes) {
+      if (char === '"' && input[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === ",") {
+      row.push(field);
+      field = "";
+    } else if (char === "\n" || char === "\r") {
+      if (char === "\r" && input[i + 1] === "\n") i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = "";
+    } else {
+      field += char;
+    }
+  }
+
+  if (field !== "" || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  // Drop blank lines
+  return rows.filter((r) => r.some((value) => value.trim() !== ""));
+}
+
+// Parse CSV with a header line into objects keyed by the lower-cased header.
+// Each object also gets its row number as `_row` (the header is row 1, blank
+// lines aren't counted)
+function parseCsvObjects(text) {
+  const [header, ...rows] = parseCsv(text);
+  if (!header) return { columns: [], records: [] };
+
+  const columns = header.map((column) => column.trim().toLowerCase());
+  const records = rows.map((row, index) => {
+    const record = { _row: index + 2 };
+    columns.forEach((column, i) => {
+      record[column] = row[i] !== undefined ? row[i].trim() : "";
+    });
+    return record;
+  });
+
+  return { columns, records };
+}
+
+function escapeCsvValue(value) {
+  if (value === null || value === undefined) return "";
+  const text = value instanceof Date ? value.toISOString() : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// Turn objects into CSV text with the given columns as the header
+function toCsv(columns, records) {
+  const lines = [columns.map(escapeCsvValue).join(",")];
+  for (const record of records) {
+    lines.push(columns.map((column) => escapeCsvValue(record[column])).join(","));
+  }
+  return lines.join("\r\n") + "\r\n";
+}
+
+module.exports = { parseCsv, parseCsvObjects, toCsv };
@@ -0,0 +1,100 @@
+const conn = require("../db/dbConnection");
+const crypto = require("crypto");
+const { sendMail, appUrl } = require("./mail");
+
+// Verification links are valid for a day, and can be re-sent every two minutes
+const VERIFICATION_TTL_HOURS = parseInt(process.env.VERIFICATION_TTL_HOURS, 10) || 24;
+const RESEND_COOLDOWN_SECONDS = parseInt(process.env.VERIFICATION_RESEND_COOLDOWN_SECONDS, 10) || 120;
+
+// Where each role keeps its accounts
+const ACCOUNTS = {
+  student: {
+    table: "students",
+    id: "student_id",
+    name: "student_name",
+    email: "student_email",
+  },
+  professor: {
+    table: "professor",
+    id: "professor_id",
+    name: "professor_name",
+    email: "professor_email",
+  },
+};
+
+function hashToken(token) {
+  return crypto.createHash("sha256").update(String(token)).digest("hex");
+}
+
+async function findAccount(role, column, value) {
+  const account = ACCOUNTS[role];
+  const rows = await conn.query(
+    `SELECT ${account.id} AS user_id, ${account.name} AS name, ${account.email} AS email, email_verified_at FROM ${account.table} WHERE ${column === "email" ? account.email : account.id} = ?`,
+    [value]
+  );
+  return rows.length > 0 ? rows[0] : null;
+}
+
+// Create a single-use verification link for an account and email it
+async function sendVerification(userId, role) {
+  const account = await findAccount(role, "id", userId);
+  if (!account) throw new Error(`No ${role} account with id ${userId}`);
+
+  const token = crypto.randomBytes(32).toString("hex");
+
+  // Only the newest link works, older ones are invalidated
+  await conn.query(
+    "UPDATE email_verifications SET used_at = NOW() WHERE user_id = ? AND user_role = ? AND used_at IS NULL",
+    [userId, role]
+  );
+  await conn.query(
+    "INSERT INTO email_verifications (user_id, user_role, token_hash, expires_at) VALUES (?, ?, ?, DATE_ADD(NOW(), INTERVAL ? HOUR))",
+    [userId, role, hashToken(token), VERIFICATION_TTL_HOURS]
+  );
+
+  await sendMail(account.email, "emailVerification", {
+    name: account.name,
+    verifyUrl: appUrl(`/verify-email/${token}`),
+    expiresInHours: VERIFICATION_TTL_HOURS,
+  });
+}
+
+// Seconds until another link may be sent to this account, 0 when it may be sent now
+async function getResendCooldown(userId, role) {
+  const rows = await conn.query(
+    "SELECT GREATEST(0, ? - TIMESTAMPDIFF(SECOND, MAX(created_at), NOW())) AS remaining FROM email_verifications WHERE user_id = ? AND user_role = ?",
+    [RESEND_COOLDOWN_SECONDS, userId, role]
+  );
+  return rows[0].remaining === null ? 0 : Number(rows[0].remaining);
+}
+
+// Consume a verification token and activate the account, resolves with the account or null
+async function verifyEmail(token) {
+  const verifications = await conn.query(
+    "SELECT verification_id, user_id, user_role FROM email_verifications WHERE token_hash = ? AND used_at IS NULL AND expires_at > NOW()",
+    [hashToken(token)]
+  );
+  if (verifications.length === 0) return null;
+
+  const { verification_id, user_id, user_role } = verifications[0];
+  const account = ACCOUNTS[user_role];
+
+  await conn.query(
+    "UPDATE email_verifications SET used_at = NOW() WHERE verification_id = ?",
+    [verification_id]
+  );
+  await conn.query(
+    `UPDATE ${account.table} SET email_verified_at = NOW() WHERE ${account.id} = ? AND email_verified_at IS NULL`,
+    [user_id]
+  );
+
+  return { ...(await findAccount(user_role, "id", user_id)), role: user_role };
+}
+
+module.exports = {
+  ACCOUNTS,
+  findAccount,
+  sendVerification,
+  getResendCooldown,
+  verifyEmail,
+};
@@ -0,0 +1,111 @@
+const fs = require("fs");
+const crypto = require("crypto");
+
+// Upload formats we accept, with the extensions and the MIME type we record
+const FORMATS = {
+  pdf: { extensions: [".pdf"], mime: "application/pdf" },
+  zip: { extensions: [".zip"], mime: "application/zip" },
+  rar: { extensions: [".rar"], mime: "application/vnd.rar" },
+  "7z": { extensions: [".7z"], mime: "application/x-7z-compressed" },
+  pptx: {
+    extensions: [".pptx"],
+    mime: "application/vnd.openxmlformats-officedocument.presentationml.presentation",
+  },
+};
+
+const SIGNATURES = {
+  zip: [Buffer.from([0x50, 0x4b, 0x03, 0x04]), Buffer.from([0x50, 0x4b, 0x05, 0x06])],
+  rar: [Buffer.from([0x52, 0x61, 0x72, 0x21, 0x1a, 0x07])],
+  "7z": [Buffer.from([0x37, 0x7a, 0xbc, 0xaf, 0x27, 0x1c])],
+};
+
+// A PDF starts with its header, after at most a byte order mark and whitespace
+const PDF_HEADER = /^(\xef\xbb\xbf)?[\s\0]{0,4}%PDF-/;
+
+// The ZIP end of central directory record sits in the last 22 bytes + comment (<= 64 KiB)
+const EOCD_SIGNATURE = 0x06054b50;
+const CENTRAL_ENTRY_SIGNATURE = 0x02014b50;
+const EOCD_SEARCH_BYTES = 22 + 0xffff;
+
+function formatForExtension(extension) {
+  const ext = extension.toLowerCase();
+  return Object.keys(FORMATS).find((format) => FORMATS[format].extensions.includes(ext)) || null;
+}
+
+async function readBytes(handle, position, length) {
+  const buffer = Buffer.alloc(length);
+  const { bytesRead } = await handle.read(buffer, 0, length, position);
+  return buffer.subarray(0, bytesRead);
+}
+
+// Names of the entries in a ZIP archive, read from its central directory
+async function zipEntryNames(handle, size) {
+  const tailLength = Math.min(size, EOCD_SEARCH_BYTES);
+  const tail = await readBytes(handle, size - tailLength, tailLength);
+
+  let eocd = -1;
+  for (let i = tail.length - 22; i >= 0; i--) {
+    if (tail.readUInt32LE(i) === EOCD_SIGNATURE) {
+      eocd = i;
+      break;
+    }
+  }
+  if (eocd === -1) return [];
+
+  const directorySize = tail.readUInt32LE(eocd + 12);
+  const directoryOffset = tail.readUInt32LE(eocd + 16);
+  if (directoryOffset + directorySize > size) return [];
+
+  const directory = await readBytes(handle, directoryOffset, directorySize);
+  const names = [];
+  let offset = 0;
+  while (offset + 46 <= directory.length && directory.readUInt32LE(offset) === CENTRAL_ENTRY_SIGNATURE) {
+    const nameLength = directory.readUInt16LE(offset + 28);
+    const extraLength = directory.readUInt16LE(offset + 30);
+    const commentLength = directory.readUInt16LE(offset + 32);
+    names.push(directory.toString("utf8", offset + 46, offset + 46 + nameLength));
+    offset += 46 + nameLength + extraLength + commentLength;
+  }
+  return names;
+}
+
+// Work out a file's real format from its content. A ZIP is only a pptx when it
+// holds a PowerPoint package, so the extension decides which one we look for
+async function detectFormat(filePath, extension) {
+  const handle = await fs.promises.open(filePath, "r");
+  try {
+    const { size } = await handle.stat();
+    const head = await readBytes(handle, 0, 1024);
+
+    if (SIGNATURES.rar.some((signature) => head.subarray(0, signature.length).equals(signature))) {
+      return "rar";
+    }
+    if (SIGNATURES["7z"].some((signature) => head.subarray(0, signature.length).equals(signature))) {
+      return "7z";
+    }
+    if (SIGNATURES.zip.some((signature) => head.subarray(0, signature.length).equals(signature))) {
+      if (formatForExtension(extension) !== "pptx") return "zip";
+
+      const names = await zipEntryNames(handle, size);
+      const isPresentation =
+        names.includes("[Content_Types].xml") && names.some((name) => name.startsWith("ppt/"));
+      return isPresentation ? "pptx" : "zip";
+    }
+    if (PDF_HEADER.test(head.toString("latin1", 0, 16))) return "pdf";
+    return null;
+  } finally {
+    await handle.close();
+  }
+}
+
+function sha256File(filePath) {
+  return new Promise((resolve, reject) => {
+    const hash = crypto.createHash("sha256");
+    fs.createReadStream(filePath)
+      .on("error", reject)
+      .on("data", (chunk) => hash.update(chunk))
+      .on("end", () => resolve(hash.digest("hex")));
+  });
+}
+
+module.exports = { FORMATS, formatForExtension, detectFormat, sha256File };
@@ -0,0 +1,359 @@
+const conn = require("../db/dbConnection");
+const { parseCsvObjects } = require("./csv");
+const { SUPERVISOR_PERMISSIONS } = require("./supervision");
+const { findProjectRubric, scoreStudent } = require("./rubrics");
+const { GRADE_FIELDS, getGradeLock, saveGrades, publishGrades } = require("./grades");
+const {
+  startTransaction,
+  commitTransaction,
+  rollbackTransaction,
+} = require("../db/transaction");
+
+// Grades are stored as decimal(5,2)
+const MAX_GRADE = 999.99;
+
+// Columns every grade sheet has; rubric criteria follow as criterion_<id>
+const SHEET_COLUMNS = ["project_id", "title", "student_id", "student_name", ...GRADE_FIELDS];
+
+const CRITERION_COLUMN = /^criterion_(\d+)$/;
+
+// Grade fields only an examination committee changes
+const COMMITTEE_FIELDS = ["final_work_grade", "max_final_work_grade"];
+
+const isBlank = (value) => value === undefined || value === null || value === "";
+
+// Everything needed to check grades for some projects, keyed by project_id:
+// the rubric, the lock, whether an examination committee gives the final work
+// grade, each member's current grades and criterion points
+async function loadProjects(projectIds) {
+  const projects = new Map();
+  if (projectIds.length === 0) return projects;
+
+  const rows = await conn.query(
+    "SELECT project_id, title FROM projects WHERE project_id IN (?)",
+    [projectIds]
+  );
+  const members = await conn.query(
+    `SELECT project_id, student_id, student_name, ${GRADE_FIELDS.join(", ")} FROM project_students WHERE project_id IN (?) ORDER BY project_id, student_name`,
+    [projectIds]
+  );
+  const points = await conn.query(
+    "SELECT project_id, student_id, criterion_id, points FROM criterion_scores WHERE project_id IN (?)",
+    [projectIds]
+  );
+  const committees = await conn.query(
+    "SELECT project_id FROM project_committees WHERE project_id IN (?)",
+    [projectIds]
+  );
+
+  for (const row of rows) {
+    const rubric = await findProjectRubric(row.project_id);
+    const own = members.filter((member) => member.project_id === row.project_id);
+    projects.set(String(row.project_id), {
+      ...row,
+      rubric,
+      criteria: new Map((rubric ? rubric.criteria : []).map((criterion) => [String(criterion.criterion_id), criterion])),
+      lock: await getGradeLock(row.project_id),
+      committee: committees.some((committee) => committee.project_id === row.project_id),
+      members: new Map(own.map((member) => [String(member.student_id), member])),
+      points: new Map(
+        own.map((member) => [
+          String(member.student_id),
+          new Map(
+            points
+              .filter((score) => score.project_id === row.project_id && String(score.student_id) === String(member.student_id))
+              .map((score) => [String(score.criterion_id), Number(score.points)])
+          ),
+        ])
+      ),
+    });
+  }
+  return projects;
+}
+
+// Check one entry ({ project_id, student_id, grades, scores }) against its
+// project. Resolves the errors and whether it changes anything. Rubric projects
+// take scores, the others the grade fields
+function checkEntry(projects, entry) {
+  const errors = [];
+  const project = projects.get(String(entry.project_id));
+  if (!project) return { errors: ["you don't grade this project"], changed: false };
+
+  const member = project.members.get(String(entry.student_id));
+  if (!member) return { errors: ["the student isn't on the project's team"], changed: false };
+  if (project.lock.locked) errors.push("the project's grades are locked");
+
+  let changed = false;
+  if (project.rubric) {
+    const scores = entry.scores || [];
+    if (scores.length === 0) errors.push("the project is graded with a rubric, please score its criteria");
+
+    const current = project.points.get(String(entry.student_id));
+    for (const score of scores) {
+      const criterion = project.criteria.get(String(score.criterion_id));
+      const points = Number(score.points);
+      if (!criterion) {
+        errors.push(`criterion ${score.criterion_id} isn't part of the project's rubric`);
+      } else if (isBlank(score.points) || !Number.isFinite(points) || points < 0 || points > Number(criterion.max_points)) {
+        errors.push(`criterion ${score.criterion_id} points must be between 0 and ${Number(criterion.max_points)}`);
+      } else if (current.get(String(score.criterion_id)) !== points) {
+        changed = true;
+      }
+    }
+    return { errors, changed };
+  }
+
+  // The committee gives the final work grade; the sheet's own value is fine as
+  // long as it is left as it was
+  let fields = GRADE_FIELDS;
+  if (project.committee) {
+    fields = GRADE_FIELDS.filter((field) => !COMMITTEE_FIELDS.includes(field));
+    for (const field of COMMITTEE_FIELDS) {
+      const value = entry.grades[field];
+      if (isBlank(value)) continue;
+      if (member[field] === null || Number(member[field]) !== Number(value)) {
+        errors.push(`${field} is given by the project's examination committee`);
+      }
+    }
+  }
+
+  const given = fields.filter((field) => !isBlank(entry.grades[field]));
+  if (given.length === 0 && errors.length === 0) errors.push("no grades given");
+
+  const after = { ...member };
+  for (const field of given) {
+    const value = Number(entry.grades[field]);
+    if (!Number.isFinite(value) || value < 0 || value > MAX_GRADE) {
+      errors.push(`${field} must be a number between 0 and ${MAX_GRADE}`);
+      continue;
+    }
+    after[field] = value;
+    if (member[field] === null || Number(member[field]) !== value) changed = true;
+  }
+  for (const component of ["semester_work", "final_work"]) {
+    const grade = after[`${component}_grade`];
+    const max = after[`max_${component}_grade`];
+    if (grade !== null && max !== null && Number(grade) > Number(max)) {
+      errors.push(`${component}_grade is above max_${component}_grade`);
+    }
+  }
+  return { errors, changed };
+}
+
+// Check one student's grades (or rubric scores) the way the batch and the
+// grade sheet do. Resolves with the errors, none when they can be saved
+async function checkGrades(projectId, studentId, grades, scores) {
+  const projects = await loadProjects([projectId]);
+  const check = checkEntry(projects, { project_id: projectId, student_id: studentId, grades, scores });
+  return check.errors;
+}
+
+// Write checked entries in one transaction. Resolves with the saved versions
+async function applyEntries(projects, entries, { actor, source, reason }) {
+  const saved = [];
+  await startTransaction();
+  try {
+    for (const entry of entries) {
+      const project = projects.get(String(entry.project_id));
+      let grades = Object.fromEntries(
+        GRADE_FIELDS.map((field) => [field, isBlank(entry.grades[field]) ? undefined : Number(entry.grades[field])])
+      );
+      if (project.rubric) {
+        const scored = await scoreStudent(project.project_id, entry.student_id, project.rubric, entry.scores, actor);
+        if (scored.error) throw new Error(`Unexpected rubric error: ${scored.error}`);
+        grades = scored.grades;
+      }
+
+      const result = await saveGrades(project.project_id, entry.student_id, grades, {
+        actor,
+        source: source || (project.rubric ? "rubric" : "manual"),
+        reason,
+      });
+      saved.push({
+        project_id: project.project_id,
+        student_id: entry.student_id,
+        version_id: result.version_id,
+        before: result.before,
+        after: result.after,
+      });
+    }
+    await commitTransaction();
+  } catch (err) {
+    await rollbackTransaction();
+    throw err;
+  }
+  return saved;
+}
+
+// Publish what was saved, per project, where the professor may publish.
+// Resolves with the projects published, each with its visible_from
+async function publishSaved(saved, publishable, actor) {
+  const publications = [];
+  const projectIds = [...new Set(saved.map((version) => String(version.project_id)))];
+  for (const projectId of projectIds.filter((id) => publishable(id))) {
+    const studentIds = saved
+      .filter((version) => String(version.project_id) === projectId)
+      .map((version) => version.student_id);
+    const result = await publishGrades(projectId, studentIds, actor);
+    if (!result.error) publications.push({ project_id: Number(projectId), ...result });
+  }
+  return publications;
+}
+
+// Grade several members of one project at once (entries: [{ student_id,
+// grades fields or scores }]). Nothing is written unless every entry is valid.
+// Resolves with { errors } or { saved, unchanged, publications }
+async function gradeTeam(projectId, entries, { actor, reason, publish }) {
+  const projects = await loadProjects([projectId]);
+  const normalized = entries.map((entry) => ({
+    project_id: projectId,
+    student_id: entry.student_id,
+    grades: Object.fromEntries(GRADE_FIELDS.map((field) => [field, entry[field]])),
+    scores: entry.scores,
+  }));
+
+  const errors = [];
+  const seen = new Set();
+  const changed = [];
+  const unchanged = [];
+  for (const entry of normalized) {
+    const check = checkEntry(projects, entry);
+    if (seen.has(String(entry.student_id))) check.errors.push("the student is graded twice");
+    seen.add(String(entry.student_id));
+
+    if (check.errors.length > 0) errors.push({ student_id: entry.student_id, errors: check.errors });
+    else if (check.changed) changed.push(entry);
+    else unchanged.push(entry.student_id);
+  }
+  if (errors.length > 0) return { errors };
+
+  const saved = await applyEntries(projects, changed, { actor, reason });
+  const publications = publish ? await publishSaved(saved, () => true, actor) : [];
+  return { saved, unchanged, publications };
+}
+
+// The projects a professor enters grades for, with their supervisor role
+async function listGradedProjects(professorId, { graduationYear, graduationTerm } = {}) {
+  let sql = `SELECT p.project_id, p.title, p.graduation_year, p.graduation_term, COALESCE(pp.supervisor_role, 'main') AS supervisor_role
+    FROM projects p
+    LEFT JOIN project_professor pp ON pp.project_id = p.project_id AND pp.professor_id = ?
+    WHERE (pp.professor_id IS NOT NULL OR p.professor_id = ?)`;
+  const values = [professorId, professorId];
+  if (graduationYear && graduationTerm) {
+    sql += " AND p.graduation_year = ? AND p.graduation_term = ?";
+    values.push(graduationYear, graduationTerm);
+  }
+  sql += " ORDER BY p.project_id";
+
+  const projects = await conn.query(sql, values);
+  return projects.filter((project) => SUPERVISOR_PERMISSIONS[project.supervisor_role].includes("grade"));
+}
+
+// The grade sheet of every project the professor grades: one row per student
+// with the working grades and, for rubric projects, a criterion_<id> column
+// per criterion. Resolves with { columns, rows }
+async function exportGradeSheet(professorId, filters) {
+  const graded = await listGradedProjects(professorId, filters);
+  const projects = await loadProjects(graded.map((project) => project.project_id));
+
+  const criterionColumns = new Set();
+  const rows = [];
+  for (const project of projects.values()) {
+    for (const criterionId of project.criteria.keys()) criterionColumns.add(`criterion_${criterionId}`);
+    for (const member of project.members.values()) {
+      const row = {
+        project_id: project.project_id,
+        title: project.title,
+        student_id: member.student_id,
+        student_name: member.student_name,
+        ...Object.fromEntries(GRADE_FIELDS.map((field) => [field, member[field]])),
+      };
+      for (const [criterionId, points] of project.points.get(String(member.student_id))) {
+        row[`criterion_${criterionId}`] = points;
+      }
+      rows.push(row);
+    }
+  }
+
+  return { columns: [...SHEET_COLUMNS, ...criterionColumns], rows };
+}
+
+// Validate a grade sheet CSV and, unless it's a dry run, write the valid rows
+// in one transaction. Rows that change nothing are skipped. The professor's
+// grades are published where their role allows it, unless draft is set
+async function importGradeSheet(csvText, { professor, dryRun, draft, reason }) {
+  const { columns, records } = parseCsvObjects(csvText);
+  const missing = ["project_id", "student_id"].filter((column) => !columns.includes(column));
+  if (missing.length > 0) {
+    return { error: `Missing required column(s): ${missing.join(", ")}` };
+  }
+  const criterionColumns = columns.filter((column) => CRITERION_COLUMN.test(column));
+
+  const graded = await listGradedProjects(professor.id);
+  const roles = new Map(graded.map((project) => [String(project.project_id), project.supervisor_role]));
+  const projectIds = [...new Set(records.map((record) => record.project_id))].filter((id) => roles.has(id));
+  const projects = await loadProjects(projectIds);
+
+  const report = { graded: [], unchanged: [], invalid: [] };
+  const seen = new Map();
+  const changed = [];
+  for (const record of records) {
+    const entry = {
+      row: record._row,
+      project_id: record.project_id,
+      student_id: record.student_id,
+      grades: Object.fromEntries(GRADE_FIELDS.map((field) => [field, record[field]])),
+      scores: criterionColumns
+        .filter((column) => !isBlank(record[column]))
+        .map((column) => ({ criterion_id: column.match(CRITERION_COLUMN)[1], points: record[column] })),
+    };
+
+    const check = checkEntry(projects, entry);
+    const key = `${entry.project_id}:${entry.student_id}`;
+    if (seen.has(key)) check.errors.push(`the student is repeated from row ${seen.get(key)}`);
+    seen.set(key, entry.row);
+
+    const summary = { row: entry.row, project_id: entry.project_id, student_id: entry.student_id };
+    if (check.errors.length > 0) {
+      report.invalid.push({ ...summary, errors: check.errors });
+    } else if (check.changed) {
+      changed.push(entry);
+      report.graded.push(summary);
+    } else {
+      report.unchanged.push(summary);
+    }
+  }
+
+  let publications = [];
+  if (!dryRun && changed.length > 0) {
+    const saved = await applyEntries(projects, changed, {
+      actor: professor,
+      source: "import",
+      reason: reason || "Grade sheet import",
+    });
+    report.graded = report.graded.map((summary, index) => ({ ...summary, version_id: saved[index].version_id }));
+
+    const publishable = (projectId) =>
+      !draft && SUPERVISOR_PERMISSIONS[roles.get(projectId)].includes("finalize_grades");
+    publications = await publishSaved(saved, publishable, professor);
+  }
+
+  return {
+    mode: dryRun ? "dry-run" : "commit",
+    summary: {
+      total: records.length,
+      graded: report.graded.length,
+      unchanged: report.unchanged.length,
+      invalid: report.invalid.length,
+    },
+    ...report,
+    publications,
+  };
+}
+
+module.exports = {
+  checkGrades,
+  gradeTeam,
+  exportGradeSheet,
+  importGradeSheet,
+};
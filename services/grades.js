@@ -0,0 +1,232 @@
+const conn = require("../db/dbConnection");
+const { createNotification } = require("./notification");
+
+const GRADE_FIELDS = [
+  "semester_work_grade",
+  "final_work_grade",
+  "max_semester_work_grade",
+  "max_final_work_grade",
+];
+
+// The grades students can see, one row per student, to read in place of
+// project_students wherever grades are shown outside the project: working
+// grades may be unpublished drafts
+const PUBLISHED_GRADES = `(SELECT ps.project_id, ps.student_id, v.semester_work_grade, v.final_work_grade, v.max_semester_work_grade, v.max_final_work_grade,
+      v.semester_work_grade + v.final_work_grade AS overall_grade,
+      v.max_semester_work_grade + v.max_final_work_grade AS max_overall_grade
+    FROM project_students ps
+    INNER JOIN grade_versions v ON v.version_id = ps.published_version_id
+    WHERE ps.visible_from <= NOW())`;
+
+// HTTP status and message for each grading error
+const GRADE_ERRORS = {
+  student_not_found: [404, "Student not found in the specified project"],
+  locked: [423, "Grades for this term are locked, an admin has to unlock the project first"],
+  nothing_to_publish: [409, "There are no unpublished grades to publish"],
+  not_unlocked: [409, "The project's grades aren't unlocked"],
+  already_unlocked: [409, "The project's grades are already unlocked"],
+};
+
+// The term's grade dates for a project and its active unlock, as
+// { locked, lock_at, publish_at, unlock }
+async function getGradeLock(projectId) {
+  const rows = await conn.query(
+    `SELECT ts.grades_publish_at, ts.grades_lock_at, ts.grades_lock_at <= NOW() AS past_lock
+    FROM projects p
+    LEFT JOIN term_settings ts ON ts.graduation_year = p.graduation_year AND ts.graduation_term = p.graduation_term
+    WHERE p.project_id = ?`,
+    [projectId]
+  );
+  const settings = rows[0] || {};
+  const unlocks = await conn.query(
+    "SELECT unlock_id, reason, unlocked_by, unlocked_at FROM grade_unlocks WHERE project_id = ? AND relocked_at IS NULL ORDER BY unlock_id DESC LIMIT 1",
+    [projectId]
+  );
+  const unlock = unlocks[0] || null;
+
+  return {
+    locked: Boolean(settings.past_lock) && !unlock,
+    lock_at: settings.grades_lock_at || null,
+    publish_at: settings.grades_publish_at || null,
+    unlock,
+  };
+}
+
+// Write a student's working grades and keep the change as a version. Fields
+// left undefined keep their value, and so does the final work grade of a
+// project with an examination committee unless the committee gives it or an
+// appeal revises it. Resolves with { before, after, version_id } or { error }.
+// Doesn't open a transaction of its own so a caller can grade several students
+// in one, nor check the lock, which callers do once
+async function saveGrades(projectId, studentId, grades, { actor, source = "manual", reason }) {
+  const rows = await conn.query(
+    `SELECT ${GRADE_FIELDS.join(", ")} FROM project_students WHERE project_id = ? AND student_id = ?`,
+    [projectId, studentId]
+  );
+  if (rows.length === 0) return { error: "student_not_found" };
+
+  let fields = GRADE_FIELDS;
+  if (!["committee", "appeal"].includes(source)) {
+    const committees = await conn.query("SELECT 1 FROM project_committees WHERE project_id = ?", [projectId]);
+    if (committees.length > 0) {
+      fields = fields.filter((field) => !["final_work_grade", "max_final_work_grade"].includes(field));
+    }
+  }
+
+  const before = { ...rows[0] };
+  const after = { ...before };
+  for (const field of fields) {
+    if (grades[field] !== undefined) after[field] = grades[field];
+  }
+
+  await conn.query(
+    `UPDATE project_students SET ${GRADE_FIELDS.map((field) => `${field} = ?`).join(", ")} WHERE project_id = ? AND student_id = ?`,
+    [...GRADE_FIELDS.map((field) => after[field]), projectId, studentId]
+  );
+  const result = await conn.query(
+    `INSERT INTO grade_versions (project_id, student_id, ${GRADE_FIELDS.join(", ")}, source, reason, changed_by, changer_role) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+    [
+      projectId,
+      studentId,
+      ...GRADE_FIELDS.map((field) => after[field]),
+      source,
+      reason || null,
+      actor.id,
+      actor.role,
+    ]
+  );
+
+  return { before, after, version_id: result.insertId };
+}
+
+// Publish the latest version of the students' grades (every student of the
+// project by default). Before the term's publication date they are scheduled
+// and students see them from that date. Resolves with { published, visible_from }
+async function publishGrades(projectId, studentIds, actor) {
+  const lock = await getGradeLock(projectId);
+
+  let sql = `SELECT ps.student_id, MAX(v.version_id) AS latest_version_id
+    FROM project_students ps
+    INNER JOIN grade_versions v ON v.project_id = ps.project_id AND v.student_id = ps.student_id
+    WHERE ps.project_id = ?`;
+  const values = [projectId];
+  if (studentIds && studentIds.length > 0) {
+    sql += " AND ps.student_id IN (?)";
+    values.push(studentIds);
+  }
+  sql += " GROUP BY ps.student_id, ps.published_version_id HAVING ps.published_version_id IS NULL OR MAX(v.version_id) > ps.published_version_id";
+
+  const pending = await conn.query(sql, values);
+  if (pending.length === 0) return { error: "nothing_to_publish" };
+
+  const publishAt = lock.publish_at && new Date(lock.publish_at) > new Date() ? new Date(lock.publish_at) : null;
+  for (const student of pending) {
+    await conn.query(
+      "UPDATE project_students SET published_version_id = ?, published_at = NOW(), visible_from = COALESCE(?, NOW()) WHERE project_id = ? AND student_id = ?",
+      [student.latest_version_id, publishAt, projectId, student.student_id]
+    );
+  }
+
+  const message = publishAt
+    ? `Your grades have been finalized and will be published on ${publishAt.toISOString().slice(0, 16).replace("T", " ")}.`
+    : "Your grades have been published.";
+  for (const student of pending) {
+    await createNotification(student.student_id, actor.id, projectId, "grade_update", message);
+  }
+
+  return {
+    published: pending.map((student) => ({
+      student_id: student.student_id,
+      version_id: student.latest_version_id,
+    })),
+    visible_from: publishAt,
+  };
+}
+
+// Every version of a project's grades (or one student's), newest first, each
+// with the values it replaced and whether it is the published one
+async function getGradeHistory(projectId, studentId) {
+  let sql = `SELECT v.version_id, v.student_id, ${GRADE_FIELDS.map((field) => `v.${field}`).join(", ")}, v.source, v.reason, v.changed_by, v.changer_role, v.created_at, v.version_id = ps.published_version_id AS published
+    FROM grade_versions v
+    LEFT JOIN project_students ps ON ps.project_id = v.project_id AND ps.student_id = v.student_id
+    WHERE v.project_id = ?`;
+  const values = [projectId];
+  if (studentId !== undefined) {
+    sql += " AND v.student_id = ?";
+    values.push(studentId);
+  }
+  sql += " ORDER BY v.version_id";
+
+  const versions = await conn.query(sql, values);
+  const last = {};
+  const history = versions.map((version) => {
+    const key = String(version.student_id);
+    const previous = last[key];
+    last[key] = version;
+    return {
+      version_id: version.version_id,
+      student_id: version.student_id,
+      old: Object.fromEntries(GRADE_FIELDS.map((field) => [field, previous ? previous[field] : null])),
+      new: Object.fromEntries(GRADE_FIELDS.map((field) => [field, version[field]])),
+      source: version.source,
+      reason: version.reason,
+      changed_by: version.changed_by,
+      changer_role: version.changer_role,
+      created_at: version.created_at,
+      published: Boolean(version.published),
+    };
+  });
+  return history.reverse();
+}
+
+// The grades students can see, of one student ({ studentId }) or one project's
+// team ({ projectId }): the published version once it is visible
+function getPublishedGrades({ studentId, projectId }) {
+  return conn.query(
+    `SELECT ps.project_id, ps.student_id, ps.student_name, v.semester_work_grade, v.final_work_grade, v.max_semester_work_grade, v.max_final_work_grade,
+      v.semester_work_grade + v.final_work_grade AS overall_grade,
+      v.max_semester_work_grade + v.max_final_work_grade AS max_overall_grade,
+      IF(v.version_id IS NULL, NULL, ps.visible_from) AS published_at,
+      v.version_id IS NOT NULL AND v.version_id = (
+        SELECT MAX(version_id) FROM grade_versions WHERE project_id = ps.project_id AND student_id = ps.student_id
+      ) AS up_to_date
+    FROM project_students ps
+    LEFT JOIN grade_versions v ON v.version_id = ps.published_version_id AND ps.visible_from <= NOW()
+    WHERE ${studentId !== undefined ? "ps.student_id = ?" : "ps.project_id = ?"}`,
+    [studentId !== undefined ? studentId : projectId]
+  );
+}
+
+// Let an admin change a locked project's grades again, the reason is kept
+async function unlockGrades(projectId, reason, adminId) {
+  const lock = await getGradeLock(projectId);
+  if (lock.unlock) return { error: "already_unlocked" };
+
+  const result = await conn.query(
+    "INSERT INTO grade_unlocks (project_id, reason, unlocked_by) VALUES (?, ?, ?)",
+    [projectId, reason, adminId]
+  );
+  return { unlock_id: result.insertId, lock };
+}
+
+async function relockGrades(projectId, adminId) {
+  const result = await conn.query(
+    "UPDATE grade_unlocks SET relocked_by = ?, relocked_at = NOW() WHERE project_id = ? AND relocked_at IS NULL",
+    [adminId, projectId]
+  );
+  if (result.affectedRows === 0) return { error: "not_unlocked" };
+  return {};
+}
+
+module.exports = {
+  GRADE_FIELDS,
+  GRADE_ERRORS,
+  PUBLISHED_GRADES,
+  getGradeLock,
+  saveGrades,
+  publishGrades,
+  getGradeHistory,
+  getPublishedGrades,
+  unlockGrades,
+  relockGrades,
+};
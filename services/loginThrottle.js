@@ -0,0 +1,117 @@
+const conn = require("../db/dbConnection");
+
+// Failures are counted over a sliding window; reaching the limit locks the
+// account (or the whole IP) for LOCKOUT_MINUTES
+const WINDOW_MINUTES = parseInt(process.env.LOGIN_WINDOW_MINUTES, 10) || 15;
+const LOCKOUT_MINUTES = parseInt(process.env.LOGIN_LOCKOUT_MINUTES, 10) || 15;
+const MAX_ACCOUNT_FAILURES = parseInt(process.env.LOGIN_MAX_ACCOUNT_FAILURES, 10) || 5;
+const MAX_IP_FAILURES = parseInt(process.env.LOGIN_MAX_IP_FAILURES, 10) || 20;
+
+// Each failure doubles the delay before the password is checked, up to a cap
+const BASE_DELAY_MS = 500;
+const MAX_DELAY_MS = 8000;
+
+// Student IDs and emails are matched case-insensitively
+function normalizeIdentifier(identifier) {
+  return String(identifier || "").trim().toLowerCase();
+}
+
+async function countAccountFailures(role, identifier) {
+  const rows = await conn.query(
+    `SELECT COUNT(*) AS failures FROM login_attempts
+      WHERE user_role = ? AND account_identifier = ? AND succeeded = 0
+        AND created_at > NOW() - INTERVAL ? MINUTE
+        AND created_at > (SELECT COALESCE(MAX(created_at), '1970-01-01') FROM login_attempts WHERE user_role = ? AND account_identifier = ? AND succeeded = 1)
+        AND created_at > (SELECT COALESCE(MAX(COALESCE(unlocked_at, locked_at)), '1970-01-01') FROM account_lockouts WHERE scope = 'account' AND user_role = ? AND account_identifier = ?)`,
+    [role, identifier, WINDOW_MINUTES, role, identifier, role, identifier]
+  );
+  return rows[0].failures;
+}
+
+async function countIpFailures(ip) {
+  const rows = await conn.query(
+    `SELECT COUNT(*) AS failures FROM login_attempts
+      WHERE ip_address = ? AND succeeded = 0
+        AND created_at > NOW() - INTERVAL ? MINUTE
+        AND created_at > (SELECT COALESCE(MAX(COALESCE(unlocked_at, locked_at)), '1970-01-01') FROM account_lockouts WHERE scope = 'ip' AND ip_address = ?)`,
+    [ip, WINDOW_MINUTES, ip]
+  );
+  return rows[0].failures;
+}
+
+// The active lockout blocking this login, if any
+async function findActiveLockout(role, identifier, ip) {
+  const lockouts = await conn.query(
+    `SELECT lockout_id, scope, locked_until, GREATEST(1, TIMESTAMPDIFF(SECOND, NOW(), locked_until)) AS retry_after
+      FROM account_lockouts
+      WHERE unlocked_at IS NULL AND locked_until > NOW()
+        AND ((scope = 'account' AND user_role = ? AND account_identifier = ?) OR (scope = 'ip' AND ip_address = ?))
+      ORDER BY locked_until DESC LIMIT 1`,
+    [role, identifier, ip]
+  );
+  return lockouts.length > 0 ? lockouts[0] : null;
+}
+
+// Milliseconds to wait before checking the password
+async function getLoginDelay(role, identifier, ip) {
+  const accountFailures = await countAccountFailures(role, identifier);
+  const ipFailures = await countIpFailures(ip);
+  const failures = Math.max(accountFailures, Math.floor(ipFailures / 4));
+
+  if (failures === 0) return 0;
+  return Math.min(BASE_DELAY_MS * 2 ** (failures - 1), MAX_DELAY_MS);
+}
+
+async function createLockout(scope, role, identifier, ip, failedAttempts) {
+  const result = await conn.query(
+    "INSERT INTO account_lockouts (scope, user_role, account_identifier, ip_address, failed_attempts, locked_until) VALUES (?, ?, ?, ?, ?, DATE_ADD(NOW(), INTERVAL ? MINUTE))",
+    [scope, role, scope === "account" ? identifier : null, ip, failedAttempts, LOCKOUT_MINUTES]
+  );
+  return { lockout_id: result.insertId, scope, retry_after: LOCKOUT_MINUTES * 60 };
+}
+
+// Record a failed login and lock the account or IP once a limit is reached.
+// Resolves with the new lockout, or null when the login isn't locked yet
+async function recordFailedLogin(role, identifier, ip) {
+  await conn.query(
+    "INSERT INTO login_attempts (user_role, account_identifier, ip_address, succeeded) VALUES (?, ?, ?, 0)",
+    [role, identifier, ip]
+  );
+
+  const accountFailures = await countAccountFailures(role, identifier);
+  if (accountFailures >= MAX_ACCOUNT_FAILURES) {
+    return createLockout("account", role, identifier, ip, accountFailures);
+  }
+
+  const ipFailures = await countIpFailures(ip);
+  if (ipFailures >= MAX_IP_FAILURES) {
+    return createLockout("ip", role, identifier, ip, ipFailures);
+  }
+
+  return null;
+}
+
+// A successful login resets the account's failure count
+function recordSuccessfulLogin(role, identifier, ip) {
+  return conn.query(
+    "INSERT INTO login_attempts (user_role, account_identifier, ip_address, succeeded) VALUES (?, ?, ?, 1)",
+    [role, identifier, ip]
+  );
+}
+
+function unlockLockout(lockoutId, adminId) {
+  return conn.query(
+    "UPDATE account_lockouts SET unlocked_at = NOW(), unlocked_by = ? WHERE lockout_id = ? AND unlocked_at IS NULL",
+    [adminId, lockoutId]
+  );
+}
+
+module.exports = {
+  WINDOW_MINUTES,
+  normalizeIdentifier,
+  findActiveLockout,
+  getLoginDelay,
+  recordFailedLogin,
+  recordSuccessfulLogin,
+  unlockLockout,
+};
@@ -0,0 +1,81 @@
+const nodemailer = require("nodemailer");
+const fs = require("fs");
+const path = require("path");
+const templates = require("./mailTemplates");
+
+// MAIL_TRANSPORT picks where emails go:
+//   smtp - a real SMTP server (SMTP_HOST, SMTP_PORT, SMTP_SECURE, SMTP_USER, SMTP_PASS)
+//   file - one .eml file per email in MAIL_OUTBOX_DIR, for local testing
+// Emails carry reset, verification and invitation links, so they are never
+// printed to the logs. Without a setting they go to the outbox directory
+const MAIL_TRANSPORT = process.env.MAIL_TRANSPORT || "file";
+const MAIL_FROM =
+  process.env.MAIL_FROM || "FCI Graduation Projects <no-reply@fci.helwan.edu.eg>";
+const MAIL_OUTBOX_DIR = process.env.MAIL_OUTBOX_DIR || "mail_outbox";
+
+// Base URL of the frontend, used to build the links inside emails
+const APP_URL = (process.env.APP_URL || "http://localhost:3000").replace(/\/$/, "");
+
+function createTransport() {
+  switch (MAIL_TRANSPORT) {
+    case "smtp":
+      return nodemailer.createTransport({
+        host: process.env.SMTP_HOST,
+        port: parseInt(process.env.SMTP_PORT, 10) || 587,
+        secure: process.env.SMTP_SECURE === "true",
+        auth: process.env.SMTP_USER
+          ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS }
+          : undefined,
+      });
+    case "file":
+      return nodemailer.createTransport({ streamTransport: true, buffer: true });
+    default:
+      throw new Error(`Unknown MAIL_TRANSPORT "${MAIL_TRANSPORT}"`);
+  }
+}
+
+const transporter = createTransport();
+
+if (!process.env.MAIL_TRANSPORT) {
+  console.warn(`MAIL_TRANSPORT isn't set, emails are written to ${MAIL_OUTBOX_DIR} instead of being sent`);
+}
+
+// Keep what the stream transport produces instead of dropping it
+function storeMessage(info) {
+  if (MAIL_TRANSPORT === "file") {
+    fs.mkdirSync(MAIL_OUTBOX_DIR, { recursive: true });
+    const fileName = `${Date.now()}-${info.messageId.replace(/[<>@]/g, "")}.eml`;
+    fs.writeFileSync(path.join(MAIL_OUTBOX_DIR, fileName), info.message);
+  }
+}
+
+// Render a template and send it, resolves with nodemailer's info object
+async function sendMail(to, templateName, data) {
+  const template = templates[templateName];
+  if (!template) throw new Error(`Unknown email template "${templateName}"`);
+
+  const { subject, text, html } = template(data);
+  const info = await transporter.sendMail({
+    from: MAIL_FROM,
+    to,
+    subject,
+    text,
+    html,
+  });
+
+  storeMessage(info);
+  return info;
+}
+
+// Fire-and-forget variant for notification emails that must not fail a request
+function queueMail(to, templateName, data) {
+  sendMail(to, templateName, data).catch((err) => {
+    console.error(`Error sending "${templateName}" email to ${to}:`, err);
+  });
+}
+
+function appUrl(pathname) {
+  return `${APP_URL}${pathname}`;
+}
+
+module.exports = { sendMail, queueMail, appUrl };
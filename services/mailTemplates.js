@@ -0,0 +1,141 @@
+// Email templates. Every template returns { subject, text, html }
+
+const APP_NAME = process.env.APP_NAME || "FCI Graduation Projects";
+
+function escapeHtml(value) {
+  return String(value)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&#39;");
+}
+
+// Wrap the body paragraphs (and an optional button) in the shared HTML layout
+function layout(title, paragraphs, action) {
+  const body = paragraphs
+    .map((paragraph) => `<p>${escapeHtml(paragraph)}</p>`)
+    .join("\n");
+  const button = action
+    ? `<p><a href="${escapeHtml(action.url)}" style="display:inline-block;padding:10px 18px;background:#1d4ed8;color:#fff;text-decoration:none;border-radius:4px">${escapeHtml(action.label)}</a></p>`
+    : "";
+
+  return `<!DOCTYPE html>
+<html>
+  <body style="font-family:Arial,sans-serif;color:#111">
+    <h2>${escapeHtml(title)}</h2>
+    ${body}
+    ${button}
+    <p style="color:#666;font-size:12px">${escapeHtml(APP_NAME)}</p>
+  </body>
+</html>`;
+}
+
+function render(subject, paragraphs, action) {
+  const text = [
+    ...paragraphs,
+    ...(action ? [`${action.label}: ${action.url}`] : []),
+    `-- ${APP_NAME}`,
+  ].join("\n\n");
+
+  return { subject, text, html: layout(subject, paragraphs, action) };
+}
+
+// The supervisor's feedback on a review decision, whichever parts were given
+function feedbackParagraphs({ reason, category, suggestedChanges }) {
+  return [
+    ...(category ? [`Category: ${category}`] : []),
+    ...(reason ? [`Feedback: ${reason}`] : []),
+    ...(suggestedChanges ? [`Suggested changes: ${suggestedChanges}`] : []),
+  ];
+}
+
+const templates = {
+  passwordReset: ({ name, resetUrl, expiresInMinutes }) =>
+    render(
+      "Reset your password",
+      [
+        `Hello ${name},`,
+        "We received a request to reset the password of your account.",
+        `The link below is valid for ${expiresInMinutes} minutes. If you did not ask for a reset you can ignore this email.`,
+      ],
+      { label: "Reset password", url: resetUrl }
+    ),
+
+  emailVerification: ({ name, verifyUrl, expiresInHours }) =>
+    render(
+      "Verify your email address",
+      [
+        `Hello ${name},`,
+        "Please confirm that this email address belongs to you to activate your account.",
+        `The link below is valid for ${expiresInHours} hours and can only be used once.`,
+      ],
+      { label: "Verify email", url: verifyUrl }
+    ),
+
+  professorInvitation: ({ name, department, acceptUrl, expiresInDays }) =>
+    render(
+      `You're invited to join ${APP_NAME}`,
+      [
+        `Hello ${name},`,
+        `You have been invited to join as a professor in the ${department} department.`,
+        `Use the link below to set your password and activate your account. It expires in ${expiresInDays} days.`,
+      ],
+      { label: "Accept invitation", url: acceptUrl }
+    ),
+
+  accountActivation: ({ name, activationUrl, expiresInDays }) =>
+    render(
+      "Activate your student account",
+      [
+        `Hello ${name},`,
+        "An account has been created for you from the official student roster.",
+        `Use the link below to choose your password. It expires in ${expiresInDays} days.`,
+      ],
+      { label: "Activate account", url: activationUrl }
+    ),
+
+  welcome: ({ name, role, loginUrl }) =>
+    render(
+      `Welcome to ${APP_NAME}`,
+      [
+        `Hello ${name},`,
+        `Your ${role} account is ready to use.`,
+      ],
+      { label: "Log in", url: loginUrl }
+    ),
+
+  projectDecision: ({ name, projectTitle, status, professorName, reason, category, suggestedChanges }) =>
+    render(
+      `Your project has been ${status.toLowerCase()}`,
+      [
+        `Hello ${name},`,
+        `Your project "${projectTitle}" has been ${status.toLowerCase()} by Professor ${professorName}.`,
+        ...feedbackParagraphs({ reason, category, suggestedChanges }),
+      ]
+    ),
+
+  changesRequested: ({ name, projectTitle, professorName, reason, category, suggestedChanges, projectUrl }) =>
+    render(
+      "Changes requested on your project",
+      [
+        `Hello ${name},`,
+        `Professor ${professorName} has asked for changes to your project "${projectTitle}" before approving it.`,
+        ...feedbackParagraphs({ reason, category, suggestedChanges }),
+        "Update the project and it will be resubmitted for approval.",
+      ],
+      { label: "Update project", url: projectUrl }
+    ),
+
+  gradeUpdate: ({ name, projectTitle, gradesUrl }) =>
+    render(
+      "Your grades have been updated",
+      [
+        `Hello ${name},`,
+        `Your grades for the project "${projectTitle}" have been updated.`,
+      ],
+      { label: "View grades", url: gradesUrl }
+    ),
+};
+
+module.exports = templates;
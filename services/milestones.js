@@ -0,0 +1,239 @@
+const conn = require("../db/dbConnection");
+const { createNotification, notifyProjectStudents } = require("./notification");
+const { addFileVersion } = require("./projectFiles");
+
+// Projects that no longer get new milestones from their term's templates
+const CLOSED_STATUSES = ["rejected", "archived"];
+
+// HTTP status and message for each milestone error
+const MILESTONE_ERRORS = {
+  not_found: [404, "Milestone not found"],
+  template_not_found: [404, "Milestone template not found"],
+  empty_submission: [400, "Please upload a file or add a note"],
+};
+
+const TEMPLATE_COLUMNS =
+  "template_id, graduation_year, graduation_term, title, description, file_kind, due_at, position, created_by, created_at";
+
+const MILESTONE_COLUMNS =
+  "milestone_id, project_id, template_id, title, description, file_kind, due_at, position, due_changed_by, due_changed_at, reviewed_by, reviewer_role, review_comment, reviewed_at";
+
+function listTemplates(graduationYear, graduationTerm) {
+  let sql = `SELECT ${TEMPLATE_COLUMNS} FROM milestone_templates`;
+  const values = [];
+  if (graduationYear && graduationTerm) {
+    sql += " WHERE graduation_year = ? AND graduation_term = ?";
+    values.push(graduationYear, graduationTerm);
+  }
+  sql += " ORDER BY graduation_year DESC, graduation_term, position, due_at";
+  return conn.query(sql, values);
+}
+
+async function getTemplate(templateId) {
+  const rows = await conn.query(
+    `SELECT ${TEMPLATE_COLUMNS} FROM milestone_templates WHERE template_id = ?`,
+    [templateId]
+  );
+  return rows.length > 0 ? rows[0] : null;
+}
+
+// Copy the templates of a project's term it doesn't have yet onto it. With a
+// templateId, copy that template onto every open project of its term instead
+function inheritMilestones({ projectId, templateId }) {
+  const filter = projectId ? "p.project_id = ?" : "t.template_id = ?";
+  return conn.query(
+    `INSERT IGNORE INTO project_milestones (project_id, template_id, title, description, file_kind, due_at, position)
+    SELECT p.project_id, t.template_id, t.title, t.description, t.file_kind, t.due_at, t.position
+    FROM milestone_templates t
+    INNER JOIN projects p ON p.graduation_year = t.graduation_year AND p.graduation_term = t.graduation_term
+    WHERE ${filter} AND p.approval_status NOT IN (?)`,
+    [projectId || templateId, CLOSED_STATUSES]
+  );
+}
+
+async function createTemplate(fields, adminId) {
+  const result = await conn.query(
+    "INSERT INTO milestone_templates (graduation_year, graduation_term, title, description, file_kind, due_at, position, created_by) VALUES (?, ?, ?, ?, ?, ?, ?, ?)",
+    [
+      fields.graduation_year,
+      fields.graduation_term,
+      fields.title,
+      fields.description || null,
+      fields.file_kind || "report",
+      fields.due_at,
+      fields.position || 0,
+      adminId,
+    ]
+  );
+  await inheritMilestones({ templateId: result.insertId });
+  return getTemplate(result.insertId);
+}
+
+// Update a template and its copies. Dates a supervisor adjusted for their team are kept
+async function updateTemplate(templateId, fields) {
+  const template = await getTemplate(templateId);
+  if (!template) return null;
+
+  const updated = { ...template, ...fields };
+  await conn.query(
+    "UPDATE milestone_templates SET title = ?, description = ?, file_kind = ?, due_at = ?, position = ? WHERE template_id = ?",
+    [updated.title, updated.description, updated.file_kind, updated.due_at, updated.position, templateId]
+  );
+  await conn.query(
+    "UPDATE project_milestones SET title = ?, description = ?, file_kind = ?, position = ? WHERE template_id = ?",
+    [updated.title, updated.description, updated.file_kind, updated.position, templateId]
+  );
+  await conn.query(
+    "UPDATE project_milestones SET due_at = ? WHERE template_id = ? AND due_changed_by IS NULL",
+    [updated.due_at, templateId]
+  );
+  return getTemplate(templateId);
+}
+
+// Delete a template. Copies nothing was submitted against go with it, the
+// others stay on their projects
+async function deleteTemplate(templateId) {
+  const template = await getTemplate(templateId);
+  if (!template) return null;
+
+  await conn.query(
+    "DELETE FROM project_milestones WHERE template_id = ? AND milestone_id NOT IN (SELECT milestone_id FROM milestone_submissions)",
+    [templateId]
+  );
+  await conn.query("DELETE FROM milestone_templates WHERE template_id = ?", [templateId]);
+  return template;
+}
+
+async function getMilestone(projectId, milestoneId) {
+  const rows = await conn.query(
+    `SELECT ${MILESTONE_COLUMNS} FROM project_milestones WHERE project_id = ? AND milestone_id = ?`,
+    [projectId, milestoneId]
+  );
+  return rows.length > 0 ? rows[0] : null;
+}
+
+// A project's milestones in order, each with its submissions (newest first) and
+// flags: submitted, late (the latest submission came after the deadline),
+// overdue (past the deadline with nothing submitted) and needs_review
+async function listProjectMilestones(projectId) {
+  const milestones = await conn.query(
+    `SELECT ${MILESTONE_COLUMNS} FROM project_milestones WHERE project_id = ? ORDER BY position, due_at`,
+    [projectId]
+  );
+  if (milestones.length === 0) return [];
+
+  const submissions = await conn.query(
+    `SELECT s.submission_id, s.milestone_id, s.version_id, v.version_number, v.original_name, s.note, s.is_late, s.submitted_by, s.submitted_at
+    FROM milestone_submissions s
+    LEFT JOIN project_file_versions v ON v.version_id = s.version_id
+    WHERE s.milestone_id IN (?)
+    ORDER BY s.submission_id DESC`,
+    [milestones.map((milestone) => milestone.milestone_id)]
+  );
+
+  const now = new Date();
+  return milestones.map((milestone) => {
+    const own = submissions
+      .filter((submission) => submission.milestone_id === milestone.milestone_id)
+      .map((submission) => ({ ...submission, is_late: Boolean(submission.is_late) }));
+    const latest = own[0];
+    return {
+      ...milestone,
+      submitted: Boolean(latest),
+      late: latest ? latest.is_late : false,
+      overdue: !latest && new Date(milestone.due_at) < now,
+      needs_review:
+        Boolean(latest) &&
+        (!milestone.reviewed_at || new Date(milestone.reviewed_at) < new Date(latest.submitted_at)),
+      submissions: own,
+    };
+  });
+}
+
+// Move a milestone's deadline for one team
+async function setDueDate(projectId, milestoneId, dueAt, actor) {
+  const milestone = await getMilestone(projectId, milestoneId);
+  if (!milestone) return { error: "not_found" };
+
+  await conn.query(
+    "UPDATE project_milestones SET due_at = ?, due_changed_by = ?, due_changed_at = NOW() WHERE milestone_id = ?",
+    [dueAt, actor.id, milestoneId]
+  );
+  await notifyProjectStudents(
+    projectId,
+    actor.id,
+    "milestone_update",
+    `The deadline of '${milestone.title}' has moved to ${dueAt.toISOString().slice(0, 16).replace("T", " ")}.`
+  );
+
+  return { milestone, from: milestone.due_at, to: dueAt };
+}
+
+// Submit a deliverable: the uploaded file becomes a new version of the
+// milestone's file kind. Submissions after the deadline are flagged late
+async function submitDeliverable(projectId, milestone, { file, note }, actor) {
+  if (!file && !note) return { error: "empty_submission" };
+
+  const version = file
+    ? await addFileVersion(projectId, milestone.file_kind, file, actor, note || milestone.title)
+    : null;
+
+  // The database clock decides lateness, like every other timestamp
+  const result = await conn.query(
+    "INSERT INTO milestone_submissions (milestone_id, version_id, note, is_late, submitted_by) SELECT milestone_id, ?, ?, NOW() > due_at, ? FROM project_milestones WHERE milestone_id = ?",
+    [version ? version.version_id : null, note || null, actor.id, milestone.milestone_id]
+  );
+  const [submission] = await conn.query(
+    "SELECT submission_id, milestone_id, version_id, note, is_late, submitted_by, submitted_at FROM milestone_submissions WHERE submission_id = ?",
+    [result.insertId]
+  );
+  submission.is_late = Boolean(submission.is_late);
+
+  const [project] = await conn.query(
+    "SELECT title, professor_id FROM projects WHERE project_id = ?",
+    [projectId]
+  );
+  if (project && project.professor_id) {
+    await createNotification(
+      project.professor_id,
+      actor.id,
+      projectId,
+      "milestone_submission",
+      `'${project.title}' submitted '${milestone.title}'${submission.is_late ? " after the deadline" : ""}.`
+    );
+  }
+
+  return { submission, version };
+}
+
+// Mark a milestone reviewed with the supervisor's comments
+async function reviewMilestone(projectId, milestoneId, comment, actor) {
+  const milestone = await getMilestone(projectId, milestoneId);
+  if (!milestone) return { error: "not_found" };
+
+  await conn.query(
+    "UPDATE project_milestones SET reviewed_by = ?, reviewer_role = ?, review_comment = ?, reviewed_at = NOW() WHERE milestone_id = ?",
+    [actor.id, actor.role, comment || null, milestoneId]
+  );
+
+  let message = `'${milestone.title}' has been reviewed.`;
+  if (comment) message += ` Comments: ${comment}`;
+  await notifyProjectStudents(projectId, actor.id, "milestone_review", message);
+
+  return { milestone };
+}
+
+module.exports = {
+  MILESTONE_ERRORS,
+  listTemplates,
+  getTemplate,
+  inheritMilestones,
+  createTemplate,
+  updateTemplate,
+  deleteTemplate,
+  getMilestone,
+  listProjectMilestones,
+  setDueDate,
+  submitDeliverable,
+  reviewMilestone,
+};
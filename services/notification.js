@@ -0,0 +1,23 @@
+const conn = require("../db/dbConnection");
+
+function createNotification(recipientId, senderId, projectId, notificationType, message) {
+  return conn.query(
+    "INSERT INTO notifications (recipient_id, sender_id, project_id, notification_type, notification_message, read_status) VALUES (?, ?, ?, ?, ?, 'unread')",
+    [recipientId, senderId, projectId, notificationType, message]
+  );
+}
+
+// Notify every student of a project
+async function notifyProjectStudents(projectId, senderId, notificationType, message) {
+  const students = await conn.query(
+    "SELECT student_id FROM project_students WHERE project_id = ?",
+    [projectId]
+  );
+  await Promise.all(
+    students.map((student) =>
+      createNotification(student.student_id, senderId, projectId, notificationType, message)
+    )
+  );
+}
+
+module.exports = { createNotification, notifyProjectStudents };
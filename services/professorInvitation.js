@@ -0,0 +1,129 @@
+const conn = require("../db/dbConnection");
+const crypto = require("crypto");
+const bcrypt = require("bcrypt");
+const { sendMail, appUrl } = require("./mail");
+
+// Invitation links are valid for a week
+const INVITATION_TTL_DAYS = parseInt(process.env.PROFESSOR_INVITATION_TTL_DAYS, 10) || 7;
+
+const STATUS_SQL = `CASE
+  WHEN accepted_at IS NOT NULL THEN 'accepted'
+  WHEN revoked_at IS NOT NULL THEN 'revoked'
+  WHEN expires_at <= NOW() THEN 'expired'
+  ELSE 'pending' END`;
+
+function hashToken(token) {
+  return crypto.createHash("sha256").update(String(token)).digest("hex");
+}
+
+async function emailInvitation(invitation, token) {
+  await sendMail(invitation.professor_email, "professorInvitation", {
+    name: invitation.professor_name,
+    department: invitation.professor_department,
+    acceptUrl: appUrl(`/professor-invitation/${token}`),
+    expiresInDays: INVITATION_TTL_DAYS,
+  });
+}
+
+async function getInvitation(invitationId) {
+  const rows = await conn.query(
+    `SELECT invitation_id, professor_email, professor_name, professor_department, invited_by, created_at, last_sent_at, expires_at, accepted_at, revoked_at, professor_id, ${STATUS_SQL} AS status FROM professor_invitations WHERE invitation_id = ?`,
+    [invitationId]
+  );
+  return rows.length > 0 ? rows[0] : null;
+}
+
+async function findPendingInvitationByEmail(email) {
+  const rows = await conn.query(
+    `SELECT invitation_id FROM professor_invitations WHERE professor_email = ? AND ${STATUS_SQL} = 'pending'`,
+    [email]
+  );
+  return rows.length > 0 ? rows[0] : null;
+}
+
+// Create an invitation and email the link, resolves with the invitation
+async function createInvitation({ professor_email, professor_name, professor_department }, adminId) {
+  const token = crypto.randomBytes(32).toString("hex");
+
+  const result = await conn.query(
+    "INSERT INTO professor_invitations (professor_email, professor_name, professor_department, token_hash, invited_by, expires_at) VALUES (?, ?, ?, ?, ?, DATE_ADD(NOW(), INTERVAL ? DAY))",
+    [professor_email, professor_name, professor_department, hashToken(token), adminId, INVITATION_TTL_DAYS]
+  );
+
+  const invitation = await getInvitation(result.insertId);
+  await emailInvitation(invitation, token);
+  return invitation;
+}
+
+// Issue a new link (the old one stops working) and extend the expiry
+async function resendInvitation(invitationId) {
+  const token = crypto.randomBytes(32).toString("hex");
+
+  await conn.query(
+    "UPDATE professor_invitations SET token_hash = ?, last_sent_at = NOW(), expires_at = DATE_ADD(NOW(), INTERVAL ? DAY) WHERE invitation_id = ?",
+    [hashToken(token), INVITATION_TTL_DAYS, invitationId]
+  );
+
+  const invitation = await getInvitation(invitationId);
+  await emailInvitation(invitation, token);
+  return invitation;
+}
+
+function revokeInvitation(invitationId) {
+  return conn.query(
+    "UPDATE professor_invitations SET revoked_at = NOW() WHERE invitation_id = ? AND accepted_at IS NULL AND revoked_at IS NULL",
+    [invitationId]
+  );
+}
+
+function listInvitations(status) {
+  let sql = `SELECT invitation_id, professor_email, professor_name, professor_department, invited_by, created_at, last_sent_at, expires_at, accepted_at, revoked_at, professor_id, ${STATUS_SQL} AS status FROM professor_invitations`;
+  const values = [];
+  if (status) {
+    sql += ` WHERE ${STATUS_SQL} = ?`;
+    values.push(status);
+  }
+  sql += " ORDER BY created_at DESC";
+  return conn.query(sql, values);
+}
+
+// The pending invitation behind a link, or null when it's used, revoked or expired
+async function findPendingInvitation(token) {
+  const rows = await conn.query(
+    `SELECT invitation_id, professor_email, professor_name, professor_department, expires_at FROM professor_invitations WHERE token_hash = ? AND ${STATUS_SQL} = 'pending'`,
+    [hashToken(token)]
+  );
+  return rows.length > 0 ? rows[0] : null;
+}
+
+// Create the professor account from an invitation, resolves with the new professor_id.
+// The link was delivered to the invited address, so the email counts as verified
+async function acceptInvitation(invitation, { professor_name, password }) {
+  const result = await conn.query(
+    "INSERT INTO professor (professor_name, professor_email, professor_password, professor_department, email_verified_at) VALUES (?, ?, ?, ?, NOW())",
+    [
+      professor_name || invitation.professor_name,
+      invitation.professor_email,
+      await bcrypt.hash(password, 10),
+      invitation.professor_department,
+    ]
+  );
+
+  await conn.query(
+    "UPDATE professor_invitations SET accepted_at = NOW(), professor_id = ? WHERE invitation_id = ?",
+    [result.insertId, invitation.invitation_id]
+  );
+
+  return result.insertId;
+}
+
+module.exports = {
+  getInvitation,
+  findPendingInvitationByEmail,
+  createInvitation,
+  resendInvitation,
+  revokeInvitation,
+  listInvitations,
+  findPendingInvitation,
+  acceptInvitation,
+};
@@ -0,0 +1,154 @@
+const conn = require("../db/dbConnection");
+
+// The named files a project can have, each with its own version history
+const FILE_KINDS = ["report", "slides", "source", "poster", "other"];
+
+// The old single upload field is the source archive
+const LEGACY_FILE_KIND = "source";
+
+const VERSION_COLUMNS =
+  "v.version_id, v.version_number, v.original_name, v.mime_type, v.size_bytes, v.checksum_sha256, v.note, v.restored_from_version, v.uploaded_by, v.uploader_role, v.uploaded_at";
+
+// Every file of a project with its current version
+function listProjectFiles(projectId) {
+  return conn.query(
+    `SELECT f.file_id, f.file_kind, ${VERSION_COLUMNS}, (SELECT COUNT(*) FROM project_file_versions WHERE file_id = f.file_id) AS version_count
+    FROM project_files f
+    INNER JOIN project_file_versions v ON v.version_id = f.current_version_id
+    WHERE f.project_id = ?
+    ORDER BY FIELD(f.file_kind, ?)`,
+    [projectId, FILE_KINDS]
+  );
+}
+
+async function getProjectFile(projectId, kind) {
+  const rows = await conn.query(
+    "SELECT file_id, file_kind, current_version_id FROM project_files WHERE project_id = ? AND file_kind = ?",
+    [projectId, kind]
+  );
+  return rows.length > 0 ? rows[0] : null;
+}
+
+// Version history of one file, newest first
+async function listVersions(projectId, kind) {
+  const file = await getProjectFile(projectId, kind);
+  if (!file) return null;
+
+  const versions = await conn.query(
+    `SELECT ${VERSION_COLUMNS} FROM project_file_versions v WHERE v.file_id = ? ORDER BY v.version_number DESC`,
+    [file.file_id]
+  );
+  return versions.map((version) => ({
+    ...version,
+    current: version.version_id === file.current_version_id,
+  }));
+}
+
+// A version of a file (the current one when no number is given), with its stored path
+async function getVersion(projectId, kind, versionNumber) {
+  const file = await getProjectFile(projectId, kind);
+  if (!file) return null;
+
+  const rows =
+    versionNumber === undefined
+      ? await conn.query(
+          `SELECT ${VERSION_COLUMNS}, v.stored_path FROM project_file_versions v WHERE v.version_id = ?`,
+          [file.current_version_id]
+        )
+      : await conn.query(
+          `SELECT ${VERSION_COLUMNS}, v.stored_path FROM project_file_versions v WHERE v.file_id = ? AND v.version_number = ?`,
+          [file.file_id, versionNumber]
+        );
+  return rows.length > 0 ? rows[0] : null;
+}
+
+// Add a version and make it current. Doesn't open a transaction of its own so
+// it can run inside the caller's (project creation uses one)
+async function insertVersion(projectId, kind, version, actor) {
+  // LAST_INSERT_ID(file_id) makes insertId the existing row's id on a duplicate
+  const fileResult = await conn.query(
+    "INSERT INTO project_files (project_id, file_kind) VALUES (?, ?) ON DUPLICATE KEY UPDATE file_id = LAST_INSERT_ID(file_id)",
+    [projectId, kind]
+  );
+  const fileId = fileResult.insertId;
+
+  const [{ next_version }] = await conn.query(
+    "SELECT COALESCE(MAX(version_number), 0) + 1 AS next_version FROM project_file_versions WHERE file_id = ?",
+    [fileId]
+  );
+
+  const versionResult = await conn.query(
+    "INSERT INTO project_file_versions (file_id, version_number, original_name, stored_path, mime_type, size_bytes, checksum_sha256, note, restored_from_version, uploaded_by, uploader_role) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)",
+    [
+      fileId,
+      next_version,
+      version.original_name,
+      version.stored_path,
+      version.mime_type || null,
+      version.size_bytes || null,
+      version.checksum_sha256 || null,
+      version.note || null,
+      version.restored_from_version || null,
+      actor.id,
+      actor.role,
+    ]
+  );
+  await conn.query(
+    "UPDATE project_files SET current_version_id = ? WHERE file_id = ?",
+    [versionResult.insertId, fileId]
+  );
+
+  // The legacy download route still reads projects.project_files_path
+  if (kind === LEGACY_FILE_KIND) {
+    await conn.query(
+      "UPDATE projects SET project_files_path = ? WHERE project_id = ?",
+      [version.stored_path, projectId]
+    );
+  }
+
+  return { file_kind: kind, version_id: versionResult.insertId, version_number: next_version };
+}
+
+// Store a multer upload as the new version of a project file
+function addFileVersion(projectId, kind, file, actor, note) {
+  return insertVersion(
+    projectId,
+    kind,
+    {
+      original_name: file.originalname,
+      stored_path: file.path,
+      mime_type: file.mimetype,
+      size_bytes: file.size,
+      checksum_sha256: file.sha256,
+      note,
+    },
+    actor
+  );
+}
+
+// Restoring adds a new version pointing at the old file, so history stays linear
+async function restoreVersion(projectId, kind, versionNumber, actor) {
+  const version = await getVersion(projectId, kind, versionNumber);
+  if (!version) return null;
+
+  return insertVersion(
+    projectId,
+    kind,
+    {
+      ...version,
+      note: `Restored from version ${version.version_number}`,
+      restored_from_version: version.version_number,
+    },
+    actor
+  );
+}
+
+module.exports = {
+  FILE_KINDS,
+  LEGACY_FILE_KIND,
+  listProjectFiles,
+  listVersions,
+  getVersion,
+  addFileVersion,
+  restoreVersion,
+};
@@ -0,0 +1,284 @@
+const conn = require("../db/dbConnection");
+const { createNotification, notifyProjectStudents } = require("./notification");
+const { hasPendingInvitations } = require("./projectTeam");
+const { addMainSupervisor } = require("./supervision");
+const { PROPOSAL_ERRORS, checkProposal } = require("./termSettings");
+const {
+  startTransaction,
+  commitTransaction,
+  rollbackTransaction,
+} = require("../db/transaction");
+
+const PROJECT_STATUSES = [
+  "draft",
+  "submitted",
+  "changes-requested",
+  "approved",
+  "rejected",
+  "in-progress",
+  "completed",
+  "archived",
+];
+
+// Projects that passed review, the ones listed publicly
+const ACCEPTED_STATUSES = ["approved", "in-progress", "completed"];
+
+// Legal transitions and the roles that may make them. Admins may make any
+// legal transition, e.g. when the supervisor is unavailable
+const TRANSITIONS = {
+  draft: { submitted: ["student"] },
+  submitted: {
+    approved: ["professor"],
+    rejected: ["professor"],
+    "changes-requested": ["professor"],
+  },
+  "changes-requested": { submitted: ["student"], rejected: ["professor"] },
+  approved: { "in-progress": ["professor"], archived: [] },
+  "in-progress": { completed: ["professor"] },
+  completed: { archived: [] },
+  rejected: { archived: [] },
+  archived: {},
+};
+
+// Statuses in which the team may still change what the project is about (its
+// title, description, term, department and supervisor). Past them a change
+// would bypass the review it went through
+const EDITABLE_STATUSES = ["draft", "changes-requested"];
+
+// Transitions the students can't act on without knowing why
+const REASON_REQUIRED = ["changes-requested"];
+
+// Categories a supervisor files a rejection or change request under
+const REVIEW_CATEGORIES = {
+  scope: "Scope too broad or too narrow",
+  feasibility: "Not feasible in the available time",
+  originality: "Overlaps with an existing project",
+  technical: "Technical approach needs work",
+  documentation: "Proposal is incomplete or unclear",
+  team: "Team composition",
+  other: "Other",
+};
+
+// Statuses that are review decisions, shown to the team as feedback
+const REVIEW_STATUSES = ["approved", "rejected", "changes-requested"];
+
+// HTTP status and message for each transition error
+const TRANSITION_ERRORS = {
+  not_found: [404, "Project not found"],
+  illegal_transition: [409, "This status change is not allowed"],
+  forbidden: [403, "You are not allowed to make this status change"],
+  reason_required: [400, "A reason is required for this status change"],
+  invalid_category: [400, "Unknown reason category"],
+  conflict: [409, "The project status was changed by someone else, reload and try again"],
+  members_pending: [409, "Every invited teammate has to answer their invitation before the project is submitted"],
+  not_editable: [409, "The project's details can only change while it is a draft or sent back for changes"],
+  ...PROPOSAL_ERRORS,
+};
+
+const STATUS_MESSAGES = {
+  approved: "has been accepted",
+  rejected: "has been rejected",
+  "in-progress": "is now in progress",
+  completed: "has been marked as completed",
+  archived: "has been archived",
+};
+
+async function getProject(projectId) {
+  const rows = await conn.query(
+    "SELECT project_id, title, approval_status, professor_id, graduation_year, graduation_term FROM projects WHERE project_id = ?",
+    [projectId]
+  );
+  return rows.length > 0 ? rows[0] : null;
+}
+
+function allowedTransitions(status) {
+  return Object.keys(TRANSITIONS[status] || {});
+}
+
+function recordStatusHistory(projectId, fromStatus, toStatus, actor, { reason, category, suggestedChanges } = {}) {
+  return conn.query(
+    "INSERT INTO project_status_history (project_id, from_status, to_status, reason_category, reason, suggested_changes, actor_id, actor_role) VALUES (?, ?, ?, ?, ?, ?, ?, ?)",
+    [
+      projectId,
+      fromStatus,
+      toStatus,
+      category || null,
+      reason || null,
+      suggestedChanges || null,
+      actor.id,
+      actor.role,
+    ]
+  );
+}
+
+const HISTORY_COLUMNS =
+  "history_id, from_status, to_status, reason_category, reason, suggested_changes, actor_id, actor_role, created_at";
+
+function withCategoryLabel(entry) {
+  return {
+    ...entry,
+    reason_category_label: entry.reason_category
+      ? REVIEW_CATEGORIES[entry.reason_category] || entry.reason_category
+      : null,
+  };
+}
+
+async function getStatusHistory(projectId) {
+  const history = await conn.query(
+    `SELECT ${HISTORY_COLUMNS} FROM project_status_history WHERE project_id = ? ORDER BY history_id`,
+    [projectId]
+  );
+  return history.map(withCategoryLabel);
+}
+
+// The latest review decision on a project with the supervisor's feedback, or null
+async function getLatestReview(projectId) {
+  const rows = await conn.query(
+    `SELECT ${HISTORY_COLUMNS} FROM project_status_history WHERE project_id = ? AND to_status IN (?) ORDER BY history_id DESC LIMIT 1`,
+    [projectId, REVIEW_STATUSES]
+  );
+  return rows.length > 0 ? withCategoryLabel(rows[0]) : null;
+}
+
+// Notification text for the feedback attached to a decision
+function describeFeedback({ reason, category, suggestedChanges }) {
+  let text = "";
+  if (category) text += ` Category: ${REVIEW_CATEGORIES[category]}.`;
+  if (reason) text += ` Feedback: ${reason}`;
+  if (suggestedChanges) text += ` Suggested changes: ${suggestedChanges}`;
+  return text;
+}
+
+async function actorName(actor) {
+  if (actor.role !== "professor") return null;
+  const rows = await conn.query(
+    "SELECT professor_name FROM professor WHERE professor_id = ?",
+    [actor.id]
+  );
+  return rows.length > 0 ? rows[0].professor_name : null;
+}
+
+// Tell the supervisor about submissions and the students about everything else
+async function notifyTransition(project, fromStatus, toStatus, actor, details) {
+  const { project_id, title, professor_id } = project;
+
+  if (toStatus === "submitted") {
+    if (!professor_id) return;
+    const resubmitted = fromStatus === "changes-requested";
+    await createNotification(
+      professor_id,
+      actor.id,
+      project_id,
+      resubmitted ? "project_resubmitted" : "project_request",
+      resubmitted
+        ? `Project '${title}' has been revised and resubmitted for your approval.`
+        : `A new project '${title}' has been submitted for your approval.`
+    );
+    return;
+  }
+
+  if (toStatus === "changes-requested") {
+    await notifyProjectStudents(
+      project_id,
+      actor.id,
+      "project_changes_requested",
+      `Changes have been requested on your project '${title}'.${describeFeedback(details)}`
+    );
+    return;
+  }
+
+  const professorName = await actorName(actor);
+  let message = `Your project ${STATUS_MESSAGES[toStatus]}`;
+  if (professorName) message += ` by Professor ${professorName}`;
+  message += `.${describeFeedback(details)}`;
+
+  await notifyProjectStudents(project_id, actor.id, "project_status_update", message);
+}
+
+// Move a project to a new status. Resolves with { project, from, to } or { error }
+// (a TRANSITION_ERRORS key, with details for proposal errors); the transition is
+// recorded and notified. Review decisions can carry a category and suggested
+// changes next to the reason
+async function transitionProject(projectId, toStatus, { actor, reason, category, suggestedChanges }) {
+  const project = await getProject(projectId);
+  if (!project) return { error: "not_found" };
+
+  const fromStatus = project.approval_status;
+  const roles = (TRANSITIONS[fromStatus] || {})[toStatus];
+  if (!roles) {
+    return { error: "illegal_transition", allowed: allowedTransitions(fromStatus) };
+  }
+  if (actor.role !== "admin" && !roles.includes(actor.role)) {
+    return { error: "forbidden" };
+  }
+  if (REASON_REQUIRED.includes(toStatus) && !reason) {
+    return { error: "reason_required" };
+  }
+  if (category && !REVIEW_CATEGORIES[category]) {
+    return { error: "invalid_category" };
+  }
+  // The professor only sees projects whose team has confirmed
+  if (toStatus === "submitted" && (await hasPendingInvitations(projectId))) {
+    return { error: "members_pending" };
+  }
+  // Submitting a draft is when it becomes a proposal; a resubmission was asked for
+  if (fromStatus === "draft" && toStatus === "submitted") {
+    const blocked = await checkProposal({
+      graduationYear: project.graduation_year,
+      graduationTerm: project.graduation_term,
+      professorId: project.professor_id,
+      checkQuota: true,
+    });
+    if (blocked) return blocked;
+  }
+  const details = { reason, category, suggestedChanges };
+
+  await startTransaction();
+  try {
+    // Only move from the status we checked, a concurrent change wins
+    const result = await conn.query(
+      "UPDATE projects SET approval_status = ?, status_changed_at = NOW() WHERE project_id = ? AND approval_status = ?",
+      [toStatus, projectId, fromStatus]
+    );
+    if (result.affectedRows === 0) {
+      await rollbackTransaction();
+      return { error: "conflict" };
+    }
+
+    if (toStatus === "approved") {
+      // The professor the students asked for becomes main supervisor, even when
+      // a co-supervisor or an admin approves
+      const supervisorId = project.professor_id || (actor.role === "professor" ? actor.id : null);
+      await conn.query(
+        "UPDATE projects SET registration_date = CURDATE() WHERE project_id = ?",
+        [projectId]
+      );
+      if (supervisorId) {
+        await addMainSupervisor(projectId, supervisorId);
+      }
+    }
+
+    await recordStatusHistory(projectId, fromStatus, toStatus, actor, details);
+    await commitTransaction();
+  } catch (err) {
+    await rollbackTransaction();
+    throw err;
+  }
+
+  await notifyTransition(project, fromStatus, toStatus, actor, details);
+  return { project, from: fromStatus, to: toStatus };
+}
+
+module.exports = {
+  PROJECT_STATUSES,
+  ACCEPTED_STATUSES,
+  EDITABLE_STATUSES,
+  TRANSITION_ERRORS,
+  REVIEW_CATEGORIES,
+  getProject,
+  allowedTransitions,
+  recordStatusHistory,
+  getStatusHistory,
+  getLatestReview,
+  transitionProject,
+};
@@ -0,0 +1,505 @@
+const conn = require("../db/dbConnection");
+const { createNotification, notifyProjectStudents } = require("./notification");
+const {
+  startTransaction,
+  commitTransaction,
+  rollbackTransaction,
+} = require("../db/transaction");
+
+// Invitations can only be sent or cancelled while the team is still putting the
+// project together; after that the team changes through the supervisor
+const OPEN_TEAM_STATUSES = ["draft"];
+
+// The team of a finished project stays as it was
+const CLOSED_TEAM_STATUSES = ["archived"];
+
+const TEAM_CHANGE_TYPES = ["add", "remove", "withdraw"];
+
+// HTTP status and message for each team change error
+const TEAM_CHANGE_ERRORS = {
+  not_found: [404, "Team change request not found"],
+  project_not_found: [404, "Project not found"],
+  invalid_type: [400, `Change type must be one of: ${TEAM_CHANGE_TYPES.join(", ")}`],
+  team_open: [409, "The team of a draft project changes through invitations"],
+  team_closed: [409, "The team of an archived project can't change"],
+  forbidden: [403, "You are not allowed to make this team change"],
+  use_withdraw: [400, "Use a withdraw request to leave the team"],
+  unknown_student: [400, "The student ID doesn't belong to an active student"],
+  already_in_project: [409, "The student is already associated with a project"],
+  not_member: [400, "The student is not a member of this project"],
+  duplicate: [409, "There is already a pending team change for this student"],
+  not_pending: [409, "This team change has already been decided"],
+  last_member: [409, "A project can't be left without team members"],
+};
+
+// HTTP status and message for each invitation error
+const INVITATION_ERRORS = {
+  not_found: [404, "Invitation not found"],
+  not_pending: [409, "This invitation has already been answered"],
+  already_in_project: [409, "You are already a member of a project"],
+  team_locked: [409, "The team can only change while the project is a draft"],
+};
+
+// Students that can be invited: existing, active accounts. Resolves with
+// { students, unknown } where unknown are the ids that can't be invited
+async function findInvitableStudents(studentIds) {
+  const ids = [...new Set(studentIds.map(String))];
+  if (ids.length === 0) return { students: [], unknown: [] };
+
+  const students = await conn.query(
+    "SELECT student_id, student_name FROM students WHERE student_id IN (?) AND account_status = 'active'",
+    [ids]
+  );
+  const found = students.map((student) => String(student.student_id));
+  return { students, unknown: ids.filter((id) => !found.includes(id)) };
+}
+
+// Students among the ids that are already confirmed members of a project
+function findBoundStudents(studentIds) {
+  return conn.query(
+    "SELECT student_id FROM project_students WHERE student_id IN (?)",
+    [studentIds]
+  );
+}
+
+// Bind a student to a project's team and record that they joined
+async function addMember(projectId, student, actor, changeId) {
+  await conn.query(
+    "INSERT INTO project_students (project_id, student_name, student_id) VALUES (?, ?, ?)",
+    [projectId, student.student_name, student.student_id]
+  );
+  await conn.query(
+    "INSERT INTO project_member_history (project_id, student_id, student_name, event, change_id, actor_id, actor_role) VALUES (?, ?, ?, 'joined', ?, ?, ?)",
+    [projectId, student.student_id, student.student_name, changeId || null, actor.id, actor.role]
+  );
+}
+
+// Take a student off a project's team. The grades they had move to the
+// member history with the departure, so nothing given is lost
+async function removeMember(projectId, studentId, actor, changeId) {
+  const rows = await conn.query(
+    "SELECT student_id, student_name, semester_work_grade, final_work_grade, max_semester_work_grade, max_final_work_grade FROM project_students WHERE project_id = ? AND student_id = ?",
+    [projectId, studentId]
+  );
+  if (rows.length === 0) return null;
+
+  const member = rows[0];
+  await conn.query(
+    "INSERT INTO project_member_history (project_id, student_id, student_name, event, semester_work_grade, final_work_grade, max_semester_work_grade, max_final_work_grade, change_id, actor_id, actor_role) VALUES (?, ?, ?, 'left', ?, ?, ?, ?, ?, ?, ?)",
+    [
+      projectId,
+      member.student_id,
+      member.student_name,
+      member.semester_work_grade,
+      member.final_work_grade,
+      member.max_semester_work_grade,
+      member.max_final_work_grade,
+      changeId || null,
+      actor.id,
+      actor.role,
+    ]
+  );
+  await conn.query(
+    "DELETE FROM project_students WHERE project_id = ? AND student_id = ?",
+    [projectId, studentId]
+  );
+  // The history keeps the grades, criterion scores would come back on rejoining
+  await conn.query(
+    "DELETE FROM criterion_scores WHERE project_id = ? AND student_id = ?",
+    [projectId, studentId]
+  );
+  return member;
+}
+
+// Who joined and left the team, oldest first
+function getMemberHistory(projectId) {
+  return conn.query(
+    "SELECT history_id, student_id, student_name, event, semester_work_grade, final_work_grade, max_semester_work_grade, max_final_work_grade, change_id, actor_id, actor_role, created_at FROM project_member_history WHERE project_id = ? ORDER BY history_id",
+    [projectId]
+  );
+}
+
+// Invite students to a project and notify them. Doesn't open a transaction of
+// its own so it can run inside project creation's
+async function inviteStudents(projectId, projectTitle, students, inviter) {
+  const invitations = [];
+  for (const student of students) {
+    const result = await conn.query(
+      "INSERT INTO project_invitations (project_id, student_id, invited_by, inviter_role) VALUES (?, ?, ?, ?)",
+      [projectId, student.student_id, inviter.id, inviter.role]
+    );
+    await createNotification(
+      student.student_id,
+      inviter.id,
+      projectId,
+      "project_invitation",
+      `You have been invited to join the project '${projectTitle}'. Accept the invitation to become a member of its team.`
+    );
+    invitations.push({
+      invitation_id: result.insertId,
+      student_id: student.student_id,
+      student_name: student.student_name,
+      status: "pending",
+    });
+  }
+  return invitations;
+}
+
+async function hasPendingInvitations(projectId) {
+  const rows = await conn.query(
+    "SELECT 1 FROM project_invitations WHERE project_id = ? AND status = 'pending' LIMIT 1",
+    [projectId]
+  );
+  return rows.length > 0;
+}
+
+// Invitations of a project, with the invited student's name
+function listProjectInvitations(projectId) {
+  return conn.query(
+    `SELECT i.invitation_id, i.student_id, s.student_name, i.invited_by, i.inviter_role, i.status, i.created_at, i.responded_at
+    FROM project_invitations i
+    INNER JOIN students s ON s.student_id = i.student_id
+    WHERE i.project_id = ?
+    ORDER BY i.invitation_id`,
+    [projectId]
+  );
+}
+
+// A student's pending invitations with the project they are for
+function listStudentInvitations(studentId) {
+  return conn.query(
+    `SELECT i.invitation_id, i.project_id, p.title, p.approval_status, i.invited_by, i.inviter_role, s.student_name AS invited_by_name, i.created_at
+    FROM project_invitations i
+    INNER JOIN projects p ON p.project_id = i.project_id
+    LEFT JOIN students s ON s.student_id = i.invited_by AND i.inviter_role = 'student'
+    WHERE i.student_id = ? AND i.status = 'pending'
+    ORDER BY i.invitation_id DESC`,
+    [studentId]
+  );
+}
+
+async function getInvitation(invitationId) {
+  const rows = await conn.query(
+    `SELECT i.invitation_id, i.project_id, i.student_id, i.invited_by, i.status, p.title, p.approval_status
+    FROM project_invitations i
+    INNER JOIN projects p ON p.project_id = i.project_id
+    WHERE i.invitation_id = ?`,
+    [invitationId]
+  );
+  return rows.length > 0 ? rows[0] : null;
+}
+
+// Accept or decline an invitation sent to the student. Accepting binds them to
+// the project; once nobody is pending the team is told it can submit.
+// Resolves with { invitation, status } or { error } (an INVITATION_ERRORS key)
+async function respondToInvitation(invitationId, student, accept) {
+  const invitation = await getInvitation(invitationId);
+  // Someone else's invitation is as good as missing
+  if (!invitation || String(invitation.student_id) !== String(student.id)) {
+    return { error: "not_found" };
+  }
+  if (invitation.status !== "pending") return { error: "not_pending" };
+
+  const status = accept ? "accepted" : "declined";
+
+  await startTransaction();
+  try {
+    if (accept) {
+      const bound = await findBoundStudents([student.id]);
+      if (bound.length > 0) {
+        await rollbackTransaction();
+        return { error: "already_in_project" };
+      }
+
+      const [{ student_name }] = await conn.query(
+        "SELECT student_name FROM students WHERE student_id = ?",
+        [student.id]
+      );
+      await addMember(
+        invitation.project_id,
+        { student_id: student.id, student_name },
+        student
+      );
+    }
+
+    // Only answer a still pending invitation, a concurrent answer or cancel wins
+    const result = await conn.query(
+      "UPDATE project_invitations SET status = ?, responded_at = NOW() WHERE invitation_id = ? AND status = 'pending'",
+      [status, invitationId]
+    );
+    if (result.affectedRows === 0) {
+      await rollbackTransaction();
+      return { error: "not_pending" };
+    }
+    await commitTransaction();
+  } catch (err) {
+    await rollbackTransaction();
+    throw err;
+  }
+
+  await createNotification(
+    invitation.invited_by,
+    student.id,
+    invitation.project_id,
+    "project_invitation_response",
+    `Your invitation to join '${invitation.title}' has been ${status}.`
+  );
+  if (!(await hasPendingInvitations(invitation.project_id)) && invitation.approval_status === "draft") {
+    await notifyProjectStudents(
+      invitation.project_id,
+      student.id,
+      "project_invitation_response",
+      `Every invited teammate has answered, the project '${invitation.title}' can now be submitted.`
+    );
+  }
+
+  return { invitation, status };
+}
+
+// Withdraw a pending invitation, e.g. one sent to a mistyped student id
+async function cancelInvitation(projectId, invitationId) {
+  const invitation = await getInvitation(invitationId);
+  if (!invitation || String(invitation.project_id) !== String(projectId)) {
+    return { error: "not_found" };
+  }
+  if (!OPEN_TEAM_STATUSES.includes(invitation.approval_status)) {
+    return { error: "team_locked" };
+  }
+
+  const result = await conn.query(
+    "UPDATE project_invitations SET status = 'cancelled', responded_at = NOW() WHERE invitation_id = ? AND status = 'pending'",
+    [invitationId]
+  );
+  if (result.affectedRows === 0) return { error: "not_pending" };
+
+  return { invitation };
+}
+
+async function getTeamProject(projectId) {
+  const rows = await conn.query(
+    "SELECT project_id, title, approval_status, professor_id FROM projects WHERE project_id = ?",
+    [projectId]
+  );
+  return rows.length > 0 ? rows[0] : null;
+}
+
+async function isMember(projectId, studentId) {
+  const rows = await conn.query(
+    "SELECT 1 FROM project_students WHERE project_id = ? AND student_id = ?",
+    [projectId, studentId]
+  );
+  return rows.length > 0;
+}
+
+const TEAM_CHANGE_COLUMNS =
+  "c.change_id, c.project_id, c.change_type, c.student_id, s.student_name, c.reason, c.status, c.requested_by, c.requester_role, c.created_at, c.decided_by, c.decider_role, c.decision_note, c.decided_at";
+
+async function getTeamChange(changeId) {
+  const rows = await conn.query(
+    `SELECT ${TEAM_CHANGE_COLUMNS} FROM team_change_requests c LEFT JOIN students s ON s.student_id = c.student_id WHERE c.change_id = ?`,
+    [changeId]
+  );
+  return rows.length > 0 ? rows[0] : null;
+}
+
+function listTeamChanges(projectId) {
+  return conn.query(
+    `SELECT ${TEAM_CHANGE_COLUMNS} FROM team_change_requests c LEFT JOIN students s ON s.student_id = c.student_id WHERE c.project_id = ? ORDER BY c.change_id DESC`,
+    [projectId]
+  );
+}
+
+// Pending team changes on the projects a professor supervises
+function listProfessorTeamChanges(professorId) {
+  return conn.query(
+    `SELECT ${TEAM_CHANGE_COLUMNS}, p.title
+    FROM team_change_requests c
+    INNER JOIN projects p ON p.project_id = c.project_id
+    LEFT JOIN students s ON s.student_id = c.student_id
+    WHERE c.status = 'pending' AND p.professor_id = ?
+    ORDER BY c.change_id`,
+    [professorId]
+  );
+}
+
+const TEAM_CHANGE_MESSAGES = {
+  add: (name, title) => `A request to add ${name} to the team of '${title}'`,
+  remove: (name, title) => `A request to remove ${name} from the team of '${title}'`,
+  withdraw: (name, title) => `A request from ${name} to leave the team of '${title}'`,
+};
+
+// Ask the supervisor to change a submitted project's team. Students request for
+// their own team and may only withdraw themselves, not remove themselves.
+// Resolves with { change } or { error } (a TEAM_CHANGE_ERRORS key)
+async function requestTeamChange(projectId, { type, studentId, reason }, actor) {
+  if (!TEAM_CHANGE_TYPES.includes(type)) return { error: "invalid_type" };
+
+  const project = await getTeamProject(projectId);
+  if (!project) return { error: "project_not_found" };
+  if (OPEN_TEAM_STATUSES.includes(project.approval_status)) return { error: "team_open" };
+  if (CLOSED_TEAM_STATUSES.includes(project.approval_status)) return { error: "team_closed" };
+
+  // Withdrawing is always about the student asking
+  const subjectId = type === "withdraw" ? actor.id : studentId;
+  if (type === "withdraw" && actor.role !== "student") return { error: "forbidden" };
+  if (!subjectId) return { error: "unknown_student" };
+  if (type === "remove" && actor.role === "student" && String(subjectId) === String(actor.id)) {
+    return { error: "use_withdraw" };
+  }
+
+  if (type === "add") {
+    const { students } = await findInvitableStudents([subjectId]);
+    if (students.length === 0) return { error: "unknown_student" };
+    if ((await findBoundStudents([subjectId])).length > 0) return { error: "already_in_project" };
+  } else if (!(await isMember(projectId, subjectId))) {
+    return { error: "not_member" };
+  }
+
+  const pending = await conn.query(
+    "SELECT 1 FROM team_change_requests WHERE project_id = ? AND student_id = ? AND status = 'pending'",
+    [projectId, subjectId]
+  );
+  if (pending.length > 0) return { error: "duplicate" };
+
+  const result = await conn.query(
+    "INSERT INTO team_change_requests (project_id, change_type, student_id, reason, requested_by, requester_role) VALUES (?, ?, ?, ?, ?, ?)",
+    [projectId, type, subjectId, reason || null, actor.id, actor.role]
+  );
+  const change = await getTeamChange(result.insertId);
+
+  const description = TEAM_CHANGE_MESSAGES[type](change.student_name, project.title);
+  if (project.professor_id) {
+    await createNotification(
+      project.professor_id,
+      actor.id,
+      projectId,
+      "team_change_request",
+      `${description} is waiting for your decision.`
+    );
+  }
+  // The student being removed hears about it before the decision
+  if (type === "remove") {
+    await createNotification(
+      subjectId,
+      actor.id,
+      projectId,
+      "team_change_request",
+      `${description} has been sent to the supervisor.`
+    );
+  }
+
+  return { change };
+}
+
+// Approve or reject a pending team change. An approved removal or withdrawal
+// takes the student off the team right away; an approved addition invites the
+// student, who joins when they accept. Everyone involved is notified
+async function decideTeamChange(projectId, changeId, approve, actor, note) {
+  const change = await getTeamChange(changeId);
+  if (!change || String(change.project_id) !== String(projectId)) return { error: "not_found" };
+  if (change.status !== "pending") return { error: "not_pending" };
+
+  const project = await getTeamProject(projectId);
+  const status = approve ? "approved" : "rejected";
+
+  await startTransaction();
+  try {
+    if (approve && change.change_type === "add") {
+      if ((await findBoundStudents([change.student_id])).length > 0) {
+        await rollbackTransaction();
+        return { error: "already_in_project" };
+      }
+      await inviteStudents(
+        projectId,
+        project.title,
+        [{ student_id: change.student_id, student_name: change.student_name }],
+        actor
+      );
+    } else if (approve) {
+      const [{ members }] = await conn.query(
+        "SELECT COUNT(*) AS members FROM project_students WHERE project_id = ?",
+        [projectId]
+      );
+      if (members <= 1) {
+        await rollbackTransaction();
+        return { error: "last_member" };
+      }
+      if (!(await removeMember(projectId, change.student_id, actor, change.change_id))) {
+        await rollbackTransaction();
+        return { error: "not_member" };
+      }
+    }
+
+    const result = await conn.query(
+      "UPDATE team_change_requests SET status = ?, decided_by = ?, decider_role = ?, decision_note = ?, decided_at = NOW() WHERE change_id = ? AND status = 'pending'",
+      [status, actor.id, actor.role, note || null, changeId]
+    );
+    if (result.affectedRows === 0) {
+      await rollbackTransaction();
+      return { error: "not_pending" };
+    }
+    await commitTransaction();
+  } catch (err) {
+    await rollbackTransaction();
+    throw err;
+  }
+
+  // The team as it is now, plus the student concerned (who may have just left)
+  const members = await conn.query(
+    "SELECT student_id FROM project_students WHERE project_id = ?",
+    [projectId]
+  );
+  const recipients = new Set([
+    ...members.map((member) => String(member.student_id)),
+    String(change.student_id),
+  ]);
+  let message = `${TEAM_CHANGE_MESSAGES[change.change_type](change.student_name, project.title)} has been ${status}.`;
+  if (note) message += ` Note: ${note}`;
+  for (const recipientId of recipients) {
+    await createNotification(recipientId, actor.id, projectId, "team_change_decision", message);
+  }
+
+  return { change: { ...change, status }, status };
+}
+
+// Withdraw a pending team change; only whoever asked for it (or an admin) may
+async function cancelTeamChange(projectId, changeId, actor) {
+  const change = await getTeamChange(changeId);
+  if (!change || String(change.project_id) !== String(projectId)) return { error: "not_found" };
+  if (
+    actor.role !== "admin" &&
+    !(String(change.requested_by) === String(actor.id) && change.requester_role === actor.role)
+  ) {
+    return { error: "forbidden" };
+  }
+
+  const result = await conn.query(
+    "UPDATE team_change_requests SET status = 'cancelled', decided_by = ?, decider_role = ?, decided_at = NOW() WHERE change_id = ? AND status = 'pending'",
+    [actor.id, actor.role, changeId]
+  );
+  if (result.affectedRows === 0) return { error: "not_pending" };
+
+  return { change: { ...change, status: "cancelled" } };
+}
+
+module.exports = {
+  OPEN_TEAM_STATUSES,
+  TEAM_CHANGE_TYPES,
+  TEAM_CHANGE_ERRORS,
+  INVITATION_ERRORS,
+  findInvitableStudents,
+  findBoundStudents,
+  addMember,
+  getMemberHistory,
+  inviteStudents,
+  hasPendingInvitations,
+  listProjectInvitations,
+  listStudentInvitations,
+  respondToInvitation,
+  cancelInvitation,
+  listTeamChanges,
+  listProfessorTeamChanges,
+  requestTeamChange,
+  decideTeamChange,
+  cancelTeamChange,
+};
@@ -0,0 +1,209 @@
+const conn = require("../db/dbConnection");
+const crypto = require("crypto");
+const bcrypt = require("bcrypt");
+const { parseCsvObjects } = require("./csv");
+const { queueMail, appUrl } = require("./mail");
+const {
+  startTransaction,
+  commitTransaction,
+  rollbackTransaction,
+} = require("../db/transaction");
+
+// Activation links for imported accounts last two weeks
+const ACTIVATION_TTL_MS = 14 * 24 * 3600000;
+
+// Accepted header names for each students column
+const COLUMN_ALIASES = {
+  student_id: ["student_id", "id"],
+  student_name: ["student_name", "name"],
+  student_email: ["student_email", "email"],
+  student_department: ["student_department", "department"],
+};
+
+function findColumn(columns, field) {
+  return COLUMN_ALIASES[field].find((alias) => columns.includes(alias));
+}
+
+// Names of required columns missing from the header
+function missingColumns(columns) {
+  return Object.keys(COLUMN_ALIASES).filter((field) => !findColumn(columns, field));
+}
+
+function readRecord(columns, record) {
+  const student = { row: record._row };
+  for (const field of Object.keys(COLUMN_ALIASES)) {
+    student[field] = record[findColumn(columns, field)] || "";
+  }
+  student.student_email = student.student_email.toLowerCase();
+  return student;
+}
+
+function validateStudent(student) {
+  const errors = [];
+  if (!/^\d+$/.test(student.student_id)) {
+    errors.push("student_id must be a whole number");
+  }
+  if (!student.student_name) {
+    errors.push("name is required");
+  } else if (student.student_name.length > 255) {
+    errors.push("name is too long");
+  }
+  if (!/^[^\s@]+@fci\.helwan\.edu\.eg$/.test(student.student_email)) {
+    errors.push("email must be a valid '@fci.helwan.edu.eg' address");
+  }
+  if (!student.student_department) {
+    errors.push("department is required");
+  }
+  return errors;
+}
+
+// Sort every roster row into created / updated / skipped / invalid. Deleted
+// accounts stay anonymized, rows for them are invalid
+async function classifyRoster(students) {
+  const report = { created: [], updated: [], skipped: [], invalid: [] };
+  const seenIds = new Map();
+  const seenEmails = new Map();
+  const valid = [];
+
+  for (const student of students) {
+    const errors = validateStudent(student);
+
+    if (seenIds.has(student.student_id)) {
+      errors.push(`student_id is repeated from row ${seenIds.get(student.student_id)}`);
+    }
+    if (seenEmails.has(student.student_email)) {
+      errors.push(`email is repeated from row ${seenEmails.get(student.student_email)}`);
+    }
+    seenIds.set(student.student_id, student.row);
+    seenEmails.set(student.student_email, student.row);
+
+    if (errors.length > 0) {
+      report.invalid.push({ row: student.row, student_id: student.student_id, errors });
+    } else {
+      valid.push(student);
+    }
+  }
+
+  if (valid.length === 0) return report;
+
+  const existing = await conn.query(
+    "SELECT student_id, student_name, student_email, student_department, account_status FROM students WHERE student_id IN (?) OR student_email IN (?)",
+    [valid.map((s) => s.student_id), valid.map((s) => s.student_email)]
+  );
+  const byId = new Map(existing.map((s) => [String(s.student_id), s]));
+  const byEmail = new Map(existing.map((s) => [s.student_email.toLowerCase(), s]));
+
+  for (const student of valid) {
+    const current = byId.get(student.student_id);
+    const emailOwner = byEmail.get(student.student_email);
+
+    if (emailOwner && String(emailOwner.student_id) !== student.student_id) {
+      report.invalid.push({
+        row: student.row,
+        student_id: student.student_id,
+        errors: [`email already belongs to student ${emailOwner.student_id}`],
+      });
+    } else if (!current) {
+      report.created.push(student);
+    } else if (current.account_status === "deleted") {
+      report.invalid.push({
+        row: student.row,
+        student_id: student.student_id,
+        errors: ["the student's account has been deleted"],
+      });
+    } else {
+      const changes = ["student_name", "student_email", "student_department"].filter(
+        (field) => String(current[field] || "").toLowerCase() !== student[field].toLowerCase()
+      );
+      if (changes.length > 0) {
+        report.updated.push({ ...student, changes });
+      } else {
+        report.skipped.push({ row: student.row, student_id: student.student_id, reason: "unchanged" });
+      }
+    }
+  }
+
+  return report;
+}
+
+// Write the created and updated rows in one transaction. New accounts get an
+// unusable password and an activation token (a password reset token that lasts longer)
+async function applyRoster(report) {
+  const unusablePassword = await bcrypt.hash(crypto.randomBytes(32).toString("hex"), 10);
+  const activationExpires = Date.now() + ACTIVATION_TTL_MS;
+
+  await startTransaction();
+  try {
+    for (const student of report.created) {
+      student.activation_token = crypto.randomBytes(20).toString("hex");
+      await conn.query(
+        "INSERT INTO students (student_id, student_name, student_email, student_password, student_department, reset_password_token, reset_password_expires) VALUES (?, ?, ?, ?, ?, ?, ?)",
+        [
+          student.student_id,
+          student.student_name,
+          student.student_email,
+          unusablePassword,
+          student.student_department,
+          student.activation_token,
+          activationExpires,
+        ]
+      );
+    }
+
+    for (const student of report.updated) {
+      await conn.query(
+        "UPDATE students SET student_name = ?, student_email = ?, student_department = ? WHERE student_id = ? AND account_status <> 'deleted'",
+        [student.student_name, student.student_email, student.student_department, student.student_id]
+      );
+    }
+
+    await commitTransaction();
+  } catch (err) {
+    await rollbackTransaction();
+    throw err;
+  }
+}
+
+// Validate a roster CSV and, unless it's a dry run, apply it.
+// With sendEmails off the activation links are returned in the report instead
+async function importRoster(csvText, { dryRun, sendEmails }) {
+  const { columns, records } = parseCsvObjects(csvText);
+  const missing = missingColumns(columns);
+  if (missing.length > 0) {
+    return { error: `Missing required column(s): ${missing.join(", ")}` };
+  }
+
+  const report = await classifyRoster(records.map((record) => readRecord(columns, record)));
+
+  if (!dryRun && (report.created.length > 0 || report.updated.length > 0)) {
+    await applyRoster(report);
+
+    for (const student of report.created) {
+      const activationUrl = appUrl(`/reset-password/${student.activation_token}`);
+      if (sendEmails) {
+        queueMail(student.student_email, "accountActivation", {
+          name: student.student_name,
+          activationUrl,
+          expiresInDays: ACTIVATION_TTL_MS / (24 * 3600000),
+        });
+      } else {
+        student.activation_url = activationUrl;
+      }
+      delete student.activation_token;
+    }
+  }
+
+  return {
+    mode: dryRun ? "dry-run" : "commit",
+    summary: {
+      total: records.length,
+      created: report.created.length,
+      updated: report.updated.length,
+      skipped: report.skipped.length,
+      invalid: report.invalid.length,
+    },
+    ...report,
+  };
+}
+
+module.exports = { importRoster };
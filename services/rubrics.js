@@ -0,0 +1,293 @@
+const conn = require("../db/dbConnection");
+const {
+  startTransaction,
+  commitTransaction,
+  rollbackTransaction,
+} = require("../db/transaction");
+
+// The grade each criterion counts towards
+const RUBRIC_COMPONENTS = ["semester", "final"];
+
+// HTTP status and message for each rubric error
+const RUBRIC_ERRORS = {
+  not_found: [404, "Rubric not found"],
+  in_use: [409, "Students have already been scored with this rubric, its criteria can't change"],
+  duplicate: [409, "The term already has a rubric for this department"],
+  rubric_required: [400, "This project is graded with a rubric, please score its criteria instead"],
+  no_scores: [400, "Please score at least one criterion"],
+  unknown_criterion: [400, "One or more criteria don't belong to the project's rubric"],
+  points_out_of_range: [400, "Points must be between 0 and the criterion's max points"],
+};
+
+const RUBRIC_COLUMNS =
+  "rubric_id, graduation_year, graduation_term, department_name, title, created_by, created_at, updated_at";
+
+const CRITERION_COLUMNS =
+  "criterion_id, rubric_id, component, title, description, weight, max_points, position";
+
+const round = (value) => Math.round(value * 100) / 100;
+
+// The maximum of each component is the sum of its criteria's weights
+function componentMaxima(criteria) {
+  const maxima = { semester: null, final: null };
+  for (const criterion of criteria) {
+    maxima[criterion.component] = round((maxima[criterion.component] || 0) + Number(criterion.weight));
+  }
+  return maxima;
+}
+
+async function withCriteria(rubrics) {
+  if (rubrics.length === 0) return [];
+  const criteria = await conn.query(
+    `SELECT ${CRITERION_COLUMNS} FROM rubric_criteria WHERE rubric_id IN (?) ORDER BY FIELD(component, ?), position, criterion_id`,
+    [rubrics.map((rubric) => rubric.rubric_id), RUBRIC_COMPONENTS]
+  );
+  return rubrics.map((rubric) => {
+    const own = criteria.filter((criterion) => criterion.rubric_id === rubric.rubric_id);
+    const maxima = componentMaxima(own);
+    return {
+      ...rubric,
+      max_semester_work_grade: maxima.semester,
+      max_final_work_grade: maxima.final,
+      criteria: own,
+    };
+  });
+}
+
+// Rubrics with their criteria, optionally of one term
+async function listRubrics(graduationYear, graduationTerm) {
+  let sql = `SELECT ${RUBRIC_COLUMNS} FROM rubric_templates`;
+  const values = [];
+  if (graduationYear && graduationTerm) {
+    sql += " WHERE graduation_year = ? AND graduation_term = ?";
+    values.push(graduationYear, graduationTerm);
+  }
+  sql += " ORDER BY graduation_year DESC, graduation_term, department_name";
+  return withCriteria(await conn.query(sql, values));
+}
+
+async function getRubric(rubricId) {
+  const rows = await conn.query(
+    `SELECT ${RUBRIC_COLUMNS} FROM rubric_templates WHERE rubric_id = ?`,
+    [rubricId]
+  );
+  if (rows.length === 0) return null;
+  const [rubric] = await withCriteria(rows);
+  return rubric;
+}
+
+// The rubric a project is graded with: its department's rubric for the term,
+// else the term's rubric for every department. Null means free grading
+async function findProjectRubric(projectId) {
+  const rows = await conn.query(
+    `SELECT r.rubric_id
+    FROM rubric_templates r
+    INNER JOIN projects p ON p.graduation_year = r.graduation_year AND p.graduation_term = r.graduation_term
+    WHERE p.project_id = ? AND (r.department_name = p.department_name OR r.department_name IS NULL)
+    ORDER BY r.department_name IS NULL, r.rubric_id
+    LIMIT 1`,
+    [projectId]
+  );
+  return rows.length > 0 ? getRubric(rows[0].rubric_id) : null;
+}
+
+async function isRubricInUse(rubricId) {
+  const rows = await conn.query(
+    "SELECT 1 FROM criterion_scores s INNER JOIN rubric_criteria c ON c.criterion_id = s.criterion_id WHERE c.rubric_id = ? LIMIT 1",
+    [rubricId]
+  );
+  return rows.length > 0;
+}
+
+async function hasDuplicate(graduationYear, graduationTerm, departmentName, rubricId) {
+  const rows = await conn.query(
+    "SELECT 1 FROM rubric_templates WHERE graduation_year = ? AND graduation_term = ? AND department_name <=> ? AND rubric_id <> ?",
+    [graduationYear, graduationTerm, departmentName || null, rubricId || 0]
+  );
+  return rows.length > 0;
+}
+
+function insertCriteria(rubricId, criteria) {
+  return conn.query(
+    "INSERT INTO rubric_criteria (rubric_id, component, title, description, weight, max_points, position) VALUES ?",
+    [
+      criteria.map((criterion, index) => [
+        rubricId,
+        criterion.component,
+        criterion.title,
+        criterion.description || null,
+        criterion.weight,
+        criterion.max_points,
+        criterion.position ?? index,
+      ]),
+    ]
+  );
+}
+
+// Create a rubric with its criteria. Resolves with { rubric } or { error }
+async function createRubric(fields, adminId) {
+  if (await hasDuplicate(fields.graduation_year, fields.graduation_term, fields.department_name)) {
+    return { error: "duplicate" };
+  }
+
+  let rubricId;
+  await startTransaction();
+  try {
+    const result = await conn.query(
+      "INSERT INTO rubric_templates (graduation_year, graduation_term, department_name, title, created_by) VALUES (?, ?, ?, ?, ?)",
+      [
+        fields.graduation_year,
+        fields.graduation_term,
+        fields.department_name || null,
+        fields.title,
+        adminId,
+      ]
+    );
+    rubricId = result.insertId;
+    await insertCriteria(rubricId, fields.criteria);
+    await commitTransaction();
+  } catch (err) {
+    await rollbackTransaction();
+    throw err;
+  }
+  return { rubric: await getRubric(rubricId) };
+}
+
+// Rename a rubric or replace its criteria. Criteria are frozen once a student
+// has been scored, grades already given would no longer add up
+async function updateRubric(rubricId, fields) {
+  const rubric = await getRubric(rubricId);
+  if (!rubric) return { error: "not_found" };
+
+  if (fields.criteria && (await isRubricInUse(rubricId))) return { error: "in_use" };
+
+  await startTransaction();
+  try {
+    if (fields.criteria) {
+      await conn.query("DELETE FROM rubric_criteria WHERE rubric_id = ?", [rubricId]);
+      await insertCriteria(rubricId, fields.criteria);
+    }
+    if (fields.title) {
+      await conn.query("UPDATE rubric_templates SET title = ? WHERE rubric_id = ?", [fields.title, rubricId]);
+    }
+    await commitTransaction();
+  } catch (err) {
+    await rollbackTransaction();
+    throw err;
+  }
+
+  return { rubric: await getRubric(rubricId), previous: rubric };
+}
+
+async function deleteRubric(rubricId) {
+  const rubric = await getRubric(rubricId);
+  if (!rubric) return { error: "not_found" };
+  if (await isRubricInUse(rubricId)) return { error: "in_use" };
+
+  await conn.query("DELETE FROM rubric_templates WHERE rubric_id = ?", [rubricId]);
+  return { rubric };
+}
+
+// A component's grade: each criterion's share of its max points times its
+// weight. Null until every criterion of the component is scored
+function componentGrade(criteria, points, component) {
+  const own = criteria.filter((criterion) => criterion.component === component);
+  if (own.length === 0 || own.some((criterion) => points[criterion.criterion_id] === undefined)) {
+    return null;
+  }
+  return round(
+    own.reduce(
+      (sum, criterion) =>
+        sum + (Number(points[criterion.criterion_id]) / Number(criterion.max_points)) * Number(criterion.weight),
+      0
+    )
+  );
+}
+
+// Score criteria for a student ([{ criterion_id, points, comment }]). Resolves
+// with { grades }, what the scores add up to for the caller to save, or
+// { error } (a RUBRIC_ERRORS key). Doesn't open a transaction of its own so a
+// caller can grade several students in one
+async function scoreStudent(projectId, studentId, rubric, scores, actor) {
+  if (!Array.isArray(scores) || scores.length === 0) return { error: "no_scores" };
+
+  const criteria = new Map(rubric.criteria.map((criterion) => [String(criterion.criterion_id), criterion]));
+  for (const score of scores) {
+    const criterion = criteria.get(String(score.criterion_id));
+    if (!criterion) return { error: "unknown_criterion" };
+    const points = Number(score.points);
+    if (score.points === null || score.points === "" || !Number.isFinite(points) || points < 0 || points > Number(criterion.max_points)) {
+      return { error: "points_out_of_range" };
+    }
+  }
+
+  for (const score of scores) {
+    await conn.query(
+      "INSERT INTO criterion_scores (project_id, student_id, criterion_id, points, comment, scored_by) VALUES (?, ?, ?, ?, ?, ?) ON DUPLICATE KEY UPDATE points = VALUES(points), comment = VALUES(comment), scored_by = VALUES(scored_by)",
+      [projectId, studentId, score.criterion_id, Number(score.points), score.comment || null, actor.id]
+    );
+  }
+
+  return { grades: await computeGrades(projectId, studentId, rubric) };
+}
+
+// The grades a student's stored criterion scores add up to
+async function computeGrades(projectId, studentId, rubric) {
+  const rows = await conn.query(
+    "SELECT criterion_id, points FROM criterion_scores WHERE project_id = ? AND student_id = ? AND criterion_id IN (?)",
+    [projectId, studentId, rubric.criteria.map((criterion) => criterion.criterion_id)]
+  );
+  const points = Object.fromEntries(rows.map((row) => [row.criterion_id, row.points]));
+  return {
+    semester_work_grade: componentGrade(rubric.criteria, points, "semester"),
+    final_work_grade: componentGrade(rubric.criteria, points, "final"),
+    max_semester_work_grade: rubric.max_semester_work_grade,
+    max_final_work_grade: rubric.max_final_work_grade,
+  };
+}
+
+// The students' criterion scores on a project, keyed by student_id. Every
+// criterion of the rubric is listed, unscored ones with null points
+async function getScoreBreakdown(projectId, rubric, studentIds) {
+  const breakdown = Object.fromEntries(studentIds.map((studentId) => [String(studentId), []]));
+  if (studentIds.length === 0) return breakdown;
+
+  const scores = await conn.query(
+    "SELECT student_id, criterion_id, points, comment, scored_by, scored_at FROM criterion_scores WHERE project_id = ? AND student_id IN (?)",
+    [projectId, studentIds]
+  );
+
+  for (const studentId of Object.keys(breakdown)) {
+    breakdown[studentId] = rubric.criteria.map((criterion) => {
+      const score = scores.find(
+        (row) => String(row.student_id) === studentId && row.criterion_id === criterion.criterion_id
+      );
+      return {
+        criterion_id: criterion.criterion_id,
+        component: criterion.component,
+        title: criterion.title,
+        weight: criterion.weight,
+        max_points: criterion.max_points,
+        points: score ? score.points : null,
+        weighted_points: score
+          ? round((Number(score.points) / Number(criterion.max_points)) * Number(criterion.weight))
+          : null,
+        comment: score ? score.comment : null,
+      };
+    });
+  }
+  return breakdown;
+}
+
+module.exports = {
+  RUBRIC_COMPONENTS,
+  RUBRIC_ERRORS,
+  listRubrics,
+  getRubric,
+  findProjectRubric,
+  createRubric,
+  updateRubric,
+  deleteRubric,
+  scoreStudent,
+  getScoreBreakdown,
+};
@@ -0,0 +1,84 @@
+const conn = require("../db/dbConnection");
+const crypto = require("crypto");
+
+// Sessions last a week unless SESSION_TTL_HOURS says otherwise
+const SESSION_TTL_HOURS = parseInt(process.env.SESSION_TTL_HOURS, 10) || 24 * 7;
+
+// Only the hash of a token is stored, the raw token is handed to the client once
+function hashToken(token) {
+  return crypto.createHash("sha256").update(String(token)).digest("hex");
+}
+
+// Label the device from the request body or fall back to the user agent
+function getDeviceLabel(req) {
+  const label = req.body.device_label || req.headers["user-agent"] || null;
+  return label ? String(label).slice(0, 255) : null;
+}
+
+// Issue a new session for a user and return the raw token
+async function createSession(userId, role, deviceLabel) {
+  const token = crypto.randomBytes(32).toString("hex");
+
+  await conn.query(
+    "INSERT INTO sessions (token_hash, user_id, user_role, device_label, expires_at) VALUES (?, ?, ?, ?, DATE_ADD(NOW(), INTERVAL ? HOUR))",
+    [hashToken(token), userId, role, deviceLabel, SESSION_TTL_HOURS]
+  );
+
+  const session = await findSession(token, role);
+  return { token, expires_at: session ? session.expires_at : null };
+}
+
+// Find an active (not revoked, not expired) session, optionally for one role
+async function findSession(token, role) {
+  if (!token) return null;
+
+  let sql =
+    "SELECT session_id, user_id, user_role, device_label, issued_at, expires_at, last_seen_at FROM sessions WHERE token_hash = ? AND revoked_at IS NULL AND expires_at > NOW()";
+  const values = [hashToken(token)];
+  if (role) {
+    sql += " AND user_role = ?";
+    values.push(role);
+  }
+
+  const sessions = await conn.query(sql, values);
+  return sessions.length > 0 ? sessions[0] : null;
+}
+
+// Refresh last_seen_at, at most once a minute per session
+function touchSession(sessionId) {
+  return conn.query(
+    "UPDATE sessions SET last_seen_at = NOW() WHERE session_id = ? AND last_seen_at < NOW() - INTERVAL 1 MINUTE",
+    [sessionId]
+  );
+}
+
+function listSessions(userId, role) {
+  return conn.query(
+    "SELECT session_id, device_label, issued_at, expires_at, last_seen_at FROM sessions WHERE user_id = ? AND user_role = ? AND revoked_at IS NULL AND expires_at > NOW() ORDER BY last_seen_at DESC",
+    [userId, role]
+  );
+}
+
+function revokeSession(sessionId) {
+  return conn.query(
+    "UPDATE sessions SET revoked_at = NOW() WHERE session_id = ? AND revoked_at IS NULL",
+    [sessionId]
+  );
+}
+
+function revokeAllSessions(userId, role) {
+  return conn.query(
+    "UPDATE sessions SET revoked_at = NOW() WHERE user_id = ? AND user_role = ? AND revoked_at IS NULL",
+    [userId, role]
+  );
+}
+
+module.exports = {
+  getDeviceLabel,
+  createSession,
+  findSession,
+  touchSession,
+  listSessions,
+  revokeSession,
+  revokeAllSessions,
+};
@@ -0,0 +1,260 @@
+const conn = require("../db/dbConnection");
+
+// Projects left out of the comparison corpus: unsent drafts aren't "past" projects yet
+const EXCLUDED_STATUSES = ["draft"];
+
+// How many similar projects a check keeps
+const MAX_RESULTS = 5;
+
+// Threshold used until an admin sets one (SIMILARITY_THRESHOLD overrides it)
+const DEFAULT_THRESHOLD = Number(process.env.SIMILARITY_THRESHOLD) || 0.6;
+
+// Title words count this many times against one of the description
+const TITLE_WEIGHT = 2;
+
+// Words too common to tell two projects apart
+const STOPWORDS = new Set([
+  // English
+  "a", "an", "and", "are", "as", "at", "be", "by", "for", "from", "has", "have",
+  "in", "into", "is", "it", "its", "of", "on", "or", "that", "the", "their",
+  "this", "to", "using", "use", "was", "which", "will", "with", "based",
+  "system", "project", "application", "app",
+  // Arabic, already normalized
+  "في", "من", "الي", "علي", "عن", "مع", "هذا", "هذه", "ذلك", "التي", "الذي",
+  "او", "ثم", "كل", "بين", "هو", "هي", "ان", "كان", "لل", "و", "ما", "لا",
+  "نظام", "مشروع", "تطبيق",
+]);
+
+// Fold the spellings of the same Arabic word together: drop diacritics and
+// tatweel, unify alef, yaa, taa marbuta and hamza seats, use Western digits
+function normalizeArabic(text) {
+  return text
+    .replace(/[\u064B-\u0652\u0670\u0640]/g, "")
+    .replace(/[أإآٱ]/g, "ا")
+    .replace(/ى/g, "ي")
+    .replace(/ة/g, "ه")
+    .replace(/ؤ/g, "و")
+    .replace(/ئ/g, "ي")
+    .replace(/[\u0660-\u0669]/g, (digit) => String(digit.charCodeAt(0) - 0x0660));
+}
+
+// A light stem: the Arabic definite article and English plurals only
+function stem(word) {
+  if (/^[\u0600-\u06FF]+$/.test(word)) {
+    for (const prefix of ["وال", "بال", "كال", "فال", "لل", "ال"]) {
+      if (word.startsWith(prefix) && word.length - prefix.length >= 3) {
+        return word.slice(prefix.length);
+      }
+    }
+    return word;
+  }
+  if (word.length > 4 && word.endsWith("ies")) return `${word.slice(0, -3)}y`;
+  if (word.length > 3 && word.endsWith("s") && !word.endsWith("ss")) {
+    return word.slice(0, -1);
+  }
+  return word;
+}
+
+// Normalized, stemmed words of a text without stopwords
+function tokenize(text) {
+  const words = normalizeArabic(String(text || "").toLowerCase()).match(/[\p{L}\p{N}]+/gu) || [];
+  return words
+    .filter((word) => !STOPWORDS.has(word))
+    .map(stem)
+    .filter((word) => word.length > 1 && !STOPWORDS.has(word));
+}
+
+// Term counts of a project, title words weighted up
+function termCounts(project) {
+  const counts = new Map();
+  const add = (tokens, weight) => {
+    for (const token of tokens) counts.set(token, (counts.get(token) || 0) + weight);
+  };
+  add(tokenize(project.title), TITLE_WEIGHT);
+  add(tokenize(project.description), 1);
+  return counts;
+}
+
+// Three-word shingles of a project's text, for the verbatim overlap
+function shingles(project) {
+  const tokens = tokenize(`${project.title || ""} ${project.description || ""}`);
+  const set = new Set();
+  for (let i = 0; i + 3 <= tokens.length; i++) {
+    set.add(tokens.slice(i, i + 3).join(" "));
+  }
+  return set;
+}
+
+function jaccard(a, b) {
+  if (a.size === 0 || b.size === 0) return 0;
+  let shared = 0;
+  for (const item of a) if (b.has(item)) shared++;
+  return shared / (a.size + b.size - shared);
+}
+
+// TF-IDF vector (as a Map with its norm) of term counts
+function weigh(counts, idf) {
+  const vector = new Map();
+  let sum = 0;
+  for (const [term, count] of counts) {
+    const weight = (1 + Math.log(count)) * (idf.get(term) || 0);
+    if (weight > 0) {
+      vector.set(term, weight);
+      sum += weight * weight;
+    }
+  }
+  return { vector, norm: Math.sqrt(sum) };
+}
+
+function cosine(a, b) {
+  if (a.norm === 0 || b.norm === 0) return 0;
+  let dot = 0;
+  for (const [term, weight] of a.vector) {
+    const other = b.vector.get(term);
+    if (other) dot += weight * other;
+  }
+  return dot / (a.norm * b.norm);
+}
+
+const round = (value) => Math.round(value * 10000) / 10000;
+
+// Rank the corpus by similarity to a candidate { title, description }. Each
+// result has a score (TF-IDF cosine, 0 to 1) and overlap (shared word runs)
+function rankSimilar(candidate, corpus, limit = MAX_RESULTS) {
+  const documents = corpus.map((project) => ({ project, counts: termCounts(project) }));
+  const candidateCounts = termCounts(candidate);
+
+  // Document frequencies include the candidate so its own rare words still count
+  const frequency = new Map();
+  for (const counts of [candidateCounts, ...documents.map((document) => document.counts)]) {
+    for (const term of counts.keys()) frequency.set(term, (frequency.get(term) || 0) + 1);
+  }
+  const total = documents.length + 1;
+  const idf = new Map(
+    [...frequency].map(([term, count]) => [term, Math.log((1 + total) / (1 + count)) + 1])
+  );
+
+  const target = weigh(candidateCounts, idf);
+  const targetShingles = shingles(candidate);
+
+  return documents
+    .map(({ project, counts }) => ({
+      project_id: project.project_id,
+      title: project.title,
+      graduation_year: project.graduation_year,
+      graduation_term: project.graduation_term,
+      approval_status: project.approval_status,
+      score: round(cosine(target, weigh(counts, idf))),
+      overlap: round(jaccard(targetShingles, shingles(project))),
+    }))
+    .filter((result) => result.score > 0)
+    .sort((a, b) => b.score - a.score || b.overlap - a.overlap)
+    .slice(0, limit);
+}
+
+async function getThreshold() {
+  const rows = await conn.query(
+    "SELECT threshold, updated_by, updated_at FROM similarity_settings WHERE setting_id = 1"
+  );
+  if (rows.length === 0) return { threshold: DEFAULT_THRESHOLD, updated_by: null, updated_at: null };
+  return { ...rows[0], threshold: Number(rows[0].threshold) };
+}
+
+async function setThreshold(threshold, adminId) {
+  await conn.query(
+    "INSERT INTO similarity_settings (setting_id, threshold, updated_by) VALUES (1, ?, ?) ON DUPLICATE KEY UPDATE threshold = VALUES(threshold), updated_by = VALUES(updated_by)",
+    [threshold, adminId]
+  );
+  return getThreshold();
+}
+
+// The projects most similar to one, computed against the current corpus.
+// Resolves with null when the project doesn't exist
+async function findSimilarProjects(projectId, limit = MAX_RESULTS) {
+  const rows = await conn.query(
+    "SELECT project_id, title, description FROM projects WHERE project_id = ?",
+    [projectId]
+  );
+  if (rows.length === 0) return null;
+
+  const corpus = await conn.query(
+    "SELECT project_id, title, description, graduation_year, graduation_term, approval_status FROM projects WHERE project_id <> ? AND approval_status NOT IN (?)",
+    [projectId, EXCLUDED_STATUSES]
+  );
+  const { threshold } = await getThreshold();
+  const similar = rankSimilar(rows[0], corpus, limit);
+  const score = similar.length > 0 ? similar[0].score : 0;
+
+  return { similar, score, threshold, flagged: score >= threshold };
+}
+
+// Check a project and store the result: its best score, whether that reaches
+// the threshold and the similar projects found. A flag an admin cleared stays
+// cleared until the text changes and the project is checked again
+async function checkProject(projectId) {
+  const result = await findSimilarProjects(projectId);
+  if (!result) return null;
+
+  await conn.query(
+    "UPDATE projects SET similarity_score = ?, similarity_flagged = ?, similarity_checked_at = NOW(), similarity_cleared_by = NULL WHERE project_id = ?",
+    [result.score, result.flagged, projectId]
+  );
+  await conn.query("DELETE FROM project_similarities WHERE project_id = ?", [projectId]);
+  if (result.similar.length > 0) {
+    await conn.query(
+      "INSERT INTO project_similarities (project_id, similar_project_id, score, overlap) VALUES ?",
+      [result.similar.map((similar) => [projectId, similar.project_id, similar.score, similar.overlap])]
+    );
+  }
+
+  return result;
+}
+
+// Flagged projects awaiting an admin's review, most similar first
+async function listFlaggedProjects() {
+  const projects = await conn.query(
+    `SELECT project_id, title, supervisor_name, graduation_year, graduation_term, approval_status, similarity_score, similarity_checked_at
+    FROM projects
+    WHERE similarity_flagged = 1
+    ORDER BY similarity_score DESC, project_id DESC`
+  );
+  if (projects.length === 0) return [];
+
+  const matches = await conn.query(
+    `SELECT s.project_id, s.similar_project_id, p.title, p.graduation_year, s.score, s.overlap
+    FROM project_similarities s
+    INNER JOIN projects p ON p.project_id = s.similar_project_id
+    WHERE s.project_id IN (?)
+    ORDER BY s.score DESC`,
+    [projects.map((project) => project.project_id)]
+  );
+
+  return projects.map((project) => ({
+    ...project,
+    similar_projects: matches
+      .filter((match) => match.project_id === project.project_id)
+      .map(({ project_id, ...match }) => match),
+  }));
+}
+
+// Clear a project's flag once an admin has looked at it
+async function clearFlag(projectId, adminId) {
+  const result = await conn.query(
+    "UPDATE projects SET similarity_flagged = 0, similarity_cleared_by = ? WHERE project_id = ? AND similarity_flagged = 1",
+    [adminId, projectId]
+  );
+  return result.affectedRows > 0;
+}
+
+module.exports = {
+  MAX_RESULTS,
+  normalizeArabic,
+  tokenize,
+  rankSimilar,
+  getThreshold,
+  setThreshold,
+  findSimilarProjects,
+  checkProject,
+  listFlaggedProjects,
+  clearFlag,
+};
@@ -0,0 +1,368 @@
+const conn = require("../db/dbConnection");
+const { createNotification, notifyProjectStudents } = require("./notification");
+const {
+  startTransaction,
+  commitTransaction,
+  rollbackTransaction,
+} = require("../db/transaction");
+
+const SUPERVISOR_ROLES = ["main", "co", "external"];
+
+// Roles additional supervisors are invited for, a project has one main supervisor
+const INVITABLE_ROLES = ["co", "external"];
+
+const SUPERVISOR_ROLE_LABELS = {
+  main: "Main supervisor",
+  co: "Co-supervisor",
+  external: "External advisor",
+};
+
+// What each role may do on a project besides reading it. Only the main
+// supervisor finalizes grades and changes who supervises or is on the team
+const SUPERVISOR_PERMISSIONS = {
+  main: ["review", "grade", "finalize_grades", "manage_supervisors", "manage_team"],
+  co: ["review", "grade"],
+  external: [],
+};
+
+// HTTP status and message for each supervision error
+const SUPERVISION_ERRORS = {
+  not_found: [404, "Invitation not found"],
+  project_not_found: [404, "Project not found"],
+  supervisor_not_found: [404, "The professor doesn't supervise this project"],
+  unknown_professor: [400, "The professor ID doesn't belong to a professor"],
+  invalid_role: [400, `Supervisor role must be one of: ${INVITABLE_ROLES.join(", ")}`],
+  unknown_role: [400, `Supervisor role must be one of: ${SUPERVISOR_ROLES.join(", ")}`],
+  already_supervising: [409, "The professor already supervises this project"],
+  duplicate: [409, "The professor already has a pending invitation to this project"],
+  not_pending: [409, "This invitation has already been answered"],
+  main_supervisor: [409, "The main supervisor can't be removed, make someone else main supervisor first"],
+  examiner: [409, "The professor examines this project, an examiner can't also supervise it"],
+  supervisor_locked: [409, "The supervisor can only be changed while the project is a draft, invite supervisors or change their roles instead"],
+};
+
+// The professor's role on a project, or null. Until a main supervisor is added
+// (on approval) the professor the students asked for counts as main supervisor
+async function getSupervisorRole(projectId, professorId) {
+  const rows = await conn.query(
+    "SELECT supervisor_role FROM project_professor WHERE project_id = ? AND professor_id = ?",
+    [projectId, professorId]
+  );
+  if (rows.length > 0) return rows[0].supervisor_role;
+
+  const mainSupervisorId = await getMainSupervisorId(projectId);
+  return mainSupervisorId !== null && String(mainSupervisorId) === String(professorId) ? "main" : null;
+}
+
+// The project's main supervisor, else the professor the students asked for
+// while nobody supervises yet
+async function getMainSupervisorId(projectId) {
+  const rows = await conn.query(
+    `SELECT COALESCE(
+      (SELECT pp.professor_id FROM project_professor pp WHERE pp.project_id = p.project_id AND pp.supervisor_role = 'main' LIMIT 1),
+      p.professor_id
+    ) AS professor_id
+    FROM projects p
+    WHERE p.project_id = ?`,
+    [projectId]
+  );
+  return rows.length > 0 ? rows[0].professor_id : null;
+}
+
+async function hasSupervisorPermission(projectId, professorId, permission) {
+  const role = await getSupervisorRole(projectId, professorId);
+  return role !== null && SUPERVISOR_PERMISSIONS[role].includes(permission);
+}
+
+// The project's supervisors, main supervisor first
+function listSupervisors(projectId) {
+  return conn.query(
+    `SELECT pp.professor_id, pr.professor_name, pr.professor_department, pp.supervisor_role, pp.added_at
+    FROM project_professor pp
+    INNER JOIN professor pr ON pr.professor_id = pp.professor_id
+    WHERE pp.project_id = ?
+    ORDER BY FIELD(pp.supervisor_role, ?), pr.professor_name`,
+    [projectId, SUPERVISOR_ROLES]
+  );
+}
+
+// Recompute projects.supervisor_name from the supervisors, or from the professor
+// the students asked for while nobody supervises yet
+function syncSupervisorName(projectId) {
+  return conn.query(
+    `UPDATE projects p SET supervisor_name = COALESCE(
+      (SELECT GROUP_CONCAT(pr.professor_name ORDER BY FIELD(pp.supervisor_role, ?), pr.professor_name SEPARATOR ', ')
+        FROM project_professor pp
+        INNER JOIN professor pr ON pr.professor_id = pp.professor_id
+        WHERE pp.project_id = p.project_id),
+      (SELECT professor_name FROM professor WHERE professor_id = p.professor_id)
+    )
+    WHERE p.project_id = ?`,
+    [SUPERVISOR_ROLES, projectId]
+  );
+}
+
+// Make the professor the main supervisor (on approval), the one before becomes
+// a co-supervisor and projects.professor_id follows. Doesn't open a
+// transaction of its own so it can run inside the caller's
+async function addMainSupervisor(projectId, professorId) {
+  await conn.query(
+    "UPDATE project_professor SET supervisor_role = 'co' WHERE project_id = ? AND supervisor_role = 'main' AND professor_id <> ?",
+    [projectId, professorId]
+  );
+  await conn.query(
+    "INSERT INTO project_professor (project_id, professor_id, supervisor_role) VALUES (?, ?, 'main') ON DUPLICATE KEY UPDATE supervisor_role = 'main'",
+    [projectId, professorId]
+  );
+  await conn.query("UPDATE projects SET professor_id = ? WHERE project_id = ?", [professorId, projectId]);
+  await syncSupervisorName(projectId);
+}
+
+async function getProject(projectId) {
+  const rows = await conn.query(
+    "SELECT project_id, title, professor_id FROM projects WHERE project_id = ?",
+    [projectId]
+  );
+  return rows.length > 0 ? rows[0] : null;
+}
+
+// Whether the professor is on the project's examination committee, examiners
+// grade the project independently of its supervisors
+async function isExaminer(projectId, professorId) {
+  const rows = await conn.query(
+    "SELECT 1 FROM project_examiners WHERE project_id = ? AND professor_id = ?",
+    [projectId, professorId]
+  );
+  return rows.length > 0;
+}
+
+// Invite a professor to co-supervise or advise a project. Resolves with
+// { invitation } or { error } (a SUPERVISION_ERRORS key)
+async function inviteSupervisor(projectId, professorId, role, inviter) {
+  if (!INVITABLE_ROLES.includes(role)) return { error: "invalid_role" };
+
+  const project = await getProject(projectId);
+  if (!project) return { error: "project_not_found" };
+
+  const professors = await conn.query(
+    "SELECT professor_id, professor_name FROM professor WHERE professor_id = ?",
+    [professorId]
+  );
+  if (professors.length === 0) return { error: "unknown_professor" };
+  if (await getSupervisorRole(projectId, professorId)) return { error: "already_supervising" };
+  if (await isExaminer(projectId, professorId)) return { error: "examiner" };
+
+  const pending = await conn.query(
+    "SELECT 1 FROM supervisor_invitations WHERE project_id = ? AND professor_id = ? AND status = 'pending'",
+    [projectId, professorId]
+  );
+  if (pending.length > 0) return { error: "duplicate" };
+
+  const result = await conn.query(
+    "INSERT INTO supervisor_invitations (project_id, professor_id, supervisor_role, invited_by, inviter_role) VALUES (?, ?, ?, ?, ?)",
+    [projectId, professorId, role, inviter.id, inviter.role]
+  );
+  await createNotification(
+    professorId,
+    inviter.id,
+    projectId,
+    "supervision_invitation",
+    `You have been invited to join the project '${project.title}' as ${SUPERVISOR_ROLE_LABELS[role].toLowerCase()}.`
+  );
+
+  return {
+    invitation: {
+      invitation_id: result.insertId,
+      project_id: project.project_id,
+      professor_id: professors[0].professor_id,
+      professor_name: professors[0].professor_name,
+      supervisor_role: role,
+      status: "pending",
+    },
+  };
+}
+
+// Invitations sent for a project, with the invited professor's name
+function listProjectSupervisorInvitations(projectId) {
+  return conn.query(
+    `SELECT i.invitation_id, i.professor_id, pr.professor_name, i.supervisor_role, i.invited_by, i.inviter_role, i.status, i.created_at, i.responded_at
+    FROM supervisor_invitations i
+    INNER JOIN professor pr ON pr.professor_id = i.professor_id
+    WHERE i.project_id = ?
+    ORDER BY i.invitation_id`,
+    [projectId]
+  );
+}
+
+// A professor's pending invitations with the project they are for
+function listProfessorSupervisorInvitations(professorId) {
+  return conn.query(
+    `SELECT i.invitation_id, i.project_id, p.title, p.supervisor_name, i.supervisor_role, i.invited_by, i.inviter_role, i.created_at
+    FROM supervisor_invitations i
+    INNER JOIN projects p ON p.project_id = i.project_id
+    WHERE i.professor_id = ? AND i.status = 'pending'
+    ORDER BY i.invitation_id DESC`,
+    [professorId]
+  );
+}
+
+async function getInvitation(invitationId) {
+  const rows = await conn.query(
+    `SELECT i.invitation_id, i.project_id, i.professor_id, i.supervisor_role, i.invited_by, i.status, p.title
+    FROM supervisor_invitations i
+    INNER JOIN projects p ON p.project_id = i.project_id
+    WHERE i.invitation_id = ?`,
+    [invitationId]
+  );
+  return rows.length > 0 ? rows[0] : null;
+}
+
+// Accept or decline an invitation sent to the professor. Accepting adds them
+// with the invited role. Resolves with { invitation, status } or { error }
+async function respondToSupervisorInvitation(invitationId, professor, accept) {
+  const invitation = await getInvitation(invitationId);
+  // Someone else's invitation is as good as missing
+  if (!invitation || String(invitation.professor_id) !== String(professor.id)) {
+    return { error: "not_found" };
+  }
+  if (invitation.status !== "pending") return { error: "not_pending" };
+  // The professor may have become an examiner since they were invited
+  if (accept && (await isExaminer(invitation.project_id, professor.id))) return { error: "examiner" };
+
+  const status = accept ? "accepted" : "declined";
+
+  await startTransaction();
+  try {
+    // Only answer a still pending invitation, a concurrent answer or cancel wins
+    const result = await conn.query(
+      "UPDATE supervisor_invitations SET status = ?, responded_at = NOW() WHERE invitation_id = ? AND status = 'pending'",
+      [status, invitationId]
+    );
+    if (result.affectedRows === 0) {
+      await rollbackTransaction();
+      return { error: "not_pending" };
+    }
+
+    if (accept) {
+      await conn.query(
+        "INSERT IGNORE INTO project_professor (project_id, professor_id, supervisor_role) VALUES (?, ?, ?)",
+        [invitation.project_id, professor.id, invitation.supervisor_role]
+      );
+      await syncSupervisorName(invitation.project_id);
+    }
+    await commitTransaction();
+  } catch (err) {
+    await rollbackTransaction();
+    throw err;
+  }
+
+  const role = SUPERVISOR_ROLE_LABELS[invitation.supervisor_role].toLowerCase();
+  await createNotification(
+    invitation.invited_by,
+    professor.id,
+    invitation.project_id,
+    "supervision_invitation_response",
+    `Your invitation to join '${invitation.title}' as ${role} has been ${status}.`
+  );
+  if (accept) {
+    await notifyProjectStudents(
+      invitation.project_id,
+      professor.id,
+      "project_status_update",
+      `Your project '${invitation.title}' has a new ${role}.`
+    );
+  }
+
+  return { invitation, status };
+}
+
+async function cancelSupervisorInvitation(projectId, invitationId) {
+  const invitation = await getInvitation(invitationId);
+  if (!invitation || String(invitation.project_id) !== String(projectId)) {
+    return { error: "not_found" };
+  }
+
+  const result = await conn.query(
+    "UPDATE supervisor_invitations SET status = 'cancelled', responded_at = NOW() WHERE invitation_id = ? AND status = 'pending'",
+    [invitationId]
+  );
+  if (result.affectedRows === 0) return { error: "not_pending" };
+
+  return { invitation };
+}
+
+// Take a co-supervisor or external advisor off a project
+async function removeSupervisor(projectId, professorId) {
+  const rows = await conn.query(
+    "SELECT supervisor_role FROM project_professor WHERE project_id = ? AND professor_id = ?",
+    [projectId, professorId]
+  );
+  if (rows.length === 0) return { error: "supervisor_not_found" };
+  if (rows[0].supervisor_role === "main") return { error: "main_supervisor" };
+
+  await conn.query(
+    "DELETE FROM project_professor WHERE project_id = ? AND professor_id = ?",
+    [projectId, professorId]
+  );
+  await syncSupervisorName(projectId);
+  return { role: rows[0].supervisor_role };
+}
+
+// Change a supervisor's role. Making someone main supervisor turns the current
+// one into a co-supervisor, a project keeps exactly one
+async function changeSupervisorRole(projectId, professorId, role) {
+  if (!SUPERVISOR_ROLES.includes(role)) return { error: "unknown_role" };
+
+  const rows = await conn.query(
+    "SELECT supervisor_role FROM project_professor WHERE project_id = ? AND professor_id = ?",
+    [projectId, professorId]
+  );
+  if (rows.length === 0) return { error: "supervisor_not_found" };
+  const previous = rows[0].supervisor_role;
+  if (previous === "main" && role !== "main") return { error: "main_supervisor" };
+
+  await startTransaction();
+  try {
+    if (role === "main") {
+      await conn.query(
+        "UPDATE project_professor SET supervisor_role = 'co' WHERE project_id = ? AND supervisor_role = 'main'",
+        [projectId]
+      );
+      await conn.query(
+        "UPDATE projects SET professor_id = ? WHERE project_id = ?",
+        [professorId, projectId]
+      );
+    }
+    await conn.query(
+      "UPDATE project_professor SET supervisor_role = ? WHERE project_id = ? AND professor_id = ?",
+      [role, projectId, professorId]
+    );
+    await syncSupervisorName(projectId);
+    await commitTransaction();
+  } catch (err) {
+    await rollbackTransaction();
+    throw err;
+  }
+
+  return { from: previous, to: role };
+}
+
+module.exports = {
+  SUPERVISOR_ROLES,
+  SUPERVISOR_ROLE_LABELS,
+  SUPERVISOR_PERMISSIONS,
+  SUPERVISION_ERRORS,
+  getSupervisorRole,
+  getMainSupervisorId,
+  hasSupervisorPermission,
+  listSupervisors,
+  syncSupervisorName,
+  addMainSupervisor,
+  inviteSupervisor,
+  listProjectSupervisorInvitations,
+  listProfessorSupervisorInvitations,
+  respondToSupervisorInvitation,
+  cancelSupervisorInvitation,
+  removeSupervisor,
+  changeSupervisorRole,
+};
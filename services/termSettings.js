@@ -0,0 +1,164 @@
+const conn = require("../db/dbConnection");
+
+// Projects that take up a place in their main supervisor's quota: requests
+// waiting for a decision and every team that was accepted
+const QUOTA_STATUSES = [
+  "submitted",
+  "changes-requested",
+  "approved",
+  "in-progress",
+  "completed",
+  "archived",
+];
+
+// HTTP status and message for each proposal error
+const PROPOSAL_ERRORS = {
+  proposals_not_open: [403, "Project proposals for this term aren't open yet"],
+  proposals_closed: [403, "The project proposal window for this term has closed"],
+  supervisor_full: [409, "The professor has no supervision places left this term, please choose another supervisor"],
+};
+
+const SETTINGS_COLUMNS =
+  "graduation_year, graduation_term, proposal_opens_at, proposal_closes_at, max_teams_per_professor, grades_publish_at, grades_lock_at, appeal_window_days, updated_by, updated_at";
+
+function listTermSettings() {
+  return conn.query(
+    `SELECT ${SETTINGS_COLUMNS} FROM term_settings ORDER BY graduation_year DESC, graduation_term`
+  );
+}
+
+async function getTermSettings(graduationYear, graduationTerm) {
+  const rows = await conn.query(
+    `SELECT ${SETTINGS_COLUMNS} FROM term_settings WHERE graduation_year = ? AND graduation_term = ?`,
+    [graduationYear, graduationTerm]
+  );
+  return rows.length > 0 ? rows[0] : null;
+}
+
+// Create or replace a term's settings; a null leaves that part unrestricted
+async function saveTermSettings(graduationYear, graduationTerm, settings, adminId) {
+  await conn.query(
+    `INSERT INTO term_settings (graduation_year, graduation_term, proposal_opens_at, proposal_closes_at, max_teams_per_professor, grades_publish_at, grades_lock_at, appeal_window_days, updated_by)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+    ON DUPLICATE KEY UPDATE proposal_opens_at = VALUES(proposal_opens_at), proposal_closes_at = VALUES(proposal_closes_at), max_teams_per_professor = VALUES(max_teams_per_professor), grades_publish_at = VALUES(grades_publish_at), grades_lock_at = VALUES(grades_lock_at), appeal_window_days = VALUES(appeal_window_days), updated_by = VALUES(updated_by)`,
+    [
+      graduationYear,
+      graduationTerm,
+      settings.proposal_opens_at || null,
+      settings.proposal_closes_at || null,
+      settings.max_teams_per_professor ?? null,
+      settings.grades_publish_at || null,
+      settings.grades_lock_at || null,
+      settings.appeal_window_days ?? null,
+      adminId,
+    ]
+  );
+  return getTermSettings(graduationYear, graduationTerm);
+}
+
+async function deleteTermSettings(graduationYear, graduationTerm) {
+  const result = await conn.query(
+    "DELETE FROM term_settings WHERE graduation_year = ? AND graduation_term = ?",
+    [graduationYear, graduationTerm]
+  );
+  return result.affectedRows > 0;
+}
+
+// Whether proposals for the term can be sent now, as { open, opens_at, closes_at }
+function proposalWindow(settings, now = new Date()) {
+  const opensAt = settings && settings.proposal_opens_at ? new Date(settings.proposal_opens_at) : null;
+  const closesAt = settings && settings.proposal_closes_at ? new Date(settings.proposal_closes_at) : null;
+  return {
+    open: (!opensAt || now >= opensAt) && (!closesAt || now <= closesAt),
+    opens_at: opensAt,
+    closes_at: closesAt,
+  };
+}
+
+// Teams each professor supervises as main supervisor in a term, by professor_id
+async function countSupervisedTeams(graduationYear, graduationTerm, professorId) {
+  let sql =
+    "SELECT professor_id, COUNT(*) AS teams FROM projects WHERE graduation_year = ? AND graduation_term = ? AND approval_status IN (?) AND professor_id IS NOT NULL";
+  const values = [graduationYear, graduationTerm, QUOTA_STATUSES];
+  if (professorId !== undefined) {
+    sql += " AND professor_id = ?";
+    values.push(professorId);
+  }
+  sql += " GROUP BY professor_id";
+
+  const rows = await conn.query(sql, values);
+  return Object.fromEntries(rows.map((row) => [String(row.professor_id), row.teams]));
+}
+
+// Every professor's quota use in a term. remaining is null when the term has no quota
+async function professorCapacity(graduationYear, graduationTerm, department) {
+  const settings = await getTermSettings(graduationYear, graduationTerm);
+  const maxTeams = settings ? settings.max_teams_per_professor : null;
+
+  let sql = "SELECT professor_id, professor_name, professor_department FROM professor";
+  const values = [];
+  if (department) {
+    sql += " WHERE professor_department = ?";
+    values.push(department);
+  }
+  sql += " ORDER BY professor_name";
+
+  const professors = await conn.query(sql, values);
+  const teams = await countSupervisedTeams(graduationYear, graduationTerm);
+
+  return {
+    graduation_year: Number(graduationYear),
+    graduation_term: graduationTerm,
+    proposal_window: proposalWindow(settings),
+    max_teams_per_professor: maxTeams,
+    professors: professors.map((professor) => {
+      const supervised = teams[String(professor.professor_id)] || 0;
+      return {
+        ...professor,
+        supervised_teams: supervised,
+        remaining: maxTeams === null ? null : Math.max(maxTeams - supervised, 0),
+        available: maxTeams === null || supervised < maxTeams,
+      };
+    }),
+  };
+}
+
+// Check a proposal against its term's window and the supervisor's quota.
+// Resolves with null when it may be sent, or { error, details } where error
+// is a PROPOSAL_ERRORS key. checkQuota is off for drafts, which hold no place;
+// checkWindow is off when a sent proposal only changes supervisor
+async function checkProposal({ graduationYear, graduationTerm, professorId, checkQuota, checkWindow = true }) {
+  const settings = await getTermSettings(graduationYear, graduationTerm);
+  if (!settings) return null;
+
+  const window = proposalWindow(settings);
+  if (checkWindow && !window.open) {
+    const notOpenYet = window.opens_at && new Date() < window.opens_at;
+    return {
+      error: notOpenYet ? "proposals_not_open" : "proposals_closed",
+      details: { opens_at: window.opens_at, closes_at: window.closes_at },
+    };
+  }
+
+  if (checkQuota && professorId && settings.max_teams_per_professor !== null) {
+    const teams = await countSupervisedTeams(graduationYear, graduationTerm, professorId);
+    if ((teams[String(professorId)] || 0) >= settings.max_teams_per_professor) {
+      return {
+        error: "supervisor_full",
+        details: { max_teams_per_professor: settings.max_teams_per_professor },
+      };
+    }
+  }
+
+  return null;
+}
+
+module.exports = {
+  PROPOSAL_ERRORS,
+  listTermSettings,
+  getTermSettings,
+  saveTermSettings,
+  deleteTermSettings,
+  professorCapacity,
+  checkProposal,
+};
@@ -0,0 +1,223 @@
+const conn = require("../db/dbConnection");
+const crypto = require("crypto");
+const totp = require("./totp");
+
+const ISSUER = process.env.APP_NAME || "FCI Graduation Projects";
+const RECOVERY_CODE_COUNT = 10;
+const CHALLENGE_TTL_MINUTES = 5;
+const CHALLENGE_MAX_ATTEMPTS = 5;
+
+// Roles that can use two-factor authentication
+const TWO_FACTOR_ROLES = ["professor", "admin"];
+
+function hash(value) {
+  return crypto.createHash("sha256").update(String(value)).digest("hex");
+}
+
+// Recovery codes are compared without dashes or case
+function normalizeRecoveryCode(code) {
+  return String(code || "").replace(/[\s-]/g, "").toLowerCase();
+}
+
+async function getTwoFactor(userId, role) {
+  const rows = await conn.query(
+    "SELECT * FROM two_factor WHERE user_id = ? AND user_role = ?",
+    [userId, role]
+  );
+  return rows.length > 0 ? rows[0] : null;
+}
+
+async function isTwoFactorEnabled(userId, role) {
+  if (!TWO_FACTOR_ROLES.includes(role)) return false;
+  const twoFactor = await getTwoFactor(userId, role);
+  return Boolean(twoFactor && twoFactor.enabled_at);
+}
+
+// Whether the role enforces 2FA and this user hasn't enabled it yet
+async function isSetupRequired(userId, role) {
+  if (!TWO_FACTOR_ROLES.includes(role)) return false;
+  const rows = await conn.query(
+    "SELECT two_factor_policy.enforced, two_factor.enabled_at FROM two_factor_policy LEFT JOIN two_factor ON two_factor.user_role = two_factor_policy.user_role AND two_factor.user_id = ? WHERE two_factor_policy.user_role = ?",
+    [userId, role]
+  );
+  return rows.length > 0 && Boolean(rows[0].enforced) && !rows[0].enabled_at;
+}
+
+// Start (or restart) enrollment with a fresh secret, 2FA stays off until enableTwoFactor
+async function startEnrollment(userId, role, accountName) {
+  const secret = totp.generateSecret();
+
+  await conn.query(
+    "INSERT INTO two_factor (user_id, user_role, secret) VALUES (?, ?, ?) ON DUPLICATE KEY UPDATE secret = VALUES(secret), enabled_at = NULL, last_used_step = NULL",
+    [userId, role, secret]
+  );
+
+  return { secret, otpauth_uri: totp.otpauthUri(secret, accountName, ISSUER) };
+}
+
+// Check a TOTP code for an enrolled user, refusing a code that was already used
+async function verifyUserCode(userId, role, code) {
+  const twoFactor = await getTwoFactor(userId, role);
+  if (!twoFactor) return false;
+
+  const step = totp.verifyCode(twoFactor.secret, code);
+  if (step === null) return false;
+  if (twoFactor.last_used_step !== null && step <= Number(twoFactor.last_used_step)) {
+    return false;
+  }
+
+  await conn.query(
+    "UPDATE two_factor SET last_used_step = ? WHERE user_id = ? AND user_role = ?",
+    [step, userId, role]
+  );
+  return true;
+}
+
+// Replace all recovery codes, resolves with the new plain codes (shown once)
+async function regenerateRecoveryCodes(userId, role) {
+  const codes = Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+    const raw = crypto.randomBytes(5).toString("hex");
+    return `${raw.slice(0, 5)}-${raw.slice(5)}`;
+  });
+
+  await conn.query(
+    "DELETE FROM two_factor_recovery_codes WHERE user_id = ? AND user_role = ?",
+    [userId, role]
+  );
+  await conn.query(
+    "INSERT INTO two_factor_recovery_codes (user_id, user_role, code_hash) VALUES ?",
+    [codes.map((code) => [userId, role, hash(normalizeRecoveryCode(code))])]
+  );
+
+  return codes;
+}
+
+async function useRecoveryCode(userId, role, code) {
+  const result = await conn.query(
+    "UPDATE two_factor_recovery_codes SET used_at = NOW() WHERE user_id = ? AND user_role = ? AND code_hash = ? AND used_at IS NULL LIMIT 1",
+    [userId, role, hash(normalizeRecoveryCode(code))]
+  );
+  return result.affectedRows > 0;
+}
+
+// Finish enrollment with a code from the app, resolves with recovery codes or null
+async function enableTwoFactor(userId, role, code) {
+  if (!(await verifyUserCode(userId, role, code))) return null;
+
+  await conn.query(
+    "UPDATE two_factor SET enabled_at = NOW() WHERE user_id = ? AND user_role = ?",
+    [userId, role]
+  );
+  return regenerateRecoveryCodes(userId, role);
+}
+
+async function disableTwoFactor(userId, role) {
+  await conn.query(
+    "DELETE FROM two_factor_recovery_codes WHERE user_id = ? AND user_role = ?",
+    [userId, role]
+  );
+  await conn.query("DELETE FROM two_factor WHERE user_id = ? AND user_role = ?", [
+    userId,
+    role,
+  ]);
+}
+
+async function countRecoveryCodesLeft(userId, role) {
+  const rows = await conn.query(
+    "SELECT COUNT(*) AS remaining FROM two_factor_recovery_codes WHERE user_id = ? AND user_role = ? AND used_at IS NULL",
+    [userId, role]
+  );
+  return rows[0].remaining;
+}
+
+// Issued after a correct password, the client trades it for a session with a code
+async function createChallenge(userId, role, deviceLabel) {
+  const token = crypto.randomBytes(32).toString("hex");
+
+  await conn.query(
+    "INSERT INTO two_factor_challenges (token_hash, user_id, user_role, device_label, expires_at) VALUES (?, ?, ?, ?, DATE_ADD(NOW(), INTERVAL ? MINUTE))",
+    [hash(token), userId, role, deviceLabel, CHALLENGE_TTL_MINUTES]
+  );
+
+  return { token, expires_in: CHALLENGE_TTL_MINUTES * 60 };
+}
+
+// An open login challenge, with the email its account logs in with
+async function findChallenge(token) {
+  const challenges = await conn.query(
+    `SELECT c.*, COALESCE(p.professor_email, a.admin_email) AS login_identifier
+    FROM two_factor_challenges c
+    LEFT JOIN professor p ON c.user_role = 'professor' AND p.professor_id = c.user_id
+    LEFT JOIN admin a ON c.user_role = 'admin' AND a.admin_id = c.user_id
+    WHERE c.token_hash = ? AND c.used_at IS NULL AND c.expires_at > NOW()`,
+    [hash(token)]
+  );
+  return challenges.length > 0 ? challenges[0] : null;
+}
+
+// Complete a login challenge with a TOTP or recovery code.
+// Resolves with the challenge row on success, or { error } describing why not
+async function completeChallenge(token, { code, recoveryCode }) {
+  const challenge = await findChallenge(token);
+  if (!challenge) return { error: "expired" };
+
+  if (challenge.attempts >= CHALLENGE_MAX_ATTEMPTS) return { error: "too_many_attempts" };
+
+  const valid = recoveryCode
+    ? await useRecoveryCode(challenge.user_id, challenge.user_role, recoveryCode)
+    : await verifyUserCode(challenge.user_id, challenge.user_role, code);
+
+  if (!valid) {
+    await conn.query(
+      "UPDATE two_factor_challenges SET attempts = attempts + 1 WHERE challenge_id = ?",
+      [challenge.challenge_id]
+    );
+    return { error: "invalid_code" };
+  }
+
+  // Another request may have completed the challenge since it was read
+  const result = await conn.query(
+    "UPDATE two_factor_challenges SET used_at = NOW() WHERE challenge_id = ? AND used_at IS NULL",
+    [challenge.challenge_id]
+  );
+  if (result.affectedRows === 0) return { error: "expired" };
+  return challenge;
+}
+
+function getPolicies() {
+  return conn.query("SELECT * FROM two_factor_policy");
+}
+
+function setPolicy(role, enforced, adminId) {
+  return conn.query(
+    "INSERT INTO two_factor_policy (user_role, enforced, updated_by) VALUES (?, ?, ?) ON DUPLICATE KEY UPDATE enforced = VALUES(enforced), updated_by = VALUES(updated_by)",
+    [role, enforced ? 1 : 0, adminId]
+  );
+}
+
+async function isPolicyEnforced(role) {
+  const rows = await conn.query(
+    "SELECT enforced FROM two_factor_policy WHERE user_role = ?",
+    [role]
+  );
+  return rows.length > 0 && Boolean(rows[0].enforced);
+}
+
+module.exports = {
+  TWO_FACTOR_ROLES,
+  getTwoFactor,
+  isTwoFactorEnabled,
+  isSetupRequired,
+  startEnrollment,
+  verifyUserCode,
+  enableTwoFactor,
+  disableTwoFactor,
+  regenerateRecoveryCodes,
+  countRecoveryCodesLeft,
+  createChallenge,
+  findChallenge,
+  completeChallenge,
+  getPolicies,
+  setPolicy,
+  isPolicyEnforced,
+};